@@ -1,28 +1,235 @@
 /**
  * MoshBrosh MCP Bridge - Premiere Pro ExtendScript
- * Controls Premiere Pro for automated plugin testing
+ * Controls Premiere Pro for automated plugin testing. The effect under test comes
+ * from the server config; effect functions also take an optional effect name.
  */
 
-// Configuration
-var TEST_VIDEO_PATH = "/Users/mads/coding/moshbrosh/MoshBrosh/CLI/test_input.mp4";
-var TEST_PROJECT_PATH = "/Users/mads/Desktop/mosh_test_2.prproj";
-var FRAME_EXPORT_PATH = "/Users/mads/coding/moshbrosh/MoshBrosh/CLI/temp_frame.png";
-var RENDER_OUTPUT_PATH = "/Users/mads/coding/moshbrosh/MoshBrosh/CLI/premiere_render.mp4";
+// Configuration - pushed by the MCP server via setTesterConfig() when the panel connects
+var TEST_VIDEO_PATH = null;
+var TEST_PROJECT_PATH = null;
+var FRAME_EXPORT_PATH = null;
+var RENDER_OUTPUT_PATH = null;
+var EFFECT = null; // { displayName, matchName, alternateNames }
 
 // Helper: Return JSON string
 function jsonResult(obj) {
     return JSON.stringify(obj);
 }
 
-// Helper: Find effect by name on a clip
-function findEffectOnClip(clip, effectName) {
+// Functions the panel may call through mcpDispatch, with their arguments in order.
+// "name:type" where type is string, number, integer, boolean, object or any;
+// "a|b" accepts either, a trailing "?" allows null.
+var RPC_FUNCTIONS = {
+    listRpcFunctions: [],
+    setTesterConfig: ["config:object"],
+    getProjectPath: [],
+    getProjectInfo: ["effect:string?"],
+    checkAndSetupProject: ["effect:string?"],
+    applyEffect: ["effect:string?"],
+    renderFrameToFile: ["frame:integer"],
+    renderFrameRange: ["start:integer", "end:integer", "step:integer"],
+    getSourceFrame: ["frame:integer"],
+    compareFrames: ["frameA:integer", "frameB:integer"],
+    setEffectParam: ["effect:string?", "param:string", "value:any", "valueType:string?"],
+    getEffectParams: ["effect:string?"],
+    getEffectParamSchema: ["effect:string?"],
+    setParamTimeVarying: ["effect:string?", "param:string", "enabled:boolean"],
+    addKeyframe: ["effect:string?", "param:string", "at:integer|string", "value:any?", "interpolation:string?"],
+    moveKeyframe: ["effect:string?", "param:string", "from:integer|string", "to:integer|string", "interpolation:string?"],
+    removeKeyframe: ["effect:string?", "param:string", "at:integer|string"],
+    setKeyframeInterpolation: ["effect:string?", "param:string", "at:integer|string", "interpolation:string"],
+    getKeyframes: ["effect:string?", "param:string?"],
+    exportSequence: ["options:object"],
+    refreshTimeline: [],
+    saveProject: []
+};
+
+// Helper: JSON type name of a decoded argument
+function rpcTypeOf(value) {
+    if (value === null || value === undefined) return "null";
+    if (value instanceof Array) return "array";
+    return typeof value;
+}
+
+// Helper: Does a decoded argument match one type from an RPC_FUNCTIONS spec?
+function rpcMatches(value, type) {
+    switch (type) {
+        case "any": return true;
+        case "number": return typeof value === "number" && isFinite(value);
+        case "integer": return typeof value === "number" && isFinite(value) && Math.floor(value) === value;
+        case "object": return rpcTypeOf(value) === "object";
+        default: return typeof value === type;
+    }
+}
+
+// Helper: Error result for a request the dispatcher refuses
+function rpcError(errorType, error, details) {
+    var result = { success: false, errorType: errorType, error: error };
+    for (var key in details) {
+        if (details.hasOwnProperty(key)) result[key] = details[key];
+    }
+    return jsonResult(result);
+}
+
+// Single entry point for the panel. requestJson is a JSON string { fn, args: [...] };
+// arguments are checked against RPC_FUNCTIONS before the function is called, so no
+// value ever becomes script source.
+function mcpDispatch(requestJson) {
+    var request;
+    try {
+        request = JSON.parse(requestJson);
+    } catch (e) {
+        return rpcError("bad_request", "RPC request is not valid JSON: " + e.message, {});
+    }
+    if (rpcTypeOf(request) !== "object" || typeof request.fn !== "string") {
+        return rpcError("bad_request", "RPC request needs a function name (fn)", {});
+    }
+
+    var fn = request.fn;
+    var specs = RPC_FUNCTIONS.hasOwnProperty(fn) ? RPC_FUNCTIONS[fn] : null;
+    if (!specs || typeof $.global[fn] !== "function") {
+        return rpcError("unknown_function", "Not a callable function: " + fn, { "function": fn });
+    }
+
+    var args = request.args === undefined ? [] : request.args;
+    if (rpcTypeOf(args) !== "array") {
+        return rpcError("bad_request", "RPC args must be an array", { "function": fn });
+    }
+    if (args.length > specs.length) {
+        return rpcError("invalid_arguments", fn + " takes " + specs.length + " argument(s), got " + args.length,
+            { "function": fn, expected: specs.length, got: args.length });
+    }
+
+    for (var i = 0; i < specs.length; i++) {
+        var parts = specs[i].split(":");
+        var name = parts[0];
+        var optional = parts[1].charAt(parts[1].length - 1) === "?";
+        var types = parts[1].replace("?", "").split("|");
+        var value = i < args.length ? args[i] : null;
+        if (value === null || value === undefined) {
+            if (!optional) {
+                return rpcError("invalid_arguments", fn + ": " + name + " is required",
+                    { "function": fn, argument: name, expected: types.join("|"), got: "null" });
+            }
+            args[i] = null;
+            continue;
+        }
+        var ok = false;
+        for (var t = 0; t < types.length; t++) {
+            if (rpcMatches(value, types[t])) ok = true;
+        }
+        if (!ok) {
+            return rpcError("invalid_arguments",
+                fn + ": " + name + " must be " + types.join(" or ") + " (got " + rpcTypeOf(value) + " " + JSON.stringify(value) + ")",
+                { "function": fn, argument: name, expected: types.join("|"), got: rpcTypeOf(value) });
+        }
+    }
+
+    try {
+        return $.global[fn].apply($.global, args);
+    } catch (e) {
+        return rpcError("script_error", e.message, { "function": fn, line: e.line });
+    }
+}
+
+// The RPC functions this script defines; the panel reports matching commands to the server
+function listRpcFunctions() {
+    var functions = [];
+    for (var fn in RPC_FUNCTIONS) {
+        if (RPC_FUNCTIONS.hasOwnProperty(fn) && typeof $.global[fn] === "function") {
+            functions.push(fn);
+        }
+    }
+    return jsonResult({ success: true, functions: functions });
+}
+
+// Receive config from the MCP server
+function setTesterConfig(config) {
+    try {
+        TEST_VIDEO_PATH = config.testVideoPath;
+        TEST_PROJECT_PATH = config.testProjectPath;
+        FRAME_EXPORT_PATH = config.frameExportPath;
+        RENDER_OUTPUT_PATH = config.renderOutputPath;
+        EFFECT = config.effectDisplayName ? {
+            displayName: config.effectDisplayName,
+            matchName: config.effectMatchName || null,
+            alternateNames: config.effectAlternateNames || []
+        } : null;
+        return jsonResult({
+            success: true,
+            testVideoPath: TEST_VIDEO_PATH,
+            testProjectPath: TEST_PROJECT_PATH,
+            frameExportPath: FRAME_EXPORT_PATH,
+            renderOutputPath: RENDER_OUTPUT_PATH,
+            effect: EFFECT
+        });
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Helper: Error result if the server hasn't pushed its config yet
+function configMissing() {
+    if (TEST_VIDEO_PATH && TEST_PROJECT_PATH && FRAME_EXPORT_PATH && RENDER_OUTPUT_PATH && EFFECT) {
+        return null;
+    }
+    return jsonResult({
+        success: false,
+        error: "Tester config not received from MCP server. Reconnect the panel."
+    });
+}
+
+// Helper: Name of the test video as it appears in the project panel (file name without extension)
+function getTestVideoName() {
+    return decodeURI(new File(TEST_VIDEO_PATH).name).replace(/\.[^.]+$/, "");
+}
+
+// Helper: Find the imported test video in the project root
+function findTestVideoItem() {
+    var rootItem = app.project.rootItem;
+    var videoName = getTestVideoName();
+    for (var i = 0; i < rootItem.children.numItems; i++) {
+        var item = rootItem.children[i];
+        if (item.name.indexOf(videoName) >= 0) {
+            return item;
+        }
+    }
+    return null;
+}
+
+// Helper: The effect a command targets. No identifier (or one of the configured effect's
+// names) means the configured effect; anything else is taken as another effect's name.
+function resolveEffect(identifier) {
+    if (!identifier) return EFFECT;
+    var names = EFFECT ? [EFFECT.displayName, EFFECT.matchName].concat(EFFECT.alternateNames) : [];
+    for (var i = 0; i < names.length; i++) {
+        if (names[i] && names[i].toLowerCase() === String(identifier).toLowerCase()) {
+            return EFFECT;
+        }
+    }
+    return { displayName: String(identifier), matchName: String(identifier), alternateNames: [] };
+}
+
+// Helper: Display names an effect may appear under
+function effectNames(effect) {
+    return [effect.displayName].concat(effect.alternateNames);
+}
+
+// Helper: Find an effect on a clip by match name, else by (partial) display name
+function findEffectOnClip(clip, effect) {
     if (!clip || !clip.components) return null;
 
+    var names = effectNames(effect);
     for (var i = 0; i < clip.components.numItems; i++) {
         var component = clip.components[i];
-        if (component.displayName.toLowerCase().indexOf(effectName.toLowerCase()) >= 0) {
+        if (effect.matchName && component.matchName === effect.matchName) {
             return component;
         }
+        for (var n = 0; n < names.length; n++) {
+            if (component.displayName.toLowerCase().indexOf(names[n].toLowerCase()) >= 0) {
+                return component;
+            }
+        }
     }
     return null;
 }
@@ -58,7 +265,10 @@ function enableQE() {
 }
 
 // Check project status and auto-setup if needed
-function checkAndSetupProject() {
+function checkAndSetupProject(effectId) {
+    var missing = configMissing();
+    if (missing) return missing;
+
     try {
         // Check if any project is open
         if (!app.project || !app.project.path) {
@@ -85,13 +295,13 @@ function checkAndSetupProject() {
             return setupTestSequence();
         }
 
-        // Check if MoshBrosh effect is applied
+        // Check if the effect is applied
         var clip = getFirstVideoClip();
         if (clip) {
-            var effect = findEffectOnClip(clip, "MoshBrosh");
+            var effect = findEffectOnClip(clip, resolveEffect(effectId));
             if (!effect) {
                 // Apply the effect
-                return applyMoshBroshEffect();
+                return applyEffect(effectId);
             }
         }
 
@@ -126,23 +336,14 @@ function createTestProject() {
         $.sleep(1000);
 
         // Create sequence from clip
-        var rootItem = app.project.rootItem;
-        var videoItem = null;
-
-        for (var i = 0; i < rootItem.children.numItems; i++) {
-            var item = rootItem.children[i];
-            if (item.name.indexOf("test_input") >= 0) {
-                videoItem = item;
-                break;
-            }
-        }
+        var videoItem = findTestVideoItem();
 
         if (!videoItem) {
             return jsonResult({ success: false, error: "Could not find imported video" });
         }
 
         // Create sequence from clip
-        app.project.createNewSequenceFromClips("MoshBrosh Test", [videoItem]);
+        app.project.createNewSequenceFromClips(EFFECT.displayName + " Test", [videoItem]);
         $.sleep(2000);
 
         // Save project
@@ -163,29 +364,13 @@ function createTestProject() {
 function setupTestSequence() {
     try {
         // Find or import test video
-        var rootItem = app.project.rootItem;
-        var videoItem = null;
-
-        for (var i = 0; i < rootItem.children.numItems; i++) {
-            var item = rootItem.children[i];
-            if (item.name.indexOf("test_input") >= 0) {
-                videoItem = item;
-                break;
-            }
-        }
+        var videoItem = findTestVideoItem();
 
         if (!videoItem) {
             // Import test video
             app.project.importFiles([TEST_VIDEO_PATH], true, app.project.rootItem, false);
             $.sleep(1000);
-
-            for (var i = 0; i < rootItem.children.numItems; i++) {
-                var item = rootItem.children[i];
-                if (item.name.indexOf("test_input") >= 0) {
-                    videoItem = item;
-                    break;
-                }
-            }
+            videoItem = findTestVideoItem();
         }
 
         if (!videoItem) {
@@ -193,7 +378,7 @@ function setupTestSequence() {
         }
 
         // Create sequence
-        app.project.createNewSequenceFromClips("MoshBrosh Test", [videoItem]);
+        app.project.createNewSequenceFromClips(EFFECT.displayName + " Test", [videoItem]);
         $.sleep(2000);
 
         return jsonResult({
@@ -206,20 +391,22 @@ function setupTestSequence() {
     }
 }
 
-// Apply MoshBrosh effect using QE DOM
-function applyMoshBroshEffect() {
+// Apply the effect using QE DOM
+function applyEffect(effectId) {
     try {
+        var target = resolveEffect(effectId);
         var clip = getFirstVideoClip();
         if (!clip) {
             return jsonResult({ success: false, error: "No video clip found" });
         }
 
         // Check if already applied
-        var existing = findEffectOnClip(clip, "MoshBrosh");
+        var existing = findEffectOnClip(clip, target);
         if (existing) {
             return jsonResult({
                 success: true,
-                action: "effect_already_applied"
+                action: "effect_already_applied",
+                effectName: existing.displayName
             });
         }
 
@@ -245,31 +432,23 @@ function applyMoshBroshEffect() {
             return jsonResult({ success: false, error: "No QE clip" });
         }
 
-        // Add effect by name - MoshBrosh should be in Stylize category
-        // The effect matchName is typically the plugin name
-        var effectAdded = qeClip.addVideoEffect(qe.project.getVideoEffectByName("MoshBrosh"));
-
-        if (effectAdded) {
-            return jsonResult({
-                success: true,
-                action: "effect_applied"
-            });
-        } else {
-            // Try alternate names
-            effectAdded = qeClip.addVideoEffect(qe.project.getVideoEffectByName("MoshBrosh Datamosh"));
-            if (effectAdded) {
+        // Add effect by display name, then by each alternate name
+        var names = effectNames(target);
+        for (var i = 0; i < names.length; i++) {
+            if (qeClip.addVideoEffect(qe.project.getVideoEffectByName(names[i]))) {
                 return jsonResult({
                     success: true,
-                    action: "effect_applied"
+                    action: "effect_applied",
+                    effectName: names[i]
                 });
             }
-
-            return jsonResult({
-                success: false,
-                error: "Could not find or apply MoshBrosh effect. Is the plugin installed?"
-            });
         }
 
+        return jsonResult({
+            success: false,
+            error: "Could not find or apply " + target.displayName + " effect (tried: " + names.join(", ") + "). Is the plugin installed?"
+        });
+
     } catch (e) {
         return jsonResult({ success: false, error: e.message, stack: e.stack });
     }
@@ -280,47 +459,118 @@ function openOrCreateTestProject() {
     return checkAndSetupProject();
 }
 
-// Export sequence to video file for testing
-function exportSequence() {
+// Media Encoder job events are sent to the panel as CSXS events of this type
+var EXPORT_EVENT_TYPE = "com.moshbrosh.mcpbridge.export";
+var exportEventsBound = false;
+
+function dispatchExportEvent(data) {
+    try {
+        if (!ExternalObject.PlugPlugExternalObject) {
+            new ExternalObject("lib:PlugPlugExternalObject");
+        }
+        var event = new CSXSEvent();
+        event.type = EXPORT_EVENT_TYPE;
+        event.data = jsonResult(data);
+        event.dispatch();
+    } catch (e) {
+        // Nothing to report to: the panel is the only listener
+    }
+}
+
+function bindExportEvents() {
+    if (exportEventsBound) return;
+    app.encoder.bind("onEncoderJobQueued", function (jobID) {
+        dispatchExportEvent({ event: "queued", jobId: String(jobID) });
+    });
+    app.encoder.bind("onEncoderJobProgress", function (jobID, progress) {
+        dispatchExportEvent({ event: "progress", jobId: String(jobID), progress: progress });
+    });
+    app.encoder.bind("onEncoderJobComplete", function (jobID, outputFilePath) {
+        dispatchExportEvent({ event: "complete", jobId: String(jobID), outputPath: outputFilePath });
+    });
+    app.encoder.bind("onEncoderJobError", function (jobID, errorMessage) {
+        dispatchExportEvent({ event: "error", jobId: String(jobID), error: errorMessage });
+    });
+    app.encoder.bind("onEncoderJobCanceled", function (jobID) {
+        dispatchExportEvent({ event: "canceled", jobId: String(jobID) });
+    });
+    exportEventsBound = true;
+}
+
+// Export ranges accepted by exportSequence, as app.encoder constants
+var EXPORT_RANGES = {
+    entire: "ENCODE_ENTIRE",
+    in_out: "ENCODE_IN_TO_OUT",
+    work_area: "ENCODE_WORKAREA"
+};
+
+// Export the active sequence. options:
+// { presetPath, outputPath, range: entire | in_out | work_area, mode: encoder | premiere }
+// mode "encoder" queues the job in Media Encoder and returns its job id; progress and
+// completion arrive later as export events. mode "premiere" encodes in Premiere and
+// returns once the file is written.
+function exportSequence(options) {
+    var missing = configMissing();
+    if (missing) return missing;
+
     try {
+        options = options || {};
         var seq = getActiveSequence();
         if (!seq) {
             return jsonResult({ success: false, error: "No active sequence" });
         }
 
-        // Use Adobe Media Encoder preset
-        // Export to MP4 for easy frame extraction
-        var outputFile = new File(RENDER_OUTPUT_PATH);
-
-        // Get first available export preset
-        var presetPath = "";
-
-        // Try to find H.264 preset
-        var presetsFolder = new Folder(Folder.appData.fsName + "/Adobe/Adobe Media Encoder/25.0/Presets");
-        if (presetsFolder.exists) {
-            var presets = presetsFolder.getFiles("*.epr");
-            if (presets.length > 0) {
-                presetPath = presets[0].fsName;
+        if (!options.presetPath || !new File(options.presetPath).exists) {
+            return jsonResult({ success: false, error: "Export preset not found: " + (options.presetPath || "(none given)") });
+        }
+        var range = options.range || "work_area";
+        if (!EXPORT_RANGES[range]) {
+            return jsonResult({ success: false, error: "Unknown export range: " + range });
+        }
+        var outputFile = new File(options.outputPath || RENDER_OUTPUT_PATH);
+        var mode = options.mode || "encoder";
+
+        if (mode === "premiere") {
+            // Blocks until the file is written
+            var status = seq.exportAsMediaDirect(outputFile.fsName, options.presetPath, app.encoder[EXPORT_RANGES[range]]);
+            if (status === false || (typeof status === "string" && status !== "" && status !== "No Error")) {
+                return jsonResult({ success: false, error: "Premiere export failed: " + status });
             }
+            return jsonResult({
+                success: true,
+                action: "exported",
+                mode: mode,
+                range: range,
+                outputPath: outputFile.fsName,
+                presetPath: options.presetPath
+            });
+        }
+        if (mode !== "encoder") {
+            return jsonResult({ success: false, error: "Unknown export mode: " + mode });
         }
 
         // Queue export in AME
+        bindExportEvents();
         app.encoder.launchEncoder();
         $.sleep(2000);
 
-        var exportSuccess = app.encoder.encodeSequence(
+        var jobID = app.encoder.encodeSequence(
             seq,
             outputFile.fsName,
-            presetPath,
-            app.encoder.ENCODE_WORKAREA,
+            options.presetPath,
+            app.encoder[EXPORT_RANGES[range]],
             true // remove on completion
         );
 
-        if (exportSuccess) {
+        if (jobID && String(jobID) !== "0") {
             return jsonResult({
                 success: true,
                 action: "export_queued",
-                outputPath: RENDER_OUTPUT_PATH
+                mode: mode,
+                range: range,
+                jobId: String(jobID),
+                outputPath: outputFile.fsName,
+                presetPath: options.presetPath
             });
         } else {
             return jsonResult({
@@ -334,89 +584,259 @@ function exportSequence() {
     }
 }
 
-// Render specific frame by moving playhead and exporting frame
+// Helper: Convert a sequence frame number to a ticks string (Premiere uses ticks internally)
+function frameToTicks(seq, frameNum) {
+    var seqSettings = seq.getSettings();
+    var fps = 1.0 / seqSettings.videoFrameRate.seconds;
+    var timeInSeconds = frameNum / fps;
+    return (timeInSeconds * 254016000000).toString();
+}
+
+// Helper: Unique PNG path next to FRAME_EXPORT_PATH so concurrent renders don't overwrite each other
+var frameExportCounter = 0;
+
+function uniqueFramePath(tag, frameNum) {
+    var base = FRAME_EXPORT_PATH.replace(/\.png$/i, "");
+    frameExportCounter++;
+    return base + "_" + tag + "_" + new Date().getTime() + "_" + frameExportCounter + "_" + frameNum + ".png";
+}
+
+// Helper: Move the playhead to a frame and export it as PNG (effects applied)
+function exportFrameAt(seq, frameNum, outputPath) {
+    var ticks = frameToTicks(seq, frameNum);
+    seq.setPlayerPosition(ticks);
+    seq.exportFramePNG(ticks, outputPath);
+}
+
+// Render specific frame by moving playhead and exporting frame to its own PNG.
+// exportFramePNG may return before the file is written; the server waits for it.
 function renderFrameToFile(frameNum) {
+    var missing = configMissing();
+    if (missing) return missing;
+
     try {
         var seq = getActiveSequence();
         if (!seq) {
             return jsonResult({ success: false, error: "No active sequence" });
         }
 
-        // Get frame rate
-        var seqSettings = seq.getSettings();
-        var fps = 1.0 / seqSettings.videoFrameRate.seconds;
+        // exportFramePNG is available in Premiere 2020+
+        if (typeof seq.exportFramePNG !== "function") {
+            return jsonResult({
+                success: false,
+                error: "exportFramePNG not available",
+                suggestion: "Use exportSequence and extract frame with ffmpeg"
+            });
+        }
 
-        // Calculate time in ticks (Premiere uses ticks internally)
-        var timeInSeconds = frameNum / fps;
-        var ticks = timeInSeconds * 254016000000; // Ticks per second
+        var outputFile = uniqueFramePath("frame", frameNum);
+        exportFrameAt(seq, frameNum, outputFile);
+        return jsonResult({
+            success: true,
+            frame: frameNum,
+            path: outputFile
+        });
 
-        // Move playhead
-        seq.setPlayerPosition(ticks.toString());
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
 
-        // Use exportFramePNG if available (Premiere 2020+)
-        var outputFile = FRAME_EXPORT_PATH;
+// Render a range of frames to individual PNGs. The server reads the files and returns them as images.
+var MAX_RANGE_FRAMES = 60;
 
-        // Try to export frame
-        if (typeof seq.exportFramePNG === "function") {
-            seq.exportFramePNG(ticks.toString(), outputFile);
-            return jsonResult({
-                success: true,
-                frame: frameNum,
-                path: outputFile
-            });
-        } else {
-            // Fallback: need to use export
+function renderFrameRange(startFrame, endFrame, step) {
+    var missing = configMissing();
+    if (missing) return missing;
+
+    try {
+        var seq = getActiveSequence();
+        if (!seq) {
+            return jsonResult({ success: false, error: "No active sequence" });
+        }
+        if (typeof seq.exportFramePNG !== "function") {
+            return jsonResult({ success: false, error: "exportFramePNG not available" });
+        }
+
+        step = step > 0 ? step : 1;
+        if (endFrame < startFrame) {
+            return jsonResult({ success: false, error: "End frame must be >= start frame" });
+        }
+        var count = Math.floor((endFrame - startFrame) / step) + 1;
+        if (count > MAX_RANGE_FRAMES) {
             return jsonResult({
                 success: false,
-                error: "exportFramePNG not available",
-                suggestion: "Use exportSequence and extract frame with ffmpeg"
+                error: "Range covers " + count + " frames; the limit is " + MAX_RANGE_FRAMES + ". Use a larger step."
             });
         }
 
+        var frames = [];
+        for (var f = startFrame; f <= endFrame; f += step) {
+            var outputPath = uniqueFramePath("range", f);
+            exportFrameAt(seq, f, outputPath);
+            frames.push({ frame: f, path: outputPath });
+        }
+
+        return jsonResult({
+            success: true,
+            start: startFrame,
+            end: endFrame,
+            step: step,
+            frames: frames
+        });
+
     } catch (e) {
         return jsonResult({ success: false, error: e.message });
     }
 }
 
-// Set a parameter on the MoshBrosh effect
-function setMoshBroshParam(paramName, value) {
+// Locate the source media frame under a sequence frame (no effects applied).
+// The server extracts the frame from the media file with ffmpeg.
+function getSourceFrame(frameNum) {
     try {
+        var seq = getActiveSequence();
+        if (!seq) {
+            return jsonResult({ success: false, error: "No active sequence" });
+        }
+
         var clip = getFirstVideoClip();
-        if (!clip) {
+        if (!clip || !clip.projectItem) {
             return jsonResult({ success: false, error: "No video clip found" });
         }
 
-        var effect = findEffectOnClip(clip, "MoshBrosh");
-        if (!effect) {
-            return jsonResult({ success: false, error: "MoshBrosh effect not found on clip" });
+        var fps = 1.0 / seq.getSettings().videoFrameRate.seconds;
+        var seqSeconds = frameNum / fps;
+        if (seqSeconds < clip.start.seconds || seqSeconds >= clip.end.seconds) {
+            return jsonResult({
+                success: false,
+                error: "Frame " + frameNum + " is outside the clip (clip spans " +
+                    Math.round(clip.start.seconds * fps) + "-" + (Math.round(clip.end.seconds * fps) - 1) + ")"
+            });
         }
 
-        // Find the parameter
-        for (var i = 0; i < effect.properties.numItems; i++) {
-            var prop = effect.properties[i];
-            var propName = prop.displayName.toLowerCase().replace(/\s+/g, "_");
-            var searchName = paramName.toLowerCase().replace(/\s+/g, "_");
+        // Source time = clip in point + offset into the clip (speed changes are not accounted for)
+        var sourceSeconds = clip.inPoint.seconds + (seqSeconds - clip.start.seconds);
 
-            if (propName === searchName || prop.displayName.toLowerCase() === paramName.toLowerCase()) {
-                prop.setValue(value, true);
-                return jsonResult({
-                    success: true,
-                    param: paramName,
-                    value: value
-                });
-            }
-        }
+        return jsonResult({
+            success: true,
+            frame: frameNum,
+            clipName: clip.name,
+            mediaPath: clip.projectItem.getMediaPath(),
+            sourceSeconds: sourceSeconds
+        });
 
-        // List available params for debugging
-        var availableParams = [];
-        for (var i = 0; i < effect.properties.numItems; i++) {
-            availableParams.push(effect.properties[i].displayName);
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Render two frames for comparison. The server computes the difference metrics from the PNGs.
+function compareFrames(frameA, frameB) {
+    var missing = configMissing();
+    if (missing) return missing;
+
+    try {
+        var seq = getActiveSequence();
+        if (!seq) {
+            return jsonResult({ success: false, error: "No active sequence" });
         }
+        if (typeof seq.exportFramePNG !== "function") {
+            return jsonResult({ success: false, error: "exportFramePNG not available" });
+        }
+
+        var pathA = uniqueFramePath("compare", frameA);
+        var pathB = uniqueFramePath("compare", frameB);
+        exportFrameAt(seq, frameA, pathA);
+        exportFrameAt(seq, frameB, pathB);
 
         return jsonResult({
+            success: true,
+            frameA: { frame: frameA, path: pathA },
+            frameB: { frame: frameB, path: pathB }
+        });
+
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Helper: Find the effect on the first clip and one of its parameters by display name
+// or snake_case name. Returns { clip, effect, param } or { error } (a JSON result).
+function findEffectParam(effectId, paramName) {
+    var clip = getFirstVideoClip();
+    if (!clip) {
+        return { error: jsonResult({ success: false, error: "No video clip found" }) };
+    }
+
+    var target = resolveEffect(effectId);
+    var effect = findEffectOnClip(clip, target);
+    if (!effect) {
+        return { error: jsonResult({ success: false, error: target.displayName + " effect not found on clip" }) };
+    }
+
+    var searchName = String(paramName).toLowerCase().replace(/\s+/g, "_");
+    for (var i = 0; i < effect.properties.numItems; i++) {
+        var prop = effect.properties[i];
+        var propName = prop.displayName.toLowerCase().replace(/\s+/g, "_");
+        if (propName === searchName || prop.displayName.toLowerCase() === String(paramName).toLowerCase()) {
+            return { clip: clip, effect: effect, param: prop };
+        }
+    }
+
+    // List available params for debugging
+    var availableParams = [];
+    for (var j = 0; j < effect.properties.numItems; j++) {
+        availableParams.push(effect.properties[j].displayName);
+    }
+    return {
+        error: jsonResult({
             success: false,
             error: "Parameter not found: " + paramName,
             availableParams: availableParams
+        })
+    };
+}
+
+// Helper: Read a parameter with its type, inferred from the value Premiere returns
+// (Premiere has no type API). Colours don't come back from getValue, only from getColorValue.
+function readParam(prop) {
+    var value;
+    try {
+        value = prop.getValue();
+    } catch (e) {
+        value = undefined;
+    }
+    if (typeof value === "boolean") return { type: "bool", value: value };
+    if (typeof value === "number") return { type: "number", value: value };
+    if (value instanceof Array && value.length === 2) return { type: "point", value: [value[0], value[1]] };
+    try {
+        var argb = prop.getColorValue();
+        if (argb instanceof Array && argb.length === 4) {
+            return { type: "color", value: { r: argb[1], g: argb[2], b: argb[3], a: argb[0] } };
+        }
+    } catch (e) {
+        // Not a colour
+    }
+    if (typeof value === "string") return { type: "string", value: value };
+    return { type: "unknown", value: "(unreadable)" };
+}
+
+// Set a parameter on the effect. valueType comes from the server's schema check:
+// "color" values are { r, g, b, a } (0-255), "point" values [x, y]; anything else goes to setValue.
+function setEffectParam(effectId, paramName, value, valueType) {
+    try {
+        var found = findEffectParam(effectId, paramName);
+        if (found.error) return found.error;
+
+        if (valueType === "color") {
+            found.param.setColorValue(value.a, value.r, value.g, value.b, true);
+        } else {
+            found.param.setValue(value, true);
+        }
+        return jsonResult({
+            success: true,
+            param: paramName,
+            value: readParam(found.param).value
         });
 
     } catch (e) {
@@ -424,32 +844,81 @@ function setMoshBroshParam(paramName, value) {
     }
 }
 
-// Get all MoshBrosh effect parameters
-function getMoshBroshParams() {
+// Get all parameters of the effect
+function getEffectParams(effectId) {
     try {
         var clip = getFirstVideoClip();
         if (!clip) {
             return jsonResult({ success: false, error: "No video clip found" });
         }
 
-        var effect = findEffectOnClip(clip, "MoshBrosh");
+        var target = resolveEffect(effectId);
+        var effect = findEffectOnClip(clip, target);
         if (!effect) {
-            return jsonResult({ success: false, error: "MoshBrosh effect not found on clip" });
+            return jsonResult({ success: false, error: target.displayName + " effect not found on clip" });
         }
 
         var params = {};
+        var types = {};
+        for (var i = 0; i < effect.properties.numItems; i++) {
+            var read = readParam(effect.properties[i]);
+            params[effect.properties[i].displayName] = read.value;
+            types[effect.properties[i].displayName] = read.type;
+        }
+
+        return jsonResult({
+            success: true,
+            effectName: effect.displayName,
+            mediaPath: clip.projectItem ? clip.projectItem.getMediaPath() : null,
+            params: params,
+            types: types
+        });
+
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Describe every parameter of the effect: name, inferred type, current value and keyframe support.
+// Ranges, defaults and popup labels aren't exposed to scripting; the server adds them from its schema file.
+function getEffectParamSchema(effectId) {
+    try {
+        var clip = getFirstVideoClip();
+        if (!clip) {
+            return jsonResult({ success: false, error: "No video clip found" });
+        }
+
+        var target = resolveEffect(effectId);
+        var effect = findEffectOnClip(clip, target);
+        if (!effect) {
+            return jsonResult({ success: false, error: target.displayName + " effect not found on clip" });
+        }
+
+        var params = [];
         for (var i = 0; i < effect.properties.numItems; i++) {
             var prop = effect.properties[i];
+            var read = readParam(prop);
+            var keyframable = false;
+            var timeVarying = false;
             try {
-                params[prop.displayName] = prop.getValue();
+                keyframable = prop.areKeyframesSupported();
+                timeVarying = keyframable && prop.isTimeVarying();
             } catch (e) {
-                params[prop.displayName] = "(unreadable)";
+                // Group headers and similar can't be keyframed
             }
+            params.push({
+                name: prop.displayName,
+                type: read.type,
+                value: read.value,
+                keyframable: keyframable,
+                timeVarying: timeVarying
+            });
         }
 
         return jsonResult({
             success: true,
             effectName: effect.displayName,
+            matchName: effect.matchName,
             params: params
         });
 
@@ -458,8 +927,354 @@ function getMoshBroshParams() {
     }
 }
 
+// Keyframe interpolation types accepted by setInterpolationTypeAtKey
+var INTERPOLATION_TYPES = {
+    linear: 0,
+    hold: 4,
+    bezier: 5,
+    time: 6
+};
+
+// Helper: Sequence frame rate
+function sequenceFps(seq) {
+    return 1.0 / seq.getSettings().videoFrameRate.seconds;
+}
+
+// Helper: Sequence frame number from a frame number or an "HH:MM:SS:FF" timecode
+// (";" before the frames is accepted, but drop-frame numbering is not applied). Returns null if unparseable.
+function positionToFrame(seq, position) {
+    if (typeof position === "number") {
+        return Math.round(position);
+    }
+    var text = String(position);
+    if (/^\d+$/.test(text)) {
+        return parseInt(text, 10);
+    }
+    var match = text.match(/^(\d+):(\d{2}):(\d{2})[:;](\d{2})$/);
+    if (!match) return null;
+    var fps = Math.round(sequenceFps(seq));
+    var hours = parseInt(match[1], 10);
+    var minutes = parseInt(match[2], 10);
+    var seconds = parseInt(match[3], 10);
+    var frames = parseInt(match[4], 10);
+    return ((hours * 60 + minutes) * 60 + seconds) * fps + frames;
+}
+
+// Helper: "HH:MM:SS:FF" for a sequence frame number
+function frameToTimecode(seq, frame) {
+    var fps = Math.round(sequenceFps(seq));
+    var pad = function (n) { return (n < 10 ? "0" : "") + n; };
+    var totalSeconds = Math.floor(frame / fps);
+    return pad(Math.floor(totalSeconds / 3600)) + ":" + pad(Math.floor(totalSeconds / 60) % 60) + ":" +
+        pad(totalSeconds % 60) + ":" + pad(frame % fps);
+}
+
+// Helper: Keyframe time for a sequence frame. Keyframes are timed in the clip's media, not the sequence.
+function frameToKeyTime(seq, clip, frame) {
+    var time = new Time();
+    time.seconds = clip.inPoint.seconds + (frame / sequenceFps(seq) - clip.start.seconds);
+    return time;
+}
+
+function keyTimeToFrame(seq, clip, time) {
+    return Math.round((time.seconds - clip.inPoint.seconds + clip.start.seconds) * sequenceFps(seq));
+}
+
+// Helper: The parameter's keyframe at a sequence frame, or null
+function findKeyAtFrame(seq, clip, param, frame) {
+    var keys = param.isTimeVarying() ? param.getKeys() : null;
+    if (!keys) return null;
+    for (var i = 0; i < keys.length; i++) {
+        if (keyTimeToFrame(seq, clip, keys[i]) === frame) {
+            return keys[i];
+        }
+    }
+    return null;
+}
+
+// Helper: Resolve a keyframe position or return an error result
+function keyframePosition(seq, position) {
+    var frame = positionToFrame(seq, position);
+    if (frame === null || frame < 0) {
+        return { error: jsonResult({ success: false, error: "Invalid frame or timecode: " + position + " (use a frame number or HH:MM:SS:FF)" }) };
+    }
+    return { frame: frame };
+}
+
+// Helper: Keyframes of a parameter as [{ frame, timecode, value }]
+function describeKeys(seq, clip, param) {
+    var keys = param.isTimeVarying() ? param.getKeys() : null;
+    var result = [];
+    if (!keys) return result;
+    for (var i = 0; i < keys.length; i++) {
+        var frame = keyTimeToFrame(seq, clip, keys[i]);
+        var value;
+        try {
+            value = param.getValueAtKey(keys[i]);
+        } catch (e) {
+            value = "(unreadable)";
+        }
+        result.push({ frame: frame, timecode: frameToTimecode(seq, frame), value: value });
+    }
+    return result;
+}
+
+// Turn keyframing (time-varying mode) on or off for a parameter.
+// Turning it off removes every keyframe and keeps the value at the playhead.
+function setParamTimeVarying(effectId, paramName, enabled) {
+    try {
+        var found = findEffectParam(effectId, paramName);
+        if (found.error) return found.error;
+
+        found.param.setTimeVarying(!!enabled, true);
+        return jsonResult({
+            success: true,
+            param: found.param.displayName,
+            timeVarying: found.param.isTimeVarying()
+        });
+
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Add (or update) a keyframe at a sequence frame or timecode. value and interpolation are optional;
+// without a value the keyframe takes the parameter's current value there.
+function addKeyframe(effectId, paramName, position, value, interpolation) {
+    try {
+        var seq = getActiveSequence();
+        if (!seq) {
+            return jsonResult({ success: false, error: "No active sequence" });
+        }
+        var found = findEffectParam(effectId, paramName);
+        if (found.error) return found.error;
+        var at = keyframePosition(seq, position);
+        if (at.error) return at.error;
+        if (interpolation && INTERPOLATION_TYPES[interpolation] === undefined) {
+            return jsonResult({ success: false, error: "Unknown interpolation: " + interpolation + " (linear, hold, bezier, time)" });
+        }
+
+        var param = found.param;
+        var enabledTimeVarying = false;
+        if (!param.isTimeVarying()) {
+            param.setTimeVarying(true, true);
+            enabledTimeVarying = true;
+        }
+
+        var time = frameToKeyTime(seq, found.clip, at.frame);
+        param.addKey(time);
+        if (value !== null && value !== undefined) {
+            param.setValueAtKey(time, value, true);
+        }
+        if (interpolation) {
+            param.setInterpolationTypeAtKey(time, INTERPOLATION_TYPES[interpolation], true);
+        }
+
+        return jsonResult({
+            success: true,
+            param: param.displayName,
+            frame: at.frame,
+            timecode: frameToTimecode(seq, at.frame),
+            enabledTimeVarying: enabledTimeVarying,
+            keyframes: describeKeys(seq, found.clip, param)
+        });
+
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Move a keyframe to another frame, keeping its value. Interpolation can't be read back in
+// ExtendScript, so the moved keyframe gets the given interpolation or Premiere's default.
+function moveKeyframe(effectId, paramName, fromPosition, toPosition, interpolation) {
+    try {
+        var seq = getActiveSequence();
+        if (!seq) {
+            return jsonResult({ success: false, error: "No active sequence" });
+        }
+        var found = findEffectParam(effectId, paramName);
+        if (found.error) return found.error;
+        var from = keyframePosition(seq, fromPosition);
+        if (from.error) return from.error;
+        var to = keyframePosition(seq, toPosition);
+        if (to.error) return to.error;
+        if (interpolation && INTERPOLATION_TYPES[interpolation] === undefined) {
+            return jsonResult({ success: false, error: "Unknown interpolation: " + interpolation + " (linear, hold, bezier, time)" });
+        }
+
+        var param = found.param;
+        var key = findKeyAtFrame(seq, found.clip, param, from.frame);
+        if (!key) {
+            return jsonResult({
+                success: false,
+                error: "No keyframe at frame " + from.frame,
+                keyframes: describeKeys(seq, found.clip, param)
+            });
+        }
+        if (findKeyAtFrame(seq, found.clip, param, to.frame)) {
+            return jsonResult({ success: false, error: "There is already a keyframe at frame " + to.frame + "; remove it first" });
+        }
+
+        var value = param.getValueAtKey(key);
+        param.removeKey(key);
+        var time = frameToKeyTime(seq, found.clip, to.frame);
+        param.addKey(time);
+        param.setValueAtKey(time, value, true);
+        if (interpolation) {
+            param.setInterpolationTypeAtKey(time, INTERPOLATION_TYPES[interpolation], true);
+        }
+
+        return jsonResult({
+            success: true,
+            param: param.displayName,
+            from: from.frame,
+            to: to.frame,
+            value: value,
+            keyframes: describeKeys(seq, found.clip, param)
+        });
+
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Remove the keyframe at a sequence frame or timecode
+function removeKeyframe(effectId, paramName, position) {
+    try {
+        var seq = getActiveSequence();
+        if (!seq) {
+            return jsonResult({ success: false, error: "No active sequence" });
+        }
+        var found = findEffectParam(effectId, paramName);
+        if (found.error) return found.error;
+        var at = keyframePosition(seq, position);
+        if (at.error) return at.error;
+
+        var key = findKeyAtFrame(seq, found.clip, found.param, at.frame);
+        if (!key) {
+            return jsonResult({
+                success: false,
+                error: "No keyframe at frame " + at.frame,
+                keyframes: describeKeys(seq, found.clip, found.param)
+            });
+        }
+        found.param.removeKey(key);
+
+        return jsonResult({
+            success: true,
+            param: found.param.displayName,
+            frame: at.frame,
+            keyframes: describeKeys(seq, found.clip, found.param)
+        });
+
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Set the interpolation of the keyframe at a sequence frame or timecode
+function setKeyframeInterpolation(effectId, paramName, position, interpolation) {
+    try {
+        var seq = getActiveSequence();
+        if (!seq) {
+            return jsonResult({ success: false, error: "No active sequence" });
+        }
+        if (INTERPOLATION_TYPES[interpolation] === undefined) {
+            return jsonResult({ success: false, error: "Unknown interpolation: " + interpolation + " (linear, hold, bezier, time)" });
+        }
+        var found = findEffectParam(effectId, paramName);
+        if (found.error) return found.error;
+        var at = keyframePosition(seq, position);
+        if (at.error) return at.error;
+
+        var key = findKeyAtFrame(seq, found.clip, found.param, at.frame);
+        if (!key) {
+            return jsonResult({ success: false, error: "No keyframe at frame " + at.frame });
+        }
+        found.param.setInterpolationTypeAtKey(key, INTERPOLATION_TYPES[interpolation], true);
+
+        return jsonResult({
+            success: true,
+            param: found.param.displayName,
+            frame: at.frame,
+            interpolation: interpolation
+        });
+
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// List keyframes of one parameter, or of every parameter of the effect
+function getKeyframes(effectId, paramName) {
+    try {
+        var seq = getActiveSequence();
+        if (!seq) {
+            return jsonResult({ success: false, error: "No active sequence" });
+        }
+
+        var params = [];
+        var clip;
+        if (paramName) {
+            var found = findEffectParam(effectId, paramName);
+            if (found.error) return found.error;
+            clip = found.clip;
+            params.push(found.param);
+        } else {
+            clip = getFirstVideoClip();
+            if (!clip) {
+                return jsonResult({ success: false, error: "No video clip found" });
+            }
+            var target = resolveEffect(effectId);
+            var effect = findEffectOnClip(clip, target);
+            if (!effect) {
+                return jsonResult({ success: false, error: target.displayName + " effect not found on clip" });
+            }
+            for (var i = 0; i < effect.properties.numItems; i++) {
+                params.push(effect.properties[i]);
+            }
+        }
+
+        var result = [];
+        for (var p = 0; p < params.length; p++) {
+            var timeVarying = false;
+            try {
+                timeVarying = params[p].isTimeVarying();
+            } catch (e) {
+                // Some properties (e.g. group headers) can't be keyframed
+            }
+            result.push({
+                param: params[p].displayName,
+                timeVarying: timeVarying,
+                keyframes: timeVarying ? describeKeys(seq, clip, params[p]) : []
+            });
+        }
+
+        return jsonResult({
+            success: true,
+            frameRate: sequenceFps(seq),
+            params: result
+        });
+
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
+// Path of the open project, reported to the MCP server with each heartbeat
+function getProjectPath() {
+    try {
+        return jsonResult({
+            success: true,
+            projectPath: app.project ? (app.project.path || "(unsaved)") : null
+        });
+    } catch (e) {
+        return jsonResult({ success: false, error: e.message });
+    }
+}
+
 // Get project info
-function getProjectInfo() {
+function getProjectInfo(effectId) {
     try {
         if (!app.project) {
             return jsonResult({
@@ -471,7 +1286,8 @@ function getProjectInfo() {
 
         var seq = getActiveSequence();
         var clip = getFirstVideoClip();
-        var effect = clip ? findEffectOnClip(clip, "MoshBrosh") : null;
+        var target = resolveEffect(effectId);
+        var effect = clip && target ? findEffectOnClip(clip, target) : null;
 
         return jsonResult({
             success: true,
@@ -479,7 +1295,8 @@ function getProjectInfo() {
             projectPath: app.project.path || "(unsaved)",
             sequenceName: seq ? seq.name : null,
             hasClip: clip !== null,
-            hasMoshBroshEffect: effect !== null
+            effect: target ? target.displayName : null,
+            hasEffect: effect !== null
         });
 
     } catch (e) {
@@ -5,18 +5,30 @@
  */
 
 const MCP_SERVER_URL = "ws://localhost:8847";
-const HEARTBEAT_INTERVAL = 2000;
+const PROTOCOL_VERSION = 4; // Must be within the MCP server's supported range (src/protocol.js)
+const PANEL_VERSION = "1.4.0"; // Keep in sync with CSXS/manifest.xml
+const REJECTED_CLOSE_CODE = 4001;
+const EXPORT_EVENT_TYPE = "com.moshbrosh.mcpbridge.export"; // Dispatched by premiere.jsx
+const DEFAULT_HEARTBEAT_INTERVAL = 2000;
 const AUTO_SETUP_DELAY = 3000; // Wait 3 seconds after connect before auto-setup
 
 let ws = null;
 let csInterface = null;
 let heartbeatTimer = null;
+let heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL;
 let reconnectTimer = null;
 let autoSetupDone = false;
+let testerConfig = null; // Paths/settings pushed by the MCP server on connect
+let projectPath = null; // Reported with heartbeats so the server can tell Premiere instances apart
+let projectPathRefreshing = false;
+let rejected = false; // Server refused our hello; don't reconnect until asked to
+let commandQueue = Promise.resolve();
+const cancelledRequests = new Set();
 
 // Initialize
 document.addEventListener("DOMContentLoaded", () => {
     csInterface = new CSInterface();
+    csInterface.addEventListener(EXPORT_EVENT_TYPE, forwardExportEvent);
     log("CEP Panel initialized");
     connect();
 });
@@ -48,6 +60,7 @@ function connect() {
         ws.onopen = () => {
             setStatus("connected", "Connected to MCP Server");
             log("Connected!");
+            sendHello();
             startHeartbeat();
 
             // Just notify that we're connected - don't auto-apply effects
@@ -55,11 +68,15 @@ function connect() {
             log("Ready - waiting for commands");
         };
 
-        ws.onclose = () => {
-            setStatus("disconnected", "Disconnected from MCP Server");
-            log("Disconnected");
+        ws.onclose = (event) => {
             stopHeartbeat();
             autoSetupDone = false; // Reset so we auto-setup on reconnect
+            if (event.code === REJECTED_CLOSE_CODE) {
+                rejected = true;
+                return;
+            }
+            setStatus("disconnected", "Disconnected from MCP Server");
+            log("Disconnected");
             scheduleReconnect();
         };
 
@@ -81,11 +98,12 @@ function reconnect() {
         ws.close();
     }
     autoSetupDone = false;
+    rejected = false;
     connect();
 }
 
 function scheduleReconnect() {
-    if (reconnectTimer) return;
+    if (reconnectTimer || rejected) return;
     log("Will reconnect in 5 seconds...");
     reconnectTimer = setTimeout(() => {
         reconnectTimer = null;
@@ -97,9 +115,57 @@ function startHeartbeat() {
     stopHeartbeat();
     heartbeatTimer = setInterval(() => {
         if (ws && ws.readyState === WebSocket.OPEN) {
-            ws.send(JSON.stringify({ type: "heartbeat" }));
+            ws.send(JSON.stringify({ type: "heartbeat", projectPath }));
+            refreshProjectPath();
+        }
+    }, heartbeatInterval);
+}
+
+// Update the cached project path. Skipped while a previous lookup is still queued behind a long command.
+async function refreshProjectPath() {
+    if (projectPathRefreshing) return;
+    projectPathRefreshing = true;
+    try {
+        const result = await callJsx("getProjectPath");
+        if (result.success) {
+            projectPath = result.projectPath;
         }
-    }, HEARTBEAT_INTERVAL);
+    } catch (e) {
+        // Keep the last known path
+    } finally {
+        projectPathRefreshing = false;
+    }
+}
+
+// Commands whose ExtendScript function is actually loaded. An older premiere.jsx
+// (e.g. cached by Premiere) may be missing some, or predate mcpDispatch entirely.
+async function supportedCommands() {
+    try {
+        if (await evalScript("typeof mcpDispatch") !== "function") {
+            log("premiere.jsx has no mcpDispatch; reload the extension");
+            return [];
+        }
+        const result = await callJsx("listRpcFunctions");
+        if (!result.success) return [];
+        return Object.keys(COMMANDS).filter(command => result.functions.includes(COMMANDS[command].jsx));
+    } catch (e) {
+        return [];
+    }
+}
+
+// Open the handshake: the server answers hello_ack (then config) or hello_rejected
+async function sendHello() {
+    const host = csInterface.getHostEnvironment();
+    await refreshProjectPath();
+    sendMessage({
+        type: "hello",
+        protocolVersion: PROTOCOL_VERSION,
+        panelVersion: PANEL_VERSION,
+        hostApp: host.appName,
+        hostVersion: host.appVersion,
+        projectPath,
+        commands: await supportedCommands()
+    });
 }
 
 function stopHeartbeat() {
@@ -120,6 +186,49 @@ function sendResponse(requestId, result, error = null) {
     }
 }
 
+// Apply server-provided config to the panel and ExtendScript
+async function applyConfig(config) {
+    testerConfig = config;
+    try {
+        const result = await callJsx("setTesterConfig", config);
+        if (!result.success) {
+            throw new Error(result.error || "setTesterConfig failed");
+        }
+        if (config.heartbeatInterval && config.heartbeatInterval !== heartbeatInterval) {
+            heartbeatInterval = config.heartbeatInterval;
+            startHeartbeat();
+        }
+        log("Config received from MCP server");
+        sendMessage({ type: "config_applied", result });
+    } catch (e) {
+        log(`Config error: ${e.message}`);
+        sendMessage({ type: "config_applied", error: e.message });
+    }
+}
+
+// Media Encoder job event from ExtendScript -> server
+function forwardExportEvent(event) {
+    let data = event.data;
+    if (typeof data === "string") {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            log(`Bad export event: ${data}`);
+            return;
+        }
+    }
+    if (data.event !== "progress") {
+        log(`Export ${data.jobId}: ${data.event}${data.error ? ` (${data.error})` : ""}`);
+    }
+    sendMessage({ type: "export_event", ...data });
+}
+
+function sendMessage(msg) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(msg));
+    }
+}
+
 // Auto-setup project when panel connects
 async function autoSetupProject() {
     if (autoSetupDone) {
@@ -131,7 +240,7 @@ async function autoSetupProject() {
     setStatus("connected", "Setting up test project...");
 
     try {
-        const result = await evalScript("checkAndSetupProject()");
+        const result = await callJsx("checkAndSetupProject");
         autoSetupDone = true;
 
         if (result.success) {
@@ -159,64 +268,121 @@ async function handleMessage(data) {
     try {
         const msg = JSON.parse(data);
 
+        if (msg.type === "hello_ack") {
+            log(`Handshake OK (protocol v${msg.protocolVersion}, session ${msg.sessionId})`);
+            for (const warning of msg.warnings || []) {
+                log(`Warning: ${warning}`);
+            }
+            return;
+        }
+
+        if (msg.type === "hello_rejected") {
+            rejected = true;
+            log(`MCP server rejected this panel: ${msg.error}`);
+            setStatus("disconnected", "Incompatible with MCP server - see log");
+            return;
+        }
+
+        if (msg.type === "config") {
+            await applyConfig(msg.config);
+            return;
+        }
+
+        if (msg.type === "cancel") {
+            log(`Cancel requested for request ${msg.requestId}`);
+            cancelledRequests.add(msg.requestId);
+            return;
+        }
+
         if (msg.type !== "command") return;
 
         const { requestId, command, params } = msg;
         log(`Received command: ${command}`);
 
-        try {
-            const result = await executeCommand(command, params);
-            sendResponse(requestId, result);
-        } catch (e) {
-            log(`Command error: ${e.message}`);
-            sendResponse(requestId, null, e.message);
-        }
+        // ExtendScript runs one call at a time anyway; queueing here means a cancel
+        // can still stop a command that hasn't started
+        commandQueue = commandQueue.then(() => runCommand(requestId, command, params));
     } catch (e) {
         log(`Parse error: ${e.message}`);
     }
 }
 
-async function executeCommand(command, params) {
-    switch (command) {
-        case "open_test_project":
-            return await openTestProject();
-
-        case "get_project_info":
-            return await getProjectInfo();
-
-        case "apply_effect":
-            return await applyEffect();
-
-        case "render_frame":
-            return await renderFrame(params.frame);
-
-        case "set_effect_param":
-            return await setEffectParam(params.param, params.value);
-
-        case "get_effect_params":
-            return await getEffectParams();
-
-        case "render_frame_range":
-            return await renderFrameRange(params.start, params.end, params.step || 1);
-
-        case "get_source_frame":
-            return await getSourceFrame(params.frame);
-
-        case "compare_frames":
-            return await compareFrames(params.frame_a, params.frame_b);
-
-        case "export_sequence":
-            return await exportSequence();
+async function runCommand(requestId, command, params) {
+    if (cancelledRequests.delete(requestId)) {
+        log(`Skipped cancelled command: ${command}`);
+        sendResponse(requestId, null, "Cancelled");
+        return;
+    }
 
-        case "refresh_timeline":
-            return await refreshTimeline();
+    try {
+        const result = await executeCommand(command, params);
+        sendResponse(requestId, result);
+    } catch (e) {
+        log(`Command error: ${e.message}`);
+        sendResponse(requestId, null, e.message);
+    } finally {
+        // A cancel for a command that was already running can't stop ExtendScript; the server has moved on
+        cancelledRequests.delete(requestId);
+    }
+}
 
-        case "save_project":
-            return await saveProject();
+// Commands the panel handles and the ExtendScript function each one needs.
+// Reported to the server in the hello message.
+const COMMANDS = {
+    open_test_project: { jsx: "checkAndSetupProject", run: (params) => openTestProject(params.effect) },
+    get_project_info: { jsx: "getProjectInfo", run: (params) => getProjectInfo(params.effect) },
+    apply_effect: { jsx: "applyEffect", run: (params) => applyEffect(params.effect) },
+    render_frame: { jsx: "renderFrameToFile", run: (params) => renderFrame(params.frame) },
+    set_effect_param: {
+        jsx: "setEffectParam",
+        run: (params) => setEffectParam(params.effect, params.param, params.value, params.valueType)
+    },
+    get_effect_params: { jsx: "getEffectParams", run: (params) => getEffectParams(params.effect) },
+    get_effect_param_schema: { jsx: "getEffectParamSchema", run: (params) => getEffectParamSchema(params.effect) },
+    set_param_time_varying: {
+        jsx: "setParamTimeVarying",
+        run: (params) => keyframeCommand("setParamTimeVarying", params, [params.enabled])
+    },
+    add_keyframe: {
+        jsx: "addKeyframe",
+        run: (params) => keyframeCommand("addKeyframe", params, [params.at, params.value, params.interpolation])
+    },
+    move_keyframe: {
+        jsx: "moveKeyframe",
+        run: (params) => keyframeCommand("moveKeyframe", params, [params.from, params.to, params.interpolation])
+    },
+    remove_keyframe: { jsx: "removeKeyframe", run: (params) => keyframeCommand("removeKeyframe", params, [params.at]) },
+    set_keyframe_interpolation: {
+        jsx: "setKeyframeInterpolation",
+        run: (params) => keyframeCommand("setKeyframeInterpolation", params, [params.at, params.interpolation])
+    },
+    get_keyframes: { jsx: "getKeyframes", run: (params) => keyframeCommand("getKeyframes", params, []) },
+    render_frame_range: { jsx: "renderFrameRange", run: (params) => renderFrameRange(params.start, params.end, params.step || 1) },
+    get_source_frame: { jsx: "getSourceFrame", run: (params) => getSourceFrame(params.frame) },
+    compare_frames: { jsx: "compareFrames", run: (params) => compareFrames(params.frame_a, params.frame_b) },
+    export_sequence: { jsx: "exportSequence", run: (params) => exportSequence(params) },
+    refresh_timeline: { jsx: "refreshTimeline", run: () => refreshTimeline() },
+    save_project: { jsx: "saveProject", run: () => saveProject() }
+};
 
-        default:
-            throw new Error(`Unknown command: ${command}`);
+async function executeCommand(command, params) {
+    const handler = COMMANDS[command];
+    if (!handler) {
+        throw new Error(`Unknown command: ${command}`);
     }
+    return await handler.run(params);
+}
+
+// Call a premiere.jsx function through its mcpDispatch entry point. The arguments travel
+// as JSON inside one string literal and are type-checked against an allowlist there, so
+// no value is ever spliced into script source. Bad arguments come back as
+// { success: false, errorType: "invalid_arguments", argument, expected, got }.
+function callJsx(fn, ...args) {
+    // A missing argument (e.g. no effect name: the configured effect) becomes null
+    const request = JSON.stringify({ fn, args: args.map(arg => arg === undefined ? null : arg) });
+    // Encoding the JSON again makes it a string literal; older ExtendScript rejects raw line separators in one
+    const literal = JSON.stringify(request).replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+    return evalScript(`mcpDispatch(${literal})`);
 }
 
 // Execute ExtendScript and return result
@@ -237,75 +403,88 @@ function evalScript(script) {
 }
 
 // Command implementations
-async function openTestProject() {
+async function openTestProject(effect) {
     log("Opening/setting up test project...");
-    const result = await evalScript("checkAndSetupProject()");
+    const result = await callJsx("checkAndSetupProject", effect);
     return result;
 }
 
-async function getProjectInfo() {
+async function getProjectInfo(effect) {
     log("Getting project info...");
-    const result = await evalScript("getProjectInfo()");
+    const result = await callJsx("getProjectInfo", effect);
     return result;
 }
 
-async function applyEffect() {
-    log("Applying MoshBrosh effect...");
-    const result = await evalScript("applyMoshBroshEffect()");
+async function applyEffect(effect) {
+    log(`Applying ${effect || testerConfig?.effectDisplayName || "effect"}...`);
+    const result = await callJsx("applyEffect", effect);
     return result;
 }
 
 async function renderFrame(frameNum) {
     log(`Rendering frame ${frameNum}...`);
-    const result = await evalScript(`renderFrameToFile(${frameNum})`);
+    const result = await callJsx("renderFrameToFile", frameNum);
     return result;
 }
 
-async function setEffectParam(param, value) {
-    log(`Setting ${param} = ${value}...`);
-    const result = await evalScript(`setMoshBroshParam("${param}", ${value})`);
+async function setEffectParam(effect, param, value, valueType) {
+    log(`Setting ${param} = ${JSON.stringify(value)}...`);
+    const result = await callJsx("setEffectParam", effect, param, value, valueType);
     return result;
 }
 
-async function getEffectParams() {
+async function getEffectParams(effect) {
     log("Getting effect params...");
-    const result = await evalScript("getMoshBroshParams()");
+    const result = await callJsx("getEffectParams", effect);
+    return result;
+}
+
+async function getEffectParamSchema(effect) {
+    log("Getting effect param schema...");
+    const result = await callJsx("getEffectParamSchema", effect);
+    return result;
+}
+
+// Keyframe functions all take (effect, param, ...rest)
+async function keyframeCommand(fn, params, rest) {
+    log(`${fn} ${params.param || "(all params)"}...`);
+    const result = await callJsx(fn, params.effect, params.param, ...rest);
     return result;
 }
 
 async function renderFrameRange(start, end, step) {
     log(`Rendering frames ${start}-${end}...`);
-    const result = await evalScript(`renderFrameRange(${start}, ${end}, ${step})`);
+    const result = await callJsx("renderFrameRange", start, end, step);
     return result;
 }
 
 async function getSourceFrame(frameNum) {
     log(`Getting source frame ${frameNum}...`);
-    const result = await evalScript(`getSourceFrame(${frameNum})`);
+    const result = await callJsx("getSourceFrame", frameNum);
     return result;
 }
 
 async function compareFrames(frameA, frameB) {
     log(`Comparing frames ${frameA} and ${frameB}...`);
-    const result = await evalScript(`compareFrames(${frameA}, ${frameB})`);
+    const result = await callJsx("compareFrames", frameA, frameB);
     return result;
 }
 
-async function exportSequence() {
-    log("Exporting sequence...");
-    const result = await evalScript("exportSequence()");
+async function exportSequence(options) {
+    log(`Exporting sequence (${options.mode || "encoder"}, ${options.range || "work_area"})...`);
+    const result = await callJsx("exportSequence", options);
     return result;
 }
 
 async function refreshTimeline() {
     log("Refreshing timeline...");
-    const result = await evalScript("refreshTimeline()");
+    const result = await callJsx("refreshTimeline");
     return result;
 }
 
 async function saveProject() {
     log("Saving project...");
-    const result = await evalScript("saveProject()");
+    const result = await callJsx("saveProject");
     return result;
 }
 
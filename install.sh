@@ -53,8 +53,19 @@ ln -sf "$CEP_PANEL_DIR" "$CEP_EXTENSIONS_DIR/com.moshbrosh.mcpbridge"
 echo "  Installed to: $CEP_EXTENSIONS_DIR/com.moshbrosh.mcpbridge"
 echo ""
 
-# Step 4: Create Claude Code MCP config
-echo "Step 4: MCP Configuration for Claude Code..."
+# Step 4: Create local config from the example if there isn't one yet
+echo "Step 4: Server configuration..."
+if [ ! -f "$SCRIPT_DIR/premiere-tester.config.json" ]; then
+    cp "$SCRIPT_DIR/premiere-tester.config.example.json" "$SCRIPT_DIR/premiere-tester.config.json"
+    echo "  Created premiere-tester.config.json - edit it to point at your checkout and AE SDK."
+else
+    echo "  Using existing premiere-tester.config.json"
+fi
+echo "  (Any setting can also be overridden with PREMIERE_TESTER_* env vars or --config <file>)"
+echo ""
+
+# Step 5: Create Claude Code MCP config
+echo "Step 5: MCP Configuration for Claude Code..."
 echo ""
 echo "Add this to your Claude Code MCP settings (~/.claude/mcp_settings.json):"
 echo ""
@@ -68,7 +79,7 @@ echo '  }'
 echo '}'
 echo ""
 
-# Step 5: Instructions
+# Step 6: Instructions
 echo "=== Installation Complete ==="
 echo ""
 echo "To use the MCP bridge:"
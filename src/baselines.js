@@ -0,0 +1,249 @@
+/**
+ * Baselines - Golden-frame store for regression testing
+ * Frames are keyed by output source (cli/premiere), test media, effect and effect parameters:
+ *
+ *   <baselineDir>/<source>/<media>-<mediaHash>/<paramsHash>/
+ *     manifest.json      params, media, effect, approval history
+ *     frame_<n>.png      approved baseline frames
+ *     pending/           output from the last comparison, waiting for approve
+ *     diff/              heatmaps from the last comparison
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, copyFileSync, readdirSync, statSync, renameSync, rmSync } from "fs";
+import { createHash } from "crypto";
+import path from "path";
+import { compareImageFilesWithHeatmap, formatMetrics } from "./image-metrics.js";
+
+export const SOURCES = ["cli", "premiere"];
+
+// A frame passes when it is at least this similar to its baseline
+export const DEFAULT_TOLERANCES = {
+  minSsim: 0.98,
+  maxRmse: 3,
+  minPsnr: null
+};
+
+function shortHash(value) {
+  return createHash("sha1").update(value).digest("hex").slice(0, 10);
+}
+
+// "Mosh Frame" / "moshFrame" / "mosh_frame" -> "mosh_frame", so CLI and Premiere params key the same way
+function normalizeParamName(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_");
+}
+
+export function normalizeParams(params = {}) {
+  const normalized = {};
+  for (const key of Object.keys(params).sort((a, b) => normalizeParamName(a).localeCompare(normalizeParamName(b)))) {
+    normalized[normalizeParamName(key)] = params[key];
+  }
+  return normalized;
+}
+
+// Describe a baseline set. mediaPath is hashed with its size so re-encoded test media gets new baselines;
+// the effect is hashed with the params, so two effects with the same param values don't share a set.
+export function baselineSet({ source, mediaPath, effect, params }) {
+  if (!SOURCES.includes(source)) {
+    throw new Error(`Unknown baseline source "${source}" (expected ${SOURCES.join(" or ")})`);
+  }
+  const mediaSize = existsSync(mediaPath) ? statSync(mediaPath).size : 0;
+  const mediaName = path.basename(mediaPath).replace(/\.[^.]+$/, "").replace(/[^A-Za-z0-9_-]+/g, "_");
+  if (!effect) {
+    throw new Error("A baseline set needs the effect its frames were rendered with");
+  }
+  const normalized = normalizeParams(params);
+  return {
+    id: `${source}/${mediaName}-${shortHash(`${path.basename(mediaPath)}:${mediaSize}`)}/${shortHash(JSON.stringify({ effect, params: normalized }))}`,
+    source,
+    mediaPath,
+    mediaSize,
+    effect,
+    params: normalized
+  };
+}
+
+function setDir(rootDir, setId) {
+  const dir = path.join(rootDir, setId);
+  if (!path.resolve(dir).startsWith(path.resolve(rootDir) + path.sep)) {
+    throw new Error(`Invalid baseline id: ${setId}`);
+  }
+  return dir;
+}
+
+function framePath(dir, frame) {
+  return path.join(dir, `frame_${frame}.png`);
+}
+
+function readManifest(dir) {
+  const file = path.join(dir, "manifest.json");
+  return existsSync(file) ? JSON.parse(readFileSync(file, "utf8")) : null;
+}
+
+function writeManifest(dir, set, frames, note) {
+  const manifest = readManifest(dir) || {
+    id: set.id,
+    source: set.source,
+    mediaPath: set.mediaPath,
+    mediaSize: set.mediaSize,
+    effect: set.effect,
+    params: set.params,
+    created: new Date().toISOString(),
+    frames: [],
+    history: []
+  };
+  manifest.frames = [...new Set([...manifest.frames, ...frames])].sort((a, b) => a - b);
+  manifest.history.push({ time: new Date().toISOString(), action: note, frames });
+  writeFileSync(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+// Store captured frames ([{ frame, path }]) as the baseline. Existing frames are kept unless overwrite is set.
+export function recordBaseline(rootDir, set, captured, { overwrite = false } = {}) {
+  const dir = setDir(rootDir, set.id);
+  mkdirSync(dir, { recursive: true });
+
+  const recorded = [];
+  const skipped = [];
+  for (const { frame, path: source } of captured) {
+    const target = framePath(dir, frame);
+    if (existsSync(target) && !overwrite) {
+      skipped.push(frame);
+      continue;
+    }
+    copyFileSync(source, target);
+    recorded.push(frame);
+  }
+
+  if (recorded.length > 0) {
+    writeManifest(dir, set, recorded, overwrite ? "recorded (overwrite)" : "recorded");
+  }
+  return { id: set.id, dir, recorded, skipped };
+}
+
+// Check one frame's metrics against the tolerances; returns the list of violated limits
+function checkTolerances(metrics, tolerances) {
+  const violations = [];
+  if (tolerances.minSsim != null && metrics.ssim < tolerances.minSsim) {
+    violations.push(`ssim ${metrics.ssim.toFixed(4)} < ${tolerances.minSsim}`);
+  }
+  if (tolerances.maxRmse != null && metrics.rmse > tolerances.maxRmse) {
+    violations.push(`rmse ${metrics.rmse.toFixed(3)} > ${tolerances.maxRmse}`);
+  }
+  if (tolerances.minPsnr != null && metrics.psnr < tolerances.minPsnr) {
+    violations.push(`psnr ${metrics.psnr.toFixed(2)} < ${tolerances.minPsnr}`);
+  }
+  return violations;
+}
+
+// Compare captured frames against the baseline. Captured frames are kept in pending/ so they can be
+// approved; pending output and heatmaps of earlier comparisons are cleared first, so approve only
+// ever promotes frames from this one.
+export function compareToBaseline(rootDir, set, captured, tolerances = {}) {
+  const limits = { ...DEFAULT_TOLERANCES, ...tolerances };
+  const dir = setDir(rootDir, set.id);
+  const pendingDir = path.join(dir, "pending");
+  const diffDir = path.join(dir, "diff");
+  rmSync(pendingDir, { recursive: true, force: true });
+  rmSync(diffDir, { recursive: true, force: true });
+  mkdirSync(pendingDir, { recursive: true });
+  mkdirSync(diffDir, { recursive: true });
+  writeFileSync(path.join(pendingDir, "set.json"), JSON.stringify(set, null, 2));
+
+  const frames = captured.map(({ frame, path: source }) => {
+    const pendingPath = framePath(pendingDir, frame);
+    copyFileSync(source, pendingPath);
+
+    const baselinePath = framePath(dir, frame);
+    if (!existsSync(baselinePath)) {
+      return { frame, status: "missing", pendingPath };
+    }
+
+    const heatmapPath = framePath(diffDir, frame);
+    const { metrics } = compareImageFilesWithHeatmap(baselinePath, pendingPath, heatmapPath);
+    const violations = checkTolerances(metrics, limits);
+    return {
+      frame,
+      status: violations.length > 0 ? "drift" : "pass",
+      violations,
+      metrics: formatMetrics({ ssim: metrics.ssim, rmse: metrics.rmse, psnr: metrics.psnr, changedPixelRatio: metrics.changedPixelRatio }),
+      baselinePath,
+      pendingPath,
+      heatmapPath
+    };
+  });
+
+  const drifted = frames.filter(f => f.status === "drift");
+  const missing = frames.filter(f => f.status === "missing");
+  return {
+    id: set.id,
+    success: drifted.length === 0 && missing.length === 0,
+    tolerances: limits,
+    summary: {
+      compared: frames.length,
+      passed: frames.filter(f => f.status === "pass").length,
+      drifted: drifted.map(f => f.frame),
+      missing: missing.map(f => f.frame)
+    },
+    frames
+  };
+}
+
+// Promote pending frames from the last comparison to the baseline
+export function approveBaseline(rootDir, setId, frames = null) {
+  const dir = setDir(rootDir, setId);
+  const manifest = existsSync(dir) ? readManifest(dir) : null;
+  const pendingDir = path.join(dir, "pending");
+  if (!existsSync(pendingDir)) {
+    throw new Error(`No pending output to approve for baseline ${setId}. Run compare_to_baseline first.`);
+  }
+
+  const available = readdirSync(pendingDir)
+    .map(f => f.match(/^frame_(\d+)\.png$/))
+    .filter(Boolean)
+    .map(m => parseInt(m[1]));
+  const toApprove = frames || available;
+  const notPending = toApprove.filter(f => !available.includes(f));
+  if (notPending.length > 0) {
+    throw new Error(`Frames ${notPending.join(", ")} have no pending output in baseline ${setId}`);
+  }
+
+  for (const frame of toApprove) {
+    renameSync(framePath(pendingDir, frame), framePath(dir, frame));
+  }
+  const set = manifest || JSON.parse(readFileSync(path.join(pendingDir, "set.json"), "utf8"));
+  writeManifest(dir, set, toApprove, "approved");
+  return { id: setId, approved: toApprove };
+}
+
+// List every baseline set with its params and frames
+export function listBaselines(rootDir) {
+  if (!existsSync(rootDir)) return [];
+  const sets = [];
+  for (const source of SOURCES) {
+    const sourceDir = path.join(rootDir, source);
+    if (!existsSync(sourceDir)) continue;
+    for (const media of readdirSync(sourceDir)) {
+      const mediaDir = path.join(sourceDir, media);
+      if (!statSync(mediaDir).isDirectory()) continue;
+      for (const paramsHash of readdirSync(mediaDir)) {
+        const manifest = readManifest(path.join(mediaDir, paramsHash));
+        if (manifest) {
+          sets.push({
+            id: manifest.id,
+            source: manifest.source,
+            mediaPath: manifest.mediaPath,
+            effect: manifest.effect,
+            params: manifest.params,
+            frames: manifest.frames,
+            updated: manifest.history[manifest.history.length - 1]?.time
+          });
+        }
+      }
+    }
+  }
+  return sets;
+}
@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+
+/**
+ * CLI - Run the build, install and test cycle without an MCP client (e.g. from a nightly job)
+ * Calls the same functions as the MCP tools and runs its own WebSocket listener for the
+ * CEP panel, so don't run it while the MCP server is using the same wsPort.
+ *
+ * Usage:
+ *   premiere-tester <command> [options] [--json] [--port <n>] [--config <file>]
+ *   premiere-tester help [command]
+ *
+ * The commands, their options and the exit codes are in HELP below.
+ */
+
+import { loadConfig } from "./config.js";
+import { SWEEP_PARAMS, DEFAULT_MAX_RUNS } from "./sweep.js";
+
+// Each command's summary and options, as printed by "help"
+const HELP = {
+  build: {
+    summary: "Build and install the plugin",
+    options: [
+      ["--no-install", "build only"]
+    ]
+  },
+  test: {
+    summary: "Run the test specs (see src/test-suite.js)",
+    options: [
+      ["--build", "build and install first"],
+      ["--dir <path>", "spec directory (default: testSpecDir)"],
+      ["--filter <text>", "only specs whose name or file contains this"],
+      ["--stop-on-failure", "skip the rest after the first failure"],
+      ["--output-dir <path>", "results and evidence (default: a new folder under testRunDir)"],
+      ["--autonomous", "run the autonomous test cycle instead of the specs"],
+      ["--effect <name>", "effect for --autonomous"],
+      ["--restart", "(re)start Premiere and wait for its panel"],
+      ["--wait <seconds>", "how long to wait for the panel (default 120)"],
+      ["--no-panel", "don't wait for a panel (specs that only use the CLI tool)"]
+    ]
+  },
+  sweep: {
+    summary: "Sweep CLI tool params (see sweep_cli_params)",
+    options: [
+      ["--param <name>=<spec>", "repeatable; spec is 10, 8,16,32 or min:max:step"],
+      ["--mode grid|random", "every combination or a random sample (default grid)"],
+      ["--samples <n>", "combinations to sample in random mode (default 10)"],
+      ["--seed <n>", "seed for random mode, to repeat a sample (default: the time)"],
+      ["--frame <n>", "frame to compare for each run (default 20)"],
+      ["--rank-by rmse|ssim|psnr|time", "how to order the results (default rmse)"],
+      ["--output-dir <path>", "frames and results"],
+      ["--max-runs <n>", `refuse sweeps with more runs than this (default ${DEFAULT_MAX_RUNS})`]
+    ]
+  },
+  status: {
+    summary: "Premiere, panel and config status",
+    options: [
+      ["--wait <seconds>", "how long to wait for a panel (default 10)"]
+    ]
+  }
+};
+
+const COMMON_OPTIONS = [
+  ["--json", "print the result as JSON"],
+  ["--port <n>", "WebSocket port for the panel (default: wsPort)"],
+  ["--config <file>", "config file to load"]
+];
+
+const EXIT = { passed: 0, failed: 1, crashed: 2, infrastructure: 3, hung: 4, usage: 64 };
+
+const EXIT_HELP = [
+  [EXIT.passed, "passed"],
+  [EXIT.failed, "failed"],
+  [EXIT.crashed, "Premiere crashed"],
+  [EXIT.infrastructure, "infrastructure error (config, port, no panel, missing files)"],
+  [EXIT.hung, "Premiere hung"],
+  [EXIT.usage, "bad command line"]
+];
+
+const COMMANDS = Object.keys(HELP);
+
+const USAGE = `Usage: premiere-tester <${COMMANDS.join("|")}> [options] [--json] [--port <n>] [--config <file>]
+Run "premiere-tester help [command]" for the options of each command and the exit codes.`;
+
+function helpText(command) {
+  const rows = (options) => options.map(([flag, text]) => `    ${flag.padEnd(32)}${text}`);
+  const lines = [USAGE.split("\n")[0], ""];
+  for (const name of command ? [command] : COMMANDS) {
+    lines.push(`  ${name.padEnd(8)}${HELP[name].summary}`, ...rows(HELP[name].options), "");
+  }
+  lines.push("Options for every command:", ...rows(COMMON_OPTIONS), "");
+  lines.push("Exit codes:", ...EXIT_HELP.map(([code, text]) => `  ${String(code).padEnd(4)}${text}`));
+  return lines.join("\n");
+}
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = { command: argv[0], json: false, install: true, panel: true, params: {} };
+  for (let i = 1; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+    const number = () => {
+      const value = Number(next());
+      if (!Number.isFinite(value)) throw new UsageError(`${arg} needs a number`);
+      return value;
+    };
+    if (arg === "--json") opts.json = true;
+    else if (arg === "--config") next(); // read by loadConfig
+    else if (arg.startsWith("--config=")) continue;
+    else if (arg === "--port") opts.port = number();
+    else if (arg === "--no-install") opts.install = false;
+    else if (arg === "--build") opts.build = true;
+    else if (arg === "--dir") opts.dir = next();
+    else if (arg === "--filter") opts.filter = next();
+    else if (arg === "--stop-on-failure") opts.stopOnFailure = true;
+    else if (arg === "--output-dir") opts.outputDir = next();
+    else if (arg === "--autonomous") opts.autonomous = true;
+    else if (arg === "--effect") opts.effect = next();
+    else if (arg === "--restart") opts.restart = true;
+    else if (arg === "--wait") opts.waitSeconds = number();
+    else if (arg === "--no-panel") opts.panel = false;
+    else if (arg === "--mode") opts.mode = next();
+    else if (arg === "--samples") opts.samples = number();
+    else if (arg === "--seed") opts.seed = number();
+    else if (arg === "--frame") opts.frame = number();
+    else if (arg === "--rank-by") opts.rankBy = next();
+    else if (arg === "--max-runs") opts.maxRuns = number();
+    else if (arg === "--param") {
+      const [name, spec] = next().split("=");
+      if (!SWEEP_PARAMS[name] || spec === undefined) {
+        throw new UsageError(`--param needs <name>=<spec> with name one of ${Object.keys(SWEEP_PARAMS).join(", ")}`);
+      }
+      opts.params[name] = parseSweepValue(name, spec);
+    } else {
+      throw new UsageError(`Unknown argument: ${arg}`);
+    }
+  }
+  return opts;
+}
+
+// "10" -> 10, "8,16,32" -> [8, 16, 32], "0:100:25" -> { min: 0, max: 100, step: 25 }
+function parseSweepValue(name, spec) {
+  const numbers = spec.split(/[,:]/).map(Number);
+  if (numbers.some(n => !Number.isFinite(n))) {
+    throw new UsageError(`--param ${name}: "${spec}" is not a number, list or min:max:step`);
+  }
+  if (spec.includes(":")) {
+    if (numbers.length !== 3) throw new UsageError(`--param ${name}: a range is min:max:step`);
+    return { min: numbers[0], max: numbers[1], step: numbers[2] };
+  }
+  return spec.includes(",") ? numbers : numbers[0];
+}
+
+function seconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// One line per failed assertion in a test
+function describeAssertion(a) {
+  if (a.error) return `${a.check}: ${a.error}`;
+  switch (a.check) {
+    case "metric": {
+      const range = [a.expected.min !== null ? `>= ${a.expected.min}` : null, a.expected.max !== null ? `<= ${a.expected.max}` : null].filter(Boolean).join(" and ");
+      return `${a.metric}(${a.a}, ${a.b}) = ${a.actual}, expected ${range}`;
+    }
+    case "parity":
+      return `parity: ${a.divergentFrames.length} divergent and ${a.missingFrames.length} missing of ${a.framesCompared} frames compared`;
+    case "no_crash":
+      return `Premiere crashed at ${a.crash.crashTime}${a.crash.crashReport ? `\n${a.crash.crashReport}` : ""}`;
+    case "log":
+      return a.offending !== undefined
+        ? `debug log matches /${a.not_matches}/: ${a.offending}`
+        : `debug log has nothing matching /${a.matches}/`;
+    default:
+      return a.check;
+  }
+}
+
+function printSuite(summary) {
+  const labels = { passed: "PASS ", failed: "FAIL ", error: "ERROR", skipped: "SKIP " };
+  for (const test of summary.tests) {
+    const reason = test.status === "skipped" && test.reason ? ` (${test.reason})` : "";
+    console.log(`${labels[test.status]} ${test.name} [${test.file}] ${seconds(test.durationMs)}${reason}`);
+    if (test.error) console.log(`      ${test.error}`);
+    for (const assertion of test.assertions || []) {
+      if (!assertion.passed) console.log(`      ${describeAssertion(assertion).replace(/\n/g, "\n      ")}`);
+    }
+  }
+  console.log(`\n${summary.total} tests: ${summary.passed} passed, ${summary.failed} failed, ${summary.errors} errors, ${summary.skipped} skipped in ${seconds(summary.durationMs)}`);
+  console.log(`Results: ${summary.outputDir}/results.json`);
+}
+
+function printBuild(result) {
+  const build = result.stage === "build" ? result : result.build;
+  console.log(`Build ${build.success ? "succeeded" : "FAILED"}: ${build.command}`);
+  for (const error of build.errors || []) console.log(`  ${error}`);
+  if (result.install) {
+    console.log(`Install ${result.install.success ? "succeeded" : "FAILED"}: ${result.install.command}`);
+    if (result.install.error) console.log(`  ${result.install.error}`);
+  }
+}
+
+function printSweep(summary) {
+  console.log(`${summary.runs} runs (${summary.mode}), ${summary.succeeded} succeeded, ranked by ${summary.rankBy} at frame ${summary.frame}`);
+  for (const run of summary.ranked) {
+    const metrics = run.metrics ? `rmse ${run.metrics.rmse}  ssim ${run.metrics.ssim}  psnr ${run.metrics.psnr}` : run.error;
+    console.log(`  ${String(run.rank).padStart(3)}. ${run.id}  ${JSON.stringify(run.params)}  ${metrics}  ${seconds(run.durationMs)}`);
+  }
+  console.log(`Output: ${summary.outputDir}${summary.contactSheet ? `\nContact sheet: ${summary.contactSheet}` : ""}`);
+}
+
+function printStatus(status) {
+  console.log(`Premiere: ${status.premiere_running ? `running (pid ${status.premiere_pid}), ${status.state}` : status.state === "crashed" ? "crashed" : "not running"}`);
+  if (status.sessions.length === 0) {
+    console.log("CEP panel: not connected");
+  }
+  for (const s of status.sessions) {
+    console.log(`CEP panel ${s.id}: ${s.panel_version || "unknown version"}, protocol v${s.protocol_version ?? "?"}, ${s.host_app || "?"} ${s.host_version || ""}, project ${s.project_path || "(none)"}`);
+    for (const warning of s.warnings) console.log(`  warning: ${warning}`);
+    if (s.hang) {
+      console.log(`  hung since ${s.hang.since}: ${s.hang.reason}`);
+      if (s.hang.evidence?.samplePath) console.log(`  stack sample: ${s.hang.evidence.samplePath}`);
+    }
+  }
+  for (const warning of status.config_warnings) console.log(`Config warning: ${warning}`);
+}
+
+// Wait for a panel, (re)starting Premiere first if asked to. Returns the session id.
+async function connectPanel(tester, opts, defaultWaitSeconds) {
+  if (opts.restart) {
+    const restarted = await tester.restartPremiere();
+    if (!restarted.success) {
+      throw Object.assign(new Error(restarted.message), { exitCode: EXIT.infrastructure });
+    }
+    return restarted.session;
+  }
+  const waitSeconds = opts.waitSeconds ?? defaultWaitSeconds;
+  const session = await tester.waitForPanel(waitSeconds * 1000);
+  if (!session) {
+    const running = tester.isPremiereRunning();
+    throw Object.assign(new Error(`No CEP panel connected within ${waitSeconds}s. ${running
+      ? "Premiere is running: open Window > Extensions > MoshBrosh MCP Bridge."
+      : "Premiere is not running: start it or pass --restart."}`), { exitCode: EXIT.infrastructure });
+  }
+  return session.id;
+}
+
+async function run(opts, signal) {
+  const tester = await import("./index.js");
+  const started = Date.now();
+  const crashed = () => tester.crashSince(started).crashed;
+  const hung = () => tester.hangSince(started).hung;
+  // Exit code for a finished test run: a crash or hang outranks the result
+  const testExitCode = (success) => crashed() ? EXIT.crashed : hung() ? EXIT.hung : success ? EXIT.passed : EXIT.failed;
+
+  switch (opts.command) {
+    case "build": {
+      const result = opts.install ? await tester.buildAndInstallPlugin() : await tester.buildPlugin();
+      return { result, print: printBuild, exitCode: result.success ? EXIT.passed : EXIT.failed };
+    }
+
+    case "test": {
+      if (opts.build) {
+        const build = await tester.buildAndInstallPlugin();
+        if (!build.success) {
+          return { result: { success: false, stage: "build", build }, print: () => printBuild(build), exitCode: EXIT.failed };
+        }
+      }
+      await tester.startPanelServer();
+      const session = opts.panel || opts.autonomous ? await connectPanel(tester, opts, 120) : undefined;
+
+      if (opts.autonomous) {
+        const result = await tester.runAutonomousTestCycle(session, { effect: opts.effect, signal });
+        const print = (r) => {
+          for (const step of r.steps) console.log(`${step.status === "success" ? "ok    " : step.status.padEnd(6)} ${step.step}`);
+          console.log(r.success ? "Autonomous test passed" : `Autonomous test failed: ${r.error}`);
+        };
+        return { result, print, exitCode: testExitCode(result.success) };
+      }
+
+      const onProgress = opts.json ? undefined : ({ progress, total, message }) => {
+        if (progress < total) console.error(`[${progress + 1}/${total}] ${message}`);
+      };
+      const summary = await tester.runSpecSuite({
+        dir: opts.dir,
+        filter: opts.filter,
+        stopOnFailure: opts.stopOnFailure,
+        outputDir: opts.outputDir,
+        session
+      }, { signal, onProgress });
+      return { result: summary, print: printSuite, exitCode: testExitCode(summary.success) };
+    }
+
+    case "sweep": {
+      if (Object.keys(opts.params).length === 0) {
+        throw new UsageError("sweep needs at least one --param");
+      }
+      const summary = await tester.runSweep({
+        params: opts.params,
+        mode: opts.mode,
+        samples: opts.samples,
+        seed: opts.seed,
+        frame: opts.frame,
+        rankBy: opts.rankBy,
+        outputDir: opts.outputDir,
+        maxRuns: opts.maxRuns
+      });
+      return { result: summary, print: printSweep, exitCode: summary.succeeded === summary.runs ? EXIT.passed : EXIT.failed };
+    }
+
+    case "status": {
+      await tester.startPanelServer();
+      await tester.waitForPanel((opts.waitSeconds ?? 10) * 1000);
+      const running = tester.isPremiereRunning();
+      const status = {
+        state: tester.premiereState(running),
+        premiere_running: running,
+        premiere_pid: tester.getPremierePid(),
+        sessions: tester.sessions.list().map(tester.sessions.describe),
+        config_warnings: tester.CONFIG.warnings
+      };
+      const exitCode = status.state === "hung" ? EXIT.hung : status.sessions.length > 0 ? EXIT.passed : EXIT.infrastructure;
+      return { result: status, print: printStatus, exitCode };
+    }
+  }
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  if (["help", "--help", "-h"].includes(argv[0])) {
+    if (argv[1] && !COMMANDS.includes(argv[1])) {
+      console.error(`Unknown command: ${argv[1]}\n${USAGE}`);
+      return EXIT.usage;
+    }
+    console.log(helpText(argv[1]));
+    return EXIT.passed;
+  }
+  let opts;
+  try {
+    if (!COMMANDS.includes(argv[0])) {
+      throw new UsageError(argv[0] ? `Unknown command: ${argv[0]}` : "");
+    }
+    opts = parseArgs(argv);
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    if (e.message) console.error(e.message);
+    console.error(USAGE);
+    return EXIT.usage;
+  }
+
+  if (opts.port !== undefined) {
+    process.env.PREMIERE_TESTER_WS_PORT = String(opts.port);
+  }
+  // Fail on bad config here, before the shared server code loads it and exits with its own code
+  try {
+    loadConfig();
+  } catch (e) {
+    console.error(e.message);
+    return EXIT.infrastructure;
+  }
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    console.error("Interrupted, stopping after the current step...");
+    controller.abort();
+  });
+
+  try {
+    const { result, print, exitCode } = await run(opts, controller.signal);
+    if (opts.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      print(result);
+    }
+    return exitCode;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`${e.message}\n${USAGE}`);
+      return EXIT.usage;
+    }
+    if (opts.json) {
+      console.log(JSON.stringify({ success: false, error: e.message }, null, 2));
+    } else {
+      console.error(`Error: ${e.message}`);
+    }
+    return e.exitCode ?? EXIT.infrastructure;
+  }
+}
+
+main().then(code => process.exit(code));
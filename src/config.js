@@ -0,0 +1,309 @@
+/**
+ * Config - Layered settings for the MCP server
+ * Resolution order (later wins): built-in defaults, project config file,
+ * PREMIERE_TESTER_* environment variables, then the file named by --config
+ */
+
+import { readFileSync, existsSync } from "fs";
+import { homedir } from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+export const PROJECT_CONFIG_FILE = "premiere-tester.config.json";
+export const ENV_PREFIX = "PREMIERE_TESTER_";
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// Built-in defaults. Anything machine-specific is derived from sourceRoot below.
+const DEFAULTS = {
+  wsPort: 8847,
+  premiereAppName: "Adobe Premiere Pro 2025",
+  // The effect under test. Tools take an optional "effect" to target a different one.
+  effectDisplayName: "MoshBrosh",
+  effectMatchName: null, // component matchName in Premiere; display names are used when unset
+  effectAlternateNames: ["MoshBrosh Datamosh"],
+  effectParamSchemaFile: null, // ranges, defaults and popup labels Premiere doesn't report (see src/param-schema.js)
+  // Shell commands; run with AE_SDK_BASE_PATH, PLUGIN_BUILD_DIR and PLUGIN_INSTALL_DIR set
+  pluginBuildCommand: "xcodebuild -project MoshBrosh.xcodeproj -scheme MoshBrosh -configuration Debug AE_SDK_BASE_PATH=\"$AE_SDK_BASE_PATH\"",
+  pluginInstallCommand: "rm -rf \"$PLUGIN_INSTALL_DIR/MoshBrosh.plugin\" && cp -R \"$HOME\"/Library/Developer/Xcode/DerivedData/MoshBrosh-*/Build/Products/Debug/MoshBrosh.plugin \"$PLUGIN_INSTALL_DIR/\"",
+  pluginBinaryName: null, // plugin image name in crash reports, to flag its stack frames (default: effectDisplayName)
+  sourceRoot: path.join(homedir(), "coding/moshbrosh"),
+  aeSdkPath: null,
+  pluginDebugLog: null, // the log file the plugin writes (default: ~/Desktop/<plugin in lower case>_debug.log)
+  crashLogDir: path.join(homedir(), "Library/Logs/DiagnosticReports"),
+  pluginBuildDir: null,
+  pluginInstallDir: path.join(homedir(), "Library/Application Support/Adobe/Common/Plug-ins/7.0/MediaCore"),
+  testVideoPath: null,
+  testProjectPath: path.join(homedir(), "Desktop/mosh_test_2.prproj"),
+  exportOutputDir: null,
+  cliToolDir: null,
+  cliToolPath: null,
+  cliOutputPath: null,
+  frameExportPath: null,
+  renderOutputPath: null,
+  exportPresetDir: null, // extra folder of .epr presets for list_export_presets/export_sequence
+  baselineDir: null,
+  testSpecDir: null, // *.json specs for run_test_suite (see src/test-suite.js)
+  testRunDir: null, // run_test_suite writes results and evidence frames here
+  reportDir: null, // generate_report writes HTML reports here
+  crashHistoryDir: null, // every detected crash and a copy of its report (see src/crash-history.js)
+  hangReportDir: null, // stack sample and debug log tail of each hang (see src/hangs.js)
+  sweepDir: null, // sweep_cli_params writes each sweep's runs and contact sheet here
+  framesDir: null, // tool images saved as resources when inlineImages is false
+  heartbeatInterval: 3000,
+  heartbeatTimeout: 10000, // a panel silent this long means Premiere is hung
+  restartOnHang: false, // force-quit and relaunch Premiere once a hang's evidence is saved
+  inlineImages: true, // false: tools return frames as resource links to read on demand
+  effectProcessingWaitMs: 20000, // Wait 20 seconds for effect to process
+};
+
+// Values filled in from other settings when no layer sets them explicitly
+const DERIVED = {
+  pluginBinaryName: c => c.effectDisplayName,
+  // <sourceRoot>/<plugin>/Mac and <plugin>/CLI/<plugin in lower case>, the MoshBrosh layout
+  pluginBuildDir: c => path.join(c.sourceRoot, c.pluginBinaryName, "Mac"),
+  cliToolDir: c => path.join(c.sourceRoot, c.pluginBinaryName, "CLI"),
+  cliToolPath: c => path.join(c.cliToolDir, c.pluginBinaryName.toLowerCase()),
+  pluginDebugLog: c => path.join(homedir(), "Desktop", `${c.pluginBinaryName.toLowerCase()}_debug.log`),
+  testVideoPath: c => path.join(c.cliToolDir, "test_input.mp4"),
+  cliOutputPath: c => path.join(c.cliToolDir, "test_output_mcp.mp4"),
+  exportOutputDir: c => c.cliToolDir,
+  frameExportPath: c => path.join(c.exportOutputDir, "temp_frame.png"),
+  renderOutputPath: c => path.join(c.exportOutputDir, "premiere_render.mp4"),
+  baselineDir: c => path.join(c.exportOutputDir, "baselines"),
+  testSpecDir: c => path.join(c.sourceRoot, "premiere-tests"),
+  testRunDir: c => path.join(c.exportOutputDir, "test-runs"),
+  reportDir: c => path.join(c.exportOutputDir, "reports"),
+  crashHistoryDir: c => path.join(c.exportOutputDir, "crash-history"),
+  hangReportDir: c => path.join(c.exportOutputDir, "hangs"),
+  sweepDir: c => path.join(c.cliToolDir, "sweeps"),
+  framesDir: c => path.join(c.exportOutputDir, "frames"),
+};
+
+// Settings that no longer exist, with what to use instead
+const REMOVED_KEYS = {
+  exportOutputPath: "use \"renderOutputPath\", the file export_sequence writes",
+};
+
+const NUMBER_KEYS = ["wsPort", "heartbeatInterval", "heartbeatTimeout", "effectProcessingWaitMs"];
+const STRING_KEYS = ["premiereAppName", "effectDisplayName", "effectMatchName", "pluginBuildCommand", "pluginInstallCommand", "pluginBinaryName"];
+// Lists of strings; comma-separated in environment variables
+const LIST_KEYS = ["effectAlternateNames"];
+// true/false; "true"/"false" or "1"/"0" in environment variables
+const BOOLEAN_KEYS = ["restartOnHang", "inlineImages"];
+const PATH_KEYS = Object.keys(DEFAULTS)
+  .filter(k => !NUMBER_KEYS.includes(k) && !STRING_KEYS.includes(k) && !LIST_KEYS.includes(k) && !BOOLEAN_KEYS.includes(k));
+
+// Inputs that must exist on disk before the tools that use them can run
+const REQUIRED_PATHS = {
+  sourceRoot: "source root for read_source_file/edit_source_file",
+  pluginBuildDir: "Xcode project directory for build_plugin",
+  aeSdkPath: "After Effects SDK for build_plugin",
+  cliToolDir: "CLI tool directory for build_cli_tool",
+  testVideoPath: "test video imported into the Premiere test project",
+  crashLogDir: "macOS crash report directory",
+};
+
+// Defaults that only fit MoshBrosh, with what they do
+const MOSHBROSH_ONLY_KEYS = {
+  pluginBuildCommand: "build_plugin builds MoshBrosh.xcodeproj",
+  pluginInstallCommand: "install_plugin copies MoshBrosh.plugin"
+};
+
+// Settings the CEP panel and ExtendScript need; pushed to the panel on connect
+const PANEL_KEYS = [
+  "testVideoPath", "testProjectPath", "frameExportPath", "renderOutputPath", "heartbeatInterval",
+  "effectDisplayName", "effectMatchName", "effectAlternateNames"
+];
+
+// PREMIERE_TESTER_WS_PORT -> wsPort
+export function envVarName(key) {
+  return ENV_PREFIX + key.replace(/([A-Z])/g, "_$1").toUpperCase();
+}
+
+function expandPath(value, baseDir) {
+  if (value.startsWith("~/") || value === "~") {
+    value = path.join(homedir(), value.slice(1));
+  }
+  return path.resolve(baseDir, value);
+}
+
+// Parse --config <file> / --config=<file> from argv
+export function parseConfigFlag(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--config") {
+      if (!argv[i + 1]) {
+        throw new Error("--config requires a file path");
+      }
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith("--config=")) {
+      return argv[i].slice("--config=".length);
+    }
+  }
+  return null;
+}
+
+function readConfigFile(filePath, label, errors) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (e) {
+    errors.push(`${label} ${filePath}: ${e.code === "ENOENT" ? "file not found" : e.message}`);
+    return {};
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push(`${label} ${filePath}: expected a JSON object`);
+    return {};
+  }
+
+  const baseDir = path.dirname(filePath);
+  const layer = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (key in REMOVED_KEYS) {
+      errors.push(`${label} ${filePath}: "${key}" was removed; ${REMOVED_KEYS[key]}`);
+      continue;
+    }
+    if (!(key in DEFAULTS)) {
+      errors.push(`${label} ${filePath}: unknown setting "${key}"`);
+      continue;
+    }
+    layer[key] = coerce(key, value, `${label} ${filePath}`, errors, baseDir);
+  }
+  return layer;
+}
+
+function readEnvLayer(env, errors) {
+  const layer = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    const name = envVarName(key);
+    if (env[name] !== undefined && env[name] !== "") {
+      layer[key] = coerce(key, env[name], `environment variable ${name}`, errors, process.cwd());
+    }
+  }
+  return layer;
+}
+
+function coerce(key, value, source, errors, baseDir) {
+  if (NUMBER_KEYS.includes(key)) {
+    const num = typeof value === "string" ? Number(value) : value;
+    if (typeof num !== "number" || !Number.isInteger(num) || num <= 0) {
+      errors.push(`${source}: "${key}" must be a positive integer (got ${JSON.stringify(value)})`);
+      return undefined;
+    }
+    return num;
+  }
+  if (BOOLEAN_KEYS.includes(key)) {
+    const bool = { true: true, false: false, 1: true, 0: false }[String(value)];
+    if (typeof value !== "boolean" && (typeof value !== "string" || bool === undefined)) {
+      errors.push(`${source}: "${key}" must be true or false (got ${JSON.stringify(value)})`);
+      return undefined;
+    }
+    return bool;
+  }
+  if (LIST_KEYS.includes(key)) {
+    const list = typeof value === "string" ? value.split(",").map(v => v.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list) || !list.every(v => typeof v === "string" && v.length > 0)) {
+      errors.push(`${source}: "${key}" must be an array of non-empty strings (got ${JSON.stringify(value)})`);
+      return undefined;
+    }
+    return list;
+  }
+  if (value === null) {
+    return null;
+  }
+  if (typeof value !== "string" || value.length === 0) {
+    errors.push(`${source}: "${key}" must be a non-empty string (got ${JSON.stringify(value)})`);
+    return undefined;
+  }
+  return PATH_KEYS.includes(key) ? expandPath(value, baseDir) : value;
+}
+
+// Load the effective config. Throws with every problem listed if any layer is invalid.
+export function loadConfig({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) {
+  const errors = [];
+  const layers = [];
+
+  const projectFile = [path.join(cwd, PROJECT_CONFIG_FILE), path.join(REPO_ROOT, PROJECT_CONFIG_FILE)]
+    .find(p => existsSync(p));
+  if (projectFile) {
+    layers.push({ source: projectFile, values: readConfigFile(projectFile, "Project config", errors) });
+  }
+
+  layers.push({ source: "environment", values: readEnvLayer(env, errors) });
+
+  const flagFile = parseConfigFlag(argv);
+  if (flagFile) {
+    const resolved = path.resolve(cwd, flagFile);
+    layers.push({ source: resolved, values: readConfigFile(resolved, "--config file", errors) });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  const config = { ...DEFAULTS };
+  const sources = Object.fromEntries(Object.keys(DEFAULTS).map(k => [k, "default"]));
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      if (value !== undefined) {
+        config[key] = value;
+        sources[key] = layer.source;
+      }
+    }
+  }
+
+  // Derived values are computed in declaration order so later ones can build on earlier ones
+  for (const [key, derive] of Object.entries(DERIVED)) {
+    if (config[key] === null) {
+      config[key] = derive(config);
+      sources[key] = "derived";
+    }
+  }
+
+  if (config.heartbeatTimeout <= config.heartbeatInterval) {
+    throw new Error(`Invalid configuration:\n  - "heartbeatTimeout" (${config.heartbeatTimeout}) must be greater than "heartbeatInterval" (${config.heartbeatInterval})`);
+  }
+
+  Object.defineProperty(config, "sources", { value: sources, enumerable: false });
+  Object.defineProperty(config, "warnings", { value: [...validatePaths(config), ...validatePluginSettings(config)], enumerable: false });
+  return config;
+}
+
+// Report configured input paths that don't exist yet (not fatal: only the tools that need them fail)
+export function validatePaths(config) {
+  const warnings = [];
+  for (const [key, purpose] of Object.entries(REQUIRED_PATHS)) {
+    if (!config[key]) {
+      warnings.push(`"${key}" is not set (${purpose}). Set it in ${PROJECT_CONFIG_FILE} or ${envVarName(key)}.`);
+    } else if (!existsSync(config[key])) {
+      warnings.push(`"${key}" does not exist: ${config[key]} (${purpose})`);
+    }
+  }
+  return warnings;
+}
+
+// Report MoshBrosh-only defaults still in effect for a different plugin
+export function validatePluginSettings(config) {
+  if (config.pluginBinaryName === DEFAULTS.effectDisplayName) return [];
+  return Object.entries(MOSHBROSH_ONLY_KEYS)
+    .filter(([key]) => config.sources?.[key] === "default")
+    .map(([key, does]) => `"${key}" is the MoshBrosh default (${does}) but the plugin is ${config.pluginBinaryName}. Set it in ${PROJECT_CONFIG_FILE} or ${envVarName(key)}.`);
+}
+
+// Return a configured path, throwing a clear error if it is unset or missing
+export function requirePath(config, key) {
+  const value = config[key];
+  if (!value) {
+    throw new Error(`"${key}" is not configured. Set it in ${PROJECT_CONFIG_FILE}, via ${envVarName(key)}, or in a --config file.`);
+  }
+  if (!existsSync(value)) {
+    throw new Error(`Configured "${key}" does not exist: ${value} (from ${config.sources?.[key] || "default"}). Set it in ${PROJECT_CONFIG_FILE}, via ${envVarName(key)}, or in a --config file.`);
+  }
+  return value;
+}
+
+// Subset of the config sent to the CEP panel / ExtendScript
+export function panelConfig(config) {
+  return Object.fromEntries(PANEL_KEYS.map(k => [k, config[k]]));
+}
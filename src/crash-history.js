@@ -0,0 +1,154 @@
+/**
+ * Crash History - Every detected Premiere crash, grouped by signature
+ * A crash's signature hashes the top plugin frames of its crashed thread, so the same
+ * bug hit twenty times while fuzzing params shows up as one group with twenty crashes:
+ *
+ *   <crashHistoryDir>/
+ *     history.json       every crash: time, signature, effect params, plugin build, preceding call
+ *     reports/<id>.ips   copy of each crash's report (macOS rotates DiagnosticReports)
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, copyFileSync } from "fs";
+import { createHash } from "crypto";
+import path from "path";
+
+// Frames hashed into a signature
+export const SIGNATURE_FRAMES = 5;
+
+function shortHash(value) {
+  return createHash("sha1").update(value).digest("hex").slice(0, 12);
+}
+
+// Signature of a parsed crash report (see src/crash-report.js). Uses the top plugin frames of
+// the crashed thread by symbol, so the same crash in a rebuilt plugin keeps its signature;
+// unsymbolicated frames fall back to their offset in the image. Crashes outside the plugin
+// are keyed by exception type and the top frames of the crashed thread instead.
+export function crashSignature(summary, { frames = SIGNATURE_FRAMES } = {}) {
+  if (!summary) {
+    return { signature: "no-report", basis: "none", frames: [] };
+  }
+  const all = summary.crashedThread?.frames || [];
+  const pluginFrames = all.filter(f => f.inPlugin);
+  const basis = pluginFrames.length > 0 ? "plugin" : "crashed_thread";
+  const described = (basis === "plugin" ? pluginFrames : all)
+    .slice(0, frames)
+    .map(f => `${f.image}!${f.symbol || f.imageOffset || f.address}`);
+  const key = basis === "plugin"
+    ? described.join("\n")
+    : [`${summary.exception.type || "?"} (${summary.exception.signal || "?"})`, ...described].join("\n");
+  return { signature: shortHash(key), basis, frames: described };
+}
+
+function historyFile(dir) {
+  return path.join(dir, "history.json");
+}
+
+export function loadCrashHistory(dir) {
+  const file = historyFile(dir);
+  if (!existsSync(file)) {
+    return { crashes: [] };
+  }
+  return JSON.parse(readFileSync(file, "utf8"));
+}
+
+function saveCrashHistory(dir, history) {
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(historyFile(dir), JSON.stringify(history, null, 2));
+}
+
+// Store the report's signature and a copy of its file on entry
+function applyReport(dir, entry, report) {
+  const { signature, basis, frames } = crashSignature(report?.summary);
+  entry.signature = signature;
+  entry.signatureBasis = basis;
+  entry.signatureFrames = frames;
+  entry.exception = report?.summary
+    ? [report.summary.exception.type, report.summary.exception.signal && `(${report.summary.exception.signal})`].filter(Boolean).join(" ") || null
+    : null;
+  entry.crashedInPlugin = report?.summary ? report.summary.crashedInPlugin : null;
+  entry.originalReportPath = report?.path || null;
+  entry.reportPath = null;
+  if (report?.path && existsSync(report.path)) {
+    const copy = path.join(dir, "reports", `${entry.id}${path.extname(report.path)}`);
+    mkdirSync(path.dirname(copy), { recursive: true });
+    copyFileSync(report.path, copy);
+    entry.reportPath = copy;
+  }
+}
+
+// Record a crash. fields: { time, session, effect, effectParams, pluginBuild, toolCall, panelCommand }.
+// report is { path, summary } from readCrashReport, or null when macOS hasn't written it yet
+// (attach it later with attachCrashReport).
+export function recordCrash(dir, fields, report) {
+  const history = loadCrashHistory(dir);
+  const time = fields.time || Date.now();
+  const entry = {
+    id: `crash_${new Date(time).toISOString().replace(/[:.]/g, "-")}`,
+    time: new Date(time).toISOString(),
+    session: fields.session ?? null,
+    effect: fields.effect ?? null,
+    effectParams: fields.effectParams ?? null,
+    pluginBuild: fields.pluginBuild ?? null,
+    toolCall: fields.toolCall ?? null,
+    panelCommand: fields.panelCommand ?? null
+  };
+  applyReport(dir, entry, report);
+  history.crashes.push(entry);
+  saveCrashHistory(dir, history);
+  return entry;
+}
+
+// Give a crash recorded without a report its report (and so its real signature)
+export function attachCrashReport(dir, id, report) {
+  const history = loadCrashHistory(dir);
+  const entry = history.crashes.find(c => c.id === id);
+  if (!entry) {
+    throw new Error(`No crash ${id} in ${historyFile(dir)}`);
+  }
+  applyReport(dir, entry, report);
+  saveCrashHistory(dir, history);
+  return entry;
+}
+
+// Crashes grouped by signature, most recent group first
+export function listCrashGroups(dir, { since } = {}) {
+  const crashes = loadCrashHistory(dir).crashes
+    .filter(c => !since || Date.parse(c.time) >= Date.parse(since));
+  const groups = new Map();
+  for (const crash of crashes) {
+    let group = groups.get(crash.signature);
+    if (!group) {
+      group = {
+        signature: crash.signature,
+        basis: crash.signatureBasis,
+        frames: crash.signatureFrames,
+        exception: crash.exception,
+        crashedInPlugin: crash.crashedInPlugin,
+        count: 0,
+        firstSeen: crash.time,
+        lastSeen: crash.time,
+        pluginBuilds: [],
+        crashIds: [],
+        sample: null
+      };
+      groups.set(crash.signature, group);
+    }
+    group.count++;
+    group.lastSeen = crash.time;
+    group.crashIds.push(crash.id);
+    const build = crash.pluginBuild?.hash;
+    if (build && !group.pluginBuilds.includes(build)) {
+      group.pluginBuilds.push(build);
+    }
+    // The sample is the latest crash that has a saved report
+    if (crash.reportPath || !group.sample) {
+      group.sample = { id: crash.id, time: crash.time, reportPath: crash.reportPath };
+    }
+  }
+  return [...groups.values()].sort((a, b) => Date.parse(b.lastSeen) - Date.parse(a.lastSeen));
+}
+
+// Every crash with this signature, oldest first
+export function crashesWithSignature(dir, signature) {
+  return loadCrashHistory(dir).crashes.filter(c => c.signature === signature);
+}
@@ -0,0 +1,300 @@
+/**
+ * Crash Report - Parse macOS crash reports into a structured summary
+ * Handles both formats Premiere's crashes are written in:
+ *   .crash  the legacy text report (Exception Type:, Thread N Crashed:, Binary Images:)
+ *   .ips    macOS 12+ JSON: a one-line header object followed by the report body
+ * Stack frames get their image, address and offsets, and are flagged when they fall
+ * inside the plugin's loaded image so a crash can be blamed on the plugin or not.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from "fs";
+import path from "path";
+
+export const CRASH_REPORT_EXTENSIONS = [".ips", ".crash"];
+
+function hex(value) {
+  return typeof value === "number" ? `0x${value.toString(16)}` : null;
+}
+
+// "0x1a2b" -> number (addresses fit well inside Number's 53 bits on 64-bit macOS)
+function parseHex(value) {
+  return value && /^0x[0-9a-f]+$/i.test(value) ? parseInt(value, 16) : null;
+}
+
+// An image belongs to the plugin when its name matches or it lives inside <name>.plugin/.bundle
+function isPluginImage(image, pluginImage) {
+  if (!pluginImage) return false;
+  const name = pluginImage.toLowerCase();
+  return image.name?.toLowerCase() === name
+    || (image.path || "").toLowerCase().includes(`/${name}.plugin/`)
+    || (image.path || "").toLowerCase().includes(`/${name}.bundle/`);
+}
+
+// Fill in imageOffset and inPlugin from the loaded image ranges
+function locateFrames(frames, images, pluginImage) {
+  for (const frame of frames) {
+    const address = parseHex(frame.address);
+    const image = address !== null
+      ? images.find(i => i.baseAddress !== null && i.endAddress !== null && address >= i.baseAddress && address <= i.endAddress)
+      : null;
+    if (image) {
+      frame.imageOffset = hex(address - image.baseAddress);
+      frame.inPlugin = image.isPlugin;
+    } else {
+      frame.inPlugin = isPluginImage({ name: frame.image }, pluginImage);
+    }
+  }
+}
+
+function finish(summary, pluginImage) {
+  for (const image of summary.images) {
+    image.isPlugin = isPluginImage(image, pluginImage);
+  }
+  const frames = summary.crashedThread?.frames || [];
+  locateFrames(frames, summary.images, pluginImage);
+  const pluginFrames = frames.filter(f => f.inPlugin);
+  summary.plugin = {
+    image: pluginImage || null,
+    loaded: summary.images.some(i => i.isPlugin),
+    framesInCrashedThread: pluginFrames.length,
+    topFrame: pluginFrames[0]?.index ?? null
+  };
+  summary.crashedInPlugin = pluginFrames.length > 0;
+  // Ranges were only needed for locating frames; report them as hex like the crash report does
+  for (const image of summary.images) {
+    image.base = hex(image.baseAddress);
+    image.end = hex(image.endAddress);
+    delete image.baseAddress;
+    delete image.endAddress;
+  }
+  return summary;
+}
+
+function parseIps(text, pluginImage) {
+  const newline = text.indexOf("\n");
+  const header = JSON.parse(newline === -1 ? text : text.slice(0, newline));
+  const rest = newline === -1 ? "" : text.slice(newline + 1).trim();
+  const body = rest ? JSON.parse(rest) : header;
+
+  const images = (body.usedImages || []).map(image => ({
+    name: image.name || (image.path ? path.basename(image.path) : "???"),
+    path: image.path || null,
+    bundleId: image.CFBundleIdentifier || null,
+    version: image.CFBundleShortVersionString || null,
+    uuid: image.uuid || null,
+    arch: image.arch || null,
+    baseAddress: typeof image.base === "number" ? image.base : null,
+    endAddress: typeof image.base === "number" && image.size ? image.base + image.size - 1 : null
+  }));
+
+  const threads = body.threads || [];
+  let crashedIndex = threads.findIndex(t => t.triggered);
+  if (crashedIndex === -1 && typeof body.faultingThread === "number") {
+    crashedIndex = body.faultingThread;
+  }
+  const thread = threads[crashedIndex];
+  const crashedThread = thread ? {
+    index: crashedIndex,
+    name: thread.name || null,
+    queue: thread.queue || null,
+    frames: (thread.frames || []).map((frame, index) => {
+      const image = images[frame.imageIndex];
+      const address = image?.baseAddress !== null && image?.baseAddress !== undefined ? image.baseAddress + frame.imageOffset : null;
+      return {
+        index,
+        image: image?.name || "???",
+        address: hex(address),
+        symbol: frame.symbol || null,
+        offset: frame.symbol ? frame.symbolLocation ?? null : frame.imageOffset ?? null
+      };
+    })
+  } : null;
+
+  const termination = body.termination;
+  return finish({
+    format: "ips",
+    process: {
+      name: body.procName || header.app_name || null,
+      pid: body.pid ?? null,
+      path: body.procPath || null,
+      version: body.bundleInfo?.CFBundleShortVersionString || header.app_version || null
+    },
+    osVersion: body.osVersion ? `${body.osVersion.train || ""} (${body.osVersion.build || "?"})`.trim() : header.os_version || null,
+    timestamp: body.captureTime || header.timestamp || null,
+    exception: {
+      type: body.exception?.type || null,
+      signal: body.exception?.signal || null,
+      codes: body.exception?.codes || null,
+      subtype: body.exception?.subtype || null
+    },
+    termination: termination
+      ? `Namespace ${termination.namespace}, Code ${termination.code}${termination.indicator ? ` ${termination.indicator}` : ""}`
+      : null,
+    crashedThread,
+    images
+  }, pluginImage);
+}
+
+// "0   MoshBrosh    0x000000012a3b4c5d MoshBrosh::Render(...) + 123"
+const FRAME_LINE = /^(\d+)\s+(.+?)\s+(0x[0-9a-f]+)\s+(.*)$/i;
+// "0x10fa4c000 - 0x10fb1bfff com.example.plugin (1.0) <UUID> /path/to/binary"
+const IMAGE_LINE = /^\s*(0x[0-9a-f]+)\s*-\s*(0x[0-9a-f]+|\?\?\?)\s+\+?(.+?)\s+(?:\(([^)]*)\)\s+)?<([0-9a-f-]+)>\s+(.+)$/i;
+
+function parseLegacyFrame(line) {
+  const match = line.match(FRAME_LINE);
+  if (!match) return null;
+  const [, index, image, address, location] = match;
+  // "symbol + 123", "symbol (in Image) + 123" or, unsymbolicated, "0x100000000 + 123"
+  const located = location.match(/^(.*?)(?:\s+\(in [^)]*\))?\s+\+\s+(\d+)$/);
+  const symbol = located ? located[1] : location;
+  return {
+    index: Number(index),
+    image: image.trim(),
+    address,
+    symbol: /^0x[0-9a-f]+$/i.test(symbol) ? null : symbol,
+    offset: located ? Number(located[2]) : null
+  };
+}
+
+function parseCrash(text, pluginImage) {
+  const lines = text.split(/\r?\n/);
+  const fields = {};
+  for (const line of lines) {
+    if (/^Thread \d+/.test(line) || line.startsWith("Binary Images:")) break;
+    const match = line.match(/^([A-Za-z][A-Za-z /]*):\s+(.*)$/);
+    if (match && !(match[1] in fields)) fields[match[1]] = match[2].trim();
+  }
+
+  // "Crashed Thread:        12  Dispatch queue: com.apple.main-thread"
+  const crashedIndex = fields["Crashed Thread"] ? parseInt(fields["Crashed Thread"], 10) : null;
+  let crashedThread = null;
+  const images = [];
+  for (let i = 0; i < lines.length; i++) {
+    const thread = lines[i].match(/^Thread (\d+)( Crashed)?:(?::\s*(.*))?$/);
+    if (thread && (thread[2] || Number(thread[1]) === crashedIndex) && !crashedThread) {
+      const detail = thread[3] || "";
+      const queue = detail.match(/Dispatch queue:\s*(.*)$/);
+      crashedThread = {
+        index: Number(thread[1]),
+        name: detail.replace(/\s*Dispatch queue:.*$/, "").trim() || null,
+        queue: queue ? queue[1].trim() : null,
+        frames: []
+      };
+      for (i++; i < lines.length && lines[i].trim() !== ""; i++) {
+        const frame = parseLegacyFrame(lines[i].trim());
+        if (frame) crashedThread.frames.push(frame);
+      }
+    } else if (lines[i].startsWith("Binary Images:")) {
+      for (i++; i < lines.length && lines[i].trim() !== ""; i++) {
+        const match = lines[i].match(IMAGE_LINE);
+        if (!match) continue;
+        const [, base, end, name, version, uuid, imagePath] = match;
+        const displayName = path.basename(imagePath.trim());
+        images.push({
+          name: displayName || name,
+          path: imagePath.trim(),
+          bundleId: name.includes(".") && name !== displayName ? name : null,
+          version: version && version !== "*" ? version : null,
+          uuid,
+          arch: null,
+          baseAddress: parseHex(base),
+          endAddress: parseHex(end)
+        });
+      }
+    }
+  }
+
+  // "Adobe Premiere Pro 2025 [12345]"
+  const processMatch = (fields.Process || "").match(/^(.*?)\s*\[(\d+)\]$/);
+  // "EXC_BAD_ACCESS (SIGSEGV)"
+  const exceptionMatch = (fields["Exception Type"] || "").match(/^(\S+)\s*(?:\((\w+)\))?/);
+  return finish({
+    format: "crash",
+    process: {
+      name: processMatch ? processMatch[1] : fields.Process || null,
+      pid: processMatch ? Number(processMatch[2]) : null,
+      path: fields.Path || null,
+      version: fields.Version || null
+    },
+    osVersion: fields["OS Version"] || null,
+    timestamp: fields["Date/Time"] || null,
+    exception: {
+      type: exceptionMatch ? exceptionMatch[1] : null,
+      signal: exceptionMatch?.[2] || null,
+      codes: fields["Exception Codes"] || null,
+      subtype: fields["Exception Subtype"] || null
+    },
+    termination: fields["Termination Reason"] || null,
+    crashedThread,
+    images
+  }, pluginImage);
+}
+
+// Parse a crash report's text. pluginImage names the plugin's binary (e.g. "MoshBrosh")
+// so its frames can be flagged. .ips is detected by its JSON header, not the file name.
+export function parseCrashReport(text, { pluginImage } = {}) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("{")) {
+    try {
+      return parseIps(trimmed, pluginImage);
+    } catch (e) {
+      throw new Error(`Unreadable .ips crash report: ${e.message}`);
+    }
+  }
+  return parseCrash(text, pluginImage);
+}
+
+// Read and parse a report file: { path, raw, summary }, with summary null and an error
+// when the file can't be parsed (the raw text is still worth showing)
+export function readCrashReport(filePath, options) {
+  const raw = readFileSync(filePath, "utf8");
+  try {
+    return { path: filePath, raw, summary: parseCrashReport(raw, options) };
+  } catch (e) {
+    return { path: filePath, raw, summary: null, error: e.message };
+  }
+}
+
+// Crash reports in dir whose file name contains processName, newest first
+export function findCrashReports(dir, { processName } = {}) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(f => CRASH_REPORT_EXTENSIONS.includes(path.extname(f)) && (!processName || f.includes(processName)))
+    .map(f => ({ path: path.join(dir, f), mtime: statSync(path.join(dir, f)).mtime.getTime() }))
+    .sort((a, b) => b.mtime - a.mtime);
+}
+
+// The summary trimmed for a tool result: the first frames of the crashed thread, and only the
+// images those frames are in plus the plugin's (a report lists hundreds of system libraries)
+export function condenseCrashSummary(summary, { frames = 30 } = {}) {
+  const shownFrames = summary.crashedThread?.frames.slice(0, frames) || [];
+  const referenced = new Set(shownFrames.map(f => f.image));
+  return {
+    ...summary,
+    crashedThread: summary.crashedThread && {
+      ...summary.crashedThread,
+      frames: shownFrames,
+      totalFrames: summary.crashedThread.frames.length
+    },
+    images: summary.images.filter(i => i.isPlugin || referenced.has(i.name)),
+    totalImages: summary.images.length
+  };
+}
+
+// A few lines saying what crashed and where, for error messages
+export function crashHeadline(summary, { frames = 5 } = {}) {
+  const { exception, crashedThread } = summary;
+  const lines = [
+    `Process: ${summary.process.name || "?"}${summary.process.pid !== null ? ` [${summary.process.pid}]` : ""}`,
+    `Exception: ${exception.type || "?"}${exception.signal ? ` (${exception.signal})` : ""}${exception.subtype ? ` ${exception.subtype}` : ""}`
+  ];
+  if (summary.termination) lines.push(`Termination: ${summary.termination}`);
+  if (crashedThread) {
+    lines.push(`Crashed thread ${crashedThread.index}${crashedThread.name ? ` (${crashedThread.name})` : ""}${summary.crashedInPlugin ? ", in the plugin (* = plugin frame)" : ""}:`);
+    for (const frame of crashedThread.frames.slice(0, frames)) {
+      const where = frame.symbol ? `${frame.symbol}${frame.offset !== null ? ` + ${frame.offset}` : ""}` : frame.address;
+      lines.push(`  ${frame.index}  ${frame.inPlugin ? "*" : " "} ${frame.image}  ${where}`);
+    }
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,146 @@
+/**
+ * Debug Log - Cursor-based, filterable reads of the plugin's debug log
+ * A cursor is a byte offset into the log. Markers name the offset at a moment, and the server
+ * records a span (a start and an end marker) around every tool call and CEP command, so what
+ * the plugin wrote during a call is the text between its two markers.
+ *
+ * The plugin or clear_plugin_debug_log may truncate the log: a cursor past the end then reads
+ * from the start, and the read says so (reset: true).
+ */
+
+import { openSync, readSync, closeSync, statSync } from "fs";
+
+// Most to least severe
+export const LOG_LEVELS = ["error", "warn", "info", "debug", "trace"];
+
+// A line's level is the first of these words in it ("[ERROR] ...", "WARN: ..."); lines without one count as info
+const LEVEL_PATTERN = /\b(FATAL|ERROR|WARN(?:ING)?|INFO|DEBUG|TRACE|VERBOSE)\b/;
+const LEVEL_ALIASES = { fatal: "error", warning: "warn", verbose: "trace" };
+
+const MAX_MARKERS = 2000;
+const MAX_SPANS = 500;
+
+export function lineLevel(line) {
+  const match = LEVEL_PATTERN.exec(line);
+  if (!match) return "info";
+  const level = match[1].toLowerCase();
+  return LEVEL_ALIASES[level] || level;
+}
+
+// Lines of text matching pattern (a regular expression source) that are at least as severe as level
+export function filterLogLines(text, { pattern, level } = {}) {
+  let regex = null;
+  if (pattern) {
+    try {
+      regex = new RegExp(pattern);
+    } catch (e) {
+      throw new Error(`Invalid pattern: ${e.message}`);
+    }
+  }
+  const maxRank = level ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.length;
+  if (maxRank < 0) {
+    throw new Error(`Unknown level "${level}". Use one of: ${LOG_LEVELS.join(", ")}`);
+  }
+  const lines = text.split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines.filter(line => (!regex || regex.test(line)) && LOG_LEVELS.indexOf(lineLevel(line)) <= maxRank);
+}
+
+export function createDebugLog(logPath) {
+  const markers = new Map(); // name -> { name, offset, at }, oldest first
+  const spans = []; // oldest first
+
+  function size() {
+    try {
+      return statSync(logPath).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  // Name the current end of the log. Reusing a name moves the marker.
+  function mark(name) {
+    const marker = { name, offset: size(), at: new Date().toISOString() };
+    markers.delete(name);
+    markers.set(name, marker);
+    if (markers.size > MAX_MARKERS) {
+      markers.delete(markers.keys().next().value);
+    }
+    return marker;
+  }
+
+  function marker(name) {
+    const found = markers.get(name);
+    if (!found) {
+      throw new Error(`Unknown log marker "${name}". Markers are kept for the last ${MAX_MARKERS} marks since the server started.`);
+    }
+    return found;
+  }
+
+  // Log text from offset from up to offset to (default: the end): { text, from, to, reset }
+  function read(from = 0, to = null) {
+    const end = size();
+    const reset = from > end;
+    const start = reset ? 0 : Math.max(0, from);
+    const stop = Math.max(start, to === null ? end : Math.min(to, end));
+    if (stop === start) {
+      return { text: "", from: start, to: stop, reset };
+    }
+    const buffer = Buffer.alloc(stop - start);
+    const fd = openSync(logPath, "r");
+    try {
+      readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+      closeSync(fd);
+    }
+    return { text: buffer.toString("utf8"), from: start, to: stop, reset };
+  }
+
+  // Mark the start of a tool call ("call") or CEP command ("request"); pass the span to end()
+  // when it finishes. info is kept on the span (tool name, arguments, session, ...).
+  function begin(kind, id, info = {}) {
+    const start = mark(`${kind}-${id}:start`);
+    const span = { kind, id, ...info, startedAt: start.at, finishedAt: null, start: start.offset, end: null };
+    spans.push(span);
+    if (spans.length > MAX_SPANS) {
+      spans.shift();
+    }
+    return span;
+  }
+
+  function end(span) {
+    const finish = mark(`${span.kind}-${span.id}:end`);
+    span.finishedAt = finish.at;
+    span.end = finish.offset;
+  }
+
+  // The newest span of kind that satisfies match
+  function findSpan(kind, match = () => true) {
+    for (let i = spans.length - 1; i >= 0; i--) {
+      if (spans[i].kind === kind && match(spans[i])) return spans[i];
+    }
+    return null;
+  }
+
+  // Other spans of the same kind that ran at the same time as span (their lines are mixed in)
+  function overlapping(span) {
+    const startedAt = Date.parse(span.startedAt);
+    const finishedAt = span.finishedAt ? Date.parse(span.finishedAt) : Infinity;
+    return spans.filter(s => s !== span && s.kind === span.kind
+      && Date.parse(s.startedAt) < finishedAt
+      && (s.finishedAt ? Date.parse(s.finishedAt) : Infinity) > startedAt);
+  }
+
+  return {
+    path: logPath,
+    size,
+    mark,
+    marker,
+    read,
+    begin,
+    end,
+    findSpan,
+    overlapping,
+    spans: (kind) => spans.filter(s => s.kind === kind)
+  };
+}
@@ -3,7 +3,14 @@
  * Uses AppleScript to interact with system dialogs
  */
 
-import { execSync, exec } from "child_process";
+import { execSync, execFileSync, exec } from "child_process";
+
+// Process name used in System Events scripts; set from the server config
+let premiereProcessName = "Adobe Premiere Pro 2025";
+
+export function setPremiereProcessName(name) {
+  premiereProcessName = name;
+}
 
 // Dismiss the macOS crash reporter dialog by clicking "Ignore"
 export function dismissCrashReporter() {
@@ -47,7 +54,7 @@ export function dismissRecoveryDialog() {
     // First try to find and click "Don't Reopen" or similar button
     const script = `
       tell application "System Events"
-        tell process "Adobe Premiere Pro 2025"
+        tell process "${premiereProcessName}"
           set foundDialog to false
           try
             -- Look for recovery dialog
@@ -98,7 +105,7 @@ export function hasModalDialog() {
   try {
     const script = `
       tell application "System Events"
-        tell process "Adobe Premiere Pro 2025"
+        tell process "${premiereProcessName}"
           set dialogCount to 0
           repeat with w in (every window)
             if subrole of w is "AXDialog" or subrole of w is "AXSystemDialog" then
@@ -122,7 +129,7 @@ export function pressEscape() {
   try {
     const script = `
       tell application "System Events"
-        tell process "Adobe Premiere Pro 2025"
+        tell process "${premiereProcessName}"
           key code 53
         end tell
       end tell
@@ -139,7 +146,7 @@ export function clickButton(buttonName) {
   try {
     const script = `
       tell application "System Events"
-        tell process "Adobe Premiere Pro 2025"
+        tell process "${premiereProcessName}"
           repeat with w in (every window)
             try
               click button "${buttonName}" of w
@@ -173,7 +180,7 @@ export async function waitForPremiereReady(maxWaitMs = 60000) {
 
     // Check if Premiere is running
     try {
-      execSync('pgrep -f "Adobe Premiere Pro"', { encoding: "utf8" });
+      execFileSync("pgrep", ["-f", "Adobe Premiere Pro"], { encoding: "utf8" });
     } catch {
       // Premiere not running yet
       await sleep(1000);
@@ -189,7 +196,7 @@ export async function waitForPremiereReady(maxWaitMs = 60000) {
       try {
         const script = `
           tell application "System Events"
-            tell process "Adobe Premiere Pro 2025"
+            tell process "${premiereProcessName}"
               return (count of windows) > 0
             end tell
           end tell
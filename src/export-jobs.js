@@ -0,0 +1,201 @@
+/**
+ * Export Jobs - Track Media Encoder jobs queued by export_sequence
+ * ExtendScript binds the app.encoder job events and the panel forwards them as
+ * export_event messages; this module keeps the state of each job and lets
+ * callers wait for one to finish. Exports Premiere encodes itself are recorded
+ * as already complete.
+ */
+
+import { EventEmitter } from "events";
+
+// States a job never leaves
+export const FINISHED_STATES = ["complete", "failed", "canceled", "lost"];
+
+export const DEFAULT_EXPORT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Encoder progress arrives as 0-1 on some versions and 0-100 on others. The scale is decided
+// by the first value that settles it: above 1 means 0-100, strictly between 0 and 1 means 0-1.
+// 0 and 1 don't (1 is 100% or 1%), so until then they aren't reported. Jobs queued on a panel
+// session after the scale is settled there start with it.
+function progressScale(value) {
+  if (value > 1) return "percent";
+  if (value > 0 && value < 1) return "fraction";
+  return null;
+}
+
+function toPercent(value, scale) {
+  return Math.round((scale === "percent" ? value : value * 100) * 10) / 10;
+}
+
+export function createExportTracker() {
+  const jobs = new Map();
+  const updates = new EventEmitter();
+  updates.setMaxListeners(0);
+  const sessionScales = new Map(); // session -> "percent" | "fraction", once a job settled it
+
+  function upsert(jobId, sessionId) {
+    let job = jobs.get(jobId);
+    if (!job) {
+      const now = Date.now();
+      job = {
+        jobId,
+        sessionId,
+        status: "queued",
+        progress: 0,
+        progressScale: sessionScales.get(sessionId) || null,
+        mode: "encoder",
+        range: null,
+        outputPath: null,
+        presetPath: null,
+        error: null,
+        queuedAt: now,
+        updatedAt: now,
+        finishedAt: null
+      };
+      jobs.set(jobId, job);
+    }
+    return job;
+  }
+
+  function update(job, fields) {
+    if (FINISHED_STATES.includes(job.status)) return;
+    Object.assign(job, fields, { updatedAt: Date.now() });
+    if (FINISHED_STATES.includes(job.status)) {
+      job.finishedAt = job.updatedAt;
+    }
+    updates.emit("update", job);
+  }
+
+  let directCounter = 0;
+
+  // Record a job from the export_sequence result ({ jobId, outputPath, presetPath, range })
+  function queued(sessionId, result) {
+    const job = upsert(String(result.jobId), sessionId);
+    job.outputPath = job.outputPath || result.outputPath || null;
+    job.presetPath = result.presetPath || null;
+    job.range = result.range || null;
+    return job;
+  }
+
+  // Record an export Premiere encoded itself; it was finished by the time export_sequence returned
+  function exported(sessionId, result) {
+    const job = queued(sessionId, { ...result, jobId: `premiere-${++directCounter}` });
+    job.mode = "premiere";
+    update(job, { status: "complete", progress: 100 });
+    return job;
+  }
+
+  // Apply an export_event: { event: queued | progress | complete | error | canceled, jobId, ... }
+  function handleEvent(sessionId, msg) {
+    if (msg.jobId === undefined || msg.jobId === null) return null;
+    const job = upsert(String(msg.jobId), sessionId);
+    switch (msg.event) {
+      case "queued":
+        update(job, { status: "queued" });
+        break;
+      case "progress": {
+        const value = Number(msg.progress);
+        if (!Number.isFinite(value)) {
+          update(job, { status: "encoding" });
+          break;
+        }
+        if (!job.progressScale && progressScale(value)) {
+          job.progressScale = progressScale(value);
+          sessionScales.set(sessionId, job.progressScale);
+        }
+        if (!job.progressScale) {
+          update(job, { status: "encoding" });
+          break;
+        }
+        // Only the complete event makes a job 100%: a job still encoding never looks finished
+        update(job, { status: "encoding", progress: Math.min(toPercent(value, job.progressScale), 99.9) });
+        break;
+      }
+      case "complete":
+        update(job, { status: "complete", progress: 100, outputPath: msg.outputPath || job.outputPath });
+        break;
+      case "error":
+        update(job, { status: "failed", error: msg.error || "Media Encoder reported an error without a message" });
+        break;
+      case "canceled":
+        update(job, { status: "canceled", error: "Export was canceled in Media Encoder" });
+        break;
+    }
+    return job;
+  }
+
+  // The panel that reported a job went away, so no more events will arrive for it
+  function sessionLost(sessionId, reason) {
+    for (const job of jobs.values()) {
+      if (job.sessionId === sessionId && !FINISHED_STATES.includes(job.status)) {
+        update(job, {
+          status: "lost",
+          error: `${reason} Media Encoder may still finish the job; check ${job.outputPath || "the output path"}.`
+        });
+      }
+    }
+  }
+
+  // A job by id, or the most recently queued one
+  function get(jobId) {
+    if (jobId !== undefined && jobId !== null) {
+      return jobs.get(String(jobId)) || null;
+    }
+    let latest = null;
+    for (const job of jobs.values()) {
+      if (!latest || job.queuedAt >= latest.queuedAt) latest = job;
+    }
+    return latest;
+  }
+
+  function describe(job) {
+    return {
+      job_id: job.jobId,
+      session: job.sessionId,
+      status: job.status,
+      mode: job.mode,
+      range: job.range,
+      progress_percent: job.progress,
+      output_path: job.outputPath,
+      preset_path: job.presetPath,
+      error: job.error,
+      queued_at: new Date(job.queuedAt).toISOString(),
+      elapsed_ms: (job.finishedAt || Date.now()) - job.queuedAt,
+      finished: FINISHED_STATES.includes(job.status)
+    };
+  }
+
+  // Resolve with the job once it finishes. Rejects on timeout or abort; the job itself is left alone.
+  function waitFor(job, { timeoutMs = DEFAULT_EXPORT_TIMEOUT_MS, signal, onProgress } = {}) {
+    if (FINISHED_STATES.includes(job.status)) {
+      return Promise.resolve(job);
+    }
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        updates.off("update", onUpdate);
+        signal?.removeEventListener("abort", onAbort);
+      };
+      const onUpdate = (updated) => {
+        if (updated !== job) return;
+        onProgress?.({ progress: job.progress, total: 100, message: `Export ${job.jobId}: ${job.status} ${job.progress}%` });
+        if (FINISHED_STATES.includes(job.status)) {
+          cleanup();
+          resolve(job);
+        }
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(new Error(`Stopped waiting for export ${job.jobId}`));
+      };
+      const timer = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Export ${job.jobId} still ${job.status} (${job.progress}%) after ${timeoutMs}ms`));
+      }, timeoutMs);
+      updates.on("update", onUpdate);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  return { queued, exported, handleEvent, sessionLost, get, describe, waitFor };
+}
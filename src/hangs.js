@@ -0,0 +1,70 @@
+/**
+ * Hangs - Evidence captured when Premiere stops responding without crashing
+ * A hung Premiere writes no crash report, so the watchdog in index.js saves its own:
+ *
+ *   <hangReportDir>/
+ *     <id>.json          the hang: session, cause, command, pid, paths below
+ *     <id>.sample.txt    stack sample of every Premiere thread (macOS "sample")
+ *     <id>.log           tail of the plugin debug log when the hang was detected
+ */
+
+import { mkdirSync, writeFileSync, existsSync } from "fs";
+import { execFile } from "child_process";
+import path from "path";
+
+// How long "sample" watches the process; a few seconds shows where the threads are stuck
+export const HANG_SAMPLE_SECONDS = 3;
+
+// Stack-sample pid into outputPath with macOS's "sample". Resolves to null or an error message.
+export function sampleProcess(pid, outputPath, { seconds = HANG_SAMPLE_SECONDS } = {}) {
+  return new Promise((resolve) => {
+    execFile("sample", [String(pid), String(seconds), "-file", outputPath], { timeout: (seconds + 30) * 1000 }, (error, stdout, stderr) => {
+      if (error) {
+        resolve(error.code === "ENOENT"
+          ? "\"sample\" is not available (it ships with macOS)"
+          : `sample failed: ${(stderr || error.message).trim()}`);
+      } else if (!existsSync(outputPath)) {
+        resolve(`sample wrote no output: ${stdout.trim()}`);
+      } else {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// Save the evidence for a hang. fields: { time, session, cause, reason, command, pid, debugLogTail }.
+// Returns the record written to <id>.json.
+export async function captureHang(dir, fields, { sampleSeconds = HANG_SAMPLE_SECONDS } = {}) {
+  const time = fields.time || Date.now();
+  const id = `hang_${new Date(time).toISOString().replace(/[:.]/g, "-")}`;
+  mkdirSync(dir, { recursive: true });
+
+  const record = {
+    id,
+    time: new Date(time).toISOString(),
+    session: fields.session ?? null,
+    cause: fields.cause,
+    reason: fields.reason,
+    command: fields.command ?? null,
+    pid: fields.pid ?? null,
+    samplePath: null,
+    sampleError: null,
+    debugLogPath: null
+  };
+
+  if (record.pid) {
+    const samplePath = path.join(dir, `${id}.sample.txt`);
+    record.sampleError = await sampleProcess(record.pid, samplePath, { seconds: sampleSeconds });
+    if (!record.sampleError) record.samplePath = samplePath;
+  } else {
+    record.sampleError = "Premiere is not running";
+  }
+
+  if (fields.debugLogTail) {
+    record.debugLogPath = path.join(dir, `${id}.log`);
+    writeFileSync(record.debugLogPath, fields.debugLogTail);
+  }
+
+  writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2));
+  return record;
+}
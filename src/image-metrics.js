@@ -0,0 +1,451 @@
+/**
+ * Image Metrics - Pure JavaScript PNG decoding/encoding and frame difference metrics
+ * (RMSE, PSNR, SSIM, per-channel stats, diff heatmaps)
+ * No ImageMagick/ffmpeg needed, so results are the same on every machine
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { inflateSync, deflateSync } from "zlib";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Channels per pixel for each PNG color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Decode a PNG buffer into { width, height, data } where data is 8-bit RGBA
+export function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error("Not a PNG file");
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let offset = 8;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === "PLTE") {
+      palette = chunk;
+    } else if (type === "tRNS") {
+      transparency = chunk;
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header) throw new Error("PNG is missing its IHDR chunk");
+  if (!(header.colorType in CHANNELS)) throw new Error(`Unsupported PNG color type ${header.colorType}`);
+  if (header.interlace !== 0) throw new Error("Interlaced PNGs are not supported");
+  if (header.colorType === 3 && !palette) throw new Error("Palette PNG is missing its PLTE chunk");
+
+  const { width, height, bitDepth, colorType } = header;
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const stride = Math.ceil(width * bitsPerPixel / 8);
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const raw = unfilter(inflateSync(Buffer.concat(idat)), width, height, stride, bpp);
+
+  const data = new Uint8Array(width * height * 4);
+
+  // Fast path for the common 8-bit RGB/RGBA case (what exportFramePNG and ffmpeg write)
+  if (bitDepth === 8 && (colorType === 2 || colorType === 6)) {
+    for (let p = 0, i = 0; p < width * height; p++, i += channels) {
+      data[p * 4] = raw[i];
+      data[p * 4 + 1] = raw[i + 1];
+      data[p * 4 + 2] = raw[i + 2];
+      data[p * 4 + 3] = colorType === 6 ? raw[i + 3] : 255;
+    }
+    return { width, height, data };
+  }
+
+  const maxValue = (1 << bitDepth) - 1;
+  for (let y = 0; y < height; y++) {
+    const row = raw.subarray(y * stride, (y + 1) * stride);
+    for (let x = 0; x < width; x++) {
+      const samples = [];
+      for (let c = 0; c < channels; c++) {
+        samples.push(readSample(row, x * channels + c, bitDepth));
+      }
+      const out = (y * width + x) * 4;
+      if (colorType === 3) {
+        const index = samples[0];
+        data[out] = palette[index * 3];
+        data[out + 1] = palette[index * 3 + 1];
+        data[out + 2] = palette[index * 3 + 2];
+        data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        continue;
+      }
+      const scaled = samples.map(v => Math.round(v * 255 / maxValue));
+      if (colorType === 0 || colorType === 4) {
+        data[out] = data[out + 1] = data[out + 2] = scaled[0];
+        data[out + 3] = colorType === 4 ? scaled[1] : 255;
+      } else {
+        data[out] = scaled[0];
+        data[out + 1] = scaled[1];
+        data[out + 2] = scaled[2];
+        data[out + 3] = colorType === 6 ? scaled[3] : 255;
+      }
+    }
+  }
+
+  return { width, height, data };
+}
+
+// Read sample number `index` from a scanline at the given bit depth
+function readSample(row, index, bitDepth) {
+  if (bitDepth === 8) return row[index];
+  if (bitDepth === 16) return row.readUInt16BE(index * 2);
+  const bitOffset = index * bitDepth;
+  const byte = row[bitOffset >> 3];
+  const shift = 8 - bitDepth - (bitOffset & 7);
+  return (byte >> shift) & ((1 << bitDepth) - 1);
+}
+
+// Reverse PNG scanline filters (None, Sub, Up, Average, Paeth)
+function unfilter(inflated, width, height, stride, bpp) {
+  const out = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = inflated[y * (stride + 1)];
+    const line = inflated.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const cur = out.subarray(y * stride, (y + 1) * stride);
+    const prev = y > 0 ? out.subarray((y - 1) * stride, y * stride) : null;
+
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? cur[i - bpp] : 0;
+      const b = prev ? prev[i] : 0;
+      const c = prev && i >= bpp ? prev[i - bpp] : 0;
+      let value = line[i];
+      switch (filter) {
+        case 0: break;
+        case 1: value += a; break;
+        case 2: value += b; break;
+        case 3: value += (a + b) >> 1; break;
+        case 4: value += paeth(a, b, c); break;
+        default: throw new Error(`Invalid PNG filter type ${filter} on row ${y}`);
+      }
+      cur[i] = value & 0xff;
+    }
+  }
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Encode 8-bit RGBA pixels as a PNG buffer
+export function encodePng({ width, height, data }) {
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0; // filter: None
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", ihdr),
+    pngChunk("IDAT", deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+function pngChunk(type, body) {
+  const chunk = Buffer.alloc(12 + body.length);
+  chunk.writeUInt32BE(body.length, 0);
+  chunk.write(type, 4, "ascii");
+  body.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + body.length)), 8 + body.length);
+  return chunk;
+}
+
+let crcTable = null;
+
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) {
+    crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function readPng(filePath) {
+  return decodePng(readFileSync(filePath));
+}
+
+const CHANNEL_NAMES = ["r", "g", "b"];
+
+// SSIM constants for 8-bit data (Wang et al. 2004)
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+
+// Compare two decoded images over their RGB channels.
+// rmse/meanAbsDiff are on a 0-255 scale; psnr is in dB (Infinity when identical);
+// ssim is 1.0 for identical images and falls towards 0 as structure differs.
+export function compareImages(a, b, { changeThreshold = 8 } = {}) {
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error(`Image sizes differ: ${a.width}x${a.height} vs ${b.width}x${b.height}`);
+  }
+
+  const pixels = a.width * a.height;
+  const channels = CHANNEL_NAMES.map(() => ({ sumA: 0, sumB: 0, sumSq: 0, sumAbs: 0, maxDiff: 0 }));
+  let changed = 0;
+  for (let p = 0; p < pixels; p++) {
+    let maxDiff = 0;
+    for (let c = 0; c < 3; c++) {
+      const va = a.data[p * 4 + c];
+      const vb = b.data[p * 4 + c];
+      const d = Math.abs(va - vb);
+      const stats = channels[c];
+      stats.sumA += va;
+      stats.sumB += vb;
+      stats.sumSq += d * d;
+      stats.sumAbs += d;
+      if (d > stats.maxDiff) stats.maxDiff = d;
+      if (d > maxDiff) maxDiff = d;
+    }
+    if (maxDiff > changeThreshold) changed++;
+  }
+
+  const perChannel = {};
+  let totalSq = 0;
+  let totalAbs = 0;
+  channels.forEach((stats, c) => {
+    const mse = stats.sumSq / pixels;
+    perChannel[CHANNEL_NAMES[c]] = {
+      meanA: stats.sumA / pixels,
+      meanB: stats.sumB / pixels,
+      meanAbsDiff: stats.sumAbs / pixels,
+      rmse: Math.sqrt(mse),
+      psnr: psnrFromMse(mse),
+      maxDiff: stats.maxDiff
+    };
+    totalSq += stats.sumSq;
+    totalAbs += stats.sumAbs;
+  });
+
+  const mse = totalSq / (pixels * 3);
+  return {
+    width: a.width,
+    height: a.height,
+    rmse: Math.sqrt(mse),
+    psnr: psnrFromMse(mse),
+    ssim: ssim(a, b),
+    meanAbsDiff: totalAbs / (pixels * 3),
+    changedPixelRatio: changed / pixels,
+    identical: mse === 0,
+    channels: perChannel
+  };
+}
+
+function psnrFromMse(mse) {
+  return mse === 0 ? Infinity : 10 * Math.log10(255 * 255 / mse);
+}
+
+function luminance(image) {
+  const pixels = image.width * image.height;
+  const luma = new Float32Array(pixels);
+  for (let p = 0; p < pixels; p++) {
+    luma[p] = 0.299 * image.data[p * 4] + 0.587 * image.data[p * 4 + 1] + 0.114 * image.data[p * 4 + 2];
+  }
+  return luma;
+}
+
+// Mean SSIM over sliding 8x8 windows of the luma channel
+export function ssim(a, b) {
+  const { width, height } = a;
+  const la = luminance(a);
+  const lb = luminance(b);
+  const win = Math.min(SSIM_WINDOW, width, height);
+  const n = win * win;
+
+  let total = 0;
+  let windows = 0;
+  for (let y0 = 0; y0 + win <= height; y0 += SSIM_STRIDE) {
+    for (let x0 = 0; x0 + win <= width; x0 += SSIM_STRIDE) {
+      let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+      for (let y = y0; y < y0 + win; y++) {
+        for (let x = x0; x < x0 + win; x++) {
+          const va = la[y * width + x];
+          const vb = lb[y * width + x];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+      const muA = sumA / n;
+      const muB = sumB / n;
+      const varA = sumAA / n - muA * muA;
+      const varB = sumBB / n - muB * muB;
+      const cov = sumAB / n - muA * muB;
+      total += ((2 * muA * muB + SSIM_C1) * (2 * cov + SSIM_C2)) /
+        ((muA * muA + muB * muB + SSIM_C1) * (varA + varB + SSIM_C2));
+      windows++;
+    }
+  }
+  return windows > 0 ? total / windows : 1;
+}
+
+// Heatmap colour ramp: black -> blue -> red -> yellow -> white
+const HEATMAP_STOPS = [
+  [0, 0, 0],
+  [0, 0, 255],
+  [255, 0, 0],
+  [255, 255, 0],
+  [255, 255, 255]
+];
+
+function heatColor(t) {
+  const scaled = Math.min(1, Math.max(0, t)) * (HEATMAP_STOPS.length - 1);
+  const i = Math.min(HEATMAP_STOPS.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  return HEATMAP_STOPS[i].map((v, c) => Math.round(v + (HEATMAP_STOPS[i + 1][c] - v) * f));
+}
+
+// Build a heatmap image of the per-pixel difference (max over RGB).
+// gain amplifies small differences; the default maps a difference of 64 to white.
+export function diffHeatmap(a, b, { gain = 4 } = {}) {
+  if (a.width !== b.width || a.height !== b.height) {
+    throw new Error(`Image sizes differ: ${a.width}x${a.height} vs ${b.width}x${b.height}`);
+  }
+  const colors = Array.from({ length: 256 }, (_, d) => heatColor(d * gain / 255));
+  const pixels = a.width * a.height;
+  const data = new Uint8Array(pixels * 4);
+  for (let p = 0; p < pixels; p++) {
+    let maxDiff = 0;
+    for (let c = 0; c < 3; c++) {
+      const d = Math.abs(a.data[p * 4 + c] - b.data[p * 4 + c]);
+      if (d > maxDiff) maxDiff = d;
+    }
+    const color = colors[maxDiff];
+    data[p * 4] = color[0];
+    data[p * 4 + 1] = color[1];
+    data[p * 4 + 2] = color[2];
+    data[p * 4 + 3] = 255;
+  }
+  return { width: a.width, height: a.height, data };
+}
+
+export function compareImageFiles(pathA, pathB, options) {
+  return compareImages(readPng(pathA), readPng(pathB), options);
+}
+
+// Compare two PNG files and optionally write a diff heatmap PNG. Returns { metrics, heatmapPath }.
+export function compareImageFilesWithHeatmap(pathA, pathB, heatmapPath, options = {}) {
+  const a = readPng(pathA);
+  const b = readPng(pathB);
+  const metrics = compareImages(a, b, options);
+  if (heatmapPath) {
+    writeFileSync(heatmapPath, encodePng(diffHeatmap(a, b, options)));
+  }
+  return { metrics, heatmapPath: heatmapPath || null };
+}
+
+// Downscale an image to the given width with a box filter (keeps aspect ratio)
+export function resizeImage(image, width) {
+  const scale = image.width / width;
+  const height = Math.max(1, Math.round(image.height / scale));
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sy0 = Math.floor(y * scale);
+    const sy1 = Math.min(image.height, Math.max(sy0 + 1, Math.floor((y + 1) * scale)));
+    for (let x = 0; x < width; x++) {
+      const sx0 = Math.floor(x * scale);
+      const sx1 = Math.min(image.width, Math.max(sx0 + 1, Math.floor((x + 1) * scale)));
+      const sums = [0, 0, 0, 0];
+      for (let sy = sy0; sy < sy1; sy++) {
+        for (let sx = sx0; sx < sx1; sx++) {
+          const i = (sy * image.width + sx) * 4;
+          for (let c = 0; c < 4; c++) sums[c] += image.data[i + c];
+        }
+      }
+      const count = (sy1 - sy0) * (sx1 - sx0);
+      for (let c = 0; c < 4; c++) data[(y * width + x) * 4 + c] = Math.round(sums[c] / count);
+    }
+  }
+  return { width, height, data };
+}
+
+// Tile images into a grid (row-major, in the given order) on a dark background
+export function contactSheet(images, { thumbWidth = 240, columns = null, gap = 4 } = {}) {
+  if (images.length === 0) {
+    throw new Error("Contact sheet needs at least one image");
+  }
+  const thumbs = images.map(img => img.width === thumbWidth ? img : resizeImage(img, thumbWidth));
+  const cols = columns || Math.ceil(Math.sqrt(thumbs.length));
+  const rows = Math.ceil(thumbs.length / cols);
+  const cellHeight = Math.max(...thumbs.map(t => t.height));
+  const width = cols * thumbWidth + (cols + 1) * gap;
+  const height = rows * cellHeight + (rows + 1) * gap;
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i + 1] = data[i + 2] = 32;
+    data[i + 3] = 255;
+  }
+  thumbs.forEach((thumb, n) => {
+    const ox = gap + (n % cols) * (thumbWidth + gap);
+    const oy = gap + Math.floor(n / cols) * (cellHeight + gap);
+    for (let y = 0; y < thumb.height; y++) {
+      const src = y * thumb.width * 4;
+      data.set(thumb.data.subarray(src, src + thumb.width * 4), ((oy + y) * width + ox) * 4);
+    }
+  });
+  return { width, height, data };
+}
+
+// Round metrics for JSON output (JSON has no Infinity, so identical frames report psnr "inf")
+export function formatMetrics(metrics) {
+  const out = {};
+  for (const [key, value] of Object.entries(metrics)) {
+    if (typeof value === "number" && !Number.isInteger(value)) {
+      out[key] = Number.isFinite(value) ? Math.round(value * 10000) / 10000 : "inf";
+    } else if (value && typeof value === "object") {
+      out[key] = formatMetrics(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
@@ -7,6 +7,7 @@
  * - Capture plugin debug output
  * - Detect and recover from crashes
  * - Build and reload plugins
+ * - Serve logs, crash reports and rendered frames as MCP resources
  */
 
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
@@ -14,73 +15,196 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { WebSocketServer } from "ws";
-import { spawn, exec, execSync } from "child_process";
-import { readFileSync, writeFileSync, existsSync, readdirSync, statSync } from "fs";
+import { spawn, exec, execSync, execFileSync } from "child_process";
+import { readFileSync, writeFileSync, existsSync, statSync, mkdirSync, watchFile, unwatchFile } from "fs";
+import { createHash } from "crypto";
 import { homedir } from "os";
 import path from "path";
+import { fileURLToPath } from "url";
 import {
   dismissCrashReporter,
   dismissRecoveryDialog,
   waitForPremiereReady,
   startDialogWatcher,
-  stopDialogWatcher
+  stopDialogWatcher,
+  setPremiereProcessName
 } from "./dialog-handler.js";
-
-// Configuration
-const CONFIG = {
-  wsPort: 8847,
-  premiereAppName: "Adobe Premiere Pro 2025",
-  pluginDebugLog: `${homedir()}/Desktop/moshbrosh_debug.log`,
-  crashLogDir: `${homedir()}/Library/Logs/DiagnosticReports`,
-  pluginBuildDir: "/Users/mads/coding/moshbrosh/MoshBrosh/Mac",
-  pluginInstallDir: `${homedir()}/Library/Application Support/Adobe/Common/Plug-ins/7.0/MediaCore`,
-  testVideoPath: "/Users/mads/coding/moshbrosh/MoshBrosh/CLI/test_input.mp4",
-  testProjectPath: "/Users/mads/Desktop/mosh_test_2.prproj",
-  exportOutputDir: "/Users/mads/coding/moshbrosh/MoshBrosh/CLI",
-  exportOutputPath: "/Users/mads/coding/moshbrosh/MoshBrosh/CLI/premiere_export.mp4",
-  cliToolDir: "/Users/mads/coding/moshbrosh/MoshBrosh/CLI",
-  cliToolPath: "/Users/mads/coding/moshbrosh/MoshBrosh/CLI/moshbrosh",
-  cliOutputPath: "/Users/mads/coding/moshbrosh/MoshBrosh/CLI/test_output_mcp.mp4",
-  heartbeatInterval: 3000,
-  heartbeatTimeout: 10000,
-  effectProcessingWaitMs: 20000, // Wait 20 seconds for effect to process
-};
+import { loadConfig, requirePath, panelConfig } from "./config.js";
+import { createSessionRegistry } from "./sessions.js";
+import { PROTOCOL_VERSION, HELLO_TIMEOUT_MS, REJECTED_CLOSE_CODE, CEP_COMMANDS, negotiate } from "./protocol.js";
+import { createExportTracker, DEFAULT_EXPORT_TIMEOUT_MS } from "./export-jobs.js";
+import { listExportPresets, resolveExportPreset, presetRoots } from "./presets.js";
+import { loadParamSchemaFile, mergeParamSchema, findParamSchema, coerceParamValue } from "./param-schema.js";
+import { validateToolArgs } from "./tool-args.js";
+import { runTestSuite } from "./test-suite.js";
+import { writeReport, REPORT_KINDS } from "./report.js";
+import { findCrashReports, readCrashReport, crashHeadline, condenseCrashSummary } from "./crash-report.js";
+import { loadCrashHistory, recordCrash, attachCrashReport, listCrashGroups, crashesWithSignature } from "./crash-history.js";
+import { captureHang } from "./hangs.js";
+import { createDebugLog, filterLogLines, LOG_LEVELS } from "./debug-log.js";
+import { createProgressReporter } from "./progress.js";
+import { URI_PREFIX, ARTIFACT_PREFIX, artifactUri, listArtifacts, resolveArtifactUri, readFileResource, mimeTypeFor, saveFrame } from "./resources.js";
+import { compareImageFilesWithHeatmap, formatMetrics } from "./image-metrics.js";
+import { runCliSweep, DEFAULT_MAX_RUNS } from "./sweep.js";
+import { effectParamsToCliOptions, compareFrameSets, divergenceImages, DEFAULT_PARITY_THRESHOLD } from "./parity.js";
+import { baselineSet, recordBaseline, compareToBaseline, approveBaseline, listBaselines } from "./baselines.js";
+
+// Configuration (defaults < premiere-tester.config.json < PREMIERE_TESTER_* env < --config file)
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (e) {
+  console.error(`[MCP] ${e.message}`);
+  process.exit(1);
+}
+for (const warning of CONFIG.warnings) {
+  console.error(`[MCP] Config warning: ${warning}`);
+}
+setPremiereProcessName(CONFIG.premiereAppName);
+
+const CRASH_CHECK_DELAY_MS = 1000;
+// macOS writes the crash report a few seconds after the process dies: look again after each delay
+const CRASH_REPORT_RETRY_MS = [5000, 10000, 15000];
+// A crash report this much older than the crash it's matched to belongs to an earlier crash
+const CRASH_REPORT_SLACK_MS = 10000;
+const WATCHDOG_INTERVAL_MS = 1000;
+const HANG_LOG_TAIL_BYTES = 64 * 1024; // debug log saved with a hang
+const HANG_LOG_TAIL_LINES = 10; // of it quoted in the hang error
+const MAX_SUITE_IMAGES = 8; // evidence frames attached to a run_test_suite result
+const PROGRESS_INTERVAL_MS = 5000;
+// Tools that read the debug log; get_log_for_request without a call looks past them
+const LOG_TOOLS = ["get_plugin_debug_log", "mark_plugin_debug_log", "get_log_for_request"];
+const DEFAULT_LOG_LINES = 1000; // lines a cursor read or get_log_for_request returns at most
+const DEBUG_LOG_RESOURCE_BYTES = 1024 * 1024; // of the log's end read as the debug-log resource
+const DEBUG_LOG_POLL_MS = 1000; // how often a subscribed debug log is checked for changes
 
 // State
-let premiereConnection = null;
-let lastHeartbeat = 0;
+const sessions = createSessionRegistry({ heartbeatTimeout: CONFIG.heartbeatTimeout });
+const exportJobs = createExportTracker();
+const debugLog = createDebugLog(CONFIG.pluginDebugLog);
+let toolCallCounter = 0;
 let pendingRequests = new Map();
 let requestIdCounter = 0;
 let lastCrashTime = 0;
-let lastCrashLog = "";
-
-// WebSocket server for CEP panel connection
-const wss = new WebSocketServer({ port: CONFIG.wsPort });
-
-wss.on("connection", (ws) => {
-  console.error(`[MCP] CEP panel connected`);
-  premiereConnection = ws;
-  lastHeartbeat = Date.now();
+let lastCrashReport = null; // { path, raw, summary } of the report found for the last crash
+let lastHang = null; // the hang the watchdog declared last (see declareHang)
+let lastPanelConnectTime = 0;
+let premiereKilledAt = 0; // when restartPremiere last quit Premiere, so that isn't taken for a crash
+let lastCliRun = null; // { inputVideo, outputVideo, params } of the last successful CLI run
+let lastBuild = null; // the last buildPlugin result, for reports
+const lastRuns = {}; // report kind -> the last run of that kind, for generate_report
+let lastExportStart = null; // { startedAt, logOffset } of the last export, so an analysis report covers it
+let lastToolCall = null; // { tool, arguments, at } of the last MCP tool call, for the crash history
+
+// A CEP panel connected (one per Premiere instance)
+function handlePanelConnection(ws, req) {
+  const session = sessions.add(ws, req?.socket?.remoteAddress);
+  lastPanelConnectTime = session.connectedAt;
+  console.error(`[MCP] CEP panel connected (${session.id}), waiting for hello`);
+
+  // Push paths/settings so the panel and ExtendScript never disagree with the server
+  const sendConfig = () => sendPanelConfig(ws);
+
+  // Panels from before the handshake never say hello: keep them working, but warn
+  const helloTimer = setTimeout(() => {
+    session.handshake = "legacy";
+    session.warnings.push(`Panel sent no hello within ${HELLO_TIMEOUT_MS}ms; it predates protocol v${PROTOCOL_VERSION} and commands may fail. Reinstall the CEP panel with install.sh.`);
+    console.error(`[MCP] ${session.id}: ${session.warnings[0]}`);
+    sendConfig();
+  }, HELLO_TIMEOUT_MS);
 
   ws.on("message", (data) => {
     try {
       const msg = JSON.parse(data.toString());
 
       if (msg.type === "heartbeat") {
-        lastHeartbeat = Date.now();
+        session.lastHeartbeat = Date.now();
+        // A stuck call doesn't stop the real panel's heartbeats, so only a heartbeat hang ends here
+        if (session.hang?.cause === "heartbeat") {
+          clearHang(session, "heartbeats resumed");
+        }
+        if (msg.projectPath !== undefined && msg.projectPath !== session.projectPath) {
+          session.projectPath = msg.projectPath;
+          notifyStatusChanged();
+        }
+        return;
+      }
+
+      if (msg.type === "hello") {
+        clearTimeout(helloTimer);
+        session.hostApp = msg.hostApp ?? null;
+        session.hostVersion = msg.hostVersion ?? null;
+        session.projectPath = msg.projectPath ?? null;
+        session.protocolVersion = msg.protocolVersion ?? null;
+        session.panelVersion = msg.panelVersion ?? null;
+
+        const negotiated = negotiate(msg);
+        if (!negotiated.accepted) {
+          console.error(`[MCP] Rejected ${session.id}: ${negotiated.error}`);
+          sessions.remove(session);
+          ws.send(JSON.stringify({ type: "hello_rejected", error: negotiated.error, protocolVersion: PROTOCOL_VERSION }));
+          ws.close(REJECTED_CLOSE_CODE, "Incompatible protocol version");
+          return;
+        }
+
+        session.handshake = "ok";
+        session.commands = negotiated.commands;
+        session.warnings = negotiated.warnings;
+        console.error(`[MCP] ${session.id}: panel ${session.panelVersion} (protocol v${session.protocolVersion}) in ${session.hostApp || "unknown host"} ${session.hostVersion || ""}, project ${session.projectPath || "(none)"}`);
+        for (const warning of negotiated.warnings) {
+          console.error(`[MCP] ${session.id}: ${warning}`);
+        }
+        ws.send(JSON.stringify({ type: "hello_ack", protocolVersion: PROTOCOL_VERSION, sessionId: session.id, warnings: negotiated.warnings }));
+        sendConfig();
+        notifyToolListChanged();
+        notifyStatusChanged();
+        return;
+      }
+
+      if (msg.type === "config_applied") {
+        if (msg.error) {
+          console.error(`[MCP] CEP panel ${session.id} failed to apply config: ${msg.error}`);
+        } else {
+          console.error(`[MCP] CEP panel ${session.id} applied config`);
+        }
         return;
       }
 
       if (msg.type === "auto_setup_complete") {
-        console.error(`[MCP] Auto-setup complete: ${JSON.stringify(msg.result)}`);
+        console.error(`[MCP] Auto-setup complete (${session.id}): ${JSON.stringify(msg.result)}`);
+        return;
+      }
+
+      if (msg.type === "export_event") {
+        const job = exportJobs.handleEvent(session.id, msg);
+        if (job && msg.event !== "progress") {
+          console.error(`[MCP] Export ${job.jobId} (${session.id}): ${job.status}${job.error ? ` - ${job.error}` : ""}`);
+        }
+        return;
+      }
+
+      if (msg.type === "progress" && msg.requestId) {
+        const pending = pendingRequests.get(msg.requestId);
+        if (pending && pending.sessionId === session.id) {
+          pending.progress(msg);
+        }
         return;
       }
 
       if (msg.type === "response" && msg.requestId) {
+        if (session.hang) {
+          clearHang(session, `a late response to request ${msg.requestId} arrived`);
+        }
         const pending = pendingRequests.get(msg.requestId);
-        if (pending) {
+        // Ignore responses from a session other than the one the request was sent to
+        if (pending && pending.sessionId === session.id) {
           pending.resolve(msg);
           pendingRequests.delete(msg.requestId);
         }
@@ -90,31 +214,304 @@ wss.on("connection", (ws) => {
     }
   });
 
-  ws.on("close", () => {
-    console.error(`[MCP] CEP panel disconnected`);
-    premiereConnection = null;
+  ws.on("close", (code) => {
+    clearTimeout(helloTimer);
+    if (code === REJECTED_CLOSE_CODE) return;
+    console.error(`[MCP] CEP panel disconnected (${session.id})`);
+    sessions.remove(session);
+    notifyToolListChanged();
+    notifyStatusChanged();
+
+    // Give a crashing Premiere a moment to exit, then fail whatever was waiting on this panel
+    setTimeout(() => {
+      const crash = checkForCrash(session);
+      failPendingRequests(session, crash);
+      exportJobs.sessionLost(session.id, crash.crashed ? "Premiere crashed." : "The CEP panel disconnected.");
+      if (crash.crashed) notifyStatusChanged();
+    }, CRASH_CHECK_DELAY_MS);
+  });
+}
 
-    // Check if this was a crash
-    setTimeout(checkForCrash, 1000);
+// Listen for CEP panels on wsPort. Rejects if the port is taken (e.g. by another server instance).
+function startPanelServer() {
+  return new Promise((resolve, reject) => {
+    const wss = new WebSocketServer({ port: CONFIG.wsPort });
+    wss.once("error", (e) => {
+      reject(new Error(e.code === "EADDRINUSE"
+        ? `Port ${CONFIG.wsPort} is in use; is another premiere-tester or MCP server running? Set wsPort to use a different port.`
+        : `Could not listen on port ${CONFIG.wsPort}: ${e.message}`));
+    });
+    wss.once("listening", () => {
+      console.error(`[MCP] WebSocket server listening on port ${CONFIG.wsPort}`);
+      setInterval(checkForHangs, WATCHDOG_INTERVAL_MS).unref();
+      resolve(wss);
+    });
+    wss.on("connection", handlePanelConnection);
   });
-});
+}
+
+// Wait for a panel to complete its handshake. since: only count panels that connected after this time.
+// Returns the session, or null on timeout.
+async function waitForPanel(timeoutMs, { since = 0 } = {}) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    const session = sessions.list().find(s => s.connectedAt >= since && s.handshake !== "pending");
+    if (session) {
+      return session;
+    }
+    await new Promise(r => setTimeout(r, 250));
+  }
+  return null;
+}
+
+// Send the panel its config. overrides replace settings for a while (e.g. a test spec's project);
+// sending again without them restores the configured values.
+function sendPanelConfig(ws, overrides = {}) {
+  ws.send(JSON.stringify({ type: "config", config: { ...panelConfig(CONFIG), ...overrides } }));
+}
+
+// Check if Premiere crashed. Returns what was found so callers can report it.
+function checkForCrash(session) {
+  if (isPremiereRunning()) {
+    return { crashed: false };
+  }
+  if (premiereKilledAt >= session.connectedAt) {
+    return { crashed: false, killed: true };
+  }
+  console.error(`[MCP] Premiere appears to have crashed! (${session.id} lost)`);
+  lastCrashTime = Date.now();
+  lastCrashReport = unclaimedCrashReport(lastCrashTime);
+  recordCrashHistory(session, lastCrashTime, lastCrashReport);
+  return { crashed: true, crashTime: new Date(lastCrashTime).toISOString(), report: lastCrashReport };
+}
+
+// The newest crash report from around crashTime that no earlier crash in the history owns.
+// An earlier crash's report can still be the newest one while this crash's is being written.
+function unclaimedCrashReport(crashTime) {
+  let claimed = [];
+  try {
+    claimed = loadCrashHistory(CONFIG.crashHistoryDir).crashes.map(c => c.originalReportPath).filter(Boolean);
+  } catch (e) {
+    console.error(`[MCP] Could not read the crash history: ${e.message}`);
+  }
+  return getLatestCrashReport({ since: crashTime - CRASH_REPORT_SLACK_MS, exclude: claimed });
+}
+
+// Add a crash to the crash history. Without a report yet, keep looking and attach it when it appears.
+function recordCrashHistory(session, crashTime, report) {
+  let entry;
+  try {
+    entry = recordCrash(CONFIG.crashHistoryDir, {
+      time: crashTime,
+      session: session.id,
+      effect: session.effectParams?.effect ?? null,
+      effectParams: session.effectParams?.params ?? null,
+      pluginBuild: pluginBuildInfo(),
+      toolCall: lastToolCall,
+      panelCommand: session.lastCommand && {
+        ...session.lastCommand,
+        running: [...pendingRequests.values()].some(p => p.sessionId === session.id)
+      }
+    }, report);
+    console.error(`[MCP] Recorded ${entry.id} (signature ${entry.signature})`);
+  } catch (e) {
+    console.error(`[MCP] Could not record the crash in ${CONFIG.crashHistoryDir}: ${e.message}`);
+    return;
+  }
+  if (report) return;
+
+  const retry = (delays) => {
+    const timer = setTimeout(() => {
+      const found = unclaimedCrashReport(crashTime);
+      if (found) {
+        if (lastCrashTime === crashTime) lastCrashReport = found;
+        try {
+          const updated = attachCrashReport(CONFIG.crashHistoryDir, entry.id, found);
+          console.error(`[MCP] Crash report for ${entry.id}: ${found.path} (signature ${updated.signature})`);
+        } catch (e) {
+          console.error(`[MCP] Could not attach ${found.path} to ${entry.id}: ${e.message}`);
+        }
+      } else if (delays.length > 1) {
+        retry(delays.slice(1));
+      } else {
+        console.error(`[MCP] No crash report appeared for ${entry.id}`);
+      }
+    }, delays[0]);
+    timer.unref();
+  };
+  retry(CRASH_REPORT_RETRY_MS);
+}
+
+// Hash of the installed plugin binary, so crashes can be tied to the build that caused them
+function pluginBuildInfo() {
+  const binary = path.join(CONFIG.pluginInstallDir, `${CONFIG.pluginBinaryName}.plugin`, "Contents", "MacOS", CONFIG.pluginBinaryName);
+  try {
+    return {
+      hash: createHash("sha1").update(readFileSync(binary)).digest("hex").slice(0, 12),
+      path: binary,
+      modified: statSync(binary).mtime.toISOString()
+    };
+  } catch {
+    return null;
+  }
+}
+
+// The crash detected at or after time (ms since epoch), if any
+function crashSince(time) {
+  if (lastCrashTime < time) {
+    return { crashed: false };
+  }
+  return { crashed: true, crashTime: new Date(lastCrashTime).toISOString(), crashReport: reportHeadline(lastCrashReport) };
+}
+
+// What crashed and where, from a report found by getLatestCrashReport (null without one)
+function reportHeadline(report) {
+  if (!report) return null;
+  return report.summary ? crashHeadline(report.summary) : `Unparsed crash report ${report.path}: ${report.error}`;
+}
+
+// Reject every request still waiting on a panel that went away
+function failPendingRequests(session, crash) {
+  for (const [requestId, pending] of pendingRequests) {
+    if (pending.sessionId !== session.id) continue;
+    let message;
+    if (crash.crashed) {
+      const headline = reportHeadline(crash.report);
+      message = `Premiere crashed while "${pending.command}" was running (${session.id} disconnected at ${crash.crashTime}).`
+        + (headline ? `\nCrash report:\n${headline}` : " No crash report yet; try get_last_crash_log in a few seconds.");
+    } else if (crash.killed) {
+      message = `Premiere was restarted while "${pending.command}" was running (${session.id} disconnected).`;
+    } else {
+      message = `CEP panel ${session.id} disconnected while "${pending.command}" was running. Premiere is still running, so the panel was probably closed or reloaded.`;
+    }
+    const error = new Error(message);
+    error.crash = crash;
+    pending.reject(error);
+    pendingRequests.delete(requestId);
+  }
+}
+
+// Watchdog tick: a panel whose heartbeats stopped while its socket stayed open is stuck in the host.
+// (Calls that never return are caught by sendToPremmiere's timeout instead.)
+function checkForHangs() {
+  for (const session of sessions.list()) {
+    const silentMs = Date.now() - session.lastHeartbeat;
+    if (session.hang || session.handshake === "pending" || silentMs < CONFIG.heartbeatTimeout) continue;
+    const running = [...pendingRequests.values()].find(p => p.sessionId === session.id);
+    declareHang(session, {
+      cause: "heartbeat",
+      reason: `no heartbeat for ${silentMs}ms; heartbeatTimeout is ${CONFIG.heartbeatTimeout}ms`,
+      command: running?.command ?? null
+    });
+  }
+}
+
+// Premiere stopped answering without crashing. Save a stack sample and the end of the debug log,
+// fail whatever was waiting on the panel and, with restartOnHang, force-restart Premiere.
+async function declareHang(session, { cause, reason, command = null }) {
+  if (session.hang) return;
+  const time = Date.now();
+  const hang = { session: session.id, since: new Date(time).toISOString(), cause, reason, command, evidence: null, restart: null };
+  session.hang = hang;
+  lastHang = hang;
+  console.error(`[MCP] Premiere appears hung (${session.id}): ${reason}`);
+  notifyStatusChanged();
+
+  try {
+    hang.evidence = await captureHang(CONFIG.hangReportDir, {
+      time,
+      session: session.id,
+      cause,
+      reason,
+      command,
+      pid: getPremierePid(),
+      debugLogTail: debugLogTail(HANG_LOG_TAIL_BYTES)
+    });
+    console.error(`[MCP] Saved ${hang.evidence.id} to ${CONFIG.hangReportDir}${hang.evidence.sampleError ? ` (no stack sample: ${hang.evidence.sampleError})` : ""}`);
+  } catch (e) {
+    hang.evidence = { error: e.message };
+    console.error(`[MCP] Could not save the hang evidence in ${CONFIG.hangReportDir}: ${e.message}`);
+  }
+  failHungRequests(session, hang);
+  notifyStatusChanged();
+
+  if (CONFIG.restartOnHang) {
+    hang.restart = { status: "running" };
+    restartPremiere({ force: true })
+      .catch(e => ({ success: false, message: e.message }))
+      .then(result => {
+        hang.restart = { status: result.success ? "success" : "failed", message: result.message };
+        console.error(`[MCP] Restart after hang: ${result.message}`);
+        notifyStatusChanged();
+      });
+  }
+}
+
+// Reject every request waiting on a hung panel
+function failHungRequests(session, hang) {
+  const evidence = hang.evidence || {};
+  const tail = evidence.debugLogPath ? readFileSync(evidence.debugLogPath, "utf8").trimEnd().split("\n").slice(-HANG_LOG_TAIL_LINES) : [];
+  for (const [requestId, pending] of pendingRequests) {
+    if (pending.sessionId !== session.id) continue;
+    const lines = [`Premiere hung while "${pending.command}" was running (${session.id}: ${hang.reason}).`];
+    lines.push(evidence.samplePath ? `Stack sample: ${evidence.samplePath}` : `No stack sample: ${evidence.sampleError || evidence.error}`);
+    if (tail.length > 0) {
+      lines.push(`Debug log ${evidence.debugLogPath} ends:`, ...tail);
+    }
+    lines.push(CONFIG.restartOnHang ? "Restarting Premiere (restartOnHang)." : "Restart it with restart_premiere (force: true).");
+    const error = new Error(lines.join("\n"));
+    error.hang = hang;
+    pending.reject(error);
+    pendingRequests.delete(requestId);
+  }
+}
+
+// The host answered again after all: whatever looked like a hang was only slow
+function clearHang(session, how) {
+  console.error(`[MCP] ${session.id} responds again (${how}) after hanging since ${session.hang.since}`);
+  session.hang = null;
+  notifyStatusChanged();
+}
 
-console.error(`[MCP] WebSocket server listening on port ${CONFIG.wsPort}`);
+// The hang declared at or after time (ms since epoch), if any
+function hangSince(time) {
+  if (!lastHang || Date.parse(lastHang.since) < time) {
+    return { hung: false };
+  }
+  return { hung: true, ...lastHang };
+}
 
-// Check if Premiere crashed
-async function checkForCrash() {
-  const isRunning = isPremiereRunning();
-  if (!isRunning && lastHeartbeat > 0) {
-    console.error(`[MCP] Premiere appears to have crashed!`);
-    lastCrashTime = Date.now();
-    lastCrashLog = getLatestCrashLog();
+// healthy | hung | crashed | not_running | no_panel, for the status tool and CLI
+function premiereState(running = isPremiereRunning()) {
+  if (!running) {
+    return lastCrashTime > lastPanelConnectTime ? "crashed" : "not_running";
   }
+  if (sessions.list().some(s => s.hang)) {
+    return "hung";
+  }
+  return sessions.size > 0 ? "healthy" : "no_panel";
+}
+
+// What premiere_status and the status resource report
+function premiereStatus() {
+  const running = isPremiereRunning();
+  return {
+    state: premiereState(running),
+    premiere_running: running,
+    cep_panel_connected: sessions.size > 0,
+    premiere_pid: getPremierePid(),
+    server_protocol_version: PROTOCOL_VERSION,
+    sessions: sessions.list().map(sessions.describe),
+    last_crash_time: lastCrashTime > 0 ? new Date(lastCrashTime).toISOString() : null,
+    last_hang: lastHang
+  };
 }
 
-// Check if Premiere is running
+// Check if Premiere is running.
+// pgrep runs without a shell: a "sh -c" wrapper would match the pattern itself.
 function isPremiereRunning() {
   try {
-    const result = execSync(`pgrep -f "Adobe Premiere Pro"`, { encoding: "utf8" });
+    const result = execFileSync("pgrep", ["-f", "Adobe Premiere Pro"], { encoding: "utf8" });
     return result.trim().length > 0;
   } catch {
     return false;
@@ -124,60 +521,114 @@ function isPremiereRunning() {
 // Get PID of Premiere
 function getPremierePid() {
   try {
-    const result = execSync(`pgrep -f "Adobe Premiere Pro"`, { encoding: "utf8" });
+    const result = execFileSync("pgrep", ["-f", "Adobe Premiere Pro"], { encoding: "utf8" });
     return parseInt(result.trim().split("\n")[0]);
   } catch {
     return null;
   }
 }
 
-// Get latest crash log
-function getLatestCrashLog() {
+// The newest Premiere crash report (.ips or .crash) written since since (default: the last minute),
+// skipping the paths in exclude: { path, raw, summary } or null
+function getLatestCrashReport({ since = Date.now() - 60000, exclude = [] } = {}) {
   try {
-    const files = readdirSync(CONFIG.crashLogDir)
-      .filter(f => f.includes("Adobe Premiere Pro") && f.endsWith(".crash"))
-      .map(f => ({
-        name: f,
-        path: path.join(CONFIG.crashLogDir, f),
-        mtime: statSync(path.join(CONFIG.crashLogDir, f)).mtime.getTime()
-      }))
-      .sort((a, b) => b.mtime - a.mtime);
-
-    if (files.length > 0 && files[0].mtime > Date.now() - 60000) {
-      return readFileSync(files[0].path, "utf8").slice(0, 5000);
+    const latest = findCrashReports(CONFIG.crashLogDir, { processName: "Adobe Premiere Pro" })
+      .find(r => !exclude.includes(r.path));
+    if (latest && latest.mtime > since) {
+      return readCrashReport(latest.path, { pluginImage: CONFIG.pluginBinaryName });
     }
   } catch (e) {
     console.error(`[MCP] Error reading crash logs: ${e}`);
   }
-  return "";
+  return null;
 }
 
-// Send command to CEP panel and wait for response
-async function sendToPremmiere(command, params = {}, timeout = 30000) {
-  if (!premiereConnection) {
-    throw new Error("Premiere not connected. Is it running with the CEP panel installed?");
+// Send command to a CEP panel and wait for response.
+// Options:
+//   timeout     ms before giving up (default 30000)
+//   session     target session id; may be omitted when only one panel is connected
+//   signal      AbortSignal; aborting rejects at once and tells the panel to cancel
+//   onProgress  called with { progress, total, message } from the panel, or with an elapsed-time
+//               { elapsed: true, message } tick until the panel reports progress of its own
+async function sendToPremmiere(command, params = {}, { timeout = 30000, session: sessionId, signal, onProgress } = {}) {
+  const session = sessions.resolve(sessionId);
+  if (!sessions.supports(session, command)) {
+    throw new Error(`CEP panel ${session.panelVersion} (${session.id}) does not support "${command}". Reinstall the panel with install.sh to match this server.`);
+  }
+  if (session.hang) {
+    throw new Error(`Premiere (${session.id}) has been hung since ${session.hang.since}: ${session.hang.reason}. Restart it with restart_premiere (force: true).`);
+  }
+  if (params.effect && (session.protocolVersion ?? 1) < 4) {
+    throw new Error(`CEP panel ${session.panelVersion || "(unknown version)"} (${session.id}) predates effect selection and only drives MoshBrosh. Reinstall it with install.sh.`);
+  }
+  if (signal?.aborted) {
+    throw new Error(`"${command}" was cancelled`);
   }
-
   const requestId = ++requestIdCounter;
+  const started = Date.now();
+  session.lastCommand = { command, params, sentAt: new Date(started).toISOString() };
+  const logSpan = debugLog.begin("request", requestId, { command, session: session.id });
 
   return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
+    let ticker = null;
+    const finish = () => {
+      debugLog.end(logSpan);
+      clearTimeout(timer);
+      clearInterval(ticker);
+      signal?.removeEventListener("abort", onAbort);
       pendingRequests.delete(requestId);
+    };
+
+    const timer = setTimeout(() => {
+      // The panel is still connected but the call never returned: the host is stuck in it.
+      // declareHang fails this request (and the session's others) once it has the evidence.
+      if (sessions.get(session.id) === session) {
+        declareHang(session, { cause: "overrun", reason: `"${command}" did not return within ${timeout}ms`, command });
+        return;
+      }
+      finish();
       reject(new Error(`Request timed out after ${timeout}ms`));
     }, timeout);
 
+    const onAbort = () => {
+      finish();
+      session.ws.send(JSON.stringify({ type: "cancel", requestId }));
+      reject(new Error(`"${command}" was cancelled`));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    if (onProgress) {
+      ticker = setInterval(() => {
+        const elapsed = Math.round((Date.now() - started) / 1000);
+        onProgress({ elapsed: true, message: `${command} running for ${elapsed}s` });
+      }, PROGRESS_INTERVAL_MS);
+    }
+
     pendingRequests.set(requestId, {
+      sessionId: session.id,
+      command,
       resolve: (msg) => {
-        clearTimeout(timer);
+        finish();
         if (msg.error) {
           reject(new Error(msg.error));
         } else {
+          trackEffectParams(session, command, params, msg.result);
           resolve(msg.result);
         }
+      },
+      reject: (error) => {
+        finish();
+        reject(error);
+      },
+      progress: (msg) => {
+        if (!onProgress) return;
+        // The panel's own numbers replace the elapsed-time ticks
+        clearInterval(ticker);
+        onProgress({ progress: msg.progress, total: msg.total, message: msg.message });
       }
     });
 
-    premiereConnection.send(JSON.stringify({
+    session.ws.send(JSON.stringify({
       type: "command",
       requestId,
       command,
@@ -186,43 +637,89 @@ async function sendToPremmiere(command, params = {}, timeout = 30000) {
   });
 }
 
-// Build the plugin
+// Remember the effect's param values as the panel reports and changes them, for the crash history
+function trackEffectParams(session, command, params, result) {
+  if (!result?.success) return;
+  const effect = params.effect || CONFIG.effectDisplayName;
+  if (command === "get_effect_params") {
+    session.effectParams = { effect, params: { ...result.params } };
+  } else if (command === "set_effect_param") {
+    const known = session.effectParams?.effect === effect ? session.effectParams.params : {};
+    session.effectParams = { effect, params: { ...known, [params.param]: params.value } };
+  }
+}
+
+// Environment for pluginBuildCommand / pluginInstallCommand
+function pluginCommandEnv(command) {
+  return {
+    ...process.env,
+    // Only required when the command uses it
+    AE_SDK_BASE_PATH: command.includes("AE_SDK_BASE_PATH") ? requirePath(CONFIG, "aeSdkPath") : CONFIG.aeSdkPath || "",
+    PLUGIN_BUILD_DIR: CONFIG.pluginBuildDir,
+    PLUGIN_INSTALL_DIR: CONFIG.pluginInstallDir
+  };
+}
+
+// Build the plugin with the configured build command
 async function buildPlugin() {
-  return new Promise((resolve, reject) => {
+  const buildDir = requirePath(CONFIG, "pluginBuildDir");
+  const env = pluginCommandEnv(CONFIG.pluginBuildCommand);
+  return new Promise((resolve) => {
     exec(
-      `xcodebuild -project MoshBrosh.xcodeproj -scheme MoshBrosh -configuration Debug AE_SDK_BASE_PATH=/Users/mads/coding/moshbrosh/AfterEffectsSDK_25.6_61_mac/ae25.6_61.64bit.AfterEffectsSDK 2>&1`,
-      { cwd: CONFIG.pluginBuildDir },
+      CONFIG.pluginBuildCommand,
+      { cwd: buildDir, env, maxBuffer: 64 * 1024 * 1024 },
       (error, stdout, stderr) => {
-        const success = stdout.includes("BUILD SUCCEEDED");
-        resolve({
+        const output = stdout + stderr;
+        const success = !error;
+        const result = {
           success,
-          output: stdout.slice(-3000),
-          errors: success ? [] : stdout.match(/error:.*/g) || []
-        });
+          command: CONFIG.pluginBuildCommand,
+          output: output.slice(-3000),
+          errors: success ? [] : output.match(/error:.*/g) || [error.message]
+        };
+        lastBuild = { ...result, finishedAt: Date.now() };
+        resolve(result);
       }
     );
   });
 }
 
-// Install the plugin
+// Install the plugin with the configured install command
 async function installPlugin() {
   try {
-    execSync(`rm -rf "${CONFIG.pluginInstallDir}/MoshBrosh.plugin"`);
-    execSync(`cp -R "${homedir()}/Library/Developer/Xcode/DerivedData/MoshBrosh-"*/Build/Products/Debug/MoshBrosh.plugin "${CONFIG.pluginInstallDir}/"`);
-    return { success: true };
+    execSync(CONFIG.pluginInstallCommand, {
+      cwd: existsSync(CONFIG.pluginBuildDir) ? CONFIG.pluginBuildDir : undefined,
+      env: pluginCommandEnv(CONFIG.pluginInstallCommand),
+      stdio: "pipe"
+    });
+    return { success: true, command: CONFIG.pluginInstallCommand };
   } catch (e) {
-    return { success: false, error: e.message };
+    return { success: false, command: CONFIG.pluginInstallCommand, error: e.stderr?.toString().trim() || e.message };
+  }
+}
+
+// Build, then install if the build succeeded
+async function buildAndInstallPlugin() {
+  const buildResult = await buildPlugin();
+  if (!buildResult.success) {
+    return { success: false, stage: "build", ...buildResult };
   }
+  const installResult = await installPlugin();
+  return {
+    success: installResult.success,
+    build: buildResult,
+    install: installResult
+  };
 }
 
-// Get plugin debug log
-function getPluginDebugLog(lines = 100) {
+// Get plugin debug log: the last lines lines, after the pattern and level filters
+function getPluginDebugLog(lines = 100, filters = {}) {
   try {
     if (!existsSync(CONFIG.pluginDebugLog)) {
       return { log: "(no debug log file found)", lines: 0 };
     }
     const content = readFileSync(CONFIG.pluginDebugLog, "utf8");
-    const allLines = content.split("\n");
+    const allLines = filters.pattern || filters.level ? filterLogLines(content, filters) : content.split("\n");
     const lastLines = allLines.slice(-lines).join("\n");
     return { log: lastLines, lines: allLines.length };
   } catch (e) {
@@ -230,11 +727,33 @@ function getPluginDebugLog(lines = 100) {
   }
 }
 
+// Debug log lines between two offsets, filtered, keeping the last maxLines
+function readDebugLogLines(from, to, { pattern, level, maxLines = DEFAULT_LOG_LINES } = {}) {
+  const read = debugLog.read(from, to);
+  const lines = filterLogLines(read.text, { pattern, level });
+  return {
+    from: read.from,
+    to: read.to,
+    reset: read.reset,
+    matched: lines.length,
+    omitted: Math.max(0, lines.length - maxLines),
+    lines: lines.slice(-maxLines)
+  };
+}
+
+// The last bytes of the debug log, from a line start
+function debugLogTail(bytes) {
+  const size = debugLog.size();
+  const { text } = debugLog.read(Math.max(0, size - bytes));
+  return size > bytes ? text.slice(text.indexOf("\n") + 1) : text;
+}
+
 // Run CLI tool for testing (bypasses Premiere entirely)
 async function runCliTool(args = {}) {
+  requirePath(CONFIG, "cliToolPath");
   const {
-    inputVideo = CONFIG.testVideoPath,
-    outputVideo = `${CONFIG.cliToolDir}/test_output_mcp.mp4`,
+    inputVideo = requirePath(CONFIG, "testVideoPath"),
+    outputVideo = CONFIG.cliOutputPath,
     moshFrame = 10,
     duration = 30,
     blockSize = 16,
@@ -247,6 +766,9 @@ async function runCliTool(args = {}) {
 
     exec(cmd, { cwd: CONFIG.cliToolDir, timeout: 120000 }, (error, stdout, stderr) => {
       const success = stdout.includes("Done!") || existsSync(outputVideo);
+      if (success) {
+        lastCliRun = { inputVideo, outputVideo, params: { moshFrame, duration, blockSize, searchRange, blend } };
+      }
       resolve({
         success,
         command: cmd,
@@ -276,10 +798,76 @@ async function extractFrameFromVideo(videoPath, frameNum, outputPath) {
   });
 }
 
+// Extract frames start..end (inclusive) from a video into outputDir/frame_<n>.png using ffmpeg
+async function extractFrameRange(videoPath, start, end, outputDir) {
+  execSync(`mkdir -p "${outputDir}"`);
+  return new Promise((resolve) => {
+    const cmd = `ffmpeg -y -i "${videoPath}" -vf "select=gte(n\\,${start})*lte(n\\,${end})" -vsync vfr -start_number ${start} "${outputDir}/frame_%d.png" 2>&1`;
+
+    exec(cmd, { timeout: 120000 }, (error, stdout, stderr) => {
+      const extracted = [];
+      for (let n = start; n <= end; n++) {
+        if (existsSync(`${outputDir}/frame_${n}.png`)) extracted.push(n);
+      }
+      resolve({
+        success: extracted.length > 0,
+        frames: extracted,
+        error: extracted.length > 0 ? null : (error?.message || "No frames extracted")
+      });
+    });
+  });
+}
+
+// Extract the frame at a timestamp (seconds) from a video using ffmpeg
+async function extractFrameAtTime(videoPath, seconds, outputPath) {
+  return new Promise((resolve) => {
+    const cmd = `ffmpeg -y -ss ${seconds} -i "${videoPath}" -frames:v 1 "${outputPath}" 2>&1`;
+
+    exec(cmd, { timeout: 30000 }, (error, stdout, stderr) => {
+      if (existsSync(outputPath)) {
+        resolve({ success: true, image: readFileSync(outputPath).toString("base64"), path: outputPath });
+      } else {
+        resolve({ success: false, error: error?.message || "Failed to extract frame" });
+      }
+    });
+  });
+}
+
+// Wait until a file written by Premiere exists, is non-empty and has stopped growing
+async function waitForFile(filePath, timeoutMs = 15000) {
+  const start = Date.now();
+  let lastSize = -1;
+  while (Date.now() - start < timeoutMs) {
+    if (existsSync(filePath)) {
+      const size = statSync(filePath).size;
+      if (size > 0 && size === lastSize) {
+        return size;
+      }
+      lastSize = size;
+    }
+    await new Promise(r => setTimeout(r, 200));
+  }
+  if (lastSize === 0) {
+    throw new Error(`Export produced an empty file after ${timeoutMs}ms: ${filePath}`);
+  }
+  throw new Error(`Timed out after ${timeoutMs}ms waiting for ${filePath}`);
+}
+
+// Wait for a PNG written by exportFramePNG and return it as base64
+async function readRenderedPng(filePath) {
+  await waitForFile(filePath);
+  const data = readFileSync(filePath);
+  if (!data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    throw new Error(`Rendered frame is not a valid PNG: ${filePath}`);
+  }
+  return data.toString("base64");
+}
+
 // Build CLI tool
 async function buildCliTool() {
+  const cliToolDir = requirePath(CONFIG, "cliToolDir");
   return new Promise((resolve) => {
-    exec("make clean && make", { cwd: CONFIG.cliToolDir }, (error, stdout, stderr) => {
+    exec("make clean && make", { cwd: cliToolDir }, (error, stdout, stderr) => {
       const success = existsSync(CONFIG.cliToolPath);
       resolve({
         success,
@@ -300,16 +888,20 @@ function clearPluginDebugLog() {
   }
 }
 
-// Restart Premiere with dialog handling
-async function restartPremiere() {
+// Restart Premiere with dialog handling. force: kill -9, for a Premiere too hung to quit.
+async function restartPremiere({ force = false } = {}) {
   console.error("[MCP] Restarting Premiere Pro...");
+  const projectPath = requirePath(CONFIG, "testProjectPath");
+
+  const restartedAt = Date.now();
 
   // Start dialog watcher to auto-dismiss crash/recovery dialogs
   startDialogWatcher();
 
   // Kill existing Premiere
   try {
-    execSync(`pkill -f "Adobe Premiere Pro"`);
+    execSync(`pkill ${force ? "-9 " : ""}-f "Adobe Premiere Pro"`);
+    premiereKilledAt = Date.now();
     console.error("[MCP] Killed existing Premiere process");
   } catch {}
 
@@ -319,8 +911,8 @@ async function restartPremiere() {
   dismissCrashReporter();
 
   // Launch Premiere by opening the project file directly
-  exec(`open "${CONFIG.testProjectPath}"`);
-  console.error(`[MCP] Opening project: ${CONFIG.testProjectPath}`);
+  exec(`open "${projectPath}"`);
+  console.error(`[MCP] Opening project: ${projectPath}`);
 
   // Wait for Premiere to be ready (dialogs dismissed, main window available)
   const ready = await waitForPremiereReady(90000);
@@ -331,24 +923,72 @@ async function restartPremiere() {
 
   console.error("[MCP] Premiere is ready, waiting for CEP panel connection...");
 
-  // Wait for CEP panel connection (up to 60s more)
-  const start = Date.now();
-  while (Date.now() - start < 60000) {
-    if (premiereConnection) {
-      stopDialogWatcher();
-      console.error("[MCP] CEP panel connected!");
-      return { success: true, message: "Premiere restarted and CEP panel connected" };
-    }
-    await new Promise(r => setTimeout(r, 1000));
-  }
-
+  // Wait for CEP panel connection (up to 60s more).
+  // Only a panel from the new Premiere counts; old sockets may not have closed yet.
+  const session = await waitForPanel(60000, { since: restartedAt });
   stopDialogWatcher();
+  if (session) {
+    console.error(`[MCP] CEP panel connected! (${session.id})`);
+    return { success: true, message: "Premiere restarted and CEP panel connected", session: session.id };
+  }
   return { success: false, message: "Premiere started but CEP panel did not connect within 60s. Make sure to open Window > Extensions > MoshBrosh MCP Bridge" };
 }
 
-// Full autonomous test cycle
-async function runAutonomousTestCycle() {
+const EXPORT_RANGES = ["entire", "work_area", "in_out"];
+const EXPORT_MODES = ["encoder", "premiere"];
+
+// Export the active sequence through the panel and start tracking it.
+// exportOptions: { preset (name or .epr path), outputPath, range, mode }; mode "encoder" queues
+// a Media Encoder job, "premiere" encodes in Premiere and returns once the file is written.
+async function startExport(sessionId, exportOptions = {}, options = {}) {
+  const { range = "work_area", mode = "encoder" } = exportOptions;
+  if (!EXPORT_RANGES.includes(range)) {
+    throw new Error(`Unknown export range "${range}". Use one of: ${EXPORT_RANGES.join(", ")}`);
+  }
+  if (!EXPORT_MODES.includes(mode)) {
+    throw new Error(`Unknown export mode "${mode}". Use one of: ${EXPORT_MODES.join(", ")}`);
+  }
+  const session = sessions.resolve(sessionId);
+  if ((session.protocolVersion ?? 1) < 3) {
+    throw new Error(`CEP panel ${session.panelVersion || "(unknown version)"} (${session.id}) predates export options and would ignore the preset. Reinstall it with install.sh.`);
+  }
+
+  const preset = resolveExportPreset(exportOptions.preset, { extraDir: CONFIG.exportPresetDir });
+  const outputPath = exportOptions.outputPath
+    ? path.resolve(CONFIG.exportOutputDir, exportOptions.outputPath.replace(/^~(?=\/|$)/, homedir()))
+    : CONFIG.renderOutputPath;
+  mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  lastExportStart = { startedAt: Date.now(), logOffset: debugLog.size() };
+  const result = await sendToPremmiere("export_sequence", { presetPath: preset.path, outputPath, range, mode }, {
+    // Encoding in Premiere holds the call until the whole file is written
+    timeout: mode === "premiere" ? DEFAULT_EXPORT_TIMEOUT_MS : undefined,
+    ...options,
+    session: session.id
+  });
+  if (!result?.success) {
+    return result;
+  }
+  const withPreset = { ...result, preset: { name: preset.name, path: preset.path, kind: preset.kind, version: preset.version ?? null } };
+  if (mode === "premiere") {
+    return { ...withPreset, job: exportJobs.describe(exportJobs.exported(session.id, result)) };
+  }
+  return { ...withPreset, job: exportJobs.describe(exportJobs.queued(session.id, result)) };
+}
+
+// Path of the most recent export, or where export_sequence writes by default
+function latestExportPath() {
+  return exportJobs.get()?.outputPath || CONFIG.renderOutputPath;
+}
+
+// Full autonomous test cycle. sessionId targets one panel when several are connected.
+// effect overrides the configured effect; signal cancels between steps; onProgress hears about
+// each step as it starts.
+async function runAutonomousTestCycle(sessionId, { effect, signal, onProgress } = {}) {
   console.error("[MCP] Starting autonomous test cycle...");
+  const startedAt = Date.now();
+  const logOffset = debugLog.size();
+  let effectParams = null;
 
   const results = {
     steps: [],
@@ -356,10 +996,44 @@ async function runAutonomousTestCycle() {
     error: null
   };
 
+  const TOTAL_STEPS = 6;
+  let stepStartedAt = startedAt;
+  const endStep = () => {
+    const current = results.steps[results.steps.length - 1];
+    if (current && current.durationMs === undefined) {
+      current.durationMs = Date.now() - stepStartedAt;
+    }
+  };
+  const startStep = (number, step, fields = {}) => {
+    if (signal?.aborted) {
+      throw new Error(`Autonomous test cancelled before ${step}`);
+    }
+    endStep();
+    stepStartedAt = Date.now();
+    results.steps.push({ step, status: "starting", ...fields });
+    onProgress?.({ progress: number, total: TOTAL_STEPS, message: step });
+  };
+  const wait = (ms) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error("Autonomous test cancelled"));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error("Autonomous test cancelled"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
   try {
     // Step 1: Ensure Premiere is running and connected
-    if (!premiereConnection) {
-      results.steps.push({ step: "restart_premiere", status: "starting" });
+    let session = sessionId;
+    if (sessions.size === 0) {
+      startStep(1, "restart_premiere");
       const restartResult = await restartPremiere();
       results.steps[results.steps.length - 1].status = restartResult.success ? "success" : "failed";
       results.steps[results.steps.length - 1].result = restartResult;
@@ -368,11 +1042,12 @@ async function runAutonomousTestCycle() {
         results.error = "Failed to start Premiere";
         return results;
       }
+      session = restartResult.session;
     }
 
     // Step 2: Open test project (CEP panel should auto-setup)
-    results.steps.push({ step: "open_project", status: "starting" });
-    const projectResult = await sendToPremmiere("open_test_project", {});
+    startStep(2, "open_project");
+    const projectResult = await sendToPremmiere("open_test_project", { effect }, { session, signal });
     results.steps[results.steps.length - 1].status = projectResult.success ? "success" : "failed";
     results.steps[results.steps.length - 1].result = projectResult;
 
@@ -381,9 +1056,9 @@ async function runAutonomousTestCycle() {
       return results;
     }
 
-    // Step 3: Apply MoshBrosh effect
-    results.steps.push({ step: "apply_effect", status: "starting" });
-    const effectResult = await sendToPremmiere("apply_effect", {});
+    // Step 3: Apply the effect under test
+    startStep(3, "apply_effect", { effect: effect || CONFIG.effectDisplayName });
+    const effectResult = await sendToPremmiere("apply_effect", { effect }, { session, signal });
     results.steps[results.steps.length - 1].status = effectResult.success ? "success" : "failed";
     results.steps[results.steps.length - 1].result = effectResult;
 
@@ -391,16 +1066,17 @@ async function runAutonomousTestCycle() {
       results.error = `Failed to apply effect: ${effectResult.error}`;
       return results;
     }
+    effectParams = await currentEffectParams(session, effect, { signal });
 
     // Step 4: Wait for effect to process
-    results.steps.push({ step: "wait_for_processing", status: "starting", waitMs: CONFIG.effectProcessingWaitMs });
+    startStep(4, "wait_for_processing", { waitMs: CONFIG.effectProcessingWaitMs });
     console.error(`[MCP] Waiting ${CONFIG.effectProcessingWaitMs}ms for effect to process...`);
-    await new Promise(r => setTimeout(r, CONFIG.effectProcessingWaitMs));
+    await wait(CONFIG.effectProcessingWaitMs);
     results.steps[results.steps.length - 1].status = "success";
 
     // Step 5: Export sequence
-    results.steps.push({ step: "export_sequence", status: "starting" });
-    const exportResult = await sendToPremmiere("export_sequence", {});
+    startStep(5, "export_sequence");
+    const exportResult = await startExport(session, {}, { signal });
     results.steps[results.steps.length - 1].status = exportResult.success ? "success" : "failed";
     results.steps[results.steps.length - 1].result = exportResult;
 
@@ -410,31 +1086,20 @@ async function runAutonomousTestCycle() {
     }
 
     // Step 6: Wait for export to complete and analyze
-    results.steps.push({ step: "analyze_export", status: "starting" });
-
-    // Wait for export file to appear and stabilize
-    let exportReady = false;
-    for (let i = 0; i < 60; i++) {
-      if (existsSync(CONFIG.exportOutputPath)) {
-        const size1 = statSync(CONFIG.exportOutputPath).size;
-        await new Promise(r => setTimeout(r, 2000));
-        const size2 = statSync(CONFIG.exportOutputPath).size;
-        if (size1 === size2 && size1 > 0) {
-          exportReady = true;
-          break;
-        }
-      }
-      await new Promise(r => setTimeout(r, 1000));
-    }
+    startStep(6, "analyze_export");
 
-    if (!exportReady) {
+    // Wait for Media Encoder to report the job finished
+    const job = await exportJobs.waitFor(exportJobs.get(exportResult.job.job_id), { signal });
+    results.steps[results.steps.length - 1].export = exportJobs.describe(job);
+    if (job.status !== "complete") {
       results.steps[results.steps.length - 1].status = "failed";
-      results.error = "Export file not ready after 60s";
+      results.error = `Export ${job.status}: ${job.error}`;
       return results;
     }
+    await waitForFile(job.outputPath);
 
     // Compare frames from export with CLI output
-    const analysisResult = await analyzeExportedVideo();
+    const analysisResult = await analyzeExportedVideo(job.outputPath);
     results.steps[results.steps.length - 1].status = analysisResult.success ? "success" : "failed";
     results.steps[results.steps.length - 1].result = analysisResult;
 
@@ -443,17 +1108,73 @@ async function runAutonomousTestCycle() {
 
   } catch (e) {
     results.error = e.message;
+    const current = results.steps[results.steps.length - 1];
+    if (current?.status === "starting") {
+      current.status = "failed";
+    }
     return results;
+  } finally {
+    endStep();
+    results.durationMs = Date.now() - startedAt;
+    recordRun("autonomous_test", { startedAt, logOffset, effect, effectParams, result: results });
+  }
+}
+
+// Current values of the effect's params, or null when they can't be read (no panel, effect not applied)
+async function currentEffectParams(session, effect, { signal } = {}) {
+  try {
+    const result = await sendToPremmiere("get_effect_params", { effect }, { session, signal });
+    return result?.success ? result.params : null;
+  } catch {
+    return null;
+  }
+}
+
+// Remember a run for generate_report, with what the plugin logged and whether Premiere crashed meanwhile
+function recordRun(kind, { startedAt, logOffset, effect, effectParams, result }) {
+  lastRuns[kind] = {
+    kind,
+    startedAt,
+    finishedAt: Date.now(),
+    effect: effect || CONFIG.effectDisplayName,
+    effectParams,
+    result,
+    build: lastBuild,
+    debugLog: debugLog.read(logOffset).text,
+    crash: crashSince(startedAt)
+  };
+}
+
+// Write an HTML report for the last run of kind (default: the most recent run of any kind)
+function generateReport({ kind, outputPath, title } = {}) {
+  const run = kind
+    ? lastRuns[kind]
+    : Object.values(lastRuns).sort((a, b) => b.finishedAt - a.finishedAt)[0];
+  if (!run) {
+    throw new Error(kind
+      ? `No ${kind} run since the server started. Run ${kind === "autonomous_test" ? "run_autonomous_test" : "analyze_premiere_export"} first.`
+      : "Nothing to report yet. Run run_autonomous_test or analyze_premiere_export first.");
   }
+  // Crash reports are written a few seconds after the crash, so look again now
+  const report = run.crash.crashed ? getLatestCrashReport() || lastCrashReport : null;
+  const crash = report ? { ...run.crash, crashReport: reportHeadline(report), crashLog: report.raw } : run.crash;
+  const target = outputPath
+    ? path.resolve(CONFIG.reportDir, outputPath.replace(/^~(?=\/|$)/, homedir()))
+    : path.join(CONFIG.reportDir, `${run.kind}_${timestampDir()}.html`);
+  return { kind: run.kind, ...writeReport({ ...run, crash }, target, { title }) };
 }
 
+// Minimum RMSE (0-255 scale) between frames 15 and 30 for the mosh to count as visible.
+// Equivalent to the old ImageMagick threshold of 1000 on its 16-bit scale.
+const MIN_MOSH_RMSE = 4;
+
 // Analyze exported video by comparing frames to CLI output
-async function analyzeExportedVideo() {
+async function analyzeExportedVideo(videoPath = latestExportPath()) {
   try {
     // Extract frames from Premiere export
     const premiereFramesDir = `${CONFIG.exportOutputDir}/premiere_frames`;
     execSync(`mkdir -p "${premiereFramesDir}"`);
-    execSync(`ffmpeg -y -i "${CONFIG.exportOutputPath}" -vf "select=gte(n\\,10)*lte(n\\,40)" -vsync vfr "${premiereFramesDir}/frame_%03d.png" 2>/dev/null`);
+    execSync(`ffmpeg -y -i "${videoPath}" -vf "select=gte(n\\,10)*lte(n\\,40)" -vsync vfr "${premiereFramesDir}/frame_%03d.png" 2>/dev/null`);
 
     // Extract frames from CLI output (if exists)
     const cliFramesDir = `${CONFIG.exportOutputDir}/cli_frames`;
@@ -471,55 +1192,420 @@ async function analyzeExportedVideo() {
       return { success: false, error: "Could not extract frames from export" };
     }
 
-    // Use ImageMagick to compare frames
-    try {
-      const diffResult = execSync(`compare -metric RMSE "${frame15}" "${frame30}" null: 2>&1`, { encoding: "utf8" });
-      const rmse = parseFloat(diffResult.match(/[\d.]+/)?.[0] || "0");
+    const heatmap = `${premiereFramesDir}/diff_15_30.png`;
+    const { metrics } = compareImageFilesWithHeatmap(frame15, frame30, heatmap);
+
+    // If RMSE is very low, frames are too similar (effect not working)
+    // If RMSE is reasonable, effect is creating visible changes
+    const effectWorking = metrics.rmse > MIN_MOSH_RMSE;
+
+    // Premiere vs CLI at the same frames, when the CLI output was there to extract
+    const cliComparisons = [];
+    for (const [frame, file] of [[15, "frame_006.png"], [30, "frame_021.png"]]) {
+      const cliFrame = `${cliFramesDir}/${file}`;
+      if (!existsSync(cliFrame)) continue;
+      const comparison = { frame, premiere: `${premiereFramesDir}/${file}`, cli: cliFrame };
+      try {
+        const cliHeatmap = `${premiereFramesDir}/diff_cli_${frame}.png`;
+        const { metrics: cliMetrics } = compareImageFilesWithHeatmap(comparison.premiere, cliFrame, cliHeatmap);
+        comparison.metrics = formatMetrics({ rmse: cliMetrics.rmse, ssim: cliMetrics.ssim, psnr: cliMetrics.psnr, changedPixelRatio: cliMetrics.changedPixelRatio });
+        comparison.heatmap = cliHeatmap;
+      } catch (e) {
+        comparison.error = e.message;
+      }
+      cliComparisons.push(comparison);
+    }
+
+    return {
+      success: effectWorking,
+      message: effectWorking ? "Mosh effect is visible in export" : "Frames look too similar - effect may not be working",
+      metrics: formatMetrics(metrics),
+      frame15,
+      frame30,
+      heatmap,
+      cliComparisons
+    };
+
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+}
 
-      // If RMSE is very low, frames are too similar (effect not working)
-      // If RMSE is reasonable, effect is creating visible changes
-      const effectWorking = rmse > 1000; // Threshold for visible difference
+// Finish CEP commands whose ExtendScript side only writes files (images, metrics are computed here)
+async function postProcessCepResult(command, result) {
+  if (!result?.success) {
+    return result;
+  }
+
+  switch (command) {
+    case "render_frame": {
+      return { ...result, image: await readRenderedPng(result.path) };
+    }
+
+    case "render_frame_range": {
+      const images = [];
+      for (const { frame, path: framePath } of result.frames) {
+        images.push({ frame, path: framePath, data: await readRenderedPng(framePath) });
+      }
+      return { ...result, images };
+    }
+
+    case "get_source_frame": {
+      const outputPath = path.join(CONFIG.exportOutputDir, `source_frame_${result.frame}.png`);
+      const extracted = await extractFrameAtTime(result.mediaPath, result.sourceSeconds, outputPath);
+      if (!extracted.success) {
+        return { success: false, frame: result.frame, mediaPath: result.mediaPath, error: extracted.error };
+      }
+      return { ...result, path: outputPath, image: extracted.image };
+    }
 
+    case "compare_frames": {
+      const dataA = await readRenderedPng(result.frameA.path);
+      const dataB = await readRenderedPng(result.frameB.path);
+      const heatmapPath = result.frameA.path.replace(/\.png$/, `_diff_${result.frameB.frame}.png`);
+      const { metrics } = compareImageFilesWithHeatmap(result.frameA.path, result.frameB.path, heatmapPath);
       return {
-        success: effectWorking,
-        message: effectWorking ? "Mosh effect is visible in export" : "Frames look too similar - effect may not be working",
-        rmse,
-        frame15,
-        frame30
+        success: true,
+        frame_a: result.frameA.frame,
+        frame_b: result.frameB.frame,
+        metrics: formatMetrics(metrics),
+        heatmap: heatmapPath,
+        images: [
+          { frame: result.frameA.frame, path: result.frameA.path, data: dataA },
+          { frame: result.frameB.frame, path: result.frameB.path, data: dataB },
+          { label: "Difference heatmap", path: heatmapPath, data: readFileSync(heatmapPath).toString("base64") }
+        ]
       };
-    } catch (e) {
-      // compare returns non-zero if images differ, which is actually good
-      return { success: true, message: "Frames differ (effect appears to be working)" };
     }
 
-  } catch (e) {
-    return { success: false, error: e.message };
+    default:
+      return result;
   }
 }
 
-// MCP Server setup
-const server = new Server(
-  { name: "premiere-mcp-server", version: "1.0.0" },
-  { capabilities: { tools: {} } }
-);
+// Run the CLI with the effect params currently set in Premiere and compare its output
+// with the Premiere export frame by frame
+async function runParityCheck(options = {}) {
+  const {
+    premiereVideo = latestExportPath(),
+    inputVideo = requirePath(CONFIG, "testVideoPath"), // the clip the Premiere sequence uses
+    start = 0,
+    end = 60,
+    frameOffset = 0,
+    minSsim = DEFAULT_PARITY_THRESHOLD,
+    session,
+    effect
+  } = options;
+
+  if (!existsSync(premiereVideo)) {
+    throw new Error(`Premiere export not found: ${premiereVideo}. Run export_sequence and wait_for_export first.`);
+  }
+
+  const paramsResult = await sendToPremmiere("get_effect_params", { effect }, { session });
+  if (!paramsResult?.success) {
+    throw new Error(`Could not read effect params: ${paramsResult?.error}`);
+  }
+  const { options: cliOptions, unmapped, defaulted } = effectParamsToCliOptions(paramsResult.params);
+
+  const parityDir = path.join(CONFIG.exportOutputDir, "parity");
+  const cliVideo = path.join(parityDir, "cli_parity.mp4");
+  execSync(`mkdir -p "${parityDir}"`);
+  execSync(`rm -rf "${parityDir}/premiere_frames" "${parityDir}/cli_frames"`);
+  const cliResult = await runCliTool({ ...cliOptions, inputVideo, outputVideo: cliVideo });
+  if (!cliResult.success) {
+    return { success: false, stage: "cli", params: paramsResult.params, cli: cliResult };
+  }
+
+  const premiereFrames = await extractFrameRange(premiereVideo, start + frameOffset, end + frameOffset, `${parityDir}/premiere_frames`);
+  const cliFrames = await extractFrameRange(cliVideo, start, end, `${parityDir}/cli_frames`);
+  if (!premiereFrames.success || !cliFrames.success) {
+    return {
+      success: false,
+      stage: "extract_frames",
+      error: premiereFrames.error || cliFrames.error
+    };
+  }
+
+  const frames = [];
+  for (let n = start; n <= end; n++) frames.push(n);
+  const comparison = compareFrameSets({
+    premiereDir: `${parityDir}/premiere_frames`,
+    cliDir: `${parityDir}/cli_frames`,
+    frames,
+    frameOffset,
+    minSsim,
+    heatmapDir: `${parityDir}/diff`
+  });
+
+  return {
+    ...comparison,
+    premiereVideo,
+    inputVideo,
+    cliVideo,
+    effectParams: paramsResult.params,
+    cliParams: cliOptions,
+    unmappedParams: unmapped,
+    defaultedParams: defaulted,
+    cliCommand: cliResult.command
+  };
+}
+
+// Capture current output frames for baseline recording/comparison.
+// "cli" extracts from the last CLI run's output; "premiere" renders through the CEP panel.
+async function captureBaselineFrames(source, frames, session, effect) {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error("frames must be a non-empty array of frame numbers");
+  }
+
+  if (source === "cli") {
+    if (!lastCliRun) {
+      throw new Error("No CLI run recorded yet. Call run_cli_datamosh first.");
+    }
+    // The CLI tool renders the configured plugin's algorithm, whatever effect was asked for
+    const set = baselineSet({ source, mediaPath: lastCliRun.inputVideo, effect: CONFIG.effectDisplayName, params: lastCliRun.params });
+    const captured = [];
+    for (const frame of frames) {
+      const outputPath = path.join(CONFIG.cliToolDir, `baseline_capture_${frame}.png`);
+      const result = await extractFrameFromVideo(lastCliRun.outputVideo, frame, outputPath);
+      if (!result.success) {
+        throw new Error(`Could not extract frame ${frame} from ${lastCliRun.outputVideo}: ${result.error}`);
+      }
+      captured.push({ frame, path: outputPath });
+    }
+    return { set, captured };
+  }
+
+  if (source === "premiere") {
+    const paramsResult = await sendToPremmiere("get_effect_params", { effect }, { session });
+    if (!paramsResult?.success) {
+      throw new Error(`Could not read effect params: ${paramsResult?.error}`);
+    }
+    if (!paramsResult.mediaPath) {
+      throw new Error("Premiere did not report the media of the clip the effect is on; update the CEP panel.");
+    }
+    // Key by what Premiere renders: the clip's media and the effect as found on it
+    const set = baselineSet({ source, mediaPath: paramsResult.mediaPath, effect: paramsResult.effectName, params: paramsResult.params });
+    const captured = [];
+    for (const frame of frames) {
+      const result = await sendToPremmiere("render_frame", { frame }, { session });
+      if (!result?.success) {
+        throw new Error(`Could not render frame ${frame}: ${result?.error}`);
+      }
+      await readRenderedPng(result.path);
+      captured.push({ frame, path: result.path });
+    }
+    return { set, captured };
+  }
+
+  throw new Error(`Unknown source "${source}" (expected "cli" or "premiere")`);
+}
+
+// An effect's parameters as Premiere reports them, with ranges, defaults and popup
+// choices from effectParamSchemaFile
+async function getEffectParamSchema({ effect, session } = {}, options = {}) {
+  const result = await sendToPremmiere("get_effect_param_schema", { effect }, { ...options, session });
+  if (!result?.success) {
+    return result;
+  }
+  const declared = loadParamSchemaFile(CONFIG.effectParamSchemaFile);
+  const names = [effect || CONFIG.effectDisplayName, result.effectName, result.matchName];
+  return { ...result, ...mergeParamSchema(result.params, declared, names), schemaFile: CONFIG.effectParamSchemaFile };
+}
+
+// Set an effect parameter after checking the value against the parameter's type and range
+async function setEffectParam({ param, value, effect, session } = {}, options = {}) {
+  const target = sessions.resolve(session);
+  if (!sessions.supports(target, "get_effect_param_schema")) {
+    // Panels from before typed params paste the value into ExtendScript as a number
+    if (typeof value !== "number") {
+      throw new Error(`CEP panel ${target.panelVersion || "(unknown version)"} (${target.id}) can only set numeric params. Reinstall it with install.sh.`);
+    }
+    return sendToPremmiere("set_effect_param", { effect, param, value }, { ...options, session: target.id });
+  }
+
+  const schema = await getEffectParamSchema({ effect, session: target.id }, options);
+  if (!schema?.success) {
+    return schema;
+  }
+  const entry = findParamSchema(schema.params, param);
+  if (!entry) {
+    return { success: false, error: `Parameter not found: ${param}`, availableParams: schema.params.map(p => p.name) };
+  }
+  const typed = coerceParamValue(entry, value);
+  const result = await sendToPremmiere("set_effect_param", {
+    effect,
+    param: entry.name,
+    value: typed.value,
+    valueType: typed.valueType
+  }, { ...options, session: target.id });
+  return result?.success ? { ...result, type: entry.type } : result;
+}
+
+// How run_test_suite drives Premiere, the CLI and the logs (see runTestSuite in src/test-suite.js)
+function testSuiteDeps(sessionId, { signal } = {}) {
+  let overridden = null; // session whose config a spec replaced
 
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    async setup({ effect, project, media, applyEffect, params }) {
+      const session = sessions.resolve(sessionId);
+      if (project || media) {
+        sendPanelConfig(session.ws, {
+          testProjectPath: project || CONFIG.testProjectPath,
+          testVideoPath: media || CONFIG.testVideoPath
+        });
+        overridden = session;
+      }
+
+      const opened = await sendToPremmiere("open_test_project", { effect }, { session: session.id, signal });
+      if (!opened?.success) {
+        return opened;
+      }
+      // An open project stays open: the panel only opens or creates one when none is
+      const openProject = opened.project || session.projectPath;
+      if (project && openProject && path.resolve(openProject) !== project) {
+        return { success: false, error: `Premiere has ${openProject} open but the spec needs ${project}. Close the project in Premiere and run again.` };
+      }
+
+      if (applyEffect) {
+        const applied = await sendToPremmiere("apply_effect", { effect }, { session: session.id, signal });
+        if (!applied?.success) {
+          return applied;
+        }
+      }
+      for (const [param, value] of Object.entries(params)) {
+        const result = await setEffectParam({ param, value, effect, session: session.id }, { signal });
+        if (!result?.success) {
+          return { success: false, error: `${param}: ${result?.error}` };
+        }
+      }
+      return { success: true, project: openProject, action: opened.action };
+    },
+
+    async teardown() {
+      if (overridden) {
+        sendPanelConfig(overridden.ws);
+        overridden = null;
+      }
+    },
+
+    setParam: ({ param, value, effect }) => setEffectParam({ param, value, effect, session: sessionId }, { signal }),
+
+    async renderFrame(frame) {
+      const result = await sendToPremmiere("render_frame", { frame }, { session: sessionId, signal });
+      if (result?.success) {
+        await readRenderedPng(result.path);
+      }
+      return result;
+    },
+
+    // Export and wait for the file, so later steps and checks can use it
+    async exportSequence({ preset, outputPath, range, mode, timeoutMs }) {
+      const result = await startExport(sessionId, { preset, outputPath, range, mode }, { signal });
+      if (!result?.success) {
+        return result;
+      }
+      const job = await exportJobs.waitFor(exportJobs.get(result.job.job_id), { timeoutMs, signal });
+      if (job.status !== "complete") {
+        return { success: false, error: `Export ${job.status}: ${job.error}`, job: exportJobs.describe(job) };
+      }
+      await waitForFile(job.outputPath);
+      return { success: true, outputPath: job.outputPath, preset: result.preset, job: exportJobs.describe(job) };
+    },
+
+    runCli: runCliTool,
+    extractFrame: extractFrameFromVideo,
+    parity: (options) => runParityCheck({ ...options, session: sessionId }),
+
+    crashSince,
+
+    logOffset: debugLog.size,
+    logSince: offset => debugLog.read(offset).text,
+    inputVideo: () => requirePath(CONFIG, "testVideoPath")
+  };
+}
+
+// Folder name for a run's output
+function timestampDir() {
+  return new Date().toISOString().replace(/[:.]/g, "-");
+}
+
+// Run the test specs in dir (absolute or relative to sourceRoot; default testSpecDir)
+async function runSpecSuite({ dir, filter, stopOnFailure, outputDir, session } = {}, { signal, onProgress } = {}) {
+  return runTestSuite(testSuiteDeps(session, { signal }), {
+    dir: dir ? path.resolve(CONFIG.sourceRoot, dir) : requirePath(CONFIG, "testSpecDir"),
+    filter,
+    stopOnFailure,
+    outputDir: outputDir || path.join(CONFIG.testRunDir, timestampDir()),
+    signal,
+    onProgress
+  });
+}
+
+// Sweep CLI params (see runCliSweep in src/sweep.js); each sweep gets a new folder unless outputDir is given
+async function runSweep(options) {
+  return runCliSweep({
+    runCli: runCliTool,
+    extractFrame: extractFrameFromVideo,
+    inputVideo: requirePath(CONFIG, "testVideoPath")
+  }, {
+    ...options,
+    outputDir: options.outputDir || path.join(CONFIG.sweepDir, timestampDir())
+  });
+}
+
+// Optional target for tools that talk to a CEP panel
+const SESSION_ARG = {
+  type: "string",
+  description: "CEP panel session id from premiere_status (default: the only connected panel)"
+};
+
+// Optional target for tools that work on an effect
+const EFFECT_ARG = {
+  type: "string",
+  description: `Effect display name or match name (default: the configured effect, ${CONFIG.effectDisplayName})`
+};
+
+// Where a keyframe sits on the sequence timeline
+const KEYFRAME_POSITION = {
+  type: ["number", "string"],
+  description: "Sequence frame number or timecode HH:MM:SS:FF"
+};
+
+const INTERPOLATIONS = ["linear", "hold", "bezier", "time"];
+
+// MCP Server setup
+const server = new Server(
+  { name: "premiere-mcp-server", version: "1.0.0" },
+  { capabilities: { tools: { listChanged: true }, resources: { subscribe: true } } }
+);
+
+// Tell the MCP client to re-list tools after a panel connects or goes away
+function notifyToolListChanged() {
+  server.sendToolListChanged().catch(() => {});
+}
+
+// Every tool the server defines, as a ListTools result
+function listTools() {
   return {
     tools: [
       {
         name: "premiere_status",
-        description: "Check if Premiere Pro is running and connected",
+        description: "Check whether Premiere Pro is healthy, hung (heartbeats stopped or a call never returned) or crashed, and list connected CEP panel sessions: id, Premiere and panel versions, negotiated protocol and supported commands, open project, last heartbeat, and for a hung session the stack sample and debug log saved when the hang was detected",
+        inputSchema: { type: "object", properties: {} }
+      },
+      {
+        name: "get_config",
+        description: "Show the effective server configuration, where each value came from, and any path warnings",
         inputSchema: { type: "object", properties: {} }
       },
       {
         name: "build_plugin",
-        description: "Build the MoshBrosh plugin using xcodebuild",
+        description: "Build the plugin with the configured pluginBuildCommand",
         inputSchema: { type: "object", properties: {} }
       },
       {
         name: "install_plugin",
-        description: "Install the built plugin to Premiere's plugin directory",
+        description: "Install the built plugin to Premiere's plugin directory with the configured pluginInstallCommand",
         inputSchema: { type: "object", properties: {} }
       },
       {
@@ -530,15 +1616,51 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "restart_premiere",
         description: "Kill and restart Premiere Pro, wait for CEP panel to reconnect",
-        inputSchema: { type: "object", properties: {} }
+        inputSchema: {
+          type: "object",
+          properties: {
+            force: { type: "boolean", description: "Kill with SIGKILL, for a Premiere that is hung (default false)" }
+          }
+        }
       },
       {
         name: "get_plugin_debug_log",
-        description: "Get the debug log output from the MoshBrosh plugin",
+        description: "Get the plugin's debug log output (pluginDebugLog). Without since or since_marker, returns the last lines as text. With either, returns JSON with only the lines written after that point and a next cursor to pass as since on the following read. The server marks the log before and after every tool call and CEP command (\"call-<n>:start\", \"request-<n>:end\", ...); see also mark_plugin_debug_log and get_log_for_request.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            lines: { type: "number", description: "Number of lines to return (default 100, or 1000 when reading from a cursor)" },
+            since: { type: "integer", description: "Byte offset to read from: the next cursor of an earlier read" },
+            since_marker: { type: "string", description: "Read from this marker" },
+            until_marker: { type: "string", description: "Stop at this marker (default: the end of the log)" },
+            pattern: { type: "string", description: "Only lines matching this regular expression" },
+            level: { type: "string", enum: LOG_LEVELS, description: "Only lines at least this severe. A line's level is the first ERROR/WARN/INFO/DEBUG/TRACE word in it; lines without one count as info." }
+          }
+        }
+      },
+      {
+        name: "mark_plugin_debug_log",
+        description: "Name the current end of the plugin debug log, to read what is written after it with get_plugin_debug_log since_marker",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: { type: "string", description: "Marker name; reusing a name moves the marker" }
+          },
+          required: ["name"]
+        }
+      },
+      {
+        name: "get_log_for_request",
+        description: "Get exactly the plugin debug log lines written while one tool call or CEP command was running. Pick it by call_id, by tool name (its latest call) or by CEP command name (its latest run, e.g. render_frame); with none of them, the latest tool call that isn't a log read. Calls that ran at the same time are listed, since their lines are mixed in.",
         inputSchema: {
           type: "object",
           properties: {
-            lines: { type: "number", description: "Number of lines to return (default 100)" }
+            call_id: { type: "integer", description: "Tool call number (call.id of an earlier get_log_for_request)" },
+            tool: { type: "string", description: "The latest call of this tool" },
+            command: { type: "string", description: "The latest run of this CEP command" },
+            pattern: { type: "string", description: "Only lines matching this regular expression" },
+            level: { type: "string", enum: LOG_LEVELS, description: "Only lines at least this severe" },
+            lines: { type: "number", description: "Most lines to return, the last ones kept (default 1000)" }
           }
         }
       },
@@ -549,41 +1671,167 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "get_last_crash_log",
-        description: "Get the most recent Premiere crash log if one exists",
-        inputSchema: { type: "object", properties: {} }
+        description: "Get the most recent Premiere crash report (.ips or .crash) as a summary: exception type and signal, the crashed thread's stack frames with image names and offsets, and the loaded image ranges those frames are in. Frames inside the plugin are flagged inPlugin.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            raw: { type: "boolean", description: "Return the report's full text instead of the summary (default false)" },
+            frames: { type: "integer", description: "Stack frames of the crashed thread to include (default 30)" }
+          }
+        }
+      },
+      {
+        name: "list_crash_groups",
+        description: "List every crash recorded since the crash history began, grouped by signature (a hash of the top plugin frames of the crashed thread). Each group has its count, first and last seen, the plugin builds it happened in and a sample crash with its headline. Use it to tell one bug hit many times from many bugs.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            since: { type: "string", description: "Only crashes at or after this time (ISO 8601)" }
+          }
+        }
+      },
+      {
+        name: "get_crash_group",
+        description: "Get every crash with a signature from list_crash_groups: time, effect params, plugin build hash and the tool call and panel command that preceded it, plus the parsed sample report",
+        inputSchema: {
+          type: "object",
+          properties: {
+            signature: { type: "string", description: "Signature from list_crash_groups" },
+            raw: { type: "boolean", description: "Include the sample report's full text (default false)" }
+          },
+          required: ["signature"]
+        }
       },
       {
         name: "open_test_project",
-        description: "Open or create a test project with test video and MoshBrosh effect applied",
-        inputSchema: { type: "object", properties: {} }
+        description: "Open or create a test project with test video and the effect applied",
+        inputSchema: { type: "object", properties: { effect: EFFECT_ARG, session: SESSION_ARG } }
       },
       {
         name: "render_frame",
-        description: "Render a specific frame and return it as a base64 image",
+        description: "Render a specific frame (effects applied) and return it as a PNG image",
         inputSchema: {
           type: "object",
           properties: {
-            frame: { type: "number", description: "Frame number to render" }
+            frame: { type: "number", description: "Frame number to render" },
+            session: SESSION_ARG
           },
           required: ["frame"]
         }
       },
       {
         name: "set_effect_param",
-        description: "Set a parameter on the MoshBrosh effect",
+        description: "Set a parameter on the effect. The value is checked against the parameter's type and range (see get_effect_param_schema).",
         inputSchema: {
           type: "object",
           properties: {
-            param: { type: "string", description: "Parameter name (mosh_frame, duration, block_size, search_range, blend)" },
-            value: { type: "number", description: "Parameter value" }
+            param: { type: "string", description: "Parameter display name or snake_case name, e.g. mosh_frame (see get_effect_param_schema)" },
+            value: {
+              type: ["number", "boolean", "string", "array", "object"],
+              description: "number; true/false for checkboxes; a choice label or 1-based index for popups; \"#RRGGBB\", [r, g, b] or { r, g, b, a } (0-255) for colours; [x, y] or { x, y } for points"
+            },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
           },
           required: ["param", "value"]
         }
       },
       {
         name: "get_effect_params",
-        description: "Get all current parameter values from the MoshBrosh effect",
-        inputSchema: { type: "object", properties: {} }
+        description: "Get all current parameter values from the effect",
+        inputSchema: { type: "object", properties: { effect: EFFECT_ARG, session: SESSION_ARG } }
+      },
+      {
+        name: "get_effect_param_schema",
+        description: "Describe each effect parameter: display name, type (number/integer/bool/popup/color/point), current value, range, default, popup choices and keyframe support. Ranges, defaults and choices come from effectParamSchemaFile, since Premiere doesn't report them.",
+        inputSchema: { type: "object", properties: { effect: EFFECT_ARG, session: SESSION_ARG } }
+      },
+      {
+        name: "set_param_time_varying",
+        description: "Turn keyframing (time-varying mode) on or off for an effect parameter. Turning it off deletes the parameter's keyframes.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            param: { type: "string", description: "Parameter display name or snake_case name" },
+            enabled: { type: "boolean", description: "true to animate the parameter, false for a static value" },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          },
+          required: ["param", "enabled"]
+        }
+      },
+      {
+        name: "add_keyframe",
+        description: "Add a keyframe to an effect parameter (turns on time-varying mode if needed), or update the one already there. Returns the parameter's keyframes.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            param: { type: "string", description: "Parameter display name or snake_case name" },
+            at: KEYFRAME_POSITION,
+            value: { type: "number", description: "Value at the keyframe (default: the parameter's current value there)" },
+            interpolation: { type: "string", enum: INTERPOLATIONS, description: "Interpolation from this keyframe (default: Premiere's)" },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          },
+          required: ["param", "at"]
+        }
+      },
+      {
+        name: "move_keyframe",
+        description: "Move a keyframe to another frame, keeping its value. Premiere can't report interpolation, so pass it again if it isn't the default.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            param: { type: "string", description: "Parameter display name or snake_case name" },
+            from: KEYFRAME_POSITION,
+            to: KEYFRAME_POSITION,
+            interpolation: { type: "string", enum: INTERPOLATIONS, description: "Interpolation for the moved keyframe" },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          },
+          required: ["param", "from", "to"]
+        }
+      },
+      {
+        name: "remove_keyframe",
+        description: "Remove the keyframe at a frame or timecode from an effect parameter",
+        inputSchema: {
+          type: "object",
+          properties: {
+            param: { type: "string", description: "Parameter display name or snake_case name" },
+            at: KEYFRAME_POSITION,
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          },
+          required: ["param", "at"]
+        }
+      },
+      {
+        name: "set_keyframe_interpolation",
+        description: "Set the interpolation type of the keyframe at a frame or timecode",
+        inputSchema: {
+          type: "object",
+          properties: {
+            param: { type: "string", description: "Parameter display name or snake_case name" },
+            at: KEYFRAME_POSITION,
+            interpolation: { type: "string", enum: INTERPOLATIONS },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          },
+          required: ["param", "at", "interpolation"]
+        }
+      },
+      {
+        name: "get_keyframes",
+        description: "List keyframes (frame, timecode, value) of one effect parameter, or of every parameter with time-varying mode on/off",
+        inputSchema: {
+          type: "object",
+          properties: {
+            param: { type: "string", description: "Parameter display name or snake_case name (default: all parameters)" },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          }
+        }
       },
       {
         name: "render_frame_range",
@@ -593,7 +1841,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           properties: {
             start: { type: "number", description: "Start frame" },
             end: { type: "number", description: "End frame" },
-            step: { type: "number", description: "Step between frames (default 1)" }
+            step: { type: "number", description: "Step between frames (default 1)" },
+            session: SESSION_ARG
           },
           required: ["start", "end"]
         }
@@ -604,19 +1853,21 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         inputSchema: {
           type: "object",
           properties: {
-            frame: { type: "number", description: "Frame number" }
+            frame: { type: "number", description: "Frame number" },
+            session: SESSION_ARG
           },
           required: ["frame"]
         }
       },
       {
         name: "compare_frames",
-        description: "Compare two rendered frames and return difference metrics",
+        description: "Render two frames and return difference metrics (RMSE, PSNR, SSIM, per-channel stats) plus both images and a diff heatmap",
         inputSchema: {
           type: "object",
           properties: {
             frame_a: { type: "number", description: "First frame number" },
-            frame_b: { type: "number", description: "Second frame number" }
+            frame_b: { type: "number", description: "Second frame number" },
+            session: SESSION_ARG
           },
           required: ["frame_a", "frame_b"]
         }
@@ -640,6 +1891,27 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           }
         }
       },
+      {
+        name: "sweep_cli_params",
+        description: "Run the CLI datamosh tool over every combination (or a random sample) of parameter values. Each run gets its own output file; returns a ranked summary with per-run difference-from-input metrics and timing, plus a contact sheet of the chosen frame from every run.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            params: {
+              type: "object",
+              description: "Values per parameter (mosh_frame, duration, block_size, search_range, blend). Each is a number, a list like [8, 16, 32], or a range like { \"min\": 0, \"max\": 100, \"step\": 25 }. Unswept params use the CLI defaults."
+            },
+            mode: { type: "string", enum: ["grid", "random"], description: "'grid' runs every combination, 'random' runs a sample (default 'grid')" },
+            samples: { type: "number", description: "Number of combinations for random mode (default 10)" },
+            seed: { type: "number", description: "Seed for random mode, to reproduce a sample" },
+            frame: { type: "number", description: "Frame used for metrics and the contact sheet (default 20)" },
+            rank_by: { type: "string", enum: ["rmse", "ssim", "psnr", "time"], description: "Ranking: rmse (most different from input first, default), ssim/psnr (least similar first), time (fastest first)" },
+            output_dir: { type: "string", description: `Directory for run outputs (default: a new folder under ${CONFIG.sweepDir})` },
+            max_runs: { type: "number", description: `Refuse sweeps with more runs than this (default ${DEFAULT_MAX_RUNS})` }
+          },
+          required: ["params"]
+        }
+      },
       {
         name: "get_cli_frame",
         description: "Extract a frame from the CLI output video as an image",
@@ -654,7 +1926,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: "compare_cli_frames",
-        description: "Compare input and output frames from CLI tool to see the effect",
+        description: "Compare input and output frames from CLI tool to see the effect, with difference metrics and a heatmap",
         inputSchema: {
           type: "object",
           properties: {
@@ -663,20 +1935,100 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
           required: ["frame"]
         }
       },
+      {
+        name: "compare_images",
+        description: "Compare any two PNG files: RMSE, PSNR, SSIM, per-channel stats and a difference heatmap",
+        inputSchema: {
+          type: "object",
+          properties: {
+            path_a: { type: "string", description: "First PNG file" },
+            path_b: { type: "string", description: "Second PNG file" },
+            heatmap_path: { type: "string", description: "Where to write the diff heatmap PNG (default: next to path_a)" },
+            change_threshold: { type: "number", description: "Per-pixel difference (0-255) above which a pixel counts as changed (default 8)" }
+          },
+          required: ["path_a", "path_b"]
+        }
+      },
+      {
+        name: "check_cli_parity",
+        description: "Check that the plugin in Premiere matches the CLI reference: reads the current effect params, runs the CLI with matching flags, and compares the Premiere export with the CLI output frame by frame. Reports per-frame SSIM/PSNR, the first divergent frame and overall pass/fail. Export the sequence first.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            premiere_video: { type: "string", description: "Premiere export to compare (default: output of the last export job, else the configured renderOutputPath)" },
+            input_video: { type: "string", description: "Clip the CLI renders; use the one in the exported sequence (default: the configured testVideoPath)" },
+            start: { type: "number", description: "First frame to compare (default 0)" },
+            end: { type: "number", description: "Last frame to compare (default 60)" },
+            frame_offset: { type: "number", description: "Premiere frame = CLI frame + offset, if the clip doesn't start at 0 (default 0)" },
+            min_ssim: { type: "number", description: `SSIM below which a frame counts as divergent (default ${DEFAULT_PARITY_THRESHOLD})` },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          }
+        }
+      },
+      {
+        name: "record_baseline",
+        description: "Record golden frames for the current test media, effect and params. Source 'cli' uses the last run_cli_datamosh output; 'premiere' renders through Premiere.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            source: { type: "string", enum: ["cli", "premiere"], description: "Where the frames come from" },
+            frames: { type: "array", items: { type: "number" }, description: "Frame numbers to record" },
+            overwrite: { type: "boolean", description: "Replace existing baseline frames (default false)" },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          },
+          required: ["source", "frames"]
+        }
+      },
+      {
+        name: "compare_to_baseline",
+        description: "Compare current output frames against the recorded baseline for the same media, effect and params. Reports drifted frames with metrics and diff heatmaps.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            source: { type: "string", enum: ["cli", "premiere"], description: "Where the frames come from" },
+            frames: { type: "array", items: { type: "number" }, description: "Frame numbers to compare" },
+            min_ssim: { type: "number", description: "Minimum SSIM to pass (default 0.98)" },
+            max_rmse: { type: "number", description: "Maximum RMSE on a 0-255 scale to pass (default 3)" },
+            min_psnr: { type: "number", description: "Minimum PSNR in dB to pass (default: not checked)" },
+            effect: EFFECT_ARG,
+            session: SESSION_ARG
+          },
+          required: ["source", "frames"]
+        }
+      },
+      {
+        name: "approve_baseline",
+        description: "Approve the output from the last compare_to_baseline as the new baseline",
+        inputSchema: {
+          type: "object",
+          properties: {
+            baseline_id: { type: "string", description: "Baseline id returned by compare_to_baseline" },
+            frames: { type: "array", items: { type: "number" }, description: "Frames to approve (default: all pending)" }
+          },
+          required: ["baseline_id"]
+        }
+      },
+      {
+        name: "list_baselines",
+        description: "List recorded baseline sets with their params and frames",
+        inputSchema: { type: "object", properties: {} }
+      },
       {
         name: "read_source_file",
-        description: "Read the contents of a source file in the MoshBrosh project",
+        description: "Read the contents of a source file in the plugin project (sourceRoot)",
         inputSchema: {
           type: "object",
           properties: {
-            file: { type: "string", description: "File path relative to project root, e.g., 'MoshBrosh/MoshBrosh.cpp'" }
+            file: { type: "string", description: "File path relative to sourceRoot" }
           },
           required: ["file"]
         }
       },
       {
         name: "edit_source_file",
-        description: "Edit a source file in the MoshBrosh project",
+        description: "Edit a source file in the plugin project (sourceRoot)",
         inputSchema: {
           type: "object",
           properties: {
@@ -690,51 +2042,150 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "run_autonomous_test",
         description: "Run a full autonomous test cycle: restart Premiere, open project, apply effect, wait for processing, export, and analyze frames. Handles crash recovery automatically.",
-        inputSchema: { type: "object", properties: {} }
+        inputSchema: { type: "object", properties: { effect: EFFECT_ARG, session: SESSION_ARG } }
+      },
+      {
+        name: "run_test_suite",
+        description: "Run the declarative test specs (*.json) in a directory: setup (project, media, effect, params), steps (set params, render frames, export, run the CLI) and assertions (frame metrics, CLI parity, no crash, debug log patterns). Returns pass/fail with timing per test and attaches evidence frames from failing tests. Spec format: see src/test-suite.js.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            dir: { type: "string", description: `Spec directory, absolute or relative to sourceRoot (default: ${CONFIG.testSpecDir})` },
+            filter: { type: "string", description: "Only run specs whose name or file name contains this" },
+            stop_on_failure: { type: "boolean", description: "Skip the remaining specs after the first failure (default false)" },
+            output_dir: { type: "string", description: `Where results.json and evidence frames go (default: a new folder under ${CONFIG.testRunDir})` },
+            include_images: { type: "boolean", description: `Attach evidence frames from failing tests, up to ${MAX_SUITE_IMAGES} (default true)` },
+            session: SESSION_ARG
+          }
+        }
       },
       {
         name: "get_project_info",
-        description: "Get info about the currently open Premiere project",
-        inputSchema: { type: "object", properties: {} }
+        description: "Get info about the currently open Premiere project, including whether the effect is on the first clip",
+        inputSchema: { type: "object", properties: { effect: EFFECT_ARG, session: SESSION_ARG } }
       },
       {
         name: "apply_effect",
-        description: "Apply the MoshBrosh effect to the first clip in the timeline",
-        inputSchema: { type: "object", properties: {} }
+        description: "Apply the effect to the first clip in the timeline",
+        inputSchema: { type: "object", properties: { effect: EFFECT_ARG, session: SESSION_ARG } }
+      },
+      {
+        name: "list_export_presets",
+        description: "List Media Encoder export presets (.epr): system presets from every installed Media Encoder/Premiere version, user presets, and exportPresetDir",
+        inputSchema: {
+          type: "object",
+          properties: {
+            filter: { type: "string", description: "Only presets whose name contains this (case-insensitive)" },
+            kind: { type: "string", enum: ["system", "user", "custom"], description: "Only presets of this kind" }
+          }
+        }
       },
       {
         name: "export_sequence",
-        description: "Export the current sequence to video file for analysis",
-        inputSchema: { type: "object", properties: {} }
+        description: "Export the current sequence. By default queues a Media Encoder job and returns its id; follow it with get_export_status or wait_for_export. The result names the preset used.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            preset: { type: "string", description: "Preset name (see list_export_presets) or path to an .epr file (default: Match Source - High bitrate, else the first H.264 preset)" },
+            output_path: { type: "string", description: `Output file; relative paths are under exportOutputDir (default: ${CONFIG.renderOutputPath})` },
+            range: { type: "string", enum: EXPORT_RANGES, description: "entire sequence, work area, or in/out points (default: work_area)" },
+            mode: { type: "string", enum: EXPORT_MODES, description: "encoder: queue in Media Encoder; premiere: encode in Premiere and return when done (default: encoder)" },
+            session: SESSION_ARG
+          }
+        }
+      },
+      {
+        name: "get_export_status",
+        description: "Status of an export job: queued/encoding/complete/failed/canceled/lost, progress, output path and the encoder's failure reason",
+        inputSchema: {
+          type: "object",
+          properties: {
+            job_id: { type: "string", description: "Job id from export_sequence (default: the most recent export)" }
+          }
+        }
+      },
+      {
+        name: "wait_for_export",
+        description: "Wait for an export job to finish, with progress notifications. Fails with the encoder's reason if the export fails.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            job_id: { type: "string", description: "Job id from export_sequence (default: the most recent export)" },
+            timeout_ms: { type: "number", description: `Give up waiting after this long (default ${DEFAULT_EXPORT_TIMEOUT_MS})` }
+          }
+        }
       },
       {
         name: "analyze_premiere_export",
-        description: "Analyze the exported video from Premiere, comparing frames to verify mosh effect is working",
+        description: "Analyze the exported video from Premiere, comparing frames to verify the effect is working",
         inputSchema: { type: "object", properties: {} }
+      },
+      {
+        name: "generate_report",
+        description: "Write a self-contained HTML report (images embedded) of the last run_autonomous_test or analyze_premiere_export: step timeline, effect params, Premiere and CLI frames side by side, diff heatmaps, metric charts, build output, the debug log for the run and any crash log. Returns the report path.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            run: { type: "string", enum: REPORT_KINDS, description: "Which run to report on (default: the most recent)" },
+            output_path: { type: "string", description: `HTML file to write, absolute or relative to ${CONFIG.reportDir} (default: a new file there)` },
+            title: { type: "string", description: "Report heading" }
+          }
+        }
       }
     ]
   };
+}
+
+// List available tools
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  // Only offer panel-backed tools that a connected panel reported in its hello
+  const supported = sessions.supportedCommands();
+  const offered = tool => !supported || !CEP_COMMANDS.includes(tool.name) || supported.has(tool.name);
+  return { tools: listTools().tools.filter(offered) };
 });
 
+// MCP progress notifications for a tool call, if the client asked for them with a progressToken
+function progressReporter(extra) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return undefined;
+  return createProgressReporter(progressToken, (params) => {
+    extra.sendNotification({ method: "notifications/progress", params }).catch(() => {});
+  });
+}
+
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleToolCall(request, extra) {
   const { name, arguments: args } = request.params;
+  const signal = extra?.signal;
+  const onProgress = progressReporter(extra);
+  lastToolCall = { tool: name, arguments: args ?? {}, at: new Date().toISOString() };
+  const logSpan = debugLog.begin("call", ++toolCallCounter, { tool: name, arguments: args ?? {} });
 
   try {
+    // Reject bad arguments here rather than letting them reach a handler or the panel
+    const tool = listTools().tools.find(t => t.name === name);
+    if (tool) {
+      validateToolArgs(tool, args);
+    }
+
     switch (name) {
       case "premiere_status": {
-        const running = isPremiereRunning();
-        const connected = premiereConnection !== null;
-        const pid = getPremierePid();
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(premiereStatus(), null, 2)
+          }]
+        };
+      }
+
+      case "get_config": {
         return {
           content: [{
             type: "text",
             text: JSON.stringify({
-              premiere_running: running,
-              cep_panel_connected: connected,
-              premiere_pid: pid,
-              last_heartbeat_ago_ms: connected ? Date.now() - lastHeartbeat : null,
-              last_crash_time: lastCrashTime > 0 ? new Date(lastCrashTime).toISOString() : null
+              config: CONFIG,
+              sources: CONFIG.sources,
+              warnings: CONFIG.warnings
             }, null, 2)
           }]
         };
@@ -761,45 +2212,79 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "build_and_install_plugin": {
-        const buildResult = await buildPlugin();
-        if (!buildResult.success) {
+        const result = await buildAndInstallPlugin();
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      }
+
+      case "restart_premiere": {
+        const result = await restartPremiere({ force: args?.force });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      }
+
+      case "get_plugin_debug_log": {
+        const filters = { pattern: args?.pattern, level: args?.level };
+        if (args?.since === undefined && !args?.since_marker && !args?.until_marker) {
+          const result = getPluginDebugLog(args?.lines || 100, filters);
           return {
             content: [{
               type: "text",
-              text: JSON.stringify({ success: false, stage: "build", ...buildResult }, null, 2)
+              text: result.log
             }]
           };
         }
-        const installResult = await installPlugin();
+        const from = args.since_marker ? debugLog.marker(args.since_marker).offset : args.since ?? 0;
+        const to = args.until_marker ? debugLog.marker(args.until_marker).offset : null;
+        const result = readDebugLogLines(from, to, { ...filters, maxLines: args.lines || DEFAULT_LOG_LINES });
         return {
           content: [{
             type: "text",
-            text: JSON.stringify({
-              success: installResult.success,
-              build: buildResult,
-              install: installResult
-            }, null, 2)
+            text: JSON.stringify({ path: debugLog.path, ...result, next: result.to }, null, 2)
           }]
         };
       }
 
-      case "restart_premiere": {
-        const result = await restartPremiere();
+      case "mark_plugin_debug_log": {
         return {
           content: [{
             type: "text",
-            text: JSON.stringify(result, null, 2)
+            text: JSON.stringify(debugLog.mark(args.name), null, 2)
           }]
         };
       }
 
-      case "get_plugin_debug_log": {
-        const lines = args?.lines || 100;
-        const result = getPluginDebugLog(lines);
+      case "get_log_for_request": {
+        const span = args?.call_id !== undefined ? debugLog.findSpan("call", s => s.id === args.call_id)
+          : args?.command ? debugLog.findSpan("request", s => s.command === args.command)
+          : args?.tool ? debugLog.findSpan("call", s => s.tool === args.tool)
+          : debugLog.findSpan("call", s => !LOG_TOOLS.includes(s.tool));
+        if (!span) {
+          const recent = debugLog.spans("call").filter(s => !LOG_TOOLS.includes(s.tool)).slice(-10).map(s => `${s.id} ${s.tool}`);
+          return {
+            content: [{ type: "text", text: `No matching ${args?.command ? "CEP command" : "tool call"} since the server started. Recent tool calls: ${recent.join(", ") || "none"}` }],
+            isError: true
+          };
+        }
+        const { start, end, ...call } = span;
+        const result = readDebugLogLines(start, end, { pattern: args?.pattern, level: args?.level, maxLines: args?.lines || DEFAULT_LOG_LINES });
         return {
           content: [{
             type: "text",
-            text: result.log
+            text: JSON.stringify({
+              call: { ...call, running: end === null },
+              overlapping: debugLog.overlapping(span).map(s => ({ kind: s.kind, id: s.id, tool: s.tool, command: s.command, session: s.session })),
+              path: debugLog.path,
+              ...result
+            }, null, 2)
           }]
         };
       }
@@ -815,11 +2300,70 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "get_last_crash_log": {
-        const log = getLatestCrashLog() || lastCrashLog;
+        const report = getLatestCrashReport() || lastCrashReport;
+        if (!report || args?.raw) {
+          return {
+            content: [{
+              type: "text",
+              text: report ? report.raw : "(no recent crash logs found)"
+            }]
+          };
+        }
+        const result = report.summary
+          ? { path: report.path, ...condenseCrashSummary(report.summary, { frames: args?.frames }) }
+          : { path: report.path, error: `Could not parse the crash report: ${report.error}. Pass raw: true for its text.` };
         return {
           content: [{
             type: "text",
-            text: log || "(no recent crash logs found)"
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      }
+
+      case "list_crash_groups": {
+        const groups = listCrashGroups(CONFIG.crashHistoryDir, { since: args?.since });
+        for (const group of groups) {
+          // A deleted report copy costs this group its headline, not the whole listing
+          const sample = group.sample.reportPath && existsSync(group.sample.reportPath) ? readCrashReport(group.sample.reportPath, { pluginImage: CONFIG.pluginBinaryName }) : null;
+          group.sample.headline = reportHeadline(sample);
+        }
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              historyDir: CONFIG.crashHistoryDir,
+              crashes: groups.reduce((sum, g) => sum + g.count, 0),
+              groups
+            }, null, 2)
+          }]
+        };
+      }
+
+      case "get_crash_group": {
+        const crashes = crashesWithSignature(CONFIG.crashHistoryDir, args.signature);
+        if (crashes.length === 0) {
+          return {
+            content: [{ type: "text", text: `No crashes with signature ${args.signature}. Use list_crash_groups for the recorded signatures.` }],
+            isError: true
+          };
+        }
+        const sampleCrash = [...crashes].reverse().find(c => c.reportPath && existsSync(c.reportPath));
+        const sample = sampleCrash ? readCrashReport(sampleCrash.reportPath, { pluginImage: CONFIG.pluginBinaryName }) : null;
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              signature: args.signature,
+              count: crashes.length,
+              crashes,
+              sample: sample && {
+                id: sampleCrash.id,
+                path: sample.path,
+                summary: sample.summary ? condenseCrashSummary(sample.summary) : null,
+                error: sample.error,
+                raw: args.raw ? sample.raw : undefined
+              }
+            }, null, 2)
           }]
         };
       }
@@ -850,11 +2394,31 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case "sweep_cli_params": {
+        const summary = await runSweep({
+          params: args.params,
+          mode: args.mode,
+          samples: args.samples,
+          seed: args.seed,
+          frame: args.frame,
+          rankBy: args.rank_by,
+          outputDir: args.output_dir,
+          maxRuns: args.max_runs
+        });
+
+        const content = [{ type: "text", text: JSON.stringify(summary, null, 2) }];
+        if (summary.contactSheet) {
+          content.push({ type: "text", text: `Contact sheet (frame ${summary.frame}, tiles in order ${summary.contactSheetOrder.join(", ")}):` });
+          content.push({ type: "image", data: readFileSync(summary.contactSheet).toString("base64"), mimeType: "image/png" });
+        }
+        return { content };
+      }
+
       case "get_cli_frame": {
         const source = args?.source || "output";
         const videoPath = source === "input"
           ? CONFIG.testVideoPath
-          : `${CONFIG.cliToolDir}/test_output_mcp.mp4`;
+          : CONFIG.cliOutputPath;
         const outputPath = `${CONFIG.cliToolDir}/temp_frame_${args.frame}.png`;
 
         const result = await extractFrameFromVideo(videoPath, args.frame, outputPath);
@@ -881,7 +2445,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const outputPath = `${CONFIG.cliToolDir}/temp_output_${frameNum}.png`;
 
         const inputResult = await extractFrameFromVideo(CONFIG.testVideoPath, frameNum, inputPath);
-        const outputResult = await extractFrameFromVideo(`${CONFIG.cliToolDir}/test_output_mcp.mp4`, frameNum, outputPath);
+        const outputResult = await extractFrameFromVideo(CONFIG.cliOutputPath, frameNum, outputPath);
 
         const content = [
           { type: "text", text: `Frame ${frameNum} comparison (input vs output):` }
@@ -897,11 +2461,99 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content.push({ type: "image", data: outputResult.image, mimeType: "image/png" });
         }
 
+        if (inputResult.success && outputResult.success) {
+          const heatmapPath = `${CONFIG.cliToolDir}/temp_diff_${frameNum}.png`;
+          const { metrics } = compareImageFilesWithHeatmap(inputPath, outputPath, heatmapPath);
+          content.push({ type: "text", text: `Metrics (input vs output):\n${JSON.stringify(formatMetrics(metrics), null, 2)}` });
+          content.push({ type: "text", text: "Difference heatmap:" });
+          content.push({ type: "image", data: readFileSync(heatmapPath).toString("base64"), mimeType: "image/png" });
+        }
+
         return { content };
       }
 
+      case "compare_images": {
+        const heatmapPath = args.heatmap_path
+          || args.path_a.replace(/\.png$/i, "") + `_vs_${path.basename(args.path_b, ".png")}_diff.png`;
+        const { metrics } = compareImageFilesWithHeatmap(args.path_a, args.path_b, heatmapPath, {
+          changeThreshold: args.change_threshold ?? 8
+        });
+        return {
+          content: [
+            { type: "text", text: JSON.stringify({ success: true, metrics: formatMetrics(metrics), heatmap: heatmapPath }, null, 2) },
+            { type: "image", data: readFileSync(heatmapPath).toString("base64"), mimeType: "image/png" }
+          ]
+        };
+      }
+
+      case "check_cli_parity": {
+        const result = await runParityCheck({
+          premiereVideo: args?.premiere_video,
+          inputVideo: args?.input_video,
+          start: args?.start,
+          end: args?.end,
+          frameOffset: args?.frame_offset,
+          minSsim: args?.min_ssim,
+          session: args?.session,
+          effect: args?.effect
+        });
+        const { firstDivergent, ...report } = result;
+        const content = [{ type: "text", text: JSON.stringify(report, null, 2) }];
+        for (const img of divergenceImages(firstDivergent)) {
+          content.push({ type: "text", text: `${img.label}:` });
+          content.push({ type: "image", data: img.data, mimeType: "image/png" });
+        }
+        return { content, isError: !result.success };
+      }
+
+      case "record_baseline": {
+        const { set, captured } = await captureBaselineFrames(args.source, args.frames, args.session, args.effect);
+        const result = recordBaseline(CONFIG.baselineDir, set, captured, { overwrite: args.overwrite === true });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({ success: true, params: set.params, ...result }, null, 2)
+          }]
+        };
+      }
+
+      case "compare_to_baseline": {
+        const { set, captured } = await captureBaselineFrames(args.source, args.frames, args.session, args.effect);
+        const tolerances = {};
+        if (args.min_ssim !== undefined) tolerances.minSsim = args.min_ssim;
+        if (args.max_rmse !== undefined) tolerances.maxRmse = args.max_rmse;
+        if (args.min_psnr !== undefined) tolerances.minPsnr = args.min_psnr;
+        const result = compareToBaseline(CONFIG.baselineDir, set, captured, tolerances);
+
+        const content = [{ type: "text", text: JSON.stringify({ params: set.params, ...result }, null, 2) }];
+        for (const frame of result.frames.filter(f => f.status === "drift")) {
+          content.push({ type: "text", text: `Frame ${frame.frame} drifted (${frame.violations.join(", ")}). Diff heatmap:` });
+          content.push({ type: "image", data: readFileSync(frame.heatmapPath).toString("base64"), mimeType: "image/png" });
+        }
+        return { content, isError: !result.success };
+      }
+
+      case "approve_baseline": {
+        const result = approveBaseline(CONFIG.baselineDir, args.baseline_id, args.frames || null);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({ success: true, ...result }, null, 2)
+          }]
+        };
+      }
+
+      case "list_baselines": {
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({ baselineDir: CONFIG.baselineDir, baselines: listBaselines(CONFIG.baselineDir) }, null, 2)
+          }]
+        };
+      }
+
       case "read_source_file": {
-        const filePath = path.join("/Users/mads/coding/moshbrosh", args.file);
+        const filePath = path.join(requirePath(CONFIG, "sourceRoot"), args.file);
         try {
           const content = readFileSync(filePath, "utf8");
           return {
@@ -922,7 +2574,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "edit_source_file": {
-        const filePath = path.join("/Users/mads/coding/moshbrosh", args.file);
+        const filePath = path.join(requirePath(CONFIG, "sourceRoot"), args.file);
         try {
           let content = readFileSync(filePath, "utf8");
           if (!content.includes(args.old_text)) {
@@ -954,7 +2606,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "run_autonomous_test": {
-        const result = await runAutonomousTestCycle();
+        const result = await runAutonomousTestCycle(args?.session, { effect: args?.effect, signal, onProgress });
         return {
           content: [{
             type: "text",
@@ -963,8 +2615,110 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case "run_test_suite": {
+        const summary = await runSpecSuite({
+          dir: args?.dir,
+          filter: args?.filter,
+          stopOnFailure: args?.stop_on_failure,
+          outputDir: args?.output_dir,
+          session: args?.session
+        }, { signal, onProgress });
+        const content = [{ type: "text", text: JSON.stringify(summary, null, 2) }];
+        if (args?.include_images !== false) {
+          const evidence = summary.tests
+            .filter(t => t.status === "failed" || t.status === "error")
+            .flatMap(t => (t.evidence || []).map(e => ({ ...e, label: `${t.name}: ${e.label}` })))
+            .filter(e => e.path.endsWith(".png") && existsSync(e.path))
+            .slice(0, MAX_SUITE_IMAGES);
+          for (const e of evidence) {
+            content.push({ type: "text", text: `${e.label}:` });
+            content.push({ type: "image", data: readFileSync(e.path).toString("base64"), mimeType: "image/png" });
+          }
+        }
+        return { content, isError: !summary.success };
+      }
+
+      case "list_export_presets": {
+        const filter = args?.filter?.toLowerCase();
+        const presets = listExportPresets({ extraDir: CONFIG.exportPresetDir })
+          .filter(p => !filter || p.name.toLowerCase().includes(filter))
+          .filter(p => !args?.kind || p.kind === args.kind);
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify({
+              count: presets.length,
+              searched: presetRoots({ extraDir: CONFIG.exportPresetDir }).map(r => r.dir),
+              presets
+            }, null, 2)
+          }]
+        };
+      }
+
+      case "export_sequence": {
+        const result = await startExport(args?.session, {
+          preset: args?.preset,
+          outputPath: args?.output_path,
+          range: args?.range,
+          mode: args?.mode
+        }, { signal, onProgress });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }],
+          isError: result?.success === false
+        };
+      }
+
+      case "get_export_status": {
+        const job = exportJobs.get(args?.job_id);
+        if (!job) {
+          throw new Error(args?.job_id ? `Unknown export job "${args.job_id}"` : "No exports yet. Call export_sequence first.");
+        }
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(exportJobs.describe(job), null, 2)
+          }]
+        };
+      }
+
+      case "wait_for_export": {
+        const job = exportJobs.get(args?.job_id);
+        if (!job) {
+          throw new Error(args?.job_id ? `Unknown export job "${args.job_id}"` : "No exports yet. Call export_sequence first.");
+        }
+        await exportJobs.waitFor(job, { timeoutMs: args?.timeout_ms, signal, onProgress });
+        const status = exportJobs.describe(job);
+        if (job.status === "complete") {
+          // The encoder can report completion a moment before the file is flushed
+          status.output_size = await waitForFile(job.outputPath);
+        }
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(status, null, 2)
+          }],
+          isError: job.status !== "complete"
+        };
+      }
+
       case "analyze_premiere_export": {
+        const { startedAt, logOffset } = lastExportStart || { startedAt: Date.now(), logOffset: debugLog.size() };
         const result = await analyzeExportedVideo();
+        const effectParams = sessions.size > 0 ? await currentEffectParams(undefined, undefined, { signal }) : null;
+        recordRun("export_analysis", { startedAt, logOffset, effectParams, result });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }]
+        };
+      }
+
+      case "generate_report": {
+        const result = generateReport({ kind: args?.run, outputPath: args?.output_path, title: args?.title });
         return {
           content: [{
             type: "text",
@@ -973,18 +2727,45 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case "set_effect_param": {
+        const result = await setEffectParam(args, { signal, onProgress });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }],
+          isError: result?.success === false
+        };
+      }
+
+      case "get_effect_param_schema": {
+        const result = await getEffectParamSchema({ effect: args?.effect, session: args?.session }, { signal, onProgress });
+        return {
+          content: [{
+            type: "text",
+            text: JSON.stringify(result, null, 2)
+          }],
+          isError: result?.success === false
+        };
+      }
+
       case "open_test_project":
       case "render_frame":
-      case "set_effect_param":
       case "get_effect_params":
+      case "set_param_time_varying":
+      case "add_keyframe":
+      case "move_keyframe":
+      case "remove_keyframe":
+      case "set_keyframe_interpolation":
+      case "get_keyframes":
       case "render_frame_range":
       case "get_source_frame":
       case "compare_frames":
       case "get_project_info":
-      case "apply_effect":
-      case "export_sequence": {
+      case "apply_effect": {
         // These require the CEP panel
-        const result = await sendToPremmiere(name, args);
+        const { session, ...params } = args || {};
+        const result = await postProcessCepResult(name, await sendToPremmiere(name, params, { session, signal, onProgress }));
 
         // Handle image responses
         if (result?.image) {
@@ -1001,6 +2782,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
             { type: "text", text: JSON.stringify({ ...result, images: `(${result.images.length} images below)` }, null, 2) }
           ];
           for (const img of result.images) {
+            if (img.label || img.frame !== undefined) {
+              content.push({ type: "text", text: `${img.label || `Frame ${img.frame}`}:` });
+            }
             content.push({ type: "image", data: img.data, mimeType: "image/png" });
           }
           return { content };
@@ -1010,7 +2794,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           content: [{
             type: "text",
             text: JSON.stringify(result, null, 2)
-          }]
+          }],
+          isError: result?.success === false
         };
       }
 
@@ -1025,14 +2810,188 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }],
       isError: true
     };
+  } finally {
+    debugLog.end(logSpan);
   }
+}
+
+// Save a result's images under framesDir and return resource links to them instead, so the
+// client fetches only the frames it wants (inlineImages: false)
+function linkImages(tool, result) {
+  if (!result?.content?.some(item => item.type === "image")) return result;
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const content = result.content.map((item, i) => {
+    if (item.type !== "image") return item;
+    const name = `${stamp}_${tool}_${i}.${item.mimeType === "image/jpeg" ? "jpg" : "png"}`;
+    try {
+      saveFrame(CONFIG.framesDir, name, item.data);
+    } catch (e) {
+      console.error(`[MCP] Could not save ${name} to ${CONFIG.framesDir}, returning it inline: ${e.message}`);
+      return item;
+    }
+    return { type: "resource_link", uri: artifactUri("frames", name), name, mimeType: item.mimeType };
+  });
+  return { ...result, content };
+}
+
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const result = await handleToolCall(request, extra);
+  return CONFIG.inlineImages ? result : linkImages(request.params.name, result);
 });
 
+// Resources: fixed URIs for the live state, and premiere-tester://artifacts/<area>/<path> for
+// the files under the output directories (see src/resources.js)
+const STATUS_URI = `${URI_PREFIX}status`;
+const DEBUG_LOG_URI = `${URI_PREFIX}debug-log`;
+const LATEST_CRASH_URI = `${URI_PREFIX}crash/latest`;
+const LATEST_CRASH_SUMMARY_URI = `${URI_PREFIX}crash/latest/summary`;
+const LATEST_EXPORT_URI = `${URI_PREFIX}export/latest`;
+// Resources a client can subscribe to; everything else is a file that doesn't change once written
+const SUBSCRIBABLE_URIS = [STATUS_URI, DEBUG_LOG_URI];
+const subscriptions = new Set();
+
+// Artifact area -> directory. Areas nested in another (frames inside exports) are listed only once.
+function artifactAreas() {
+  return {
+    frames: CONFIG.framesDir,
+    "test-runs": CONFIG.testRunDir,
+    sweeps: CONFIG.sweepDir,
+    reports: CONFIG.reportDir,
+    baselines: CONFIG.baselineDir,
+    "crash-history": CONFIG.crashHistoryDir,
+    hangs: CONFIG.hangReportDir,
+    exports: CONFIG.exportOutputDir
+  };
+}
+
+function latestCrashReport() {
+  const report = getLatestCrashReport({ since: 0 }) || lastCrashReport;
+  if (!report) {
+    throw new Error(`No Premiere crash report in ${CONFIG.crashLogDir}`);
+  }
+  return report;
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  const resources = [
+    { uri: STATUS_URI, name: "status", description: "Premiere state (healthy, hung, crashed, ...) and connected panel sessions, as premiere_status reports them. Subscribable.", mimeType: "application/json" },
+    { uri: DEBUG_LOG_URI, name: "debug-log", description: `The last ${DEBUG_LOG_RESOURCE_BYTES / 1024}KB of the plugin debug log (${CONFIG.pluginDebugLog}). Subscribable.`, mimeType: "text/plain" },
+    { uri: LATEST_CRASH_URI, name: "crash/latest", description: `The newest Premiere crash report in ${CONFIG.crashLogDir}`, mimeType: "text/plain" },
+    { uri: LATEST_CRASH_SUMMARY_URI, name: "crash/latest/summary", description: "The newest crash report, parsed: exception, crashed thread with plugin frames flagged", mimeType: "application/json" }
+  ];
+  const exportPath = latestExportPath();
+  if (existsSync(exportPath) && mimeTypeFor(exportPath)) {
+    resources.push({ uri: LATEST_EXPORT_URI, name: "export/latest", description: `The most recent export (${exportPath})`, mimeType: mimeTypeFor(exportPath) });
+  }
+  return { resources: [...resources, ...listArtifacts(artifactAreas())] };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: [{
+    uriTemplate: `${ARTIFACT_PREFIX}{area}/{+path}`,
+    name: "artifact",
+    description: `A file under one of the output directories. Areas: ${Object.entries(artifactAreas()).map(([area, dir]) => `${area} (${dir})`).join(", ")}. Frames returned as resource links are in the frames area.`
+  }]
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  if (uri === STATUS_URI) {
+    return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(premiereStatus(), null, 2) }] };
+  }
+  if (uri === DEBUG_LOG_URI) {
+    return { contents: [{ uri, mimeType: "text/plain", text: debugLogTail(DEBUG_LOG_RESOURCE_BYTES) }] };
+  }
+  if (uri === LATEST_CRASH_URI) {
+    return { contents: [{ uri, mimeType: "text/plain", text: latestCrashReport().raw }] };
+  }
+  if (uri === LATEST_CRASH_SUMMARY_URI) {
+    const report = latestCrashReport();
+    const summary = report.summary
+      ? { path: report.path, ...condenseCrashSummary(report.summary) }
+      : { path: report.path, error: report.error };
+    return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(summary, null, 2) }] };
+  }
+  if (uri === LATEST_EXPORT_URI) {
+    const exportPath = latestExportPath();
+    if (!existsSync(exportPath)) {
+      throw new Error(`No export at ${exportPath}`);
+    }
+    return { contents: [readFileResource(uri, exportPath)] };
+  }
+  if (uri.startsWith(ARTIFACT_PREFIX)) {
+    return { contents: [readFileResource(uri, resolveArtifactUri(artifactAreas(), uri))] };
+  }
+  throw new Error(`Unknown resource ${uri}`);
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  const { uri } = request.params;
+  if (!SUBSCRIBABLE_URIS.includes(uri)) {
+    throw new Error(`${uri} cannot be subscribed to. Subscribable: ${SUBSCRIBABLE_URIS.join(", ")}`);
+  }
+  if (uri === DEBUG_LOG_URI && !subscriptions.has(uri)) {
+    // Polled: fs.watch misses writes on some volumes and the log may not exist yet
+    watchFile(CONFIG.pluginDebugLog, { interval: DEBUG_LOG_POLL_MS, persistent: false }, (current, previous) => {
+      if (current.size !== previous.size || current.mtimeMs !== previous.mtimeMs) {
+        notifyResourceUpdated(DEBUG_LOG_URI);
+      }
+    });
+  }
+  subscriptions.add(uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  const { uri } = request.params;
+  if (uri === DEBUG_LOG_URI && subscriptions.has(uri)) {
+    unwatchFile(CONFIG.pluginDebugLog);
+  }
+  subscriptions.delete(uri);
+  return {};
+});
+
+function notifyResourceUpdated(uri) {
+  if (subscriptions.has(uri)) {
+    server.sendResourceUpdated({ uri }).catch(() => {});
+  }
+}
+
+// Tell a client subscribed to the status resource that Premiere's state or the sessions changed
+function notifyStatusChanged() {
+  notifyResourceUpdated(STATUS_URI);
+}
+
 // Start the MCP server
 async function main() {
+  await startPanelServer();
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error("[MCP] Premiere MCP server running");
 }
 
-main().catch(console.error);
+// Shared with the standalone runner (src/cli.js), which starts its own panel listener
+export {
+  CONFIG,
+  sessions,
+  startPanelServer,
+  waitForPanel,
+  isPremiereRunning,
+  getPremierePid,
+  restartPremiere,
+  crashSince,
+  hangSince,
+  premiereState,
+  buildPlugin,
+  buildAndInstallPlugin,
+  runSpecSuite,
+  runSweep,
+  runAutonomousTestCycle
+};
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  main().catch((e) => {
+    console.error(`[MCP] ${e.message}`);
+    process.exit(1);
+  });
+}
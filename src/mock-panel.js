@@ -0,0 +1,1054 @@
+#!/usr/bin/env node
+
+/**
+ * Mock CEP Panel - Headless stand-in for Premiere Pro + the MCP Bridge panel
+ * Speaks the same WebSocket protocol as cep-panel/main.js and simulates the
+ * ExtendScript functions in premiere.jsx against in-memory project state.
+ *
+ * Usage:
+ *   node src/mock-panel.js [--port 8847] [--fault <command>=<type>[:<ms>]] [--as-premiere]
+ *                          [--protocol <version>] [--legacy] [--effects <name,...>] [--no-effect]
+ *                          [--crash-report <dir>] [--crash-format ips|crash] [--debug-log <file>]
+ *
+ * Fault types: delay, drop, crash, hang, stall, extendscript_error, empty_output, export_error
+ * (hang and stall with :<ms> recover after that long and answer late)
+ */
+
+import { WebSocket } from "ws";
+import { writeFileSync, appendFileSync, mkdirSync, existsSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { encodePng } from "./image-metrics.js";
+import { PROTOCOL_VERSION } from "./protocol.js";
+
+const TICKS_PER_SECOND = 254016000000;
+
+// Type of a parameter value, as readParam in premiere.jsx infers it
+function paramType(value) {
+  if (typeof value === "boolean") return "bool";
+  if (typeof value === "number") return "number";
+  if (Array.isArray(value) && value.length === 2) return "point";
+  if (value && typeof value === "object" && "r" in value) return "color";
+  if (typeof value === "string") return "string";
+  return "unknown";
+}
+
+// Same names as INTERPOLATION_TYPES in premiere.jsx
+const INTERPOLATIONS = ["linear", "hold", "bezier", "time"];
+
+const DEFAULT_EFFECT_PARAMS = {
+  "Mosh Frame": 10,
+  "Duration": 30,
+  "Block Size": 16,
+  "Search Range": 16,
+  "Blend": 100
+};
+
+// Same command -> ExtendScript mapping as executeCommand() in cep-panel/main.js
+const COMMANDS = {
+  open_test_project: (p) => ["checkAndSetupProject", p.effect],
+  get_project_info: (p) => ["getProjectInfo", p.effect],
+  apply_effect: (p) => ["applyEffect", p.effect],
+  render_frame: (p) => ["renderFrameToFile", p.frame],
+  set_effect_param: (p) => ["setEffectParam", p.effect, p.param, p.value, p.valueType],
+  get_effect_params: (p) => ["getEffectParams", p.effect],
+  get_effect_param_schema: (p) => ["getEffectParamSchema", p.effect],
+  set_param_time_varying: (p) => ["setParamTimeVarying", p.effect, p.param, p.enabled],
+  add_keyframe: (p) => ["addKeyframe", p.effect, p.param, p.at, p.value, p.interpolation],
+  move_keyframe: (p) => ["moveKeyframe", p.effect, p.param, p.from, p.to, p.interpolation],
+  remove_keyframe: (p) => ["removeKeyframe", p.effect, p.param, p.at],
+  set_keyframe_interpolation: (p) => ["setKeyframeInterpolation", p.effect, p.param, p.at, p.interpolation],
+  get_keyframes: (p) => ["getKeyframes", p.effect, p.param],
+  render_frame_range: (p) => ["renderFrameRange", p.start, p.end, p.step || 1],
+  get_source_frame: (p) => ["getSourceFrame", p.frame],
+  compare_frames: (p) => ["compareFrames", p.frame_a, p.frame_b],
+  export_sequence: (p) => ["exportSequence", p],
+  refresh_timeline: () => ["refreshTimeline"],
+  save_project: () => ["saveProject"]
+};
+
+// Same allowlist and argument specs as RPC_FUNCTIONS in premiere.jsx
+const RPC_FUNCTIONS = {
+  listRpcFunctions: [],
+  setTesterConfig: ["config:object"],
+  getProjectPath: [],
+  getProjectInfo: ["effect:string?"],
+  checkAndSetupProject: ["effect:string?"],
+  applyEffect: ["effect:string?"],
+  renderFrameToFile: ["frame:integer"],
+  renderFrameRange: ["start:integer", "end:integer", "step:integer"],
+  getSourceFrame: ["frame:integer"],
+  compareFrames: ["frameA:integer", "frameB:integer"],
+  setEffectParam: ["effect:string?", "param:string", "value:any", "valueType:string?"],
+  getEffectParams: ["effect:string?"],
+  getEffectParamSchema: ["effect:string?"],
+  setParamTimeVarying: ["effect:string?", "param:string", "enabled:boolean"],
+  addKeyframe: ["effect:string?", "param:string", "at:integer|string", "value:any?", "interpolation:string?"],
+  moveKeyframe: ["effect:string?", "param:string", "from:integer|string", "to:integer|string", "interpolation:string?"],
+  removeKeyframe: ["effect:string?", "param:string", "at:integer|string"],
+  setKeyframeInterpolation: ["effect:string?", "param:string", "at:integer|string", "interpolation:string"],
+  getKeyframes: ["effect:string?", "param:string?"],
+  exportSequence: ["options:object"],
+  refreshTimeline: [],
+  saveProject: []
+};
+
+function rpcTypeOf(value) {
+  if (value === null || value === undefined) return "null";
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+function rpcMatches(value, type) {
+  switch (type) {
+    case "any": return true;
+    case "number": return Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "object": return rpcTypeOf(value) === "object";
+    default: return typeof value === type;
+  }
+}
+
+// Same checks and structured errors as mcpDispatch in premiere.jsx
+function mcpDispatch(host, requestJson) {
+  const rpcError = (errorType, error, details = {}) => ({ success: false, errorType, error, ...details });
+  let request;
+  try {
+    request = JSON.parse(requestJson);
+  } catch (e) {
+    return rpcError("bad_request", `RPC request is not valid JSON: ${e.message}`);
+  }
+  if (rpcTypeOf(request) !== "object" || typeof request.fn !== "string") {
+    return rpcError("bad_request", "RPC request needs a function name (fn)");
+  }
+
+  const { fn, args = [] } = request;
+  const specs = Object.hasOwn(RPC_FUNCTIONS, fn) ? RPC_FUNCTIONS[fn] : null;
+  if (!specs || typeof host[fn] !== "function") {
+    return rpcError("unknown_function", `Not a callable function: ${fn}`, { function: fn });
+  }
+  if (!Array.isArray(args)) {
+    return rpcError("bad_request", "RPC args must be an array", { function: fn });
+  }
+  if (args.length > specs.length) {
+    return rpcError("invalid_arguments", `${fn} takes ${specs.length} argument(s), got ${args.length}`,
+      { function: fn, expected: specs.length, got: args.length });
+  }
+
+  for (let i = 0; i < specs.length; i++) {
+    const [name, spec] = specs[i].split(":");
+    const optional = spec.endsWith("?");
+    const types = spec.replace("?", "").split("|");
+    const value = args[i] ?? null;
+    if (value === null) {
+      if (!optional) {
+        return rpcError("invalid_arguments", `${fn}: ${name} is required`,
+          { function: fn, argument: name, expected: types.join("|"), got: "null" });
+      }
+      args[i] = null;
+      continue;
+    }
+    if (!types.some(type => rpcMatches(value, type))) {
+      return rpcError("invalid_arguments",
+        `${fn}: ${name} must be ${types.join(" or ")} (got ${rpcTypeOf(value)} ${JSON.stringify(value)})`,
+        { function: fn, argument: name, expected: types.join("|"), got: rpcTypeOf(value) });
+    }
+  }
+
+  try {
+    return host[fn](...args);
+  } catch (e) {
+    return rpcError("script_error", e.message, { function: fn });
+  }
+}
+
+// Create simulated Premiere state (project, sequence, clip, effect params)
+function createHostState(options) {
+  return {
+    config: null,
+    project: null,
+    sequence: null,
+    playerPosition: 0,
+    // Display names of the effect plugins "installed" in the mock Premiere
+    installedEffects: options.effectInstalled === false ? [] : options.installedEffects || ["MoshBrosh"],
+    frameRate: options.frameRate || 30,
+    durationFrames: options.durationFrames || 90,
+    exports: [],
+    exportJobCounter: 0,
+    emptyOutput: false,
+    exportError: false
+  };
+}
+
+// Simulated ExtendScript functions. Each returns a plain object, like jsonResult() in premiere.jsx.
+// emitExportEvent(data) stands in for the CSXS events premiere.jsx dispatches for Media Encoder jobs.
+function createHost(state, options, emitExportEvent) {
+  const fail = (error) => ({ success: false, error });
+  const clip = () => state.sequence?.clips[0] || null;
+  // Same rules as resolveEffect/findEffectOnClip in premiere.jsx
+  const resolveEffect = (identifier) => {
+    const configured = {
+      displayName: state.config.effectDisplayName,
+      matchName: state.config.effectMatchName || null,
+      alternateNames: state.config.effectAlternateNames || []
+    };
+    if (!identifier) return configured;
+    const names = [configured.displayName, configured.matchName, ...configured.alternateNames];
+    if (names.some(n => n && n.toLowerCase() === String(identifier).toLowerCase())) return configured;
+    return { displayName: String(identifier), matchName: String(identifier), alternateNames: [] };
+  };
+  const effectNames = (target) => [target.displayName, ...target.alternateNames];
+  const effect = (identifier) => {
+    if (!state.config) return null;
+    const target = resolveEffect(identifier);
+    return clip()?.effects.find(e =>
+      (target.matchName && e.matchName === target.matchName)
+      || effectNames(target).some(n => e.displayName.toLowerCase().includes(n.toLowerCase()))) || null;
+  };
+  const configMissing = () => state.config
+    ? null
+    : fail("Tester config not received from MCP server. Reconnect the panel.");
+
+  // "empty_output" fault: the export call succeeds but leaves a zero-byte file
+  const emitFrame = (outputPath, frameNum) => state.emptyOutput
+    ? writePlaceholder(outputPath, "")
+    : writeFrame(outputPath, frameNum, effect()?.params);
+
+  // Like findEffectParam in premiere.jsx: { fx, key } or { error }
+  const findParam = (effectId, paramName) => {
+    if (!clip()) return { error: fail("No video clip found") };
+    const fx = effect(effectId);
+    if (!fx) return { error: fail(`${resolveEffect(effectId).displayName} effect not found on clip`) };
+    const searchName = String(paramName).toLowerCase().replace(/\s+/g, "_");
+    const key = Object.keys(fx.params).find(k => k.toLowerCase().replace(/\s+/g, "_") === searchName);
+    if (!key) {
+      return { error: { ...fail("Parameter not found: " + paramName), availableParams: Object.keys(fx.params) } };
+    }
+    fx.keyframes = fx.keyframes || {};
+    fx.keyframes[key] = fx.keyframes[key] || { timeVarying: false, keys: [] };
+    return { fx, key, animation: fx.keyframes[key] };
+  };
+  const toTimecode = (frame) => {
+    const fps = Math.round(state.frameRate);
+    const pad = n => String(n).padStart(2, "0");
+    const totalSeconds = Math.floor(frame / fps);
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}:${pad(frame % fps)}`;
+  };
+  const toFrame = (position) => {
+    if (typeof position === "number") return Math.round(position);
+    const text = String(position);
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+    const match = text.match(/^(\d+):(\d{2}):(\d{2})[:;](\d{2})$/);
+    if (!match) return null;
+    const [h, m, sec, f] = match.slice(1).map(Number);
+    return ((h * 60 + m) * 60 + sec) * Math.round(state.frameRate) + f;
+  };
+  const invalidPosition = (position) =>
+    fail(`Invalid frame or timecode: ${position} (use a frame number or HH:MM:SS:FF)`);
+  const badInterpolation = (interpolation) =>
+    interpolation && !INTERPOLATIONS.includes(interpolation)
+      ? fail(`Unknown interpolation: ${interpolation} (linear, hold, bezier, time)`)
+      : null;
+  const describeKeys = (animation) => animation.timeVarying
+    ? animation.keys.map(k => ({ frame: k.frame, timecode: toTimecode(k.frame), value: k.value }))
+    : [];
+
+  let frameExportCounter = 0;
+  const uniqueFramePath = (tag, frameNum) =>
+    state.config.frameExportPath.replace(/\.png$/i, "") + `_${tag}_${Date.now()}_${++frameExportCounter}_${frameNum}.png`;
+
+  const setupSequence = () => {
+    const videoName = path.basename(state.config.testVideoPath).replace(/\.[^.]+$/, "");
+    state.sequence = {
+      name: `${state.config.effectDisplayName} Test`,
+      clips: [{ name: videoName, effects: [] }]
+    };
+  };
+
+  return {
+    listRpcFunctions() {
+      return { success: true, functions: Object.keys(RPC_FUNCTIONS).filter(fn => typeof this[fn] === "function") };
+    },
+
+    setTesterConfig(config) {
+      state.config = config;
+      return { success: true, ...state.config };
+    },
+
+    checkAndSetupProject(effectId) {
+      const missing = configMissing();
+      if (missing) return missing;
+
+      if (!state.project) {
+        // The saved test project already contains the test sequence
+        state.project = { path: state.config.testProjectPath };
+        setupSequence();
+        return { success: true, action: "opened_project", project: state.project.path };
+      }
+      if (!state.sequence) {
+        setupSequence();
+        return { success: true, action: "created_sequence" };
+      }
+      if (clip() && !effect(effectId)) {
+        return this.applyEffect(effectId);
+      }
+      return {
+        success: true,
+        action: "ready",
+        project: state.project.path,
+        sequence: state.sequence.name,
+        hasEffect: true
+      };
+    },
+
+    getProjectPath() {
+      return { success: true, projectPath: state.project ? state.project.path : null };
+    },
+
+    getProjectInfo(effectId) {
+      if (!state.project) {
+        return { success: true, projectOpen: false, project: null };
+      }
+      return {
+        success: true,
+        projectOpen: true,
+        projectPath: state.project.path,
+        sequenceName: state.sequence ? state.sequence.name : null,
+        hasClip: clip() !== null,
+        effect: state.config ? resolveEffect(effectId).displayName : null,
+        hasEffect: effect(effectId) !== null
+      };
+    },
+
+    applyEffect(effectId) {
+      if (!clip()) return fail("No video clip found");
+      const existing = effect(effectId);
+      if (existing) return { success: true, action: "effect_already_applied", effectName: existing.displayName };
+      const target = resolveEffect(effectId);
+      const names = effectNames(target);
+      const name = names.find(n => state.installedEffects.some(i => i.toLowerCase() === n.toLowerCase()));
+      if (!name) {
+        return fail(`Could not find or apply ${target.displayName} effect (tried: ${names.join(", ")}). Is the plugin installed?`);
+      }
+      clip().effects.push({
+        displayName: name,
+        matchName: target.matchName,
+        params: structuredClone(options.effectParams || DEFAULT_EFFECT_PARAMS)
+      });
+      return { success: true, action: "effect_applied", effectName: name };
+    },
+
+    renderFrameToFile(frameNum) {
+      const missing = configMissing();
+      if (missing) return missing;
+      if (!state.sequence) return fail("No active sequence");
+
+      state.playerPosition = Math.round(frameNum / state.frameRate * TICKS_PER_SECOND);
+      const outputPath = uniqueFramePath("frame", frameNum);
+      if (options.writeFiles) {
+        emitFrame(outputPath, frameNum);
+      }
+      return { success: true, frame: frameNum, path: outputPath };
+    },
+
+    renderFrameRange(startFrame, endFrame, step) {
+      const missing = configMissing();
+      if (missing) return missing;
+      if (!state.sequence) return fail("No active sequence");
+      if (endFrame < startFrame) return fail("End frame must be >= start frame");
+
+      const frames = [];
+      for (let f = startFrame; f <= endFrame; f += step > 0 ? step : 1) {
+        const outputPath = uniqueFramePath("range", f);
+        if (options.writeFiles) emitFrame(outputPath, f);
+        frames.push({ frame: f, path: outputPath });
+      }
+      return { success: true, start: startFrame, end: endFrame, step, frames };
+    },
+
+    getSourceFrame(frameNum) {
+      if (!state.sequence) return fail("No active sequence");
+      if (!clip()) return fail("No video clip found");
+      return {
+        success: true,
+        frame: frameNum,
+        clipName: clip().name,
+        mediaPath: state.config.testVideoPath,
+        sourceSeconds: frameNum / state.frameRate
+      };
+    },
+
+    compareFrames(frameA, frameB) {
+      const missing = configMissing();
+      if (missing) return missing;
+      if (!state.sequence) return fail("No active sequence");
+
+      const pathA = uniqueFramePath("compare", frameA);
+      const pathB = uniqueFramePath("compare", frameB);
+      if (options.writeFiles) {
+        emitFrame(pathA, frameA);
+        emitFrame(pathB, frameB);
+      }
+      return { success: true, frameA: { frame: frameA, path: pathA }, frameB: { frame: frameB, path: pathB } };
+    },
+
+    setEffectParam(effectId, paramName, value, valueType) {
+      const found = findParam(effectId, paramName);
+      if (found.error) return found.error;
+      const current = paramType(found.fx.params[found.key]);
+      // Premiere rejects a value of the wrong shape, e.g. a number for a colour
+      if (valueType === "color" ? current !== "color" : current === "color") {
+        return fail(`Could not set ${found.key}: value does not match the parameter type`);
+      }
+      found.fx.params[found.key] = valueType === "color" ? { ...value } : value;
+      return { success: true, param: paramName, value: found.fx.params[found.key] };
+    },
+
+    getEffectParams(effectId) {
+      if (!clip()) return fail("No video clip found");
+      const fx = effect(effectId);
+      if (!fx) return fail(`${resolveEffect(effectId).displayName} effect not found on clip`);
+      const types = Object.fromEntries(Object.entries(fx.params).map(([k, v]) => [k, paramType(v)]));
+      return { success: true, effectName: fx.displayName, mediaPath: state.config.testVideoPath, params: structuredClone(fx.params), types };
+    },
+
+    getEffectParamSchema(effectId) {
+      if (!clip()) return fail("No video clip found");
+      const fx = effect(effectId);
+      if (!fx) return fail(`${resolveEffect(effectId).displayName} effect not found on clip`);
+      return {
+        success: true,
+        effectName: fx.displayName,
+        matchName: fx.matchName,
+        params: Object.entries(fx.params).map(([name, value]) => ({
+          name,
+          type: paramType(value),
+          value: structuredClone(value),
+          keyframable: paramType(value) !== "string",
+          timeVarying: fx.keyframes?.[name]?.timeVarying || false
+        }))
+      };
+    },
+
+    setParamTimeVarying(effectId, paramName, enabled) {
+      const found = findParam(effectId, paramName);
+      if (found.error) return found.error;
+      found.animation.timeVarying = !!enabled;
+      if (!enabled) found.animation.keys = [];
+      return { success: true, param: found.key, timeVarying: found.animation.timeVarying };
+    },
+
+    addKeyframe(effectId, paramName, position, value, interpolation) {
+      if (!state.sequence) return fail("No active sequence");
+      const found = findParam(effectId, paramName);
+      if (found.error) return found.error;
+      const frame = toFrame(position);
+      if (frame === null || frame < 0) return invalidPosition(position);
+      const badType = badInterpolation(interpolation);
+      if (badType) return badType;
+
+      const { animation } = found;
+      const enabledTimeVarying = !animation.timeVarying;
+      animation.timeVarying = true;
+      let key = animation.keys.find(k => k.frame === frame);
+      if (!key) {
+        key = { frame, value: found.fx.params[found.key], interpolation: "linear" };
+        animation.keys.push(key);
+        animation.keys.sort((a, b) => a.frame - b.frame);
+      }
+      if (value !== null && value !== undefined) key.value = value;
+      if (interpolation) key.interpolation = interpolation;
+      return {
+        success: true,
+        param: found.key,
+        frame,
+        timecode: toTimecode(frame),
+        enabledTimeVarying,
+        keyframes: describeKeys(animation)
+      };
+    },
+
+    moveKeyframe(effectId, paramName, fromPosition, toPosition, interpolation) {
+      if (!state.sequence) return fail("No active sequence");
+      const found = findParam(effectId, paramName);
+      if (found.error) return found.error;
+      const from = toFrame(fromPosition);
+      if (from === null || from < 0) return invalidPosition(fromPosition);
+      const to = toFrame(toPosition);
+      if (to === null || to < 0) return invalidPosition(toPosition);
+      const badType = badInterpolation(interpolation);
+      if (badType) return badType;
+
+      const { animation } = found;
+      const key = animation.timeVarying ? animation.keys.find(k => k.frame === from) : null;
+      if (!key) return { ...fail(`No keyframe at frame ${from}`), keyframes: describeKeys(animation) };
+      if (animation.keys.some(k => k.frame === to)) {
+        return fail(`There is already a keyframe at frame ${to}; remove it first`);
+      }
+      key.frame = to;
+      key.interpolation = interpolation || "linear";
+      animation.keys.sort((a, b) => a.frame - b.frame);
+      return { success: true, param: found.key, from, to, value: key.value, keyframes: describeKeys(animation) };
+    },
+
+    removeKeyframe(effectId, paramName, position) {
+      if (!state.sequence) return fail("No active sequence");
+      const found = findParam(effectId, paramName);
+      if (found.error) return found.error;
+      const frame = toFrame(position);
+      if (frame === null || frame < 0) return invalidPosition(position);
+
+      const { animation } = found;
+      const index = animation.timeVarying ? animation.keys.findIndex(k => k.frame === frame) : -1;
+      if (index < 0) return { ...fail(`No keyframe at frame ${frame}`), keyframes: describeKeys(animation) };
+      animation.keys.splice(index, 1);
+      return { success: true, param: found.key, frame, keyframes: describeKeys(animation) };
+    },
+
+    setKeyframeInterpolation(effectId, paramName, position, interpolation) {
+      if (!state.sequence) return fail("No active sequence");
+      if (!INTERPOLATIONS.includes(interpolation)) return badInterpolation(String(interpolation));
+      const found = findParam(effectId, paramName);
+      if (found.error) return found.error;
+      const frame = toFrame(position);
+      if (frame === null || frame < 0) return invalidPosition(position);
+
+      const key = found.animation.timeVarying ? found.animation.keys.find(k => k.frame === frame) : null;
+      if (!key) return fail(`No keyframe at frame ${frame}`);
+      key.interpolation = interpolation;
+      return { success: true, param: found.key, frame, interpolation };
+    },
+
+    getKeyframes(effectId, paramName) {
+      if (!state.sequence) return fail("No active sequence");
+      let params;
+      if (paramName) {
+        const found = findParam(effectId, paramName);
+        if (found.error) return found.error;
+        params = [found];
+      } else {
+        if (!clip()) return fail("No video clip found");
+        const fx = effect(effectId);
+        if (!fx) return fail(`${resolveEffect(effectId).displayName} effect not found on clip`);
+        params = Object.keys(fx.params).map(key => findParam(effectId, key));
+      }
+      return {
+        success: true,
+        frameRate: state.frameRate,
+        params: params.map(({ key, animation }) => ({
+          param: key,
+          timeVarying: animation.timeVarying,
+          keyframes: describeKeys(animation)
+        }))
+      };
+    },
+
+    exportSequence(options) {
+      const missing = configMissing();
+      if (missing) return missing;
+      if (!state.sequence) return fail("No active sequence");
+
+      const { presetPath, outputPath = state.config.renderOutputPath, range = "work_area", mode = "encoder" } = options || {};
+      if (!presetPath || !existsSync(presetPath)) return fail(`Export preset not found: ${presetPath || "(none given)"}`);
+      if (!["entire", "in_out", "work_area"].includes(range)) return fail(`Unknown export range: ${range}`);
+
+      if (mode === "premiere") {
+        // Encoded in Premiere: the call returns once the file is written
+        if (state.exportError) return fail("Premiere export failed: Mock encoder failure: codec initialization failed");
+        if (options.writeFiles) writePlaceholder(outputPath, "export");
+        state.exports.push({ jobId: null, outputPath, queuedAt: Date.now() });
+        return { success: true, action: "exported", mode, range, outputPath, presetPath };
+      }
+      if (mode !== "encoder") return fail(`Unknown export mode: ${mode}`);
+
+      const jobId = String(++state.exportJobCounter);
+      const failure = state.exportError;
+      state.exports.push({ jobId, outputPath, queuedAt: Date.now() });
+
+      // Media Encoder: queued, a few progress events, then complete (or error)
+      const duration = options.exportDurationMs || 500;
+      setTimeout(() => emitExportEvent({ event: "queued", jobId }), 0);
+      for (const fraction of [0.25, 0.5, 0.75]) {
+        setTimeout(() => emitExportEvent({ event: "progress", jobId, progress: fraction }), duration * fraction);
+      }
+      setTimeout(() => {
+        if (failure) {
+          emitExportEvent({ event: "error", jobId, error: "Mock encoder failure: codec initialization failed" });
+          return;
+        }
+        if (options.writeFiles) writePlaceholder(outputPath, "export");
+        emitExportEvent({ event: "complete", jobId, outputPath });
+      }, duration);
+      return { success: true, action: "export_queued", mode, range, jobId, outputPath, presetPath };
+    },
+
+    refreshTimeline() {
+      if (!state.sequence) return fail("No active sequence");
+      return { success: true, action: "refreshed" };
+    },
+
+    saveProject() {
+      if (!state.project) return fail("No project open");
+      return { success: true, action: "saved" };
+    }
+  };
+}
+
+// Write a small synthetic frame: a gradient that scrolls with the frame number,
+// with block noise once the (simulated) mosh starts
+function writeFrame(filePath, frameNum, params) {
+  const width = 64;
+  const height = 36;
+  const data = new Uint8Array(width * height * 4);
+  const moshing = params && frameNum >= params["Mosh Frame"] && frameNum < params["Mosh Frame"] + params["Duration"];
+  const blend = params ? params["Blend"] / 100 : 0;
+  const block = params ? Math.max(1, params["Block Size"] >> 2) : 4;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      let r = (x * 4 + frameNum * 3) & 0xff;
+      let g = (y * 7) & 0xff;
+      let b = (frameNum * 5) & 0xff;
+      if (moshing) {
+        const noise = ((Math.floor(x / block) * 73 + Math.floor(y / block) * 151 + frameNum * 17) & 0xff);
+        r = Math.round(r * (1 - blend) + noise * blend);
+        g = Math.round(g * (1 - blend) + (255 - noise) * blend);
+      }
+      data[i] = r;
+      data[i + 1] = g;
+      data[i + 2] = b;
+      data[i + 3] = 255;
+    }
+  }
+
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileSync(filePath, encodePng({ width, height, data }));
+}
+
+function writePlaceholder(filePath, contents) {
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  writeFileSync(filePath, contents);
+}
+
+// Loaded images for a simulated crash: Premiere, the plugin, libsystem
+function crashImages(pluginName) {
+  return [
+    { path: "/Applications/Adobe Premiere Pro 2025/Adobe Premiere Pro 2025.app/Contents/MacOS/Adobe Premiere Pro 2025", id: "com.adobe.PremierePro.25", version: "25.0.0", base: 0x100000000, size: 0x8000000 },
+    { path: `/Library/Application Support/Adobe/Common/Plug-ins/7.0/MediaCore/${pluginName}.plugin/Contents/MacOS/${pluginName}`, id: `com.moshbrosh.${pluginName.toLowerCase()}`, version: "1.0", base: 0x12a000000, size: 0x40000 },
+    { path: "/usr/lib/system/libsystem_platform.dylib", id: null, version: null, base: 0x18f000000, size: 0x9000 }
+  ];
+}
+
+// Crashed thread, innermost first: a bad read in the plugin's render, called by Premiere
+const CRASH_FRAMES = [
+  { image: 2, offset: 0x3f24, symbol: "_platform_memmove", location: 36 },
+  { image: 1, offset: 0x1a2c0, symbol: "MoshBrosh::MotionSearch(Frame const&, Frame const&, int)", location: 412 },
+  { image: 1, offset: 0x18e10, symbol: "MoshBrosh::Render(PF_InData*, PF_OutData*, PF_ParamDef**, PF_LayerDef*)", location: 96 },
+  { image: 0, offset: 0x2b44c0, symbol: null, location: null }
+];
+
+// Write the crash report macOS would leave in DiagnosticReports, as .ips (JSON) or legacy .crash text
+function writeCrashReport(dir, { format = "ips", pluginName = "MoshBrosh" } = {}) {
+  const images = crashImages(pluginName);
+  const now = new Date();
+  const stamp = now.toISOString().replace(/T/, "-").replace(/:/g, "").slice(0, 17);
+  const hex = (n) => `0x${n.toString(16)}`;
+  let contents;
+  if (format === "crash") {
+    const frameLines = CRASH_FRAMES.map((f, i) => {
+      const image = images[f.image];
+      const address = `0x${(image.base + f.offset).toString(16).padStart(16, "0")}`;
+      return `${String(i).padEnd(4)}${path.basename(image.path).padEnd(36)}${address} ${f.symbol ? `${f.symbol} + ${f.location}` : `${hex(image.base)} + ${f.offset}`}`;
+    });
+    const imageLines = images.map(i => `${hex(i.base).padStart(18)} - ${hex(i.base + i.size - 1).padStart(18)} ${i.id || path.basename(i.path)} (${i.version || "*"}) <00000000-0000-0000-0000-000000000000> ${i.path}`);
+    contents = [
+      `Process:               Adobe Premiere Pro (mock) [${process.pid}]`,
+      `Path:                  ${images[0].path}`,
+      "Version:               25.0.0 (25.0.0)",
+      `Date/Time:             ${now.toISOString()}`,
+      "OS Version:            macOS 14.5 (23F79)",
+      "",
+      "Exception Type:        EXC_BAD_ACCESS (SIGSEGV)",
+      "Exception Codes:       KERN_INVALID_ADDRESS at 0x0000000000000000",
+      "Termination Reason:    Namespace SIGNAL, Code 11 Segmentation fault: 11",
+      "Crashed Thread:        1  Render",
+      "",
+      "Thread 0:: Dispatch queue: com.apple.main-thread",
+      `0   ${path.basename(images[0].path).padEnd(36)}0x${(images[0].base + 0x1000).toString(16).padStart(16, "0")} ${hex(images[0].base)} + 4096`,
+      "",
+      "Thread 1 Crashed:: Render",
+      ...frameLines,
+      "",
+      "Binary Images:",
+      ...imageLines,
+      ""
+    ].join("\n");
+  } else {
+    const header = { app_name: "Adobe Premiere Pro (mock)", timestamp: now.toISOString(), app_version: "25.0.0", bug_type: "309", os_version: "macOS 14.5 (23F79)" };
+    const body = {
+      procName: "Adobe Premiere Pro (mock)",
+      pid: process.pid,
+      procPath: images[0].path,
+      captureTime: now.toISOString(),
+      osVersion: { train: "macOS 14.5", build: "23F79" },
+      bundleInfo: { CFBundleShortVersionString: "25.0.0" },
+      exception: { type: "EXC_BAD_ACCESS", signal: "SIGSEGV", codes: "0x0000000000000001, 0x0000000000000000", subtype: "KERN_INVALID_ADDRESS at 0x0000000000000000" },
+      termination: { namespace: "SIGNAL", code: 11, indicator: "Segmentation fault: 11" },
+      faultingThread: 1,
+      threads: [
+        { id: 1, queue: "com.apple.main-thread", frames: [{ imageOffset: 0x1000, imageIndex: 0 }] },
+        { id: 2, name: "Render", triggered: true, frames: CRASH_FRAMES.map(f => ({ imageOffset: f.offset, imageIndex: f.image, ...(f.symbol ? { symbol: f.symbol, symbolLocation: f.location } : {}) })) }
+      ],
+      usedImages: images.map(i => ({ source: "P", arch: "arm64", base: i.base, size: i.size, uuid: "00000000-0000-0000-0000-000000000000", path: i.path, name: path.basename(i.path), ...(i.id ? { CFBundleIdentifier: i.id } : {}) }))
+    };
+    contents = `${JSON.stringify(header)}\n${JSON.stringify(body, null, 2)}\n`;
+  }
+  const filePath = path.join(dir, `Adobe Premiere Pro (mock)-${stamp}.${format}`);
+  writePlaceholder(filePath, contents);
+  return filePath;
+}
+
+// Create a mock panel connected to the MCP server's WebSocket.
+// Options:
+//   url               WebSocket URL (default ws://localhost:8847)
+//   heartbeatInterval ms between heartbeats until the server pushes its own (default 2000)
+//   reconnectDelayMs  reconnect after a dropped connection, like the real panel (default 5000, null = never)
+//   autoSetup         send auto_setup_complete after the config arrives (default false)
+//   effectInstalled   whether apply_effect can find the plugin (default true)
+//   installedEffects  display names apply_effect can find (default ["MoshBrosh"])
+//   effectParams      { name: value } params of an applied effect; booleans, [x, y] and { r, g, b, a }
+//                     simulate checkbox, point and colour params (default: MoshBrosh's numeric params)
+//   writeFiles        write placeholder frame/export files to the configured paths (default false)
+//   responseDelayMs   delay before every response (default 0)
+//   faults            { [command]: { type, ms, once } } - see setFault()
+//   onCrash           called when a "crash" fault fires
+//   crashReportDir    write a macOS-style crash report here when it does (default: none)
+//   crashReportFormat "ips" or "crash" (default "ips")
+//   debugLogPath      append plugin-style log lines here while each command runs (default: none)
+//   hostVersion       Premiere version reported in hello (default "25.0.0")
+//   protocolVersion   protocol version reported in hello (default: the server's PROTOCOL_VERSION)
+//   panelVersion      panel version reported in hello (default "1.4.0-mock")
+//   commands          commands reported in hello (default: every command whose host function exists)
+//   legacy            never send hello, like a panel from before the handshake (default false)
+export function createMockPanel(options = {}) {
+  const url = options.url || "ws://localhost:8847";
+  const reconnectDelayMs = options.reconnectDelayMs === undefined ? 5000 : options.reconnectDelayMs;
+  const state = createHostState(options);
+  const host = createHost(state, options, (data) => send({ type: "export_event", ...data }));
+  const faults = new Map(Object.entries(options.faults || {}));
+  const received = [];
+  const cancelled = new Set();
+
+  let ws = null;
+  let heartbeatTimer = null;
+  let reconnectTimer = null;
+  let heartbeatInterval = options.heartbeatInterval || 2000;
+  let heartbeatsPaused = false;
+  let stopped = false;
+  let crashed = false;
+  let rejected = false;
+
+  function log(msg) {
+    if (options.verbose) console.error(`[MockPanel] ${msg}`);
+  }
+
+  function send(msg) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(msg));
+    }
+  }
+
+  // What the plugin would write to its debug log while the host runs a command
+  function pluginLog(level, message) {
+    if (options.debugLogPath) {
+      appendFileSync(options.debugLogPath, `${new Date().toISOString()} [${level}] MoshBrosh: ${message}\n`);
+    }
+  }
+
+  function startHeartbeat() {
+    stopHeartbeat();
+    heartbeatTimer = setInterval(() => {
+      if (!heartbeatsPaused) send({ type: "heartbeat", projectPath: callJsx("getProjectPath").projectPath });
+    }, heartbeatInterval);
+  }
+
+  function stopHeartbeat() {
+    if (heartbeatTimer) {
+      clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    }
+  }
+
+  // Call an ExtendScript function the way callJsx() in cep-panel/main.js does: as a JSON
+  // request through mcpDispatch, with missing arguments sent as null
+  function callJsx(fn, ...args) {
+    return mcpDispatch(host, JSON.stringify({ fn, args: args.map(arg => arg === undefined ? null : arg) }));
+  }
+
+  function takeFault(command) {
+    const fault = faults.get(command) || faults.get("*");
+    if (fault?.once) {
+      faults.delete(faults.has(command) ? command : "*");
+    }
+    return fault || null;
+  }
+
+  async function handleCommand(msg) {
+    const { requestId, command, params = {} } = msg;
+    log(`Received command: ${command}`);
+    pluginLog("INFO", `${command} begin`);
+    pluginLog("DEBUG", `${command} params ${JSON.stringify(params)}`);
+
+    const fault = takeFault(command);
+    const delay = (fault?.type === "delay" ? fault.ms || 5000 : 0) + (options.responseDelayMs || 0);
+    if (delay > 0) {
+      // A slow command reports progress once a second, like a long export would
+      let elapsed = 0;
+      const ticker = setInterval(() => {
+        elapsed += 1000;
+        send({ type: "progress", requestId, progress: elapsed, total: delay, message: `${command}: ${elapsed}/${delay}ms` });
+      }, 1000);
+      await new Promise(r => setTimeout(r, delay));
+      clearInterval(ticker);
+    }
+    if (cancelled.delete(requestId)) {
+      log(`Cancelled: ${command}`);
+      send({ type: "response", requestId, result: null, error: "Cancelled" });
+      return;
+    }
+
+    switch (fault?.type) {
+      case "drop":
+        // Socket goes away mid-command; the real panel would reconnect later
+        ws.close();
+        return;
+      case "crash":
+        pluginLog("ERROR", "MotionSearch: block index out of range");
+        crash();
+        return;
+      case "hang":
+        // Host is stuck inside the command: socket stays open, heartbeats and the response never come
+        heartbeatsPaused = true;
+        if (!fault.ms) return;
+        await new Promise(r => setTimeout(r, fault.ms));
+        heartbeatsPaused = false;
+        break;
+      case "stall":
+        // ExtendScript never returns, but heartbeats keep coming: the real panel sends them from CEP,
+        // not from the stuck host
+        if (!fault.ms) return;
+        await new Promise(r => setTimeout(r, fault.ms));
+        break;
+      case "extendscript_error":
+        pluginLog("ERROR", `${command} failed`);
+        send({ type: "response", requestId, result: null, error: "ExtendScript error" });
+        return;
+    }
+    state.emptyOutput = fault?.type === "empty_output";
+    state.exportError = fault?.type === "export_error";
+
+    const mapping = COMMANDS[command];
+    if (!mapping) {
+      send({ type: "response", requestId, result: null, error: `Unknown command: ${command}` });
+      return;
+    }
+
+    try {
+      const [fn, ...args] = mapping(params);
+      const result = callJsx(fn, ...args);
+      pluginLog(result?.success === false ? "WARN" : "INFO", `${command} end${result?.error ? `: ${result.error}` : ""}`);
+      send({ type: "response", requestId, result, error: null });
+    } catch (e) {
+      log(`Command error: ${e.message}`);
+      send({ type: "response", requestId, result: null, error: e.message });
+    }
+  }
+
+  function handleConfig(config) {
+    try {
+      const result = callJsx("setTesterConfig", config);
+      if (config.heartbeatInterval && config.heartbeatInterval !== heartbeatInterval) {
+        heartbeatInterval = config.heartbeatInterval;
+        startHeartbeat();
+      }
+      send({ type: "config_applied", result });
+      if (options.autoSetup) {
+        const setup = callJsx("checkAndSetupProject");
+        if (setup.success) send({ type: "auto_setup_complete", result: setup });
+      }
+    } catch (e) {
+      send({ type: "config_applied", error: e.message });
+    }
+  }
+
+  function connect() {
+    if (stopped || crashed) return;
+    log(`Connecting to ${url}`);
+    ws = new WebSocket(url);
+
+    ws.on("open", () => {
+      log("Connected");
+      if (!options.legacy) {
+        const rpcFunctions = callJsx("listRpcFunctions").functions;
+        send({
+          type: "hello",
+          protocolVersion: options.protocolVersion ?? PROTOCOL_VERSION,
+          panelVersion: options.panelVersion || "1.4.0-mock",
+          hostApp: "PPRO",
+          hostVersion: options.hostVersion || "25.0.0",
+          projectPath: callJsx("getProjectPath").projectPath,
+          commands: options.commands || Object.keys(COMMANDS).filter(c => rpcFunctions.includes(COMMANDS[c]({})[0]))
+        });
+      }
+      startHeartbeat();
+    });
+
+    ws.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch (e) {
+        log(`Parse error: ${e.message}`);
+        return;
+      }
+      received.push(msg);
+      if (msg.type === "config") handleConfig(msg.config);
+      else if (msg.type === "command") handleCommand(msg);
+      else if (msg.type === "cancel") cancelled.add(msg.requestId);
+      else if (msg.type === "hello_rejected") {
+        log(`Rejected by server: ${msg.error}`);
+        rejected = true;
+      }
+    });
+
+    ws.on("close", () => {
+      log("Disconnected");
+      stopHeartbeat();
+      scheduleReconnect();
+    });
+
+    ws.on("error", (err) => {
+      log(`WebSocket error: ${err.message}`);
+    });
+  }
+
+  function scheduleReconnect() {
+    if (stopped || crashed || rejected || reconnectDelayMs === null || reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelayMs);
+  }
+
+  // Simulate Premiere dying: the socket is torn down without a close handshake and never comes back
+  function crash() {
+    log("Simulating crash");
+    crashed = true;
+    stopHeartbeat();
+    if (ws) ws.terminate();
+    if (options.crashReportDir) {
+      const reportPath = writeCrashReport(options.crashReportDir, {
+        format: options.crashReportFormat,
+        pluginName: (options.installedEffects || ["MoshBrosh"])[0]
+      });
+      log(`Wrote crash report ${reportPath}`);
+    }
+    options.onCrash?.();
+  }
+
+  return {
+    state,
+    received,
+    start() {
+      stopped = false;
+      connect();
+      return new Promise((resolve, reject) => {
+        ws.once("open", resolve);
+        ws.once("error", reject);
+      });
+    },
+    stop() {
+      stopped = true;
+      stopHeartbeat();
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+      if (ws) ws.close();
+    },
+    crash,
+    // fault: { type: "delay" | "drop" | "crash" | "hang" | "stall" | "extendscript_error" | "empty_output" | "export_error", ms?, once? }.
+    // command "*" matches all.
+    setFault(command, fault) {
+      faults.set(command, fault);
+    },
+    clearFaults() {
+      faults.clear();
+    },
+    pauseHeartbeats() {
+      heartbeatsPaused = true;
+    },
+    resumeHeartbeats() {
+      heartbeatsPaused = false;
+    },
+    get connected() {
+      return ws !== null && ws.readyState === WebSocket.OPEN;
+    },
+    get crashed() {
+      return crashed;
+    },
+    get rejected() {
+      return rejected;
+    }
+  };
+}
+
+// Parse "--fault render_frame=delay:8000" style flags
+function parseArgs(argv) {
+  const opts = { faults: {}, verbose: true, writeFiles: true, autoSetup: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    if (arg === "--port") opts.url = `ws://localhost:${next()}`;
+    else if (arg === "--url") opts.url = next();
+    else if (arg === "--delay") opts.responseDelayMs = Number(next());
+    else if (arg === "--no-effect") opts.effectInstalled = false;
+    else if (arg === "--effects") opts.installedEffects = next().split(",");
+    else if (arg === "--no-reconnect") opts.reconnectDelayMs = null;
+    else if (arg === "--as-premiere") opts.asPremiere = true;
+    else if (arg === "--protocol") opts.protocolVersion = Number(next());
+    else if (arg === "--legacy") opts.legacy = true;
+    else if (arg === "--quiet") opts.verbose = false;
+    else if (arg === "--crash-report") opts.crashReportDir = next();
+    else if (arg === "--crash-format") opts.crashReportFormat = next();
+    else if (arg === "--debug-log") opts.debugLogPath = next();
+    else if (arg === "--fault") {
+      const [command, spec] = next().split("=");
+      const [type, ms] = (spec || "").split(":");
+      opts.faults[command] = { type, ms: ms ? Number(ms) : undefined };
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  return opts;
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const opts = parseArgs(process.argv.slice(2));
+
+  // Let the server's pgrep-based isPremiereRunning()/checkForCrash() see this process as Premiere
+  if (opts.asPremiere) {
+    process.title = "Adobe Premiere Pro (mock)";
+  }
+
+  const panel = createMockPanel({
+    ...opts,
+    onCrash: () => {
+      console.error("[MockPanel] Crashed");
+      process.exit(134);
+    }
+  });
+  panel.start().catch(e => console.error(`[MockPanel] Could not connect: ${e.message}`));
+  process.on("SIGINT", () => {
+    panel.stop();
+    process.exit(0);
+  });
+}
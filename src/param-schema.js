@@ -0,0 +1,189 @@
+/**
+ * Param Schema - Types, ranges and choices of effect parameters
+ * Premiere reports each parameter's value (its type is inferred from it) and whether
+ * it can be keyframed, but not ranges, defaults or popup labels. Those come from an
+ * optional schema file, keyed by effect display name:
+ *
+ *   { "MoshBrosh": { "Blend": { "type": "number", "min": 0, "max": 100, "default": 100 },
+ *                    "Mode": { "type": "popup", "choices": ["Forward", "Backward"] } } }
+ *
+ * Popup values are 1-based indexes into choices, as in the After Effects SDK.
+ */
+
+import { readFileSync } from "fs";
+
+export const PARAM_TYPES = ["number", "integer", "bool", "popup", "color", "point", "string"];
+
+const DECLARED_FIELDS = ["type", "min", "max", "default", "choices"];
+
+// "Mosh Frame" and "mosh_frame" name the same parameter, as in setEffectParam in premiere.jsx
+function paramKey(name) {
+  return String(name).toLowerCase().replace(/\s+/g, "_");
+}
+
+// Read the schema file. Returns {} when no file is configured.
+export function loadParamSchemaFile(filePath) {
+  if (!filePath) return {};
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (e) {
+    throw new Error(`Effect param schema ${filePath}: ${e.code === "ENOENT" ? "file not found" : e.message}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`Effect param schema ${filePath}: expected an object keyed by effect name`);
+  }
+  for (const [effect, params] of Object.entries(raw)) {
+    for (const [name, entry] of Object.entries(params || {})) {
+      if (entry.type !== undefined && !PARAM_TYPES.includes(entry.type)) {
+        throw new Error(`Effect param schema ${filePath}: "${effect}" / "${name}" has unknown type "${entry.type}" (expected ${PARAM_TYPES.join(", ")})`);
+      }
+      if (entry.choices !== undefined && !(Array.isArray(entry.choices) && entry.choices.every(c => typeof c === "string"))) {
+        throw new Error(`Effect param schema ${filePath}: "${effect}" / "${name}" choices must be an array of labels`);
+      }
+    }
+  }
+  return raw;
+}
+
+// Combine what Premiere reported ([{ name, type, value, keyframable, timeVarying }]) with the
+// declared schema for the effect, found under any of effectNames. Declared fields win over inferred ones.
+export function mergeParamSchema(reported, declaredByEffect, effectNames) {
+  const wanted = effectNames.filter(Boolean).map(n => String(n).toLowerCase());
+  const declaredEntry = Object.entries(declaredByEffect).find(([name]) => wanted.includes(name.toLowerCase()));
+  const declared = declaredEntry ? declaredEntry[1] : {};
+  const declaredByKey = new Map(Object.entries(declared).map(([name, entry]) => [paramKey(name), entry]));
+
+  const params = reported.map(param => {
+    const entry = declaredByKey.get(paramKey(param.name)) || {};
+    const merged = {
+      name: param.name,
+      type: param.type,
+      value: param.value,
+      min: null,
+      max: null,
+      default: null,
+      choices: null,
+      keyframable: param.keyframable,
+      timeVarying: param.timeVarying,
+      declared: declaredByKey.has(paramKey(param.name))
+    };
+    for (const field of DECLARED_FIELDS) {
+      if (entry[field] !== undefined) merged[field] = entry[field];
+    }
+    // Premiere reports popups as plain numbers
+    if (merged.choices && merged.type === "number") merged.type = "popup";
+    if (merged.type === "popup" && typeof merged.value === "number" && merged.choices) {
+      merged.valueLabel = merged.choices[merged.value - 1] ?? null;
+    }
+    return merged;
+  });
+
+  const unknown = Object.keys(declared).filter(name => !reported.some(p => paramKey(p.name) === paramKey(name)));
+  return { params, undeclared: params.filter(p => !p.declared).map(p => p.name), unknownDeclared: unknown };
+}
+
+export function findParamSchema(params, name) {
+  return params.find(p => paramKey(p.name) === paramKey(name)) || null;
+}
+
+function describeValue(value) {
+  return JSON.stringify(value);
+}
+
+function checkRange(param, value) {
+  if (param.min !== null && value < param.min || param.max !== null && value > param.max) {
+    const range = [param.min ?? "-inf", param.max ?? "inf"].join(" to ");
+    throw new Error(`"${param.name}" must be within ${range} (got ${value})`);
+  }
+}
+
+function colorChannel(param, channel, value) {
+  if (!Number.isInteger(value) || value < 0 || value > 255) {
+    throw new Error(`"${param.name}" colour channel ${channel} must be an integer 0-255 (got ${describeValue(value)})`);
+  }
+  return value;
+}
+
+// Parse "#RRGGBB", "#RRGGBBAA", [r, g, b(, a)] or { r, g, b, a? } into { r, g, b, a }
+function parseColor(param, value) {
+  let channels;
+  if (typeof value === "string" && /^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+    const hex = value.slice(1);
+    channels = hex.match(/../g).map(h => parseInt(h, 16));
+  } else if (Array.isArray(value) && (value.length === 3 || value.length === 4)) {
+    channels = value;
+  } else if (value && typeof value === "object" && "r" in value && "g" in value && "b" in value) {
+    channels = [value.r, value.g, value.b, value.a ?? 255];
+  } else {
+    throw new Error(`"${param.name}" is a colour: pass "#RRGGBB", [r, g, b] or { r, g, b } with 0-255 channels (got ${describeValue(value)})`);
+  }
+  const [r, g, b, a = 255] = channels;
+  return {
+    r: colorChannel(param, "r", r),
+    g: colorChannel(param, "g", g),
+    b: colorChannel(param, "b", b),
+    a: colorChannel(param, "a", a)
+  };
+}
+
+// Check a value against a parameter's schema. Returns { value, valueType } ready for the panel;
+// throws with what the parameter accepts otherwise.
+export function coerceParamValue(param, value) {
+  switch (param.type) {
+    case "bool":
+      if (typeof value !== "boolean") {
+        throw new Error(`"${param.name}" is a checkbox: pass true or false (got ${describeValue(value)})`);
+      }
+      return { value, valueType: "bool" };
+
+    case "popup": {
+      const choices = param.choices || [];
+      if (typeof value === "string") {
+        const index = choices.findIndex(c => c.toLowerCase() === value.toLowerCase());
+        if (index < 0) {
+          throw new Error(choices.length > 0
+            ? `"${param.name}" has no choice "${value}". Choices: ${choices.join(", ")}`
+            : `"${param.name}" has no declared choices; pass the 1-based index or add choices to the effect param schema file`);
+        }
+        return { value: index + 1, valueType: "popup" };
+      }
+      if (!Number.isInteger(value) || value < 1 || (choices.length > 0 && value > choices.length)) {
+        throw new Error(`"${param.name}" is a popup: pass a choice label${choices.length > 0 ? ` (${choices.join(", ")})` : ""} or a 1-based index (got ${describeValue(value)})`);
+      }
+      return { value, valueType: "popup" };
+    }
+
+    case "color":
+      return { value: parseColor(param, value), valueType: "color" };
+
+    case "point": {
+      const point = Array.isArray(value) ? value : value && typeof value === "object" ? [value.x, value.y] : null;
+      if (!point || point.length !== 2 || !point.every(v => typeof v === "number" && Number.isFinite(v))) {
+        throw new Error(`"${param.name}" is a 2D point: pass [x, y] or { x, y } (got ${describeValue(value)})`);
+      }
+      return { value: point, valueType: "point" };
+    }
+
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error(`"${param.name}" is a number (got ${describeValue(value)})`);
+      }
+      if (param.type === "integer" && !Number.isInteger(value)) {
+        throw new Error(`"${param.name}" must be a whole number (got ${value})`);
+      }
+      checkRange(param, value);
+      return { value, valueType: "number" };
+
+    case "string":
+      if (typeof value !== "string") {
+        throw new Error(`"${param.name}" is text (got ${describeValue(value)})`);
+      }
+      return { value, valueType: "string" };
+
+    default:
+      // Premiere couldn't read it, so there is nothing to check against
+      return { value, valueType: null };
+  }
+}
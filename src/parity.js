@@ -0,0 +1,92 @@
+/**
+ * Parity - Compare the plugin's output inside Premiere with the CLI reference
+ * Maps Premiere effect params onto CLI flags and scores both videos frame by frame.
+ */
+
+import { existsSync, mkdirSync, readFileSync } from "fs";
+import path from "path";
+import { compareImageFilesWithHeatmap, formatMetrics } from "./image-metrics.js";
+import { normalizeParams } from "./baselines.js";
+import { SWEEP_PARAMS } from "./sweep.js";
+
+export const DEFAULT_PARITY_THRESHOLD = 0.95;
+
+// Map Premiere effect params ({ "Mosh Frame": 10, ... }) to runCliTool options ({ moshFrame: 10, ... })
+export function effectParamsToCliOptions(effectParams) {
+  const options = {};
+  const unmapped = [];
+  for (const [name, value] of Object.entries(normalizeParams(effectParams))) {
+    const option = SWEEP_PARAMS[name];
+    if (option && typeof value === "number") {
+      options[option] = value;
+    } else {
+      unmapped.push(name);
+    }
+  }
+  const defaulted = Object.entries(SWEEP_PARAMS)
+    .filter(([, option]) => !(option in options))
+    .map(([name]) => name);
+  return { options, unmapped, defaulted };
+}
+
+// Compare matching frames from two directories of frame_<n>.png files.
+// A frame diverges when its SSIM drops below minSsim; a frame present in only one video fails parity.
+export function compareFrameSets({ premiereDir, cliDir, frames, frameOffset = 0, minSsim = DEFAULT_PARITY_THRESHOLD, heatmapDir }) {
+  mkdirSync(heatmapDir, { recursive: true });
+
+  const results = [];
+  const missing = [];
+  for (const frame of frames) {
+    const premierePath = path.join(premiereDir, `frame_${frame + frameOffset}.png`);
+    const cliPath = path.join(cliDir, `frame_${frame}.png`);
+    const hasPremiere = existsSync(premierePath);
+    const hasCli = existsSync(cliPath);
+    if (!hasPremiere && !hasCli) {
+      // Past the end of both videos
+      continue;
+    }
+    if (!hasPremiere || !hasCli) {
+      missing.push({ frame, missingFrom: hasPremiere ? "cli" : "premiere" });
+      continue;
+    }
+    const heatmapPath = path.join(heatmapDir, `diff_${frame}.png`);
+    const { metrics } = compareImageFilesWithHeatmap(premierePath, cliPath, heatmapPath);
+    results.push({
+      frame,
+      diverged: metrics.ssim < minSsim,
+      ssim: metrics.ssim,
+      psnr: metrics.psnr,
+      rmse: metrics.rmse,
+      premierePath,
+      cliPath,
+      heatmapPath
+    });
+  }
+
+  const firstDivergent = results.find(r => r.diverged) || null;
+  const ssims = results.map(r => r.ssim);
+  return {
+    success: results.length > 0 && !firstDivergent && missing.length === 0,
+    threshold: minSsim,
+    framesCompared: results.length,
+    missingFrames: missing,
+    divergentFrames: results.filter(r => r.diverged).map(r => r.frame),
+    firstDivergentFrame: firstDivergent ? firstDivergent.frame : null,
+    summary: results.length > 0 ? formatMetrics({
+      meanSsim: ssims.reduce((a, b) => a + b, 0) / ssims.length,
+      minSsim: Math.min(...ssims)
+    }) : null,
+    frames: results.map(r => ({ ...r, ...formatMetrics({ ssim: r.ssim, psnr: r.psnr, rmse: r.rmse }) })),
+    firstDivergent
+  };
+}
+
+// Images to attach for the first divergent frame: Premiere, CLI, heatmap
+export function divergenceImages(firstDivergent) {
+  if (!firstDivergent) return [];
+  return [
+    { label: `Premiere frame ${firstDivergent.frame}`, data: readFileSync(firstDivergent.premierePath).toString("base64") },
+    { label: `CLI frame ${firstDivergent.frame}`, data: readFileSync(firstDivergent.cliPath).toString("base64") },
+    { label: "Difference heatmap", data: readFileSync(firstDivergent.heatmapPath).toString("base64") }
+  ];
+}
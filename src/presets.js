@@ -0,0 +1,128 @@
+/**
+ * Presets - Find Media Encoder export presets (.epr) on disk
+ * System presets ship inside the Media Encoder and Premiere app bundles; user
+ * presets live in per-version folders under Documents and Application Support.
+ */
+
+import { existsSync, readdirSync, statSync } from "fs";
+import { homedir } from "os";
+import path from "path";
+
+// Tried in order when export_sequence is called without a preset
+const DEFAULT_PRESET_PATTERNS = [/^match source.*high bitrate/i, /h\.?264/i];
+
+const MAX_DEPTH = 4;
+
+function listDir(dir) {
+  try {
+    return readdirSync(dir);
+  } catch {
+    return [];
+  }
+}
+
+function isDir(p) {
+  try {
+    return statSync(p).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Every place presets can live: { dir, kind, version }
+export function presetRoots({ applicationsDir = "/Applications", home = homedir(), extraDir = null } = {}) {
+  const roots = [];
+
+  // /Applications/Adobe Media Encoder 2025/Adobe Media Encoder 2025.app/Contents/MediaIO/systempresets
+  for (const appDir of listDir(applicationsDir)) {
+    const match = appDir.match(/^Adobe (Media Encoder|Premiere Pro) (\d{4})$/);
+    if (!match) continue;
+    const bundle = path.join(applicationsDir, appDir, `${appDir}.app`, "Contents/MediaIO/systempresets");
+    roots.push({ dir: bundle, kind: "system", app: match[1], version: match[2] });
+  }
+
+  // ~/Documents/Adobe/Adobe Media Encoder/25.0/Presets and the older Application Support location
+  for (const base of [
+    path.join(home, "Documents/Adobe/Adobe Media Encoder"),
+    path.join(home, "Library/Application Support/Adobe/Adobe Media Encoder")
+  ]) {
+    for (const version of listDir(base)) {
+      roots.push({ dir: path.join(base, version, "Presets"), kind: "user", app: "Media Encoder", version });
+    }
+  }
+
+  if (extraDir) {
+    roots.push({ dir: extraDir, kind: "custom", app: null, version: null });
+  }
+  return roots.filter(r => isDir(r.dir));
+}
+
+function collectPresets(dir, root, depth, out) {
+  for (const entry of listDir(dir)) {
+    const full = path.join(dir, entry);
+    if (entry.toLowerCase().endsWith(".epr")) {
+      out.push({
+        name: entry.slice(0, -4),
+        path: full,
+        kind: root.kind,
+        app: root.app,
+        version: root.version,
+        folder: path.relative(root.dir, dir) || null
+      });
+    } else if (depth < MAX_DEPTH && isDir(full)) {
+      collectPresets(full, root, depth + 1, out);
+    }
+  }
+}
+
+// All presets, newest app version first; user and custom presets before system ones
+export function listExportPresets(options = {}) {
+  const presets = [];
+  for (const root of presetRoots(options)) {
+    collectPresets(root.dir, root, 0, presets);
+  }
+  const kindOrder = { custom: 0, user: 1, system: 2 };
+  return presets.sort((a, b) =>
+    kindOrder[a.kind] - kindOrder[b.kind]
+    || (b.version || "").localeCompare(a.version || "", undefined, { numeric: true })
+    || a.name.localeCompare(b.name));
+}
+
+// Resolve a preset name or .epr path. With no preset, pick a sensible default.
+export function resolveExportPreset(preset, options = {}) {
+  if (preset && (preset.includes("/") || preset.toLowerCase().endsWith(".epr"))) {
+    if (!existsSync(preset)) {
+      throw new Error(`Export preset not found: ${preset}`);
+    }
+    return { name: path.basename(preset, ".epr"), path: preset, kind: "path" };
+  }
+
+  const presets = listExportPresets(options);
+  if (presets.length === 0) {
+    throw new Error("No Media Encoder presets found. Install Media Encoder, set exportPresetDir, or pass preset as a path to an .epr file.");
+  }
+
+  if (!preset) {
+    for (const pattern of DEFAULT_PRESET_PATTERNS) {
+      const found = presets.find(p => pattern.test(p.name));
+      if (found) return found;
+    }
+    return presets[0];
+  }
+
+  const wanted = preset.toLowerCase();
+  const exact = presets.filter(p => p.name.toLowerCase() === wanted);
+  if (exact.length > 0) {
+    // Same name in several versions: the sort order puts the preferred one first
+    return exact[0];
+  }
+  const partial = presets.filter(p => p.name.toLowerCase().includes(wanted));
+  const names = [...new Set(partial.map(p => p.name))];
+  if (names.length === 1) {
+    return partial[0];
+  }
+  if (names.length > 1) {
+    throw new Error(`Preset "${preset}" is ambiguous: ${names.slice(0, 10).join(", ")}${names.length > 10 ? ", ..." : ""}`);
+  }
+  throw new Error(`No export preset named "${preset}". Use list_export_presets to see what is installed.`);
+}
@@ -0,0 +1,31 @@
+/**
+ * Progress - MCP progress notifications for one tool call
+ * Every notification on a progress token must carry a higher progress value than the last.
+ * Two sources feed a call's progress: real numbers (from the panel, an export, the steps of a
+ * run) and elapsed-time ticks while a panel command gives none. Both go out on one scale:
+ * a tick only carries its message and nudges progress up by TICK_STEP, far below any real
+ * value, so real progress that follows ticks is still sent. Ticks stop once real progress
+ * has been sent, and any value not above the last one sent is dropped.
+ */
+
+export const TICK_STEP = 1e-6;
+
+// send(params) posts one notifications/progress; returns onProgress({ progress, total, message, elapsed })
+export function createProgressReporter(progressToken, send) {
+  let last = null;
+  let reported = false;
+  return ({ progress, total, message, elapsed = false }) => {
+    let value;
+    if (elapsed) {
+      if (reported) return;
+      value = last === null ? 0 : last + TICK_STEP;
+      total = undefined;
+    } else {
+      if (typeof progress !== "number" || (last !== null && progress <= last)) return;
+      value = progress;
+      reported = true;
+    }
+    last = value;
+    send({ progressToken, progress: value, total, message });
+  };
+}
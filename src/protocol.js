@@ -0,0 +1,77 @@
+/**
+ * Protocol - Versioned handshake between the MCP server and the CEP panel
+ * The panel opens with a hello (protocol version, panel version, Premiere version,
+ * supported commands). The server answers hello_ack and pushes its config, or
+ * hello_rejected and closes the socket.
+ */
+
+export const PROTOCOL_VERSION = 4;
+
+// Oldest panel protocol this server still talks to
+export const MIN_PROTOCOL_VERSION = 1;
+
+// What an older (but still supported) panel is missing
+const PROTOCOL_CHANGES = {
+  2: "export_event messages, so get_export_status/wait_for_export can't follow its exports",
+  3: "export options (preset, output path, range, mode), so export_sequence can't run on it",
+  4: "effect selection, so it ignores the configured effect and the effect argument and only drives MoshBrosh"
+};
+
+// A panel that hasn't said hello by then predates the handshake
+export const HELLO_TIMEOUT_MS = 5000;
+
+// WebSocket close code sent with hello_rejected; the panel doesn't auto-reconnect after it
+export const REJECTED_CLOSE_CODE = 4001;
+
+// MCP tools that are forwarded to the panel as a command of the same name
+export const CEP_COMMANDS = [
+  "open_test_project",
+  "render_frame",
+  "set_effect_param",
+  "get_effect_params",
+  "render_frame_range",
+  "get_source_frame",
+  "compare_frames",
+  "get_project_info",
+  "apply_effect",
+  "export_sequence",
+  "set_param_time_varying",
+  "add_keyframe",
+  "move_keyframe",
+  "remove_keyframe",
+  "set_keyframe_interpolation",
+  "get_keyframes",
+  "get_effect_param_schema"
+];
+
+// Check a hello message. Returns { accepted, error } or { accepted, warnings, commands }.
+export function negotiate(hello) {
+  const version = hello.protocolVersion;
+  const panel = `CEP panel ${hello.panelVersion || "(unknown version)"}`;
+  if (!Number.isInteger(version)) {
+    return { accepted: false, error: `${panel} sent a hello without a protocolVersion` };
+  }
+  if (version < MIN_PROTOCOL_VERSION) {
+    return {
+      accepted: false,
+      error: `${panel} speaks protocol v${version}; this server needs v${MIN_PROTOCOL_VERSION}-v${PROTOCOL_VERSION}. Reinstall the panel with install.sh.`
+    };
+  }
+  if (version > PROTOCOL_VERSION) {
+    return {
+      accepted: false,
+      error: `${panel} speaks protocol v${version}, newer than this server (v${PROTOCOL_VERSION}). Update the MCP server.`
+    };
+  }
+
+  const commands = Array.isArray(hello.commands) ? hello.commands.filter(c => typeof c === "string") : [];
+  const missing = CEP_COMMANDS.filter(c => !commands.includes(c));
+  const warnings = [];
+  for (let v = version + 1; v <= PROTOCOL_VERSION; v++) {
+    warnings.push(`${panel} speaks protocol v${version} and lacks ${PROTOCOL_CHANGES[v]}. Reinstall the panel with install.sh.`);
+  }
+  if (missing.length > 0) {
+    warnings.push(`${panel} does not support ${missing.join(", ")}; those tools are unavailable until the panel is reinstalled with install.sh.`);
+  }
+  return { accepted: true, warnings, commands };
+}
@@ -0,0 +1,230 @@
+/**
+ * Report - Self-contained HTML report for an autonomous test run or export analysis
+ * Frames and heatmaps are embedded as data URIs, so the one file can be attached to a bug
+ * or sent to a teammate. Sections: summary, step timeline, effect params, frames side by
+ * side with diff heatmaps, metric charts, build output, debug log and crash log.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+
+export const REPORT_KINDS = ["autonomous_test", "export_analysis"];
+
+// Keep the end of long logs so a report stays small enough to open in a browser
+const MAX_LOG_CHARS = 200000;
+
+// Bar chart scales; rmse has no fixed ceiling so it scales to the largest value shown
+const METRIC_SCALES = {
+  rmse: { label: "RMSE (0-255, lower = more similar)", max: null },
+  psnr: { label: "PSNR dB (higher = more similar)", max: 60 },
+  ssim: { label: "SSIM (1 = identical)", max: 1 },
+  changedPixelRatio: { label: "Changed pixels (fraction)", max: 1 }
+};
+
+const STYLE = `
+body { font: 14px/1.4 -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 24px; color: #1d1d1f; background: #fafafa; }
+h1 { margin: 0 0 4px; } h2 { margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+.meta { color: #666; } .badge { display: inline-block; padding: 2px 8px; border-radius: 4px; color: #fff; font-weight: 600; }
+.success, .passed, .complete { background: #2e7d32; } .failed, .error { background: #c62828; } .starting, .skipped { background: #757575; }
+table { border-collapse: collapse; } td, th { padding: 4px 10px; text-align: left; border-bottom: 1px solid #eee; vertical-align: top; }
+.bar { background: #90caf9; height: 12px; min-width: 1px; }
+.frames { display: flex; gap: 12px; flex-wrap: wrap; margin-bottom: 16px; }
+figure { margin: 0; } figure img { max-width: 480px; border: 1px solid #ccc; display: block; } figcaption { color: #555; font-size: 12px; }
+.missing { width: 320px; padding: 24px; border: 1px dashed #c62828; color: #c62828; font-size: 12px; word-break: break-all; }
+pre { background: #fff; border: 1px solid #ddd; padding: 8px; overflow: auto; max-height: 480px; font-size: 12px; }
+.charts { display: flex; gap: 24px; flex-wrap: wrap; } .charts svg { background: #fff; border: 1px solid #ddd; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function formatDuration(ms) {
+  if (typeof ms !== "number") return "";
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+function badge(status) {
+  return `<span class="badge ${escapeHtml(status)}">${escapeHtml(status)}</span>`;
+}
+
+function preBlock(text) {
+  if (!text) return "<p class=\"meta\">(empty)</p>";
+  const truncated = text.length > MAX_LOG_CHARS;
+  const shown = truncated ? text.slice(-MAX_LOG_CHARS) : text;
+  return `${truncated ? `<p class="meta">Showing the last ${MAX_LOG_CHARS} of ${text.length} characters</p>` : ""}<pre>${escapeHtml(shown)}</pre>`;
+}
+
+// The analysis result: analyze_premiere_export's own, or the one from the autonomous run's last step
+function analysisOf(run) {
+  if (run.kind === "export_analysis") return run.result;
+  return run.result.steps?.find(s => s.step === "analyze_export")?.result ?? null;
+}
+
+// Rows of frames shown side by side: { caption, images: [{ label, path }] }
+function frameRows(analysis) {
+  const rows = [];
+  if (!analysis) return rows;
+  if (analysis.frame15 || analysis.frame30) {
+    rows.push({
+      caption: "Premiere export, frame 15 vs frame 30 (the mosh should make them differ)",
+      images: [
+        { label: "Premiere frame 15", path: analysis.frame15 },
+        { label: "Premiere frame 30", path: analysis.frame30 },
+        { label: "Difference 15 vs 30", path: analysis.heatmap }
+      ]
+    });
+  }
+  for (const c of analysis.cliComparisons || []) {
+    rows.push({
+      caption: `Frame ${c.frame}: Premiere vs CLI reference${c.error ? ` (${c.error})` : ""}`,
+      images: [
+        { label: `Premiere frame ${c.frame}`, path: c.premiere },
+        { label: `CLI frame ${c.frame}`, path: c.cli },
+        ...(c.heatmap ? [{ label: `Difference at frame ${c.frame}`, path: c.heatmap }] : [])
+      ]
+    });
+  }
+  return rows;
+}
+
+// Comparisons for the metric charts: { label, metrics }
+function metricSeries(analysis) {
+  const series = [];
+  if (analysis?.metrics) series.push({ label: "Premiere 15 vs 30", metrics: analysis.metrics });
+  for (const c of analysis?.cliComparisons || []) {
+    if (c.metrics) series.push({ label: `Premiere vs CLI @${c.frame}`, metrics: c.metrics });
+  }
+  return series;
+}
+
+function metricChart(metric, series) {
+  const scale = METRIC_SCALES[metric];
+  const values = series.map(s => (s.metrics[metric] === "inf" ? Infinity : s.metrics[metric]));
+  const max = scale.max ?? Math.max(1, ...values.filter(Number.isFinite));
+  const labelWidth = 160;
+  const barWidth = 220;
+  const rowHeight = 22;
+  const height = series.length * rowHeight + 30;
+  const bars = series.map((s, i) => {
+    const value = values[i];
+    const width = Number.isFinite(value) ? Math.max(1, Math.min(1, value / max) * barWidth) : barWidth;
+    const y = 26 + i * rowHeight;
+    return `<text x="4" y="${y + 12}" font-size="11">${escapeHtml(s.label)}</text>`
+      + `<rect x="${labelWidth}" y="${y}" width="${width.toFixed(1)}" height="14" fill="#42a5f5"/>`
+      + `<text x="${(labelWidth + width + 4).toFixed(1)}" y="${y + 12}" font-size="11">${escapeHtml(s.metrics[metric])}</text>`;
+  });
+  return `<svg width="${labelWidth + barWidth + 70}" height="${height}" xmlns="http://www.w3.org/2000/svg">`
+    + `<text x="4" y="16" font-size="12" font-weight="600">${escapeHtml(scale.label)}</text>${bars.join("")}</svg>`;
+}
+
+function section(title, body) {
+  return `<h2>${escapeHtml(title)}</h2>\n${body}\n`;
+}
+
+// Write the report for run to outputPath. run:
+//   { kind, startedAt, finishedAt, effect, effectParams, result, build, debugLog, crash }
+// where result is run_autonomous_test's or analyze_premiere_export's and crash is
+// { crashed, crashTime, crashReport, crashLog } for crashes during the run (crashReport is
+// the headline, crashLog the full report).
+export function writeReport(run, outputPath, { title } = {}) {
+  if (!REPORT_KINDS.includes(run.kind)) {
+    throw new Error(`Unknown report kind "${run.kind}" (expected ${REPORT_KINDS.join(" or ")})`);
+  }
+  const images = { embedded: 0, missing: [] };
+  const image = ({ label, path: filePath }) => {
+    if (filePath && existsSync(filePath)) {
+      images.embedded++;
+      const data = readFileSync(filePath).toString("base64");
+      return `<figure><img src="data:image/png;base64,${data}" alt="${escapeHtml(label)}"><figcaption>${escapeHtml(label)}<br>${escapeHtml(filePath)}</figcaption></figure>`;
+    }
+    images.missing.push(filePath || label);
+    return `<figure><div class="missing">${escapeHtml(label)}: ${filePath ? `missing ${escapeHtml(filePath)}` : "not produced"}</div></figure>`;
+  };
+
+  const result = run.result;
+  const analysis = analysisOf(run);
+  const durationMs = run.finishedAt - run.startedAt;
+  const heading = title || (run.kind === "autonomous_test" ? "Autonomous test report" : "Export analysis report");
+  const parts = [];
+
+  parts.push(`<h1>${escapeHtml(heading)}</h1>
+<p>${badge(result.success ? "passed" : "failed")} ${escapeHtml(result.error || result.message || "")}</p>
+<p class="meta">Started ${escapeHtml(new Date(run.startedAt).toISOString())}, took ${formatDuration(durationMs)}.
+Effect: ${escapeHtml(run.effect || "(default)")}. Generated ${escapeHtml(new Date().toISOString())}.</p>`);
+
+  if (run.crash?.crashed) {
+    const report = run.crash.crashLog
+      ? `${preBlock(run.crash.crashReport)}<details><summary>Full crash report</summary>${preBlock(run.crash.crashLog)}</details>`
+      : "<p class=\"meta\">(no crash report found)</p>";
+    parts.push(section("Crash", `<p>${badge("failed")} Premiere crashed at ${escapeHtml(run.crash.crashTime)}</p>${report}`));
+  }
+
+  if (result.steps?.length) {
+    const total = Math.max(1, ...result.steps.map(s => s.durationMs || 0));
+    const rows = result.steps.map(s => `<tr><td>${escapeHtml(s.step)}</td><td>${badge(s.status)}</td>`
+      + `<td>${formatDuration(s.durationMs)}</td><td style="width:320px"><div class="bar" style="width:${(((s.durationMs || 0) / total) * 100).toFixed(1)}%"></div></td>`
+      + `<td>${escapeHtml(s.result?.error || s.result?.message || "")}</td></tr>`);
+    parts.push(section("Steps", `<table><tr><th>Step</th><th>Status</th><th>Duration</th><th></th><th>Detail</th></tr>${rows.join("")}</table>`));
+  }
+
+  if (run.effectParams) {
+    const rows = Object.entries(run.effectParams)
+      .map(([name, value]) => `<tr><td>${escapeHtml(name)}</td><td>${escapeHtml(JSON.stringify(value))}</td></tr>`);
+    parts.push(section("Effect parameters", `<table><tr><th>Parameter</th><th>Value</th></tr>${rows.join("")}</table>`));
+  } else {
+    parts.push(section("Effect parameters", "<p class=\"meta\">(not captured: no panel connected or the effect was not applied)</p>"));
+  }
+
+  const rows = frameRows(analysis);
+  parts.push(section("Frames", rows.length > 0
+    ? rows.map(row => `<p>${escapeHtml(row.caption)}</p><div class="frames">${row.images.map(image).join("")}</div>`).join("\n")
+    : `<p class="meta">(no frames: ${escapeHtml(analysis?.error || "the run stopped before the export was analyzed")})</p>`));
+
+  const series = metricSeries(analysis);
+  if (series.length > 0) {
+    const charts = Object.keys(METRIC_SCALES)
+      .filter(metric => series.some(s => s.metrics[metric] !== undefined))
+      .map(metric => metricChart(metric, series.filter(s => s.metrics[metric] !== undefined)));
+    parts.push(section("Metrics", `<div class="charts">${charts.join("")}</div>`));
+  }
+
+  if (run.build) {
+    const build = run.build;
+    parts.push(section("Build", `<p>${badge(build.success ? "success" : "failed")} <code>${escapeHtml(build.command)}</code>`
+      + ` at ${escapeHtml(new Date(build.finishedAt).toISOString())}</p>`
+      + (build.errors?.length ? `<pre>${escapeHtml(build.errors.join("\n"))}</pre>` : "")
+      + `<details><summary>Build output</summary>${preBlock(build.output)}</details>`));
+  } else {
+    parts.push(section("Build", "<p class=\"meta\">(no build since the server started)</p>"));
+  }
+
+  parts.push(section("Plugin debug log during the run", preBlock(run.debugLog)));
+  parts.push(section("Raw result", `<details><summary>JSON</summary><pre>${escapeHtml(JSON.stringify(result, null, 2))}</pre></details>`));
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${parts.join("\n")}
+</body>
+</html>
+`;
+  mkdirSync(path.dirname(outputPath), { recursive: true });
+  writeFileSync(outputPath, html);
+  return {
+    success: true,
+    path: outputPath,
+    bytes: Buffer.byteLength(html),
+    imagesEmbedded: images.embedded,
+    missingImages: images.missing
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Resources - Files the server produces, addressed as MCP resources
+ * Artifacts are the files under a few output directories ("areas"), named
+ * premiere-tester://artifacts/<area>/<path inside it>, so a client can list a run's frames and
+ * read just the one it needs. Text files are returned as text, everything else base64.
+ */
+
+import { existsSync, readdirSync, readFileSync, writeFileSync, mkdirSync, statSync, unlinkSync } from "fs";
+import path from "path";
+
+export const URI_PREFIX = "premiere-tester://";
+export const ARTIFACT_PREFIX = `${URI_PREFIX}artifacts/`;
+
+export const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".mp4": "video/mp4",
+  ".mov": "video/quicktime",
+  ".json": "application/json",
+  ".html": "text/html",
+  ".csv": "text/csv",
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".ips": "text/plain",
+  ".crash": "text/plain"
+};
+
+// Larger files are refused rather than base64-encoded into one message
+export const MAX_RESOURCE_BYTES = 64 * 1024 * 1024;
+
+// Directory levels listed below an area, and files listed per area (newest first)
+const MAX_DEPTH = 4;
+const MAX_FILES_PER_AREA = 500;
+
+// Frames kept by saveFrame; the oldest are deleted as new ones arrive
+const MAX_SAVED_FRAMES = 500;
+
+export function mimeTypeFor(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || null;
+}
+
+export function isTextMimeType(mimeType) {
+  return mimeType.startsWith("text/") || mimeType === "application/json" || mimeType === "image/svg+xml";
+}
+
+export function artifactUri(area, relativePath) {
+  return `${ARTIFACT_PREFIX}${area}/${relativePath.split(path.sep).map(encodeURIComponent).join("/")}`;
+}
+
+// Files of a known type under dir, newest first. Directories in skip (other areas nested
+// inside this one) and hidden ones are left out.
+function walk(dir, skip, depth = 0, found = []) {
+  let entries;
+  try {
+    entries = readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (depth < MAX_DEPTH && !skip.includes(full)) walk(full, skip, depth + 1, found);
+    } else if (entry.isFile() && mimeTypeFor(entry.name)) {
+      const stat = statSync(full);
+      found.push({ path: full, size: stat.size, mtime: stat.mtimeMs });
+    }
+  }
+  return found;
+}
+
+// Resource descriptors for every artifact. areas: { name: directory }.
+export function listArtifacts(areas) {
+  const dirs = Object.values(areas).map(dir => path.resolve(dir));
+  const resources = [];
+  for (const [area, dir] of Object.entries(areas)) {
+    const root = path.resolve(dir);
+    const files = walk(root, dirs.filter(d => d !== root && d.startsWith(root + path.sep)))
+      .sort((a, b) => b.mtime - a.mtime)
+      .slice(0, MAX_FILES_PER_AREA);
+    for (const file of files) {
+      const relative = path.relative(root, file.path);
+      resources.push({
+        uri: artifactUri(area, relative),
+        name: `${area}/${relative.split(path.sep).join("/")}`,
+        mimeType: mimeTypeFor(file.path),
+        size: file.size,
+        annotations: { lastModified: new Date(file.mtime).toISOString() }
+      });
+    }
+  }
+  return resources;
+}
+
+// The file an artifact URI names. Throws for unknown areas, paths outside the area and
+// files that don't exist or have no known type.
+export function resolveArtifactUri(areas, uri) {
+  const rest = uri.slice(ARTIFACT_PREFIX.length);
+  const slash = rest.indexOf("/");
+  const area = slash < 0 ? rest : rest.slice(0, slash);
+  if (!areas[area]) {
+    throw new Error(`Unknown artifact area "${area}". Areas: ${Object.keys(areas).join(", ")}`);
+  }
+  const root = path.resolve(areas[area]);
+  const relative = rest.slice(slash + 1).split("/").map(decodeURIComponent).join(path.sep);
+  const filePath = path.resolve(root, relative);
+  if (slash < 0 || !filePath.startsWith(root + path.sep)) {
+    throw new Error(`${uri} is not a file inside ${root}`);
+  }
+  if (!existsSync(filePath) || !statSync(filePath).isFile()) {
+    throw new Error(`${uri}: ${filePath} does not exist`);
+  }
+  if (!mimeTypeFor(filePath)) {
+    throw new Error(`${uri}: ${path.extname(filePath) || "files without an extension"} cannot be read as a resource`);
+  }
+  return filePath;
+}
+
+// Read a file as the contents of resources/read
+export function readFileResource(uri, filePath) {
+  const mimeType = mimeTypeFor(filePath) || "application/octet-stream";
+  const size = statSync(filePath).size;
+  if (size > MAX_RESOURCE_BYTES) {
+    throw new Error(`${filePath} is ${Math.round(size / 1024 / 1024)}MB, over the ${MAX_RESOURCE_BYTES / 1024 / 1024}MB a resource read returns`);
+  }
+  const data = readFileSync(filePath);
+  return isTextMimeType(mimeType)
+    ? { uri, mimeType, text: data.toString("utf8") }
+    : { uri, mimeType, blob: data.toString("base64") };
+}
+
+// Save an image a tool would have returned inline as <dir>/<name>, to be read as a resource instead
+export function saveFrame(dir, name, base64Data) {
+  mkdirSync(dir, { recursive: true });
+  const filePath = path.join(dir, name);
+  writeFileSync(filePath, Buffer.from(base64Data, "base64"));
+  const frames = readdirSync(dir)
+    .map(f => ({ path: path.join(dir, f), mtime: statSync(path.join(dir, f)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+  for (const old of frames.slice(MAX_SAVED_FRAMES)) {
+    unlinkSync(old.path);
+  }
+  return filePath;
+}
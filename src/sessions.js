@@ -0,0 +1,121 @@
+/**
+ * Sessions - One entry per connected CEP panel (i.e. per Premiere instance)
+ * Each socket owns its session, so a panel reload or a second Premiere never
+ * replaces the connection another caller is talking to.
+ */
+
+export function createSessionRegistry({ heartbeatTimeout }) {
+  const sessions = new Map();
+  let sessionCounter = 0;
+
+  function add(ws, remoteAddress = null) {
+    const now = Date.now();
+    const session = {
+      id: `panel-${++sessionCounter}`,
+      ws,
+      remoteAddress,
+      connectedAt: now,
+      lastHeartbeat: now,
+      hostApp: null,
+      hostVersion: null,
+      projectPath: null,
+      // Filled in by the hello handshake
+      handshake: "pending", // pending | ok | legacy
+      protocolVersion: null,
+      panelVersion: null,
+      commands: null, // null = unknown (no hello), every command is attempted
+      warnings: [],
+      // Kept for the crash history: what was last sent, and the effect's params as last seen
+      lastCommand: null, // { command, params, sentAt }
+      effectParams: null, // { effect, params } from get_effect_params and set_effect_param
+      // Set by the hang watchdog while the host is stuck: { since, cause, reason, command, evidence }
+      hang: null
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  // Only removes the entry if it still belongs to this session object
+  function remove(session) {
+    if (sessions.get(session.id) === session) {
+      sessions.delete(session.id);
+    }
+  }
+
+  function isLive(session) {
+    return Date.now() - session.lastHeartbeat < heartbeatTimeout;
+  }
+
+  function describe(session) {
+    return {
+      id: session.id,
+      host_app: session.hostApp,
+      host_version: session.hostVersion,
+      project_path: session.projectPath,
+      connected_at: new Date(session.connectedAt).toISOString(),
+      last_heartbeat_ago_ms: Date.now() - session.lastHeartbeat,
+      responsive: isLive(session),
+      state: session.hang ? "hung" : "healthy",
+      hang: session.hang,
+      handshake: session.handshake,
+      protocol_version: session.protocolVersion,
+      panel_version: session.panelVersion,
+      commands: session.commands,
+      warnings: session.warnings
+    };
+  }
+
+  function supports(session, command) {
+    return session.commands === null || session.commands.includes(command);
+  }
+
+  // Commands at least one connected panel supports, or null if any panel's support is unknown
+  // (or none is connected) and every command should be offered
+  function supportedCommands() {
+    const all = [...sessions.values()];
+    if (all.length === 0 || all.some(s => s.commands === null)) {
+      return null;
+    }
+    return new Set(all.flatMap(s => s.commands));
+  }
+
+  // Pick the session a command goes to. Without an explicit id there must be exactly
+  // one candidate; a session whose heartbeats stopped only counts if it is the only one.
+  function resolve(sessionId) {
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        const known = [...sessions.keys()];
+        throw new Error(`Unknown session "${sessionId}". Connected sessions: ${known.length > 0 ? known.join(", ") : "none"}`);
+      }
+      return session;
+    }
+
+    if (sessions.size === 0) {
+      throw new Error("Premiere not connected. Is it running with the CEP panel installed?");
+    }
+    const all = [...sessions.values()];
+    if (all.length === 1) {
+      return all[0];
+    }
+    const live = all.filter(isLive);
+    if (live.length === 1) {
+      return live[0];
+    }
+    throw new Error(`${all.length} CEP panels are connected (${all.map(s => `${s.id}: ${s.projectPath || "no project"}`).join("; ")}). Pass "session" to choose one; see premiere_status.`);
+  }
+
+  return {
+    add,
+    remove,
+    resolve,
+    describe,
+    supports,
+    supportedCommands,
+    get: id => sessions.get(id),
+    list: () => [...sessions.values()],
+    get size() {
+      return sessions.size;
+    }
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Sweep - Run the CLI datamosh tool over a grid (or random sample) of parameter values
+ * Each run writes its own output video; runs are scored against the input video and ranked.
+ */
+
+import { mkdirSync, writeFileSync } from "fs";
+import path from "path";
+import { readPng, compareImages, contactSheet, encodePng, formatMetrics } from "./image-metrics.js";
+
+// Sweepable CLI params: tool argument name -> runCliTool option
+export const SWEEP_PARAMS = {
+  mosh_frame: "moshFrame",
+  duration: "duration",
+  block_size: "blockSize",
+  search_range: "searchRange",
+  blend: "blend"
+};
+
+export const DEFAULT_MAX_RUNS = 50;
+
+// Ranking: which metric to sort by and whether higher is "better" (listed first)
+const RANKINGS = {
+  rmse: { metric: "rmse", descending: true },
+  ssim: { metric: "ssim", descending: false },
+  psnr: { metric: "psnr", descending: false },
+  time: { metric: "durationMs", descending: false }
+};
+
+// Float error below this is ignored when deciding whether max is on the grid
+const RANGE_EPSILON = 1e-9;
+
+// One param spec (a number, a list of numbers, or { min, max, step }) as { size, at(k) },
+// without materializing ranges: value k of a range is min + k * step
+export function paramValues(name, spec) {
+  if (typeof spec === "number") {
+    return { size: 1, at: () => spec };
+  }
+  if (Array.isArray(spec)) {
+    if (spec.length === 0 || spec.some(v => typeof v !== "number")) {
+      throw new Error(`${name}: list must contain at least one number`);
+    }
+    const values = [...new Set(spec)];
+    return { size: values.length, at: k => values[k] };
+  }
+  if (spec && typeof spec === "object") {
+    const { min, max, step = 1 } = spec;
+    if (![min, max, step].every(Number.isFinite) || max < min || step <= 0) {
+      throw new Error(`${name}: range needs numeric min <= max and step > 0`);
+    }
+    return {
+      size: Math.floor((max - min) / step + RANGE_EPSILON) + 1,
+      at: k => Math.round((min + k * step) * 1e6) / 1e6
+    };
+  }
+  throw new Error(`${name}: expected a number, a list, or { min, max, step }`);
+}
+
+// Every value of one param spec. Builds the whole list: check its size with paramValues first.
+export function expandValues(name, spec) {
+  const { size, at } = paramValues(name, spec);
+  return Array.from({ length: size }, (_, k) => at(k));
+}
+
+// Each swept param as [runCliTool option, { size, at }]
+function sweptParams(params) {
+  return Object.entries(params).map(([name, spec]) => {
+    const option = SWEEP_PARAMS[name];
+    if (!option) {
+      throw new Error(`Unknown sweep parameter "${name}" (expected one of ${Object.keys(SWEEP_PARAMS).join(", ")})`);
+    }
+    return [option, paramValues(name, spec)];
+  });
+}
+
+// Cartesian product of all param values, as runCliTool option objects
+export function expandParamGrid(params) {
+  let combos = [{}];
+  for (const [option, { size, at }] of sweptParams(params)) {
+    combos = combos.flatMap(combo => Array.from({ length: size }, (_, k) => ({ ...combo, [option]: at(k) })));
+  }
+  return combos;
+}
+
+// Number of combinations in the grid, by arithmetic on the range sizes
+export function countParamGrid(params) {
+  return sweptParams(params).reduce((count, [, values]) => count * values.size, 1);
+}
+
+// Deterministic PRNG so a seeded random sweep can be reproduced
+function mulberry32(seed) {
+  return () => {
+    seed |= 0;
+    seed = seed + 0x6d2b79f5 | 0;
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+// count distinct combinations, each drawn by picking a seeded index per param; only the
+// picked values are computed, so the size of the ranges doesn't matter
+export function sampleCombinations(params, count, seed) {
+  const random = mulberry32(seed);
+  const swept = sweptParams(params);
+  count = Math.min(count, swept.reduce((n, [, values]) => n * values.size, 1));
+  const seen = new Set();
+  const combos = [];
+  while (combos.length < count) {
+    const picks = swept.map(([, values]) => Math.floor(random() * values.size));
+    const key = picks.join(",");
+    if (seen.has(key)) continue;
+    seen.add(key);
+    combos.push(Object.fromEntries(swept.map(([option, values], i) => [option, values.at(picks[i])])));
+  }
+  return combos;
+}
+
+function rankRuns(runs, rankBy) {
+  const ranking = RANKINGS[rankBy];
+  const value = run => ranking.metric === "durationMs" ? run.durationMs : run.metrics?.[ranking.metric];
+  const ok = runs.filter(r => r.success && Number.isFinite(value(r)));
+  const rest = runs.filter(r => !ok.includes(r));
+  ok.sort((a, b) => ranking.descending ? value(b) - value(a) : value(a) - value(b));
+  return [...ok, ...rest];
+}
+
+// Run a sweep.
+// deps: { runCli(options), extractFrame(videoPath, frame, outputPath), inputVideo }
+// options: { params, mode: "grid" | "random", samples, seed, frame, rankBy, outputDir, maxRuns }
+export async function runCliSweep(deps, options) {
+  const {
+    params,
+    mode = "grid",
+    samples = 10,
+    seed = Date.now(),
+    frame = 20,
+    rankBy = "rmse",
+    outputDir,
+    maxRuns = DEFAULT_MAX_RUNS
+  } = options;
+
+  if (!params || Object.keys(params).length === 0) {
+    throw new Error("params must set at least one parameter to sweep");
+  }
+  if (!RANKINGS[rankBy]) {
+    throw new Error(`Unknown rank_by "${rankBy}" (expected one of ${Object.keys(RANKINGS).join(", ")})`);
+  }
+
+  if (mode !== "grid" && mode !== "random") {
+    throw new Error(`Unknown mode "${mode}" (expected "grid" or "random")`);
+  }
+  // Check the run count before building anything: a wide grid may not fit in memory
+  const total = countParamGrid(params);
+  const runCount = mode === "random" ? Math.min(samples, total) : total;
+  if (runCount > maxRuns) {
+    throw new Error(mode === "random"
+      ? `Sweep asks for ${runCount} samples; the limit is ${maxRuns}. Lower samples or raise the limit.`
+      : `Sweep has ${runCount} combinations; the limit is ${maxRuns}. Narrow the ranges or use mode "random".`);
+  }
+  const combos = mode === "random" ? sampleCombinations(params, runCount, seed) : expandParamGrid(params);
+
+  mkdirSync(outputDir, { recursive: true });
+  const inputFramePath = path.join(outputDir, `input_frame_${frame}.png`);
+  const inputFrame = await deps.extractFrame(deps.inputVideo, frame, inputFramePath);
+  if (!inputFrame.success) {
+    throw new Error(`Could not extract frame ${frame} from input video: ${inputFrame.error}`);
+  }
+  const inputImage = readPng(inputFramePath);
+
+  const runs = [];
+  for (let i = 0; i < combos.length; i++) {
+    const runId = `run_${String(i + 1).padStart(3, "0")}`;
+    const outputVideo = path.join(outputDir, `${runId}.mp4`);
+    const started = Date.now();
+    const result = await deps.runCli({ ...combos[i], outputVideo });
+    const run = {
+      id: runId,
+      params: combos[i],
+      success: result.success,
+      durationMs: Date.now() - started,
+      outputVideo: result.outputVideo
+    };
+
+    if (result.success) {
+      const framePath = path.join(outputDir, `${runId}_frame_${frame}.png`);
+      const extracted = await deps.extractFrame(outputVideo, frame, framePath);
+      if (extracted.success) {
+        const metrics = compareImages(inputImage, readPng(framePath));
+        run.framePath = framePath;
+        run.metrics = { rmse: metrics.rmse, ssim: metrics.ssim, psnr: metrics.psnr, changedPixelRatio: metrics.changedPixelRatio };
+      } else {
+        run.error = `Frame extraction failed: ${extracted.error}`;
+      }
+    } else {
+      run.error = result.error || "CLI run failed";
+      run.output = result.output?.slice(-500);
+    }
+    runs.push(run);
+  }
+
+  const ranked = rankRuns(runs, rankBy);
+  const withFrames = ranked.filter(r => r.framePath);
+  let contactSheetPath = null;
+  if (withFrames.length > 0) {
+    contactSheetPath = path.join(outputDir, `contact_sheet_frame_${frame}.png`);
+    writeFileSync(contactSheetPath, encodePng(contactSheet(withFrames.map(r => readPng(r.framePath)))));
+  }
+
+  const summary = {
+    mode,
+    seed: mode === "random" ? seed : undefined,
+    frame,
+    rankBy,
+    outputDir,
+    runs: runs.length,
+    succeeded: runs.filter(r => r.success).length,
+    contactSheet: contactSheetPath,
+    // Contact sheet tiles follow this order, left to right, top to bottom
+    contactSheetOrder: withFrames.map(r => r.id),
+    ranked: ranked.map((r, index) => ({
+      rank: index + 1,
+      ...r,
+      metrics: r.metrics ? formatMetrics(r.metrics) : undefined
+    }))
+  };
+  writeFileSync(path.join(outputDir, "sweep.json"), JSON.stringify(summary, null, 2));
+  return summary;
+}
@@ -0,0 +1,506 @@
+/**
+ * Test Suite - Declarative test specs and the runner behind run_test_suite
+ * Each *.json file in the spec directory describes one scenario:
+ *
+ *   {
+ *     "name": "Blend 50 still moshes",
+ *     "setup": { "effect": "MoshBrosh", "params": { "Blend": 50 } },
+ *     "steps": [
+ *       { "do": "render_frame", "frames": [15, 30] },
+ *       { "do": "export_sequence", "range": "entire" },
+ *       { "do": "run_cli_datamosh", "blend": 50 }
+ *     ],
+ *     "assert": [
+ *       { "check": "metric", "a": "premiere:15", "b": "premiere:30", "metric": "rmse", "min": 4 },
+ *       { "check": "parity", "min_ssim": 0.9 },
+ *       { "check": "no_crash" },
+ *       { "check": "log", "not_matches": "ERROR|assert" }
+ *     ]
+ *   }
+ *
+ * Frames in metric checks are "<source>:<frame>": premiere (rendered by a render_frame step),
+ * export (from the spec's export), cli (from its CLI run) or source (the input media).
+ * setup.project and setup.media are relative to the spec file. Specs that never touch
+ * Premiere (CLI runs, cli/source frames) run without a panel.
+ */
+
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from "fs";
+import { homedir } from "os";
+import path from "path";
+import { compareImageFilesWithHeatmap, formatMetrics } from "./image-metrics.js";
+import { SWEEP_PARAMS } from "./sweep.js";
+
+const SETUP_FIELDS = ["effect", "project", "media", "params", "apply_effect"];
+
+// Step name -> the arguments it takes (named after the matching tools)
+const STEPS = {
+  set_effect_param: ["param", "value"],
+  render_frame: ["frame", "frames"],
+  export_sequence: ["preset", "output_path", "range", "mode", "timeout_ms"],
+  run_cli_datamosh: Object.keys(SWEEP_PARAMS),
+  wait: ["ms"]
+};
+
+// Check name -> the fields it takes
+const CHECKS = {
+  metric: ["a", "b", "metric", "min", "max", "change_threshold"],
+  parity: ["min_ssim", "start", "end", "frame_offset"],
+  no_crash: [],
+  log: ["matches", "not_matches", "flags"]
+};
+
+const METRICS = ["rmse", "ssim", "psnr", "meanAbsDiff", "changedPixelRatio"];
+const FRAME_SOURCES = ["premiere", "export", "cli", "source"];
+const PREMIERE_STEPS = ["set_effect_param", "render_frame", "export_sequence"];
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function isFrame(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// "premiere:15" -> { source: "premiere", frame: 15 }
+function parseFrameRef(ref) {
+  const match = typeof ref === "string" && ref.match(/^([a-z]+):(\d+)$/);
+  if (!match || !FRAME_SOURCES.includes(match[1])) return null;
+  return { source: match[1], frame: Number(match[2]) };
+}
+
+function unknownFields(object, allowed, where, errors) {
+  for (const key of Object.keys(object)) {
+    if (!allowed.includes(key)) {
+      errors.push(`${where}: unknown field "${key}" (expected ${allowed.join(", ") || "none"})`);
+    }
+  }
+}
+
+// Every problem with a spec, so one edit can fix them all
+export function validateSpec(spec) {
+  const errors = [];
+  if (!isObject(spec)) {
+    return ["spec must be a JSON object"];
+  }
+  unknownFields(spec, ["name", "description", "skip", "setup", "steps", "assert"], "spec", errors);
+  if (spec.name !== undefined && typeof spec.name !== "string") errors.push("name must be a string");
+
+  const setup = spec.setup ?? {};
+  if (!isObject(setup)) {
+    errors.push("setup must be an object");
+  } else {
+    unknownFields(setup, SETUP_FIELDS, "setup", errors);
+    for (const key of ["effect", "project", "media"]) {
+      if (setup[key] !== undefined && typeof setup[key] !== "string") errors.push(`setup.${key} must be a string`);
+    }
+    if (setup.params !== undefined && !isObject(setup.params)) errors.push("setup.params must be an object of param name -> value");
+  }
+
+  const steps = spec.steps ?? [];
+  if (!Array.isArray(steps)) {
+    errors.push("steps must be an array");
+  } else {
+    steps.forEach((step, i) => {
+      const where = `steps[${i}]`;
+      if (!isObject(step) || !STEPS[step.do]) {
+        errors.push(`${where}: "do" must be one of ${Object.keys(STEPS).join(", ")}`);
+        return;
+      }
+      unknownFields(step, ["do", ...STEPS[step.do]], `${where} (${step.do})`, errors);
+      if (step.do === "set_effect_param" && (typeof step.param !== "string" || step.value === undefined)) {
+        errors.push(`${where}: set_effect_param needs param and value`);
+      }
+      if (step.do === "render_frame") {
+        const frames = step.frames ?? (step.frame !== undefined ? [step.frame] : []);
+        if (!Array.isArray(frames) || frames.length === 0 || !frames.every(isFrame)) {
+          errors.push(`${where}: render_frame needs frame or frames (whole frame numbers)`);
+        }
+      }
+      if (step.do === "run_cli_datamosh") {
+        for (const name of Object.keys(SWEEP_PARAMS)) {
+          if (step[name] !== undefined && typeof step[name] !== "number") errors.push(`${where}: ${name} must be a number`);
+        }
+      }
+      if (step.do === "wait" && !(Number.isInteger(step.ms) && step.ms >= 0)) {
+        errors.push(`${where}: wait needs ms`);
+      }
+    });
+  }
+
+  const checks = spec.assert ?? [];
+  if (!Array.isArray(checks)) {
+    errors.push("assert must be an array");
+  } else {
+    checks.forEach((check, i) => {
+      const where = `assert[${i}]`;
+      if (!isObject(check) || !CHECKS[check.check]) {
+        errors.push(`${where}: "check" must be one of ${Object.keys(CHECKS).join(", ")}`);
+        return;
+      }
+      unknownFields(check, ["check", ...CHECKS[check.check]], `${where} (${check.check})`, errors);
+      if (check.check === "metric") {
+        for (const key of ["a", "b"]) {
+          if (!parseFrameRef(check[key])) errors.push(`${where}: ${key} must be "<${FRAME_SOURCES.join("|")}>:<frame>"`);
+        }
+        if (!METRICS.includes(check.metric)) errors.push(`${where}: metric must be one of ${METRICS.join(", ")}`);
+        if (typeof check.min !== "number" && typeof check.max !== "number") errors.push(`${where}: metric needs min and/or max`);
+      }
+      if (check.check === "log") {
+        if (check.matches === undefined && check.not_matches === undefined) errors.push(`${where}: log needs matches or not_matches`);
+        for (const key of ["matches", "not_matches"]) {
+          if (check[key] === undefined) continue;
+          try {
+            new RegExp(check[key], check.flags);
+          } catch (e) {
+            errors.push(`${where}: ${key} is not a valid regular expression: ${e.message}`);
+          }
+        }
+      }
+    });
+  }
+  return errors;
+}
+
+// Whether a spec needs a connected panel
+export function specUsesPremiere(spec) {
+  const setup = spec.setup || {};
+  return Boolean(setup.effect || setup.project || setup.params)
+    || (spec.steps || []).some(step => PREMIERE_STEPS.includes(step.do))
+    || (spec.assert || []).some(check => check.check === "parity"
+      || (check.check === "metric" && [check.a, check.b].some(ref => ["premiere", "export"].includes(parseFrameRef(ref)?.source))));
+}
+
+// Read every *.json spec in dir (sorted by file name). Unreadable or invalid files come back
+// with errors instead of failing the whole suite.
+export function loadTestSpecs(dir, filter) {
+  if (!existsSync(dir)) {
+    throw new Error(`Test spec directory not found: ${dir}`);
+  }
+  const files = readdirSync(dir).filter(f => f.toLowerCase().endsWith(".json")).sort();
+  const specs = files.map(file => {
+    const filePath = path.join(dir, file);
+    let spec;
+    try {
+      spec = JSON.parse(readFileSync(filePath, "utf8"));
+    } catch (e) {
+      return { file, path: filePath, name: file.replace(/\.json$/i, ""), spec: null, errors: [e.message] };
+    }
+    const errors = validateSpec(spec);
+    const name = isObject(spec) && typeof spec.name === "string" ? spec.name : file.replace(/\.json$/i, "");
+    return { file, path: filePath, name, spec: errors.length === 0 ? spec : null, errors };
+  });
+  if (!filter) return specs;
+  const wanted = filter.toLowerCase();
+  return specs.filter(s => s.name.toLowerCase().includes(wanted) || s.file.toLowerCase().includes(wanted));
+}
+
+function slug(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "").slice(0, 40) || "test";
+}
+
+// Run one loaded spec. Throws only for cancellation; everything else ends up in the result.
+async function runSpec(deps, entry, testDir, signal) {
+  const { spec } = entry;
+  const setup = spec.setup || {};
+  // Project and media paths are relative to the spec file
+  const specPath = p => p && path.resolve(path.dirname(entry.path), p.replace(/^~(?=\/|$)/, homedir()));
+  const project = specPath(setup.project);
+  const media = specPath(setup.media);
+  const started = Date.now();
+  const test = {
+    name: entry.name,
+    file: entry.file,
+    status: "passed",
+    durationMs: 0,
+    steps: [],
+    assertions: [],
+    evidence: [],
+    error: null
+  };
+
+  // Frames and videos the steps produced, for the checks to use
+  const produced = { premiere: new Map(), exportVideo: null, cliVideo: null };
+  // Evidence is copied into the test's directory so later tests can't overwrite it
+  const addEvidence = (label, file, name = path.basename(file)) => {
+    const copy = path.join(testDir, name);
+    if (path.resolve(file) !== path.resolve(copy)) copyFileSync(file, copy);
+    test.evidence.push({ label, path: copy });
+    return copy;
+  };
+  const checkCancelled = () => {
+    if (signal?.aborted) throw new Error("Test suite cancelled");
+  };
+
+  mkdirSync(testDir, { recursive: true });
+  const logOffset = deps.logOffset();
+  const usesPremiere = specUsesPremiere(spec);
+
+  try {
+    if (usesPremiere) {
+      checkCancelled();
+      const stepStarted = Date.now();
+      const result = await deps.setup({
+        effect: setup.effect,
+        project,
+        media,
+        applyEffect: setup.apply_effect !== false,
+        params: setup.params || {}
+      });
+      test.steps.push({ do: "setup", success: result.success, durationMs: Date.now() - stepStarted, result });
+      if (!result.success) {
+        throw new Error(`Setup failed: ${result.error}`);
+      }
+    }
+
+    for (const step of spec.steps || []) {
+      checkCancelled();
+      const stepStarted = Date.now();
+      const record = { do: step.do, success: true, durationMs: 0 };
+      test.steps.push(record);
+
+      try {
+        switch (step.do) {
+          case "set_effect_param": {
+            const result = await deps.setParam({ param: step.param, value: step.value, effect: setup.effect });
+            record.param = step.param;
+            record.value = step.value;
+            if (!result?.success) {
+              record.success = false;
+              record.error = result?.error;
+            }
+            break;
+          }
+          case "render_frame": {
+            record.frames = [];
+            for (const frame of step.frames ?? [step.frame]) {
+              const result = await deps.renderFrame(frame);
+              if (!result?.success) {
+                record.success = false;
+                record.error = `frame ${frame}: ${result?.error}`;
+                break;
+              }
+              produced.premiere.set(frame, addEvidence(`Premiere frame ${frame}`, result.path));
+              record.frames.push(frame);
+            }
+            break;
+          }
+          case "export_sequence": {
+            const result = await deps.exportSequence({
+              preset: step.preset,
+              outputPath: step.output_path,
+              range: step.range,
+              mode: step.mode,
+              timeoutMs: step.timeout_ms
+            });
+            record.result = result;
+            if (result?.success) {
+              produced.exportVideo = result.outputPath;
+            } else {
+              record.success = false;
+              record.error = result?.error;
+            }
+            break;
+          }
+          case "run_cli_datamosh": {
+            const options = {};
+            for (const [name, option] of Object.entries(SWEEP_PARAMS)) {
+              if (step[name] !== undefined) options[option] = step[name];
+            }
+            if (media) options.inputVideo = media;
+            options.outputVideo = path.join(testDir, "cli_output.mp4");
+            const result = await deps.runCli(options);
+            record.params = options;
+            if (result.success) {
+              produced.cliVideo = result.outputVideo;
+            } else {
+              record.success = false;
+              record.error = result.error || "CLI run failed";
+              record.output = result.output?.slice(-500);
+            }
+            break;
+          }
+          case "wait":
+            await new Promise(resolve => setTimeout(resolve, step.ms));
+            break;
+        }
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        record.success = false;
+        record.error = e.message;
+      }
+
+      record.durationMs = Date.now() - stepStarted;
+      if (!record.success) {
+        throw new Error(`${step.do} failed: ${record.error}`);
+      }
+    }
+
+    // Resolve "<source>:<frame>" to a PNG on disk, extracting it from a video if needed
+    const frameFile = async (ref) => {
+      const { source, frame } = parseFrameRef(ref);
+      if (source === "premiere") {
+        if (produced.premiere.has(frame)) return produced.premiere.get(frame);
+        const result = await deps.renderFrame(frame);
+        if (!result?.success) throw new Error(`Could not render frame ${frame}: ${result?.error}`);
+        produced.premiere.set(frame, addEvidence(`Premiere frame ${frame}`, result.path));
+        return produced.premiere.get(frame);
+      }
+      const video = { export: produced.exportVideo, cli: produced.cliVideo, source: media || deps.inputVideo() }[source];
+      if (!video) {
+        throw new Error(`${ref}: the spec has no ${source === "export" ? "export_sequence" : "run_cli_datamosh"} step`);
+      }
+      const outputPath = path.join(testDir, `${source}_frame_${frame}.png`);
+      if (!existsSync(outputPath)) {
+        const result = await deps.extractFrame(video, frame, outputPath);
+        if (!result.success) throw new Error(`Could not extract ${ref} from ${video}: ${result.error}`);
+        test.evidence.push({ label: `${source} frame ${frame}`, path: outputPath });
+      }
+      return outputPath;
+    };
+
+    for (const check of spec.assert || []) {
+      checkCancelled();
+      const assertion = { check: check.check, passed: false };
+      test.assertions.push(assertion);
+      try {
+        switch (check.check) {
+          case "metric": {
+            const fileA = await frameFile(check.a);
+            const fileB = await frameFile(check.b);
+            const heatmap = path.join(testDir, `diff_${slug(check.a)}_${slug(check.b)}.png`);
+            const { metrics } = compareImageFilesWithHeatmap(fileA, fileB, heatmap, { changeThreshold: check.change_threshold ?? 8 });
+            const actual = metrics[check.metric];
+            assertion.a = check.a;
+            assertion.b = check.b;
+            assertion.metric = check.metric;
+            assertion.actual = formatMetrics({ actual }).actual;
+            assertion.expected = { min: check.min ?? null, max: check.max ?? null };
+            assertion.metrics = formatMetrics({ rmse: metrics.rmse, ssim: metrics.ssim, psnr: metrics.psnr, changedPixelRatio: metrics.changedPixelRatio });
+            assertion.passed = (check.min === undefined || actual >= check.min) && (check.max === undefined || actual <= check.max);
+            if (!assertion.passed) {
+              test.evidence.push({ label: `Difference ${check.a} vs ${check.b}`, path: heatmap });
+            }
+            break;
+          }
+          case "parity": {
+            if (!produced.exportVideo) {
+              throw new Error("parity needs an export_sequence step");
+            }
+            const { firstDivergent, ...result } = await deps.parity({
+              premiereVideo: produced.exportVideo,
+              // The CLI must render the clip the export used, not the configured test video
+              inputVideo: media,
+              start: check.start,
+              end: check.end,
+              frameOffset: check.frame_offset,
+              minSsim: check.min_ssim,
+              effect: setup.effect
+            });
+            assertion.passed = Boolean(result.success);
+            assertion.summary = result.summary ?? null;
+            assertion.framesCompared = result.framesCompared ?? 0;
+            assertion.divergentFrames = result.divergentFrames ?? [];
+            assertion.missingFrames = result.missingFrames ?? [];
+            if (result.stage) {
+              assertion.error = `${result.stage} failed: ${result.error || result.cli?.error || "see check_cli_parity"}`;
+            }
+            if (firstDivergent) {
+              const frame = firstDivergent.frame;
+              addEvidence(`Parity: Premiere frame ${frame}`, firstDivergent.premierePath, `parity_premiere_${frame}.png`);
+              addEvidence(`Parity: CLI frame ${frame}`, firstDivergent.cliPath, `parity_cli_${frame}.png`);
+              addEvidence(`Parity: difference at frame ${frame}`, firstDivergent.heatmapPath, `parity_diff_${frame}.png`);
+            }
+            break;
+          }
+          case "no_crash": {
+            const crash = deps.crashSince(started);
+            assertion.passed = !crash.crashed;
+            if (crash.crashed) assertion.crash = crash;
+            break;
+          }
+          case "log": {
+            const log = deps.logSince(logOffset);
+            assertion.lines = log ? log.split("\n").length : 0;
+            assertion.passed = true;
+            if (check.matches !== undefined) {
+              const found = log.match(new RegExp(check.matches, check.flags));
+              assertion.matches = check.matches;
+              assertion.found = found ? found[0] : null;
+              if (!found) assertion.passed = false;
+            }
+            if (check.not_matches !== undefined) {
+              const found = log.match(new RegExp(check.not_matches, check.flags));
+              assertion.not_matches = check.not_matches;
+              if (found) {
+                assertion.passed = false;
+                assertion.offending = log.split("\n").find(line => new RegExp(check.not_matches, check.flags).test(line)) ?? found[0];
+              }
+            }
+            break;
+          }
+        }
+      } catch (e) {
+        assertion.error = e.message;
+      }
+      if (!assertion.passed && test.status === "passed") {
+        test.status = "failed";
+      }
+    }
+  } catch (e) {
+    if (signal?.aborted) throw e;
+    test.status = "error";
+    test.error = e.message;
+  } finally {
+    test.durationMs = Date.now() - started;
+    await deps.teardown?.();
+  }
+  return test;
+}
+
+// Run specs from a directory.
+// deps: { setup, teardown, setParam, renderFrame, exportSequence, runCli, extractFrame, parity,
+//         crashSince(time), logOffset(), logSince(offset), inputVideo() }
+// options: { dir, filter, outputDir, stopOnFailure, signal, onProgress }
+export async function runTestSuite(deps, options) {
+  const { dir, filter, outputDir, stopOnFailure = false, signal, onProgress } = options;
+  const specs = loadTestSpecs(dir, filter);
+  if (specs.length === 0) {
+    throw new Error(filter ? `No test specs in ${dir} match "${filter}"` : `No test specs (*.json) in ${dir}`);
+  }
+
+  mkdirSync(outputDir, { recursive: true });
+  const started = Date.now();
+  const tests = [];
+  for (let i = 0; i < specs.length; i++) {
+    const entry = specs[i];
+    onProgress?.({ progress: i, total: specs.length, message: entry.name });
+
+    if (stopOnFailure && tests.some(t => t.status === "failed" || t.status === "error")) {
+      tests.push({ name: entry.name, file: entry.file, status: "skipped", durationMs: 0, reason: "an earlier test failed" });
+    } else if (entry.errors.length > 0) {
+      tests.push({ name: entry.name, file: entry.file, status: "error", durationMs: 0, error: `Invalid spec: ${entry.errors.join("; ")}` });
+    } else if (entry.spec.skip) {
+      tests.push({ name: entry.name, file: entry.file, status: "skipped", durationMs: 0, reason: typeof entry.spec.skip === "string" ? entry.spec.skip : null });
+    } else {
+      const testDir = path.join(outputDir, `${String(i + 1).padStart(2, "0")}_${slug(entry.name)}`);
+      tests.push(await runSpec(deps, entry, testDir, signal));
+    }
+  }
+  onProgress?.({ progress: specs.length, total: specs.length, message: "done" });
+
+  const count = status => tests.filter(t => t.status === status).length;
+  const summary = {
+    success: count("failed") === 0 && count("error") === 0,
+    dir,
+    outputDir,
+    total: tests.length,
+    passed: count("passed"),
+    failed: count("failed"),
+    errors: count("error"),
+    skipped: count("skipped"),
+    durationMs: Date.now() - started,
+    tests
+  };
+  writeFileSync(path.join(outputDir, "results.json"), JSON.stringify(summary, null, 2));
+  return summary;
+}
@@ -0,0 +1,92 @@
+/**
+ * Tool Args - Check MCP tool arguments against the tool's inputSchema
+ * Covers the JSON Schema subset the tool definitions use: type (a name or a list,
+ * including "integer"), enum, required, items and properties. Unknown arguments are
+ * rejected so a misspelled option doesn't silently fall back to its default.
+ *
+ * Validation normalizes args in place: an optional argument set to null is removed, so
+ * handlers (which default with destructuring, i.e. only for undefined) see it as left out.
+ */
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+function checkValue(schema, value, where, problems) {
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      problems.push(`${where} must be ${types.join(" or ")} (got ${describe(value)})`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where} must be one of ${schema.enum.join(", ")} (got ${describe(value)})`);
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, i) => checkValue(schema.items, item, `${where}[${i}]`, problems));
+  }
+  if (schema.properties && matchesType(value, "object")) {
+    checkProperties(schema, value, `${where}.`, problems);
+  }
+}
+
+// Optional arguments may be null, which means the same as leaving them out: unless the schema
+// declares "null" as a type, the key is deleted from value
+function checkProperties(schema, value, prefix, problems) {
+  const properties = schema.properties;
+  const required = schema.required || [];
+  for (const key of required) {
+    if (value[key] === undefined || value[key] === null) {
+      problems.push(`${prefix}${key} is required`);
+    }
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (!Object.hasOwn(properties, key)) {
+      problems.push(`unknown argument ${prefix}${key}`);
+    } else if (item === null && !required.includes(key)) {
+      if (![].concat(properties[key].type).includes("null")) {
+        delete value[key];
+      }
+    } else if (item !== undefined) {
+      checkValue(properties[key], item, `${prefix}${key}`, problems);
+    }
+  }
+}
+
+// Throw listing every problem with args; tools without declared properties accept anything.
+// Null optional arguments are removed from args (see checkProperties).
+export function validateToolArgs(tool, args = {}) {
+  if (!matchesType(args, "object")) {
+    throw new Error(`Invalid arguments for ${tool.name}: expected an object (got ${describe(args)})`);
+  }
+  const problems = [];
+  if (tool.inputSchema?.properties) {
+    checkProperties(tool.inputSchema, args, "", problems);
+  }
+  if (problems.length > 0) {
+    const allowed = Object.keys(tool.inputSchema.properties);
+    const hint = problems.some(p => p.startsWith("unknown argument"))
+      ? ` (${tool.name} takes: ${allowed.join(", ") || "no arguments"})`
+      : "";
+    throw new Error(`Invalid arguments for ${tool.name}: ${problems.join("; ")}${hint}`);
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Baselines - Set keys, and approving the output of the latest comparison
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync, existsSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { baselineSet, recordBaseline, compareToBaseline, approveBaseline, listBaselines } from "../src/baselines.js";
+import { encodePng } from "../src/image-metrics.js";
+
+let dir;
+let media;
+
+// A 16x16 PNG of one gray level
+function frame(name, gray) {
+  const data = new Uint8Array(16 * 16 * 4).map((_, i) => (i % 4 === 3 ? 255 : gray));
+  const file = path.join(dir, `${name}.png`);
+  writeFileSync(file, encodePng({ width: 16, height: 16, data }));
+  return file;
+}
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), "premiere-tester-baselines-"));
+  media = path.join(dir, "clip.mp4");
+  writeFileSync(media, "not really a video");
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("sets are keyed by media, effect and params", () => {
+  const set = baselineSet({ source: "premiere", mediaPath: media, effect: "MoshBrosh", params: { "Block Size": 16 } });
+  assert.equal(set.id, baselineSet({ source: "premiere", mediaPath: media, effect: "MoshBrosh", params: { blockSize: 16 } }).id);
+  assert.notEqual(set.id, baselineSet({ source: "premiere", mediaPath: media, effect: "Other", params: { "Block Size": 16 } }).id);
+  assert.notEqual(set.id, baselineSet({ source: "cli", mediaPath: media, effect: "MoshBrosh", params: { "Block Size": 16 } }).id);
+
+  const other = path.join(dir, "other.mp4");
+  writeFileSync(other, "another clip");
+  assert.notEqual(set.id, baselineSet({ source: "premiere", mediaPath: other, effect: "MoshBrosh", params: { "Block Size": 16 } }).id);
+  assert.throws(() => baselineSet({ source: "premiere", mediaPath: media, params: {} }), /needs the effect/);
+});
+
+test("approve promotes only the frames of the latest comparison", () => {
+  const root = path.join(dir, "store");
+  const set = baselineSet({ source: "cli", mediaPath: media, effect: "MoshBrosh", params: { blend: 0.5 } });
+  recordBaseline(root, set, [{ frame: 1, path: frame("recorded", 100) }]);
+
+  const first = compareToBaseline(root, set, [{ frame: 1, path: frame("drifted", 200) }, { frame: 2, path: frame("new", 50) }]);
+  assert.deepEqual(first.summary, { compared: 2, passed: 0, drifted: [1], missing: [2] });
+
+  const second = compareToBaseline(root, set, [{ frame: 1, path: frame("same", 100) }]);
+  assert.equal(second.success, true);
+  assert.equal(existsSync(first.frames[1].pendingPath), false);
+
+  assert.deepEqual(approveBaseline(root, set.id).approved, [1]);
+  assert.throws(() => approveBaseline(root, set.id, [2]), /Frames 2 have no pending output/);
+  const [listed] = listBaselines(root);
+  assert.equal(listed.effect, "MoshBrosh");
+  assert.deepEqual(listed.frames, [1]);
+});
@@ -0,0 +1,131 @@
+/**
+ * Config - Layering of defaults, the project file, environment variables and --config
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "fs";
+import { homedir, tmpdir } from "os";
+import path from "path";
+import { loadConfig, parseConfigFlag, envVarName, requirePath, panelConfig, PROJECT_CONFIG_FILE } from "../src/config.js";
+
+let dir;
+let project; // a directory with a project config file
+let empty; // a directory without one
+
+function writeJson(file, value) {
+  writeFileSync(file, JSON.stringify(value));
+  return file;
+}
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), "premiere-tester-config-"));
+  project = path.join(dir, "project");
+  empty = path.join(dir, "empty");
+  mkdirSync(path.join(project, "configs"), { recursive: true });
+  mkdirSync(empty);
+  writeJson(path.join(project, PROJECT_CONFIG_FILE), { wsPort: 9000, sourceRoot: "src-root", heartbeatInterval: 1000 });
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("defaults, with paths derived from sourceRoot and the plugin name", () => {
+  const config = loadConfig({ argv: [], env: {}, cwd: empty });
+  assert.equal(config.wsPort, 8847);
+  assert.equal(config.sources.wsPort, "default");
+  assert.equal(config.pluginBinaryName, "MoshBrosh");
+  assert.equal(config.cliToolDir, path.join(homedir(), "coding/moshbrosh/MoshBrosh/CLI"));
+  assert.equal(config.cliToolPath, path.join(config.cliToolDir, "moshbrosh"));
+  assert.equal(config.baselineDir, path.join(config.cliToolDir, "baselines"));
+  assert.equal(config.pluginDebugLog, path.join(homedir(), "Desktop", "moshbrosh_debug.log"));
+  assert.equal(config.sources.cliToolDir, "derived");
+  assert.ok(!Object.keys(config).includes("sources") && !Object.keys(config).includes("warnings"), "not settings themselves");
+});
+
+test("later layers win: project file, then environment, then --config", () => {
+  const override = writeJson(path.join(project, "configs", "ci.json"), { wsPort: 9002, testVideoPath: "../media/clip.mp4" });
+  const env = { PREMIERE_TESTER_WS_PORT: "9001", PREMIERE_TESTER_HEARTBEAT_TIMEOUT: "5000", PREMIERE_TESTER_SOURCE_ROOT: "" };
+
+  const fromProject = loadConfig({ argv: [], env: {}, cwd: project });
+  assert.equal(fromProject.wsPort, 9000);
+  assert.equal(fromProject.sourceRoot, path.join(project, "src-root"), "paths resolve against the file's directory");
+  assert.equal(fromProject.sources.wsPort, path.join(project, PROJECT_CONFIG_FILE));
+
+  const fromEnv = loadConfig({ argv: [], env, cwd: project });
+  assert.equal(fromEnv.wsPort, 9001);
+  assert.equal(fromEnv.heartbeatTimeout, 5000);
+  assert.equal(fromEnv.sources.wsPort, "environment");
+  assert.equal(fromEnv.sourceRoot, path.join(project, "src-root"), "an empty variable is not set");
+
+  for (const argv of [["--config", "configs/ci.json"], ["--config=configs/ci.json"]]) {
+    const fromFlag = loadConfig({ argv, env, cwd: project });
+    assert.equal(fromFlag.wsPort, 9002);
+    assert.equal(fromFlag.sources.wsPort, override);
+    assert.equal(fromFlag.testVideoPath, path.join(project, "media", "clip.mp4"));
+    assert.equal(fromFlag.heartbeatTimeout, 5000);
+  }
+});
+
+test("environment variables are coerced by type", () => {
+  assert.equal(envVarName("effectAlternateNames"), "PREMIERE_TESTER_EFFECT_ALTERNATE_NAMES");
+  const config = loadConfig({
+    argv: [],
+    env: {
+      PREMIERE_TESTER_EFFECT_ALTERNATE_NAMES: "Mosh, Datamosh ,",
+      PREMIERE_TESTER_RESTART_ON_HANG: "1",
+      PREMIERE_TESTER_INLINE_IMAGES: "false",
+      PREMIERE_TESTER_EFFECT_DISPLAY_NAME: "Glitchy"
+    },
+    cwd: empty
+  });
+  assert.deepEqual(config.effectAlternateNames, ["Mosh", "Datamosh"]);
+  assert.equal(config.restartOnHang, true);
+  assert.equal(config.inlineImages, false);
+  assert.equal(config.cliToolPath, path.join(homedir(), "coding/moshbrosh/Glitchy/CLI/glitchy"));
+  assert.equal(config.pluginDebugLog, path.join(homedir(), "Desktop", "glitchy_debug.log"));
+  assert.deepEqual(panelConfig(config).effectAlternateNames, ["Mosh", "Datamosh"]);
+});
+
+test("every invalid setting is reported at once", () => {
+  const bad = writeJson(path.join(dir, "bad.json"), { wsPort: -1, exportOutputPath: "/tmp/x", colour: "red", restartOnHang: "yes" });
+  assert.throws(
+    () => loadConfig({ argv: ["--config", bad], env: { PREMIERE_TESTER_HEARTBEAT_INTERVAL: "soon" }, cwd: empty }),
+    e => {
+      assert.match(e.message, /^Invalid configuration:/);
+      assert.match(e.message, /environment variable PREMIERE_TESTER_HEARTBEAT_INTERVAL: "heartbeatInterval" must be a positive integer \(got "soon"\)/);
+      assert.match(e.message, /"wsPort" must be a positive integer \(got -1\)/);
+      assert.match(e.message, /"exportOutputPath" was removed; use "renderOutputPath"/);
+      assert.match(e.message, /unknown setting "colour"/);
+      assert.match(e.message, /"restartOnHang" must be true or false/);
+      return true;
+    }
+  );
+  assert.throws(() => loadConfig({ argv: ["--config", "missing.json"], env: {}, cwd: empty }), /--config file .*missing\.json: file not found/);
+  assert.throws(() => loadConfig({ argv: [], env: { PREMIERE_TESTER_HEARTBEAT_TIMEOUT: "1000" }, cwd: project }),
+    /"heartbeatTimeout" \(1000\) must be greater than "heartbeatInterval" \(1000\)/);
+});
+
+test("--config needs a value", () => {
+  assert.equal(parseConfigFlag(["--json", "--config", "a.json"]), "a.json");
+  assert.equal(parseConfigFlag(["--port", "1"]), null);
+  assert.throws(() => parseConfigFlag(["--config"]), /--config requires a file path/);
+});
+
+test("warnings for missing inputs and MoshBrosh defaults kept for another plugin", () => {
+  const moshbrosh = loadConfig({ argv: [], env: { PREMIERE_TESTER_SOURCE_ROOT: dir }, cwd: empty });
+  assert.ok(moshbrosh.warnings.some(w => w.startsWith(`"pluginBuildDir" does not exist: ${path.join(dir, "MoshBrosh", "Mac")}`)));
+  assert.ok(moshbrosh.warnings.some(w => w.startsWith('"aeSdkPath" is not set')));
+  assert.ok(!moshbrosh.warnings.some(w => w.includes("MoshBrosh default")));
+
+  const other = loadConfig({ argv: [], env: { PREMIERE_TESTER_PLUGIN_BINARY_NAME: "Glitchy", PREMIERE_TESTER_PLUGIN_BUILD_COMMAND: "make" }, cwd: empty });
+  const defaults = other.warnings.filter(w => w.includes("MoshBrosh default"));
+  assert.equal(defaults.length, 1);
+  assert.match(defaults[0], /^"pluginInstallCommand" is the MoshBrosh default .* but the plugin is Glitchy/);
+});
+
+test("requirePath names the setting and where it came from", () => {
+  const config = loadConfig({ argv: [], env: { PREMIERE_TESTER_AE_SDK_PATH: path.join(dir, "sdk"), PREMIERE_TESTER_SOURCE_ROOT: dir }, cwd: empty });
+  assert.equal(requirePath(config, "sourceRoot"), dir);
+  assert.throws(() => requirePath(config, "aeSdkPath"), /Configured "aeSdkPath" does not exist: .*sdk \(from environment\)/);
+  assert.throws(() => requirePath(loadConfig({ argv: [], env: {}, cwd: empty }), "aeSdkPath"), /"aeSdkPath" is not configured/);
+});
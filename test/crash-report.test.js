@@ -0,0 +1,96 @@
+/**
+ * Crash report parsing - The .ips and legacy .crash fixtures in test/fixtures
+ * Both fixtures describe the same crash (a SIGSEGV in the plugin's render thread, the plugin
+ * scrubbed to "SamplePlugin"), so most expectations are shared by the two formats.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseCrashReport, readCrashReport, crashHeadline } from "../src/crash-report.js";
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const PLUGIN = "SamplePlugin";
+
+// The crashed thread's frames as [symbol, offset, imageOffset, inPlugin]
+const CRASHED_FRAMES = [
+  ["SamplePlugin::MotionSearch(Frame const&, int)", 212, "0x4734", true],
+  ["SamplePlugin::Render(PF_InData*, PF_OutData*)", 96, "0x426c", true],
+  [null, 4660, "0x1234", true], // unsymbolicated: only the plugin's address range places it
+  ["AE_EffectRender", 420, "0x332bb8", false],
+  ["_pthread_start", 136, "0xfc60", false]
+];
+
+function read(name, options = { pluginImage: PLUGIN }) {
+  const report = readCrashReport(path.join(FIXTURES, name), options);
+  assert.equal(report.error, undefined);
+  return report.summary;
+}
+
+for (const [name, format] of [["plugin-crash.ips", "ips"], ["plugin-crash.crash", "crash"]]) {
+  test(`${name}: exception, signal and process`, () => {
+    const summary = read(name);
+    assert.equal(summary.format, format);
+    assert.equal(summary.process.name, "Adobe Premiere Pro 2025");
+    assert.equal(summary.process.pid, 4242);
+    assert.equal(summary.osVersion, "macOS 14.6.1 (23G93)");
+    assert.equal(summary.exception.type, "EXC_BAD_ACCESS");
+    assert.equal(summary.exception.signal, "SIGSEGV");
+    assert.equal(summary.exception.subtype, "KERN_INVALID_ADDRESS at 0x0000000000000010");
+    assert.equal(summary.termination, "Namespace SIGNAL, Code 11 Segmentation fault: 11");
+  });
+
+  test(`${name}: crashed thread frames, located in the loaded images`, () => {
+    const { crashedThread } = read(name);
+    assert.equal(crashedThread.index, 2);
+    assert.equal(crashedThread.name, "Render");
+    assert.deepEqual(
+      crashedThread.frames.map(f => [f.symbol, f.offset, f.imageOffset, f.inPlugin]),
+      CRASHED_FRAMES
+    );
+    assert.deepEqual(crashedThread.frames.map(f => f.index), [0, 1, 2, 3, 4]);
+    assert.equal(BigInt(crashedThread.frames[0].address), 0x110004734n);
+  });
+
+  test(`${name}: image ranges and the plugin image`, () => {
+    const { images } = read(name);
+    const plugin = images.find(i => i.isPlugin);
+    assert.deepEqual(images.filter(i => i.isPlugin), [plugin]);
+    assert.equal(plugin.name, PLUGIN);
+    assert.equal(plugin.bundleId, "com.example.sampleplugin");
+    assert.equal(plugin.version, "1.0");
+    assert.equal(plugin.base, "0x110000000");
+    assert.equal(plugin.end, "0x11001ffff");
+    const pthread = images.find(i => i.name === "libsystem_pthread.dylib");
+    assert.equal(pthread.base, "0x18003a000");
+    assert.equal(pthread.end, "0x180057fff");
+    assert.equal(pthread.version, null);
+  });
+
+  test(`${name}: plugin frames are flagged`, () => {
+    const summary = read(name);
+    assert.equal(summary.crashedInPlugin, true);
+    assert.deepEqual(summary.plugin, { image: PLUGIN, loaded: true, framesInCrashedThread: 3, topFrame: 0 });
+    assert.match(crashHeadline(summary), /in the plugin/);
+  });
+
+  test(`${name}: nothing is flagged for another plugin`, () => {
+    const summary = read(name, { pluginImage: "OtherPlugin" });
+    assert.equal(summary.crashedInPlugin, false);
+    assert.equal(summary.plugin.loaded, false);
+    assert.ok(summary.crashedThread.frames.every(f => !f.inPlugin));
+    assert.ok(summary.images.every(i => !i.isPlugin));
+  });
+}
+
+test(".ips is recognized by its JSON header, not the file name", () => {
+  const ips = readCrashReport(path.join(FIXTURES, "plugin-crash.ips")).raw;
+  assert.equal(parseCrashReport(`\n  ${ips}`, { pluginImage: PLUGIN }).format, "ips");
+});
+
+test("a damaged .ips body is an error rather than a partial summary", () => {
+  const ips = readCrashReport(path.join(FIXTURES, "plugin-crash.ips")).raw;
+  const damaged = ips.slice(0, ips.length / 2);
+  assert.throws(() => parseCrashReport(damaged), /Unreadable \.ips crash report/);
+});
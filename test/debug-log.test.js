@@ -0,0 +1,87 @@
+/**
+ * Debug Log - Line levels, filtering, and cursor reads between markers
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { appendFileSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { lineLevel, filterLogLines, createDebugLog } from "../src/debug-log.js";
+
+const LOG = [
+  "[ERROR] render failed",
+  "WARNING: slow frame 12",
+  "plain line",
+  "[DEBUG] motion vectors 12",
+  "FATAL: out of memory",
+  "[VERBOSE] block 3,4",
+  ""
+].join("\n");
+
+let dir;
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), "premiere-tester-debug-log-"));
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("line levels, with aliases and info for unmarked lines", () => {
+  assert.deepEqual(LOG.split("\n").slice(0, 6).map(lineLevel), ["error", "warn", "info", "debug", "error", "trace"]);
+  assert.equal(lineLevel("terrorist DEBUGGER"), "info", "only whole words count");
+});
+
+test("filtering by level and pattern", () => {
+  assert.equal(filterLogLines(LOG).length, 6, "the trailing newline is not a line");
+  assert.deepEqual(filterLogLines(LOG, { level: "warn" }), ["[ERROR] render failed", "WARNING: slow frame 12", "FATAL: out of memory"]);
+  assert.deepEqual(filterLogLines(LOG, { level: "error" }), ["[ERROR] render failed", "FATAL: out of memory"]);
+  assert.deepEqual(filterLogLines(LOG, { pattern: "\\b12$" }), ["WARNING: slow frame 12", "[DEBUG] motion vectors 12"]);
+  assert.deepEqual(filterLogLines(LOG, { pattern: "12", level: "info" }), ["WARNING: slow frame 12"]);
+  assert.throws(() => filterLogLines(LOG, { pattern: "(" }), /Invalid pattern/);
+  assert.throws(() => filterLogLines(LOG, { level: "loud" }), /Unknown level "loud"\. Use one of: error, warn, info, debug, trace/);
+});
+
+test("reads between markers, and from the start after truncation", () => {
+  const logPath = path.join(dir, "plugin.log");
+  const log = createDebugLog(logPath);
+  assert.equal(log.mark("before").offset, 0, "a missing log is empty");
+
+  writeFileSync(logPath, "one\n");
+  const first = log.mark("first");
+  appendFileSync(logPath, "two\nthree\n");
+  assert.deepEqual(log.read(first.offset), { text: "two\nthree\n", from: 4, to: 14, reset: false });
+  assert.equal(log.read(0, first.offset).text, "one\n");
+  assert.equal(log.marker("first"), first);
+  assert.throws(() => log.marker("nope"), /Unknown log marker "nope"/);
+
+  writeFileSync(logPath, "new\n");
+  assert.deepEqual(log.read(first.offset + 10), { text: "new\n", from: 0, to: 4, reset: true });
+});
+
+test("spans record what was written during a call", async () => {
+  const logPath = path.join(dir, "spans.log");
+  writeFileSync(logPath, "startup\n");
+  const log = createDebugLog(logPath);
+  // Spans overlap by their millisecond timestamps
+  const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+  const call = log.begin("call", 1, { tool: "render_frame" });
+  const request = log.begin("request", 7, { command: "render_frame" });
+  appendFileSync(logPath, "rendering\n");
+  log.end(request);
+  await tick();
+  const other = log.begin("call", 2, { tool: "premiere_status" });
+  await tick();
+  log.end(call);
+  await tick();
+  const later = log.begin("call", 3, { tool: "premiere_status" });
+
+  assert.equal(log.read(call.start, call.end).text, "rendering\n");
+  assert.equal(log.marker("request-7:end").offset, request.end);
+  assert.equal(log.findSpan("call", s => s.tool === "render_frame"), call);
+  assert.equal(log.findSpan("call"), later);
+  assert.deepEqual(log.overlapping(call), [other]);
+  assert.deepEqual(log.overlapping(later), [other], "unfinished spans overlap everything after them");
+  assert.deepEqual(log.spans("request"), [request]);
+});
@@ -0,0 +1,67 @@
+/**
+ * Export Jobs - The Media Encoder job tracker: progress scales, finishing and waiting
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createExportTracker } from "../src/export-jobs.js";
+
+// Progress shown after each of values, for job jobId of session
+function progressAfter(tracker, session, jobId, values) {
+  tracker.queued(session, { jobId, outputPath: `/tmp/${jobId}.mp4` });
+  return values.map(progress => tracker.handleEvent(session, { event: "progress", jobId, progress }).progress);
+}
+
+test("0-1 progress is shown as a percentage, 100% only on complete", () => {
+  const tracker = createExportTracker();
+  assert.deepEqual(progressAfter(tracker, "s1", 1, [0, 0.25, 0.5, 1]), [0, 25, 50, 99.9]);
+  const job = tracker.handleEvent("s1", { event: "complete", jobId: 1 });
+  assert.equal(job.progress, 100);
+  assert.equal(tracker.describe(job).finished, true);
+});
+
+test("0-100 progress is shown as is", () => {
+  const tracker = createExportTracker();
+  assert.deepEqual(progressAfter(tracker, "s1", 1, [0, 5, 50, 100]), [0, 5, 50, 99.9]);
+});
+
+test("a first value of 1 waits until the scale is known instead of jumping to 100%", () => {
+  const tracker = createExportTracker();
+  assert.deepEqual(progressAfter(tracker, "s1", 1, [1, 2, 3, 60]), [0, 2, 3, 60]);
+  assert.equal(tracker.get(1).status, "encoding");
+});
+
+test("later jobs of a session start with the scale settled there", () => {
+  const tracker = createExportTracker();
+  progressAfter(tracker, "percent", 1, [5]);
+  progressAfter(tracker, "fraction", 2, [0.5]);
+  assert.deepEqual(progressAfter(tracker, "percent", 3, [1, 2]), [1, 2]);
+  assert.deepEqual(progressAfter(tracker, "fraction", 4, [1]), [99.9]);
+  assert.deepEqual(progressAfter(tracker, "new", 5, [1]), [0]);
+});
+
+test("waitFor reports only increasing progress and resolves on complete", async () => {
+  const tracker = createExportTracker();
+  const job = tracker.queued("s1", { jobId: 7 });
+  const reported = [];
+  const finished = tracker.waitFor(job, { onProgress: ({ progress }) => reported.push(progress) });
+  for (const progress of [1, 2, 40, 80]) {
+    tracker.handleEvent("s1", { event: "progress", jobId: 7, progress });
+  }
+  tracker.handleEvent("s1", { event: "complete", jobId: 7 });
+  assert.equal((await finished).status, "complete");
+  for (let i = 1; i < reported.length; i++) {
+    assert.ok(reported[i] >= reported[i - 1], `${reported[i]} after ${reported[i - 1]}`);
+  }
+  assert.deepEqual(reported, [0, 2, 40, 80, 100]);
+});
+
+test("a lost session fails its unfinished jobs", () => {
+  const tracker = createExportTracker();
+  tracker.queued("s1", { jobId: 1, outputPath: "/tmp/out.mp4" });
+  tracker.exported("s1", { outputPath: "/tmp/direct.mp4" });
+  tracker.sessionLost("s1", "Premiere crashed.");
+  assert.equal(tracker.get(1).status, "lost");
+  assert.match(tracker.get(1).error, /Premiere crashed\. .*\/tmp\/out\.mp4/);
+  assert.equal(tracker.get().status, "complete");
+});
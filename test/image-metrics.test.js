@@ -0,0 +1,132 @@
+/**
+ * Image Metrics - PNG decoding and the RMSE, PSNR and SSIM frame metrics
+ * The hand-built PNGs cover the color types, bit depths and scanline filters encodePng
+ * never writes; their chunk CRCs are left zero because decodePng doesn't check them.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync } from "zlib";
+import { decodePng, encodePng, compareImages, ssim } from "../src/image-metrics.js";
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  return Buffer.concat([length, Buffer.from(type, "ascii"), data, Buffer.alloc(4)]);
+}
+
+// A PNG of the given scanlines, each [filter type, ...bytes]
+function png({ width, height, bitDepth = 8, colorType, interlace = 0, palette, transparency }, rows) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([bitDepth, colorType, 0, 0, interlace], 8);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    ...(palette ? [chunk("PLTE", Buffer.from(palette))] : []),
+    ...(transparency ? [chunk("tRNS", Buffer.from(transparency))] : []),
+    chunk("IDAT", deflateSync(Buffer.from(rows.flat()))),
+    chunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+// A width x height RGBA image from pixel(x, y) -> [r, g, b]
+function image(width, height, pixel) {
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      data.set([...pixel(x, y), 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+function pixels({ data }) {
+  return Array.from({ length: data.length / 4 }, (_, p) => Array.from(data.subarray(p * 4, p * 4 + 4)));
+}
+
+test("encodePng output decodes to the same pixels", () => {
+  const original = image(5, 3, (x, y) => [x * 50, y * 100, 7]);
+  original.data[3] = 0;
+  const decoded = decodePng(encodePng(original));
+  assert.equal(decoded.width, 5);
+  assert.equal(decoded.height, 3);
+  assert.deepEqual(decoded.data, original.data);
+});
+
+test("8-bit grayscale with Sub, Up, Average and Paeth filters", () => {
+  const decoded = decodePng(png({ width: 3, height: 4, colorType: 0 }, [
+    [1, 10, 5, 5], // Sub: 10 15 20
+    [2, 1, 1, 1], // Up: 11 16 21
+    [3, 9, 2, 2], // Average: 9+(0+11)/2=14, 2+(14+16)/2=17, 2+(17+21)/2=21
+    [4, 1, 1, 1] // Paeth: 1+14=15, 1+17=18, 1+21=22
+  ]));
+  assert.deepEqual(pixels(decoded).map(([r]) => r), [10, 15, 20, 11, 16, 21, 14, 17, 21, 15, 18, 22]);
+  assert.ok(pixels(decoded).every(([r, g, b, a]) => g === r && b === r && a === 255));
+});
+
+test("2-bit palette with transparency", () => {
+  const decoded = decodePng(png({
+    width: 4,
+    height: 1,
+    bitDepth: 2,
+    colorType: 3,
+    palette: [255, 0, 0, 0, 255, 0, 0, 0, 255, 255, 255, 255],
+    transparency: [0]
+  }, [[0, 0b00011011]]));
+  assert.deepEqual(pixels(decoded), [[255, 0, 0, 0], [0, 255, 0, 255], [0, 0, 255, 255], [255, 255, 255, 255]]);
+});
+
+test("16-bit RGB and grayscale with alpha are scaled to 8 bits", () => {
+  const rgb = decodePng(png({ width: 1, height: 1, bitDepth: 16, colorType: 2 }, [[0, 0xff, 0xff, 0x80, 0x00, 0x00, 0x00]]));
+  assert.deepEqual(pixels(rgb), [[255, 128, 0, 255]]);
+  const grayAlpha = decodePng(png({ width: 1, height: 1, colorType: 4 }, [[0, 60, 128]]));
+  assert.deepEqual(pixels(grayAlpha), [[60, 60, 60, 128]]);
+});
+
+test("unreadable PNGs are errors", () => {
+  assert.throws(() => decodePng(Buffer.from("GIF89a not a png")), /Not a PNG file/);
+  assert.throws(() => decodePng(png({ width: 1, height: 1, colorType: 0, interlace: 1 }, [[0, 0]])), /Interlaced/);
+  assert.throws(() => decodePng(png({ width: 1, height: 1, colorType: 3 }, [[0, 0]])), /missing its PLTE/);
+  assert.throws(() => decodePng(png({ width: 1, height: 1, colorType: 0 }, [[9, 0]])), /Invalid PNG filter type 9/);
+});
+
+test("identical images: zero error, infinite PSNR, SSIM 1", () => {
+  const a = image(16, 16, (x, y) => [x * 16, y * 16, 128]);
+  const metrics = compareImages(a, image(16, 16, (x, y) => [x * 16, y * 16, 128]));
+  assert.equal(metrics.rmse, 0);
+  assert.equal(metrics.psnr, Infinity);
+  assert.equal(metrics.ssim, 1);
+  assert.equal(metrics.identical, true);
+  assert.equal(metrics.changedPixelRatio, 0);
+});
+
+test("RMSE, PSNR and changed pixels of a known difference", () => {
+  const a = image(16, 16, () => [100, 100, 100]);
+  const shifted = compareImages(a, image(16, 16, () => [110, 110, 110]));
+  assert.equal(shifted.rmse, 10);
+  assert.equal(shifted.meanAbsDiff, 10);
+  assert.ok(Math.abs(shifted.psnr - 10 * Math.log10(255 * 255 / 100)) < 1e-9);
+  assert.equal(shifted.changedPixelRatio, 1);
+  assert.equal(shifted.channels.g.meanB, 110);
+
+  // Half the pixels 20 levels off: mse = 400 / 2
+  const half = compareImages(a, image(16, 16, x => (x < 8 ? [120, 120, 120] : [100, 100, 100])));
+  assert.ok(Math.abs(half.rmse - Math.sqrt(200)) < 1e-9);
+  assert.equal(half.changedPixelRatio, 0.5);
+  assert.equal(compareImages(a, image(16, 16, () => [105, 105, 105])).changedPixelRatio, 0, "5 is under the change threshold");
+  assert.throws(() => compareImages(a, image(8, 16, () => [0, 0, 0])), /Image sizes differ: 16x16 vs 8x16/);
+});
+
+test("SSIM drops more for lost structure than for a brightness shift", () => {
+  const checker = image(32, 32, (x, y) => ((x >> 2) + (y >> 2)) % 2 ? [200, 200, 200] : [50, 50, 50]);
+  const brighter = image(32, 32, (x, y) => ((x >> 2) + (y >> 2)) % 2 ? [210, 210, 210] : [60, 60, 60]);
+  const flat = image(32, 32, () => [125, 125, 125]);
+  const inverted = image(32, 32, (x, y) => ((x >> 2) + (y >> 2)) % 2 ? [50, 50, 50] : [200, 200, 200]);
+
+  assert.ok(ssim(checker, brighter) > 0.99);
+  assert.ok(ssim(checker, flat) < 0.1);
+  assert.ok(ssim(checker, inverted) < 0);
+  assert.ok(Math.abs(ssim(checker, brighter) - ssim(brighter, checker)) < 1e-12);
+});
@@ -0,0 +1,113 @@
+/**
+ * Param Schema - The schema file, merging it with what Premiere reports, and value coercion
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { loadParamSchemaFile, mergeParamSchema, findParamSchema, coerceParamValue } from "../src/param-schema.js";
+
+const DECLARED = {
+  MoshBrosh: {
+    Blend: { type: "number", min: 0, max: 100, default: 100 },
+    "Block Size": { type: "integer", min: 4, max: 64 },
+    Mode: { choices: ["Forward", "Backward", "Both"] },
+    Removed: { type: "bool" }
+  }
+};
+
+// As get_effect_param_schema reports them: types inferred from the current values
+const REPORTED = [
+  { name: "Blend", type: "number", value: 50, keyframable: true, timeVarying: false },
+  { name: "block_size", type: "number", value: 16, keyframable: true, timeVarying: true },
+  { name: "Mode", type: "number", value: 2, keyframable: false, timeVarying: false },
+  { name: "Tint", type: "color", value: { r: 0, g: 0, b: 0, a: 255 }, keyframable: true, timeVarying: false }
+];
+
+let dir;
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), "premiere-tester-param-schema-"));
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+function schemaFile(name, content) {
+  const file = path.join(dir, name);
+  writeFileSync(file, typeof content === "string" ? content : JSON.stringify(content));
+  return file;
+}
+
+test("loading the schema file", () => {
+  assert.deepEqual(loadParamSchemaFile(null), {});
+  assert.deepEqual(loadParamSchemaFile(schemaFile("ok.json", DECLARED)), DECLARED);
+  assert.throws(() => loadParamSchemaFile(path.join(dir, "none.json")), /none\.json: file not found/);
+  assert.throws(() => loadParamSchemaFile(schemaFile("list.json", [])), /expected an object keyed by effect name/);
+  assert.throws(() => loadParamSchemaFile(schemaFile("broken.json", "{")), /broken\.json: /);
+  assert.throws(() => loadParamSchemaFile(schemaFile("type.json", { Fx: { Amount: { type: "float" } } })),
+    /"Fx" \/ "Amount" has unknown type "float"/);
+  assert.throws(() => loadParamSchemaFile(schemaFile("choices.json", { Fx: { Mode: { choices: [1, 2] } } })),
+    /"Fx" \/ "Mode" choices must be an array of labels/);
+});
+
+test("declared fields are merged into the reported params", () => {
+  const { params, undeclared, unknownDeclared } = mergeParamSchema(REPORTED, DECLARED, [null, "moshbrosh"]);
+  const [blend, blockSize, mode, tint] = params;
+  assert.deepEqual(blend, {
+    name: "Blend", type: "number", value: 50, min: 0, max: 100, default: 100, choices: null,
+    keyframable: true, timeVarying: false, declared: true
+  });
+  assert.equal(blockSize.type, "integer", "declared type wins; names match ignoring case and spaces");
+  assert.equal(blockSize.min, 4);
+  assert.equal(mode.type, "popup", "choices make a reported number a popup");
+  assert.equal(mode.valueLabel, "Backward");
+  assert.equal(tint.declared, false);
+  assert.deepEqual(undeclared, ["Tint"]);
+  assert.deepEqual(unknownDeclared, ["Removed"]);
+
+  const other = mergeParamSchema(REPORTED, DECLARED, ["Other"]);
+  assert.ok(other.params.every(p => !p.declared && p.min === null));
+  assert.equal(findParamSchema(params, "Block Size"), blockSize);
+  assert.equal(findParamSchema(params, "Missing"), null);
+});
+
+test("numbers are checked against type and range", () => {
+  const [blend, blockSize] = mergeParamSchema(REPORTED, DECLARED, ["MoshBrosh"]).params;
+  assert.deepEqual(coerceParamValue(blend, 12.5), { value: 12.5, valueType: "number" });
+  assert.throws(() => coerceParamValue(blend, 101), /"Blend" must be within 0 to 100 \(got 101\)/);
+  assert.throws(() => coerceParamValue(blend, "50"), /"Blend" is a number \(got "50"\)/);
+  assert.throws(() => coerceParamValue(blockSize, 8.5), /"block_size" must be a whole number/);
+  assert.throws(() => coerceParamValue({ name: "Low", type: "number", min: 1, max: null }, 0), /within 1 to inf/);
+});
+
+test("popups take a label or a 1-based index", () => {
+  const mode = mergeParamSchema(REPORTED, DECLARED, ["MoshBrosh"]).params[2];
+  assert.deepEqual(coerceParamValue(mode, "both"), { value: 3, valueType: "popup" });
+  assert.deepEqual(coerceParamValue(mode, 1), { value: 1, valueType: "popup" });
+  assert.throws(() => coerceParamValue(mode, "Sideways"), /"Mode" has no choice "Sideways"\. Choices: Forward, Backward, Both/);
+  assert.throws(() => coerceParamValue(mode, 4), /pass a choice label \(Forward, Backward, Both\) or a 1-based index \(got 4\)/);
+  assert.throws(() => coerceParamValue({ name: "Bare", type: "popup", choices: null }, "A"), /has no declared choices/);
+  assert.deepEqual(coerceParamValue({ name: "Bare", type: "popup", choices: null }, 7), { value: 7, valueType: "popup" });
+});
+
+test("colours, points, checkboxes and text", () => {
+  const color = { name: "Tint", type: "color" };
+  const expected = { value: { r: 255, g: 0, b: 16, a: 255 }, valueType: "color" };
+  assert.deepEqual(coerceParamValue(color, "#ff0010"), expected);
+  assert.deepEqual(coerceParamValue(color, [255, 0, 16]), expected);
+  assert.deepEqual(coerceParamValue(color, { r: 255, g: 0, b: 16 }), expected);
+  assert.equal(coerceParamValue(color, "#ff001080").value.a, 128);
+  assert.throws(() => coerceParamValue(color, [256, 0, 0]), /colour channel r must be an integer 0-255/);
+  assert.throws(() => coerceParamValue(color, "red"), /"Tint" is a colour/);
+
+  const point = { name: "Center", type: "point" };
+  assert.deepEqual(coerceParamValue(point, { x: 1, y: 2 }), { value: [1, 2], valueType: "point" });
+  assert.throws(() => coerceParamValue(point, [1]), /"Center" is a 2D point/);
+
+  assert.deepEqual(coerceParamValue({ name: "On", type: "bool" }, false), { value: false, valueType: "bool" });
+  assert.throws(() => coerceParamValue({ name: "On", type: "bool" }, 1), /"On" is a checkbox/);
+  assert.throws(() => coerceParamValue({ name: "Label", type: "string" }, 1), /"Label" is text/);
+  assert.deepEqual(coerceParamValue({ name: "Odd", type: null }, [1]), { value: [1], valueType: null });
+});
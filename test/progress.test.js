@@ -0,0 +1,50 @@
+/**
+ * Progress - Elapsed-time ticks and real progress share one increasing scale
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProgressReporter } from "../src/progress.js";
+
+function reporter() {
+  const sent = [];
+  return { sent, report: createProgressReporter("token", params => sent.push(params)) };
+}
+
+function assertIncreasing(sent) {
+  for (let i = 1; i < sent.length; i++) {
+    assert.ok(sent[i].progress > sent[i - 1].progress, `progress ${sent[i].progress} after ${sent[i - 1].progress}`);
+  }
+}
+
+test("ticks followed by real progress only ever go up", () => {
+  const { sent, report } = reporter();
+  for (const seconds of [5, 10, 15, 20]) {
+    report({ elapsed: true, message: `render_frame running for ${seconds}s` });
+  }
+  for (const progress of [0.3, 1, 40, 100]) {
+    report({ progress, total: 100, message: `${progress}%` });
+  }
+  assertIncreasing(sent);
+  assert.equal(sent.length, 8);
+  assert.deepEqual(sent.slice(4).map(p => p.progress), [0.3, 1, 40, 100]);
+  assert.ok(sent.slice(0, 4).every(p => p.progress < 0.3 && p.total === undefined));
+  assert.equal(sent[3].message, "render_frame running for 20s");
+});
+
+test("ticks stop once real progress has been sent", () => {
+  const { sent, report } = reporter();
+  report({ progress: 2, total: 10 });
+  report({ elapsed: true, message: "still running" });
+  report({ progress: 3, total: 10 });
+  assert.deepEqual(sent.map(p => p.progress), [2, 3]);
+});
+
+test("real progress that doesn't increase is dropped", () => {
+  const { sent, report } = reporter();
+  for (const progress of [10, 5, 10, 20, "30", 25]) {
+    report({ progress, total: 100 });
+  }
+  assert.deepEqual(sent.map(p => p.progress), [10, 20, 25]);
+  assert.ok(sent.every(p => p.progressToken === "token"));
+});
@@ -0,0 +1,73 @@
+/**
+ * Resources - Artifact URIs: listing, resolving and reading the files they name
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { artifactUri, listArtifacts, resolveArtifactUri, readFileResource, saveFrame, mimeTypeFor, ARTIFACT_PREFIX } from "../src/resources.js";
+
+let dir;
+let areas;
+
+function write(relative, content) {
+  const file = path.join(dir, relative);
+  mkdirSync(path.dirname(file), { recursive: true });
+  writeFileSync(file, content);
+  return file;
+}
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), "premiere-tester-resources-"));
+  // frames sits inside exports, as framesDir does inside exportOutputDir by default
+  areas = { exports: path.join(dir, "exports"), frames: path.join(dir, "exports", "frames") };
+  write("exports/run 1/report.json", "{\"ok\":true}");
+  write("exports/run 1/frame #3.png", Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  write("exports/notes", "no extension");
+  write("exports/.hidden/secret.txt", "hidden");
+  write("exports/frames/render_1.png", "png");
+  write("outside.txt", "not in an area");
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("URIs encode each path segment", () => {
+  assert.equal(artifactUri("exports", path.join("run 1", "frame #3.png")), `${ARTIFACT_PREFIX}exports/run%201/frame%20%233.png`);
+  assert.equal(mimeTypeFor("A.JPEG"), "image/jpeg");
+  assert.equal(mimeTypeFor("notes"), null);
+});
+
+test("listing skips hidden files, unknown types and nested areas", () => {
+  const names = listArtifacts(areas).map(r => r.name).sort();
+  assert.deepEqual(names, ["exports/run 1/frame #3.png", "exports/run 1/report.json", "frames/render_1.png"]);
+  const report = listArtifacts(areas).find(r => r.name === "exports/run 1/report.json");
+  assert.equal(report.mimeType, "application/json");
+  assert.equal(report.size, 11);
+  assert.equal(resolveArtifactUri(areas, report.uri), path.join(areas.exports, "run 1", "report.json"));
+});
+
+test("resolving refuses unknown areas, escapes and unreadable files", () => {
+  assert.equal(resolveArtifactUri(areas, artifactUri("frames", "render_1.png")), path.join(areas.frames, "render_1.png"));
+  assert.throws(() => resolveArtifactUri(areas, `${ARTIFACT_PREFIX}logs/a.txt`), /Unknown artifact area "logs"\. Areas: exports, frames/);
+  assert.throws(() => resolveArtifactUri(areas, `${ARTIFACT_PREFIX}exports/../outside.txt`), /is not a file inside/);
+  assert.throws(() => resolveArtifactUri(areas, `${ARTIFACT_PREFIX}exports/..%2Foutside.txt`), /is not a file inside/);
+  assert.throws(() => resolveArtifactUri(areas, `${ARTIFACT_PREFIX}exports`), /is not a file inside/);
+  assert.throws(() => resolveArtifactUri(areas, `${ARTIFACT_PREFIX}exports/run%201`), /does not exist/);
+  assert.throws(() => resolveArtifactUri(areas, `${ARTIFACT_PREFIX}exports/missing.png`), /does not exist/);
+  assert.throws(() => resolveArtifactUri(areas, `${ARTIFACT_PREFIX}exports/notes`), /files without an extension cannot be read as a resource/);
+});
+
+test("text is read as text, everything else as base64", () => {
+  const json = artifactUri("exports", path.join("run 1", "report.json"));
+  assert.deepEqual(readFileResource(json, resolveArtifactUri(areas, json)), { uri: json, mimeType: "application/json", text: "{\"ok\":true}" });
+  const png = artifactUri("exports", path.join("run 1", "frame #3.png"));
+  assert.deepEqual(readFileResource(png, resolveArtifactUri(areas, png)), { uri: png, mimeType: "image/png", blob: "iVBORw==" });
+});
+
+test("saved frames land in the frames area", () => {
+  const file = saveFrame(areas.frames, "render_2.png", Buffer.from("frame").toString("base64"));
+  assert.equal(resolveArtifactUri(areas, artifactUri("frames", "render_2.png")), file);
+  assert.equal(readFileResource("x", file).blob, Buffer.from("frame").toString("base64"));
+});
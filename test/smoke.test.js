@@ -0,0 +1,116 @@
+/**
+ * Smoke test - The MCP server end to end against the mock panel
+ * Starts src/index.js over stdio with its output directories in a temp dir, connects a mock
+ * panel to it, and checks the hello handshake, a render and a hang caught by the watchdog.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { createServer } from "net";
+import { tmpdir } from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { Client } from "@modelcontextprotocol/sdk/client/index.js";
+import { StdioClientTransport } from "@modelcontextprotocol/sdk/client/stdio.js";
+import { createMockPanel } from "../src/mock-panel.js";
+import { PROTOCOL_VERSION } from "../src/protocol.js";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "src", "index.js");
+const HEARTBEAT_TIMEOUT_MS = 1000;
+
+let dir;
+let client;
+let panel;
+
+// A port nothing is listening on, so the test doesn't collide with a running server
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.once("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs}ms`);
+    await new Promise(r => setTimeout(r, 100));
+  }
+}
+
+async function callTool(name, args = {}) {
+  return client.callTool({ name, arguments: args });
+}
+
+async function status() {
+  return JSON.parse((await callTool("premiere_status")).content[0].text);
+}
+
+before(async () => {
+  dir = mkdtempSync(path.join(tmpdir(), "premiere-tester-smoke-"));
+  const port = await freePort();
+  client = new Client({ name: "smoke-test", version: "1.0.0" }, { capabilities: {} });
+  await client.connect(new StdioClientTransport({
+    command: process.execPath,
+    args: [SERVER],
+    stderr: "ignore",
+    env: {
+      ...process.env,
+      PREMIERE_TESTER_WS_PORT: String(port),
+      PREMIERE_TESTER_SOURCE_ROOT: dir,
+      PREMIERE_TESTER_EXPORT_OUTPUT_DIR: dir,
+      PREMIERE_TESTER_PLUGIN_DEBUG_LOG: path.join(dir, "debug.log"),
+      PREMIERE_TESTER_CRASH_LOG_DIR: path.join(dir, "crashes"),
+      PREMIERE_TESTER_HEARTBEAT_INTERVAL: "200",
+      PREMIERE_TESTER_HEARTBEAT_TIMEOUT: String(HEARTBEAT_TIMEOUT_MS)
+    }
+  }));
+  panel = createMockPanel({ url: `ws://localhost:${port}`, reconnectDelayMs: null, writeFiles: true });
+  await panel.start();
+});
+
+after(async () => {
+  panel?.stop();
+  await client?.close();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test("the mock panel completes the hello handshake", async () => {
+  const { sessions } = await waitFor(async () => {
+    const current = await status();
+    return current.sessions[0]?.handshake === "ok" && current;
+  });
+  assert.equal(sessions.length, 1);
+  assert.equal(sessions[0].protocol_version, PROTOCOL_VERSION);
+  assert.ok(sessions[0].commands.includes("render_frame"));
+});
+
+test("render_frame returns the rendered frame", async () => {
+  const opened = await callTool("open_test_project");
+  assert.ok(!opened.isError, opened.content[0].text);
+  const result = await callTool("render_frame", { frame: 3 });
+  assert.ok(!result.isError, result.content[0].text);
+  assert.equal(JSON.parse(result.content[0].text).success, true);
+  const image = result.content.find(item => item.type === "image");
+  assert.equal(image?.mimeType, "image/png");
+  assert.ok(Buffer.from(image.data, "base64").subarray(1, 4).equals(Buffer.from("PNG")));
+});
+
+test("a command that hangs the host fails with the hang and marks the session hung", async () => {
+  panel.setFault("render_frame", { type: "hang", once: true });
+  const result = await callTool("render_frame", { frame: 4 });
+  assert.equal(result.isError, true);
+  assert.match(result.content[0].text, /Premiere hung while "render_frame" was running/);
+
+  const current = await status();
+  assert.equal(current.sessions[0].state, "hung");
+  assert.equal(current.last_hang.cause, "heartbeat");
+  assert.equal(current.last_hang.command, "render_frame");
+});
@@ -0,0 +1,82 @@
+/**
+ * Sweep - Param expansion, counting, the run limit and seeded sampling
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { paramValues, expandValues, expandParamGrid, countParamGrid, sampleCombinations, runCliSweep } from "../src/sweep.js";
+
+// runCliSweep deps that fail the test if a sweep gets as far as running anything
+const NO_RUNS = {
+  inputVideo: "/nonexistent/input.mp4",
+  extractFrame: () => assert.fail("the sweep should have been rejected before extracting frames"),
+  runCli: () => assert.fail("the sweep should have been rejected before running the CLI")
+};
+
+test("ranges expand from min + k * step without accumulating float error", () => {
+  assert.deepEqual(expandValues("blend", { min: 0, max: 1, step: 0.1 }), [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1]);
+  assert.deepEqual(expandValues("blend", { min: 10, max: 20, step: 4 }), [10, 14, 18]);
+  assert.deepEqual(expandValues("blend", { min: 3, max: 5 }), [3, 4, 5]);
+  assert.equal(paramValues("blend", { min: 0, max: 100, step: 0.01 }).at(3333), 33.33);
+});
+
+test("numbers and lists expand as given, lists without duplicates", () => {
+  assert.deepEqual(expandValues("blend", 40), [40]);
+  assert.deepEqual(expandValues("blend", [5, 1, 5, 3]), [5, 1, 3]);
+});
+
+test("invalid specs are rejected with the param name", () => {
+  assert.throws(() => expandValues("blend", []), /blend: list must contain/);
+  assert.throws(() => expandValues("blend", { min: 5, max: 1 }), /blend: range needs/);
+  assert.throws(() => expandValues("blend", { min: 0, max: 1, step: 0 }), /blend: range needs/);
+  assert.throws(() => expandValues("blend", "wide"), /blend: expected a number/);
+  assert.throws(() => countParamGrid({ blur: 1 }), /Unknown sweep parameter "blur"/);
+});
+
+test("the grid is the cartesian product of the params", () => {
+  const grid = expandParamGrid({ blend: [0, 100], block_size: { min: 8, max: 16, step: 8 } });
+  assert.deepEqual(grid, [
+    { blend: 0, blockSize: 8 }, { blend: 0, blockSize: 16 },
+    { blend: 100, blockSize: 8 }, { blend: 100, blockSize: 16 }
+  ]);
+  assert.equal(countParamGrid({ blend: [0, 100], block_size: { min: 8, max: 16, step: 8 } }), 4);
+});
+
+test("huge ranges are counted by arithmetic, not built", () => {
+  assert.equal(paramValues("mosh_frame", { min: 0, max: 1e9 }).size, 1e9 + 1);
+  assert.equal(countParamGrid({ mosh_frame: { min: 0, max: 1e9 }, blend: { min: 0, max: 1e9 } }), (1e9 + 1) ** 2);
+});
+
+test("a grid over the run limit is rejected before anything runs", async () => {
+  await assert.rejects(
+    runCliSweep(NO_RUNS, { params: { mosh_frame: { min: 0, max: 1e9 } }, outputDir: "/nonexistent" }),
+    /1000000001 combinations; the limit is 50/
+  );
+  await assert.rejects(
+    runCliSweep(NO_RUNS, { params: { blend: { min: 1, max: 10 } }, maxRuns: 5, outputDir: "/nonexistent" }),
+    /10 combinations; the limit is 5/
+  );
+  await assert.rejects(
+    runCliSweep(NO_RUNS, { params: { blend: { min: 0, max: 1e9 } }, mode: "random", samples: 60, outputDir: "/nonexistent" }),
+    /60 samples; the limit is 50/
+  );
+});
+
+test("seeded sampling is reproducible, distinct and inside the ranges", () => {
+  const params = { mosh_frame: { min: 0, max: 1e9 }, blend: { min: 0, max: 100, step: 0.5 }, block_size: [8, 16, 32] };
+  const first = sampleCombinations(params, 20, 42);
+  assert.deepEqual(sampleCombinations(params, 20, 42), first);
+  assert.notDeepEqual(sampleCombinations(params, 20, 43), first);
+  assert.equal(new Set(first.map(c => JSON.stringify(c))).size, 20);
+  for (const combo of first) {
+    assert.ok(Number.isInteger(combo.moshFrame) && combo.moshFrame >= 0 && combo.moshFrame <= 1e9);
+    assert.ok(combo.blend >= 0 && combo.blend <= 100 && Number.isInteger(combo.blend * 2));
+    assert.ok([8, 16, 32].includes(combo.blockSize));
+  }
+});
+
+test("sampling more than the grid holds returns every combination once", () => {
+  const combos = sampleCombinations({ blend: [1, 2, 3], duration: [10, 20] }, 50, 7);
+  assert.equal(combos.length, 6);
+  assert.equal(new Set(combos.map(c => `${c.blend}/${c.duration}`)).size, 6);
+});
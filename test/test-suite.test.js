@@ -0,0 +1,123 @@
+/**
+ * Test Suite - Spec validation, which specs need Premiere, and loading a spec directory
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import { validateSpec, specUsesPremiere, loadTestSpecs } from "../src/test-suite.js";
+
+// The example from the top of src/test-suite.js
+const EXAMPLE = {
+  name: "Blend 50 still moshes",
+  setup: { effect: "MoshBrosh", params: { Blend: 50 } },
+  steps: [
+    { do: "render_frame", frames: [15, 30] },
+    { do: "export_sequence", range: "entire" },
+    { do: "run_cli_datamosh", blend: 50 }
+  ],
+  assert: [
+    { check: "metric", a: "premiere:15", b: "premiere:30", metric: "rmse", min: 4 },
+    { check: "parity", min_ssim: 0.9 },
+    { check: "no_crash" },
+    { check: "log", not_matches: "ERROR|assert" }
+  ]
+};
+
+const CLI_ONLY = {
+  name: "CLI output differs from the source",
+  steps: [{ do: "run_cli_datamosh", block_size: 8 }],
+  assert: [{ check: "metric", a: "source:5", b: "cli:5", metric: "ssim", max: 0.99 }]
+};
+
+let dir;
+
+before(() => {
+  dir = mkdtempSync(path.join(tmpdir(), "premiere-tester-specs-"));
+  writeFileSync(path.join(dir, "b_example.json"), JSON.stringify(EXAMPLE));
+  writeFileSync(path.join(dir, "a_cli.json"), JSON.stringify(CLI_ONLY));
+  writeFileSync(path.join(dir, "c_broken.json"), "{ \"name\": ");
+  writeFileSync(path.join(dir, "d_invalid.JSON"), JSON.stringify({ steps: [{ do: "wait" }] }));
+  writeFileSync(path.join(dir, "notes.txt"), "not a spec");
+});
+
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+test("valid specs have no errors", () => {
+  assert.deepEqual(validateSpec(EXAMPLE), []);
+  assert.deepEqual(validateSpec(CLI_ONLY), []);
+  assert.deepEqual(validateSpec({}), [], "everything is optional");
+});
+
+test("every problem in a spec is listed", () => {
+  assert.deepEqual(validateSpec([]), ["spec must be a JSON object"]);
+  assert.deepEqual(validateSpec({
+    name: 3,
+    title: "x",
+    setup: { effect: 1, params: [], clip: "a.mp4" },
+    steps: [
+      { do: "render_frame", frames: [1.5] },
+      { do: "set_effect_param", param: "Blend" },
+      { do: "run_cli_datamosh", blend: "50" },
+      { do: "wait", ms: -1 },
+      { do: "explode" },
+      { do: "render_frame", frame: 1, when: "now" }
+    ],
+    assert: [
+      { check: "metric", a: "premiere:x", b: "disk:3", metric: "mse" },
+      { check: "log", matches: "(" },
+      { check: "log" },
+      { check: "no_crash", within: 5 },
+      "parity"
+    ]
+  }), [
+    "spec: unknown field \"title\" (expected name, description, skip, setup, steps, assert)",
+    "name must be a string",
+    "setup: unknown field \"clip\" (expected effect, project, media, params, apply_effect)",
+    "setup.effect must be a string",
+    "setup.params must be an object of param name -> value",
+    "steps[0]: render_frame needs frame or frames (whole frame numbers)",
+    "steps[1]: set_effect_param needs param and value",
+    "steps[2]: blend must be a number",
+    "steps[3]: wait needs ms",
+    "steps[4]: \"do\" must be one of set_effect_param, render_frame, export_sequence, run_cli_datamosh, wait",
+    "steps[5] (render_frame): unknown field \"when\" (expected do, frame, frames)",
+    "assert[0]: a must be \"<premiere|export|cli|source>:<frame>\"",
+    "assert[0]: b must be \"<premiere|export|cli|source>:<frame>\"",
+    "assert[0]: metric must be one of rmse, ssim, psnr, meanAbsDiff, changedPixelRatio",
+    "assert[0]: metric needs min and/or max",
+    "assert[1]: matches is not a valid regular expression: Invalid regular expression: /(/: Unterminated group",
+    "assert[2]: log needs matches or not_matches",
+    "assert[3] (no_crash): unknown field \"within\" (expected check)",
+    "assert[4]: \"check\" must be one of metric, parity, no_crash, log"
+  ]);
+  assert.deepEqual(validateSpec({ setup: [], steps: {}, assert: "all" }), [
+    "setup must be an object",
+    "steps must be an array",
+    "assert must be an array"
+  ]);
+});
+
+test("only specs that touch Premiere need a panel", () => {
+  assert.equal(specUsesPremiere(EXAMPLE), true);
+  assert.equal(specUsesPremiere(CLI_ONLY), false);
+  assert.equal(specUsesPremiere({ assert: [{ check: "metric", a: "source:1", b: "export:1", metric: "rmse", max: 1 }] }), true);
+  assert.equal(specUsesPremiere({ assert: [{ check: "parity" }] }), true);
+  assert.equal(specUsesPremiere({ setup: { media: "clip.mp4" }, steps: [{ do: "wait", ms: 10 }] }), false);
+});
+
+test("loading a directory sorts by file name and keeps invalid specs as errors", () => {
+  const specs = loadTestSpecs(dir);
+  assert.deepEqual(specs.map(s => [s.file, s.name, s.spec !== null, s.errors.length > 0]), [
+    ["a_cli.json", CLI_ONLY.name, true, false],
+    ["b_example.json", EXAMPLE.name, true, false],
+    ["c_broken.json", "c_broken", false, true],
+    ["d_invalid.JSON", "d_invalid", false, true]
+  ]);
+  assert.deepEqual(specs[3].errors, ["steps[0]: wait needs ms"]);
+  assert.deepEqual(loadTestSpecs(dir, "MOSHES").map(s => s.file), ["b_example.json"]);
+  assert.deepEqual(loadTestSpecs(dir, "broken").map(s => s.file), ["c_broken.json"]);
+  assert.throws(() => loadTestSpecs(path.join(dir, "none")), /Test spec directory not found/);
+});
@@ -0,0 +1,76 @@
+/**
+ * Tool Args - Validating tool arguments against a tool's inputSchema
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateToolArgs } from "../src/tool-args.js";
+
+const TOOL = {
+  name: "render_frame_range",
+  inputSchema: {
+    type: "object",
+    properties: {
+      start: { type: "integer" },
+      end: { type: "integer" },
+      step: { type: "number" },
+      mode: { type: "string", enum: ["fast", "full"] },
+      frames: { type: "array", items: { type: "integer" } },
+      since: { type: ["integer", "string"] },
+      cursor: { type: ["string", "null"] },
+      options: { type: "object", properties: { preset: { type: "string" } }, required: ["preset"] }
+    },
+    required: ["start", "end"]
+  }
+};
+
+function problems(args) {
+  try {
+    validateToolArgs(TOOL, args);
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+test("valid arguments pass", () => {
+  assert.equal(problems({ start: 0, end: 10, step: 0.5, mode: "fast", frames: [1, 2], since: "marker", options: { preset: "h264" } }), null);
+  assert.equal(problems({ start: 0, end: 10, since: 12 }), null);
+});
+
+test("types, enums, items and nested properties are checked", () => {
+  assert.equal(problems({ start: 1.5, end: 10 }), "Invalid arguments for render_frame_range: start must be integer (got 1.5)");
+  assert.match(problems({ start: 0, end: 10, step: "1" }), /step must be number \(got "1"\)/);
+  assert.match(problems({ start: 0, end: 10, mode: "slow" }), /mode must be one of fast, full \(got "slow"\)/);
+  assert.match(problems({ start: 0, end: 10, frames: [1, "2"] }), /frames\[1\] must be integer \(got "2"\)/);
+  assert.match(problems({ start: 0, end: 10, since: true }), /since must be integer or string \(got true\)/);
+  assert.match(problems({ start: 0, end: 10, options: {} }), /options\.preset is required/);
+  assert.match(problems({ start: 0, end: 10, options: { preset: "h264", crf: 1 } }), /unknown argument options\.crf/);
+  assert.match(problems({ start: 0, end: 10, options: [] }), /options must be object \(got \[\]\)/);
+});
+
+test("every problem is listed, with the tool's arguments for unknown ones", () => {
+  assert.equal(
+    problems({ end: "10", strat: 0 }),
+    "Invalid arguments for render_frame_range: start is required; end must be integer (got \"10\"); unknown argument strat " +
+      "(render_frame_range takes: start, end, step, mode, frames, since, cursor, options)"
+  );
+  assert.match(problems({ start: null, end: 1 }), /start is required/);
+});
+
+test("null optional arguments are removed unless the schema allows null", () => {
+  const args = { start: 0, end: 10, step: null, cursor: null };
+  validateToolArgs(TOOL, args);
+  assert.deepEqual(args, { start: 0, end: 10, cursor: null });
+});
+
+test("arguments must be an object; tools without properties take anything", () => {
+  assert.throws(() => validateToolArgs(TOOL, [1]), /Invalid arguments for render_frame_range: expected an object \(got \[1\]\)/);
+  assert.doesNotThrow(() => validateToolArgs({ name: "free", inputSchema: { type: "object" } }, { anything: 1 }));
+  assert.throws(() => validateToolArgs({ name: "none", inputSchema: { type: "object", properties: {} } }, { x: 1 }), /\(none takes: no arguments\)/);
+});
+
+test("long values are shortened in messages", () => {
+  const message = problems({ start: 0, end: 10, mode: "x".repeat(100) });
+  assert.match(message, /\(got "x{56}\.\.\.\)$/);
+});